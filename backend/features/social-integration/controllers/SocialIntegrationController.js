@@ -12,6 +12,24 @@ const FacebookIntegration = require('../services/FacebookIntegration');
 const LinkedInWebhookService = require('../services/LinkedInWebhookService');
 const PlatformValidator = require('../utils/platformValidator');
 const UrlParser = require('../utils/urlParser');
+const WebhookEventProcessor = require('../services/WebhookEventProcessor');
+const InboxSyncService = require('../services/InboxSyncService');
+const InvitationJobRunner = require('../services/InvitationJobRunner');
+const EmployeeAutoProcessor = require('../services/EmployeeAutoProcessor');
+const UnipileService = require('../services/UnipileService');
+const QuotaService = require('../services/QuotaService');
+const CreditService = require('../services/CreditService');
+const ActivityService = require('../services/ActivityService');
+const SequenceService = require('../services/SequenceService');
+const SequenceRunner = require('../services/SequenceRunner');
+const TemplateService = require('../services/TemplateService');
+const ScheduleService = require('../services/ScheduleService');
+const ScheduledCallRunner = require('../services/ScheduledCallRunner');
+const StageMappingService = require('../services/StageMappingService');
+const LeadDedupService = require('../services/LeadDedupService');
+const { SocialAccount, SocialActivity, SocialMessage, SocialConversation, InvitationJob, CreditLedger, Sequence, MessageTemplate, ScheduledCall, StageMapping, LeadTimeline, WebhookSecret, WebhookRejection, WebhookEvent, WebhookDeadLetter } = require('../models');
+const { generateSecret } = require('../utils/webhookSignature');
+const { decodeCursor, paginate } = require('../utils/cursor');
 
 class SocialIntegrationController {
   constructor(db) {
@@ -27,6 +45,21 @@ class SocialIntegrationController {
     
     // Initialize webhook service
     this.webhookService = new LinkedInWebhookService(db);
+    this.eventProcessor = new WebhookEventProcessor(this.webhookService);
+    this.inboxSync = new InboxSyncService(this.webhookService);
+    this.invitationJobs = new InvitationJobRunner(this.services);
+    // Queues its invitations on the runner above, whose worker sends them
+    this.employeeProcessor = new EmployeeAutoProcessor(db, this.invitationJobs);
+    this.quotas = new QuotaService();
+    this.credits = new CreditService();
+    this.activities = new ActivityService();
+    this.sequences = new SequenceService();
+    this.sequenceRunner = new SequenceRunner(this.services);
+    this.templates = new TemplateService();
+    this.schedules = new ScheduleService();
+    this.scheduledCalls = new ScheduledCallRunner(this.webhookService);
+    this.stageMappings = new StageMappingService();
+    this.dedup = new LeadDedupService();
     
     console.log('[SocialIntegrationController] Initialized with platforms:', Object.keys(this.services));
   }
@@ -48,6 +81,64 @@ class SocialIntegrationController {
     return service;
   }
   
+  /**
+   * Reserve credits for a send that already counted against the account's quota
+   * Gives the quota back when the tenant cannot pay
+   * 
+   * @returns {Promise<Object|null>} Credit reservation
+   */
+  async reserveCredits(schema, account, action, quota, { tenantId, userId }) {
+    try {
+      return await this.credits.reserve(schema, { tenantId, userId, platform: account.platform, action });
+    } catch (error) {
+      await this.quotas.release(schema, account, action, quota);
+      throw error;
+    }
+  }
+  
+  /**
+   * Answer 402 when the tenant's credits cannot cover an action
+   * 
+   * @returns {boolean} True when a response was sent
+   */
+  respondInsufficientCredits(res, error) {
+    if (error.code !== 'INSUFFICIENT_CREDITS') {
+      return false;
+    }
+    
+    res.status(402).json({
+      success: false,
+      error: 'Insufficient credits',
+      required: error.required,
+      available: error.available,
+      message: error.message
+    });
+    return true;
+  }
+  
+  /**
+   * Answer 503/429 with Retry-After when Unipile is unavailable or throttling
+   * 
+   * @returns {boolean} True when a response was sent
+   */
+  respondProviderBackoff(res, error) {
+    const throttled = error.response?.status === 429;
+    if (error.code !== 'CIRCUIT_OPEN' && !throttled) {
+      return false;
+    }
+    
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    res.status(throttled ? 429 : 503).json({
+      success: false,
+      error: throttled ? 'Provider rate limit reached' : 'Provider temporarily unavailable',
+      retryAfter: error.retryAfter || null,
+      message: error.message
+    });
+    return true;
+  }
+  
   /**
    * List available platforms and their status
    * 
@@ -65,7 +156,8 @@ class SocialIntegrationController {
           provider: config.provider,
           enabled: config.enabled,
           features: config.features,
-          costs: config.costPerAction
+          costs: config.costPerAction,
+          messageLimits: config.messageLimits || {}
         };
       });
       
@@ -95,11 +187,14 @@ class SocialIntegrationController {
    * - publicIdentifier: string
    * - accountId: string (required)
    * - customMessage: string (optional)
+   * 
+   * Outside the account's send window, or over its quota, the invitation is
+   * queued as a deferred job and the response is 202 with retryAt
    */
   async sendInvitation(req, res) {
     try {
       const { platform } = req.params;
-      const { profile, profileUrl, publicIdentifier, accountId, customMessage } = req.body;
+      const { profile, profileUrl, publicIdentifier, accountId, customMessage, variant } = req.body;
       
       // Validate request
       const validation = PlatformValidator.validateActionPayload(platform, 'send-invitation', req.body);
@@ -110,6 +205,9 @@ class SocialIntegrationController {
         });
       }
       
+      const account = await this.requireConnectedAccount(req, res, platform, accountId);
+      if (!account) return;
+      
       // Build profile object
       let profileObj = profile || {};
       if (profileUrl) {
@@ -119,30 +217,126 @@ class SocialIntegrationController {
         profileObj.publicIdentifier = publicIdentifier;
       }
       
+      // Outside the send window (the prospect's hours where known): queue it for
+      // the window's next opening (the job reserves its own credits)
+      const { tenantId, userId, schema } = req.tenantContext;
+      const window = await this.schedules.checkTarget(schema, account, profileObj);
+      if (window.retryAt) {
+        const job = await this.invitationJobs.enqueue(schema, {
+          tenantId,
+          userId,
+          platform: account.platform,
+          accountId,
+          customMessage,
+          delayMs: 0,
+          profiles: [profileObj],
+          timezones: [window.prospectTimezone],
+          nextRunAt: window.retryAt,
+          deferredReason: 'outside_send_window',
+          metadata: { source: 'manual', variant: variant || null }
+        });
+        
+        return res.status(202).json({
+          success: true,
+          deferred: true,
+          reason: 'outside_send_window',
+          retryAt: window.retryAt.toISOString(),
+          timezone: window.timezone,
+          jobId: job.id
+        });
+      }
+      
+      // Over the account's quota: queue it for the next window instead of failing
+      const action = PlatformValidator.getInvitationAction(platform);
+      const quota = await this.quotas.consume(schema, account, action);
+      if (!quota.allowed) {
+        const job = await this.invitationJobs.enqueue(schema, {
+          tenantId,
+          userId,
+          platform: account.platform,
+          accountId,
+          customMessage,
+          delayMs: 0,
+          profiles: [profileObj],
+          nextRunAt: quota.retryAt,
+          deferredReason: `${quota.reason}_quota`,
+          metadata: { source: 'manual', variant: variant || null }
+        });
+        
+        return res.status(202).json({
+          success: true,
+          deferred: true,
+          reason: `${quota.reason}_quota`,
+          retryAt: quota.retryAt.toISOString(),
+          jobId: job.id
+        });
+      }
+      
+      const credits = await this.reserveCredits(schema, account, action, quota, { tenantId, userId });
+      
       // Get platform service
       const service = this.getService(platform);
       
       console.log(`[SocialIntegrationController] Sending ${platform} invitation`);
       
+      const activity = {
+        tenantId,
+        userId,
+        platform: account.platform,
+        accountId,
+        activityType: 'invitation',
+        source: 'manual',
+        variant,
+        content: customMessage,
+        metadata: { action }
+      };
+      
       // Send invitation
-      const result = await service.sendInvitation(profileObj, accountId, PlatformValidator.getProviderName(platform), customMessage);
+      let result;
+      try {
+        result = await service.sendInvitation(profileObj, accountId, PlatformValidator.getProviderName(platform), customMessage);
+      } catch (error) {
+        await this.quotas.release(schema, account, action, quota);
+        const failed = await this.activities.record(schema, {
+          ...activity,
+          ...this.activities.describeTarget(profileObj),
+          status: 'failed',
+          error: error.message
+        });
+        await this.credits.refund(schema, credits, { reason: 'error', referenceType: 'social_activity', referenceId: failed?.id });
+        throw error;
+      }
       
-      // Calculate credits
-      const creditsUsed = result.alreadySent ? 0 : PlatformValidator.getActionCost(platform, 'invitation');
+      const status = !result.success ? 'failed' : (result.alreadySent ? 'already_sent' : 'sent');
+      const recorded = await this.activities.record(schema, {
+        ...activity,
+        ...this.activities.describeTarget(profileObj, result.profile),
+        status,
+        error: result.success ? null : result.error
+      });
+      const reference = { referenceType: 'social_activity', referenceId: recorded?.id };
       
-      // TODO: Deduct credits from user account
-      // await this.deductCredits(req.user.id, creditsUsed, platform, 'invitation');
+      // Failed and already-sent invitations are neither counted nor charged
+      let creditsUsed = 0;
+      if (status !== 'sent') {
+        await this.quotas.release(schema, account, action, quota);
+        await this.credits.refund(schema, credits, { ...reference, reason: status });
+      } else {
+        creditsUsed = await this.credits.capture(schema, credits, reference);
+      }
       
       res.json({
         success: result.success,
         data: result.data,
         profile: result.profile,
         alreadySent: result.alreadySent || false,
+        activityId: recorded?.id || null,
         creditsUsed: creditsUsed
       });
       
     } catch (error) {
       console.error(`[SocialIntegrationController] Send invitation error:`, error);
+      if (this.respondInsufficientCredits(res, error) || this.respondProviderBackoff(res, error)) return;
       res.status(500).json({
         success: false,
         error: 'Failed to send invitation',
@@ -153,6 +347,7 @@ class SocialIntegrationController {
   
   /**
    * Batch send invitations
+   * Queues a persistent job; profiles are sent by the background runner
    * 
    * POST /api/social-integration/:platform/batch-send-invitations
    * 
@@ -160,12 +355,18 @@ class SocialIntegrationController {
    * - profiles: Array<{ name, profile_url, publicIdentifier }>
    * - accountId: string (required)
    * - customMessage: string (optional)
-   * - delayMs: number (optional, default: 2000)
+   * - templateId: invitation template rendered per profile (optional, instead of customMessage)
+   * - delayMs: number (optional, default: 2000, max: 300000)
+   * 
+   * Responds 202 with the job; poll GET /invitation-jobs/:jobId for progress.
+   * With a template, the batch is rejected (400, rejected: [{ index, error }])
+   * when any profile's note cannot be rendered or is too long for the platform
    */
   async batchSendInvitations(req, res) {
     try {
       const { platform } = req.params;
-      const { profiles, accountId, customMessage, delayMs } = req.body;
+      const { profiles, accountId, customMessage, templateId, delayMs, variant } = req.body;
+      const { tenantId, userId, schema } = req.tenantContext;
       
       // Validate platform
       if (!PlatformValidator.isPlatformEnabled(platform)) {
@@ -182,6 +383,14 @@ class SocialIntegrationController {
         });
       }
       
+      const maxProfiles = Number(process.env.SOCIAL_INVITATION_JOB_MAX_PROFILES) || 1000;
+      if (profiles.length > maxProfiles) {
+        return res.status(400).json({
+          success: false,
+          error: `A batch can contain at most ${maxProfiles} profiles`
+        });
+      }
+      
       if (!accountId) {
         return res.status(400).json({
           success: false,
@@ -189,803 +398,3253 @@ class SocialIntegrationController {
         });
       }
       
-      const service = this.getService(platform);
+      if (templateId && customMessage) {
+        return res.status(400).json({
+          success: false,
+          error: 'Use either customMessage or templateId'
+        });
+      }
+      
+      const lengthErrors = [];
+      PlatformValidator.checkMessageLength(lengthErrors, platform.toLowerCase(), 'invitation', customMessage);
+      if (lengthErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors: lengthErrors
+        });
+      }
       
-      console.log(`[SocialIntegrationController] Batch sending ${profiles.length} ${platform} invitations`);
+      const account = await this.requireConnectedAccount(req, res, platform, accountId);
+      if (!account) return;
       
-      // Use platform-specific batch method if available
-      let result;
-      if (platform === 'linkedin' && service.batchSendConnectionRequests) {
-        result = await service.batchSendConnectionRequests(profiles, accountId, customMessage, delayMs);
-      } else if (platform === 'facebook' && service.batchSendFriendRequests) {
-        result = await service.batchSendFriendRequests(profiles, accountId, delayMs);
-      } else {
-        // Generic batch implementation
-        result = await this.genericBatchSend(service, profiles, accountId, platform, customMessage, delayMs);
+      let template = null;
+      let messages = null;
+      if (templateId) {
+        template = await this.loadTemplate(req, res, templateId);
+        if (!template) return;
+        
+        const unusable = this.templates.checkUsable(template, account.platform, 'invitation');
+        if (unusable) {
+          return res.status(400).json({
+            success: false,
+            error: unusable
+          });
+        }
+        
+        const rendered = await this.templates.renderForTargets(schema, tenantId, template, account.platform, profiles);
+        const rejected = rendered
+          .map((result, index) => result.error ? { index, error: result.error, length: result.length, limit: result.limit } : null)
+          .filter(Boolean);
+        if (rejected.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: `${rejected.length} of ${profiles.length} profiles could not be rendered from the template`,
+            rejected
+          });
+        }
+        messages = rendered.map(result => result.text);
       }
       
-      // Calculate total credits
-      const costPerInvitation = PlatformValidator.getActionCost(platform, 'invitation');
-      const creditsUsed = result.successful * costPerInvitation;
+      const job = await this.invitationJobs.enqueue(schema, {
+        tenantId,
+        userId,
+        platform: platform.toLowerCase(),
+        accountId,
+        customMessage,
+        delayMs: Math.min(Math.max(parseInt(delayMs, 10) || 2000, 0), 300000),
+        profiles,
+        messages,
+        // Template sends are compared by template unless a variant is given
+        metadata: { source: 'batch', variant: variant || template?.name || null, template_id: template?.id || null }
+      });
       
-      // TODO: Deduct credits
-      // await this.deductCredits(req.user.id, creditsUsed, platform, 'batch-invitation');
+      console.log(`[SocialIntegrationController] Queued batch of ${profiles.length} ${platform} invitations as job ${job.id}`);
       
-      res.json({
+      res.status(202).json({
         success: true,
-        ...result,
-        creditsUsed: creditsUsed
+        jobId: job.id,
+        data: this.formatInvitationJob(job)
       });
       
     } catch (error) {
       console.error(`[SocialIntegrationController] Batch send error:`, error);
+      if (this.respondInsufficientCredits(res, error)) return;
       res.status(500).json({
         success: false,
-        error: 'Failed to batch send invitations',
+        error: 'Failed to queue batch invitations',
         message: error.message
       });
     }
   }
   
   /**
-   * Generic batch send for platforms without specific implementation
+   * Shape a social_invitation_jobs row for API responses
    */
-  async genericBatchSend(service, profiles, accountId, platform, customMessage, delayMs = 2000) {
-    const results = {
-      total: profiles.length,
-      successful: 0,
-      failed: 0,
-      alreadySent: 0,
-      results: []
-    };
-    
-    const provider = PlatformValidator.getProviderName(platform);
+  formatInvitationJob(job) {
+    const costPerInvitation = PlatformValidator.getActionCost(job.platform, PlatformValidator.getInvitationAction(job.platform));
     
-    for (let i = 0; i < profiles.length; i++) {
-      const profile = profiles[i];
+    return {
+      id: job.id,
+      platform: job.platform,
+      accountId: job.account_id,
+      status: job.status,
+      progress: {
+        total: job.total_count,
+        processed: job.processed_count,
+        successful: job.successful_count,
+        alreadySent: job.already_sent_count,
+        failed: job.failed_count,
+        percent: job.total_count > 0 ? Math.round((job.processed_count / job.total_count) * 100) : 100
+      },
+      creditsUsed: job.successful_count * costPerInvitation,
+      delayMs: job.delay_ms,
+      deferredUntil: job.next_run_at || null,
+      deferredReason: job.deferred_reason || null,
+      lastError: job.last_error,
+      createdAt: job.created_at,
+      startedAt: job.started_at,
+      pausedAt: job.paused_at,
+      completedAt: job.completed_at
+    };
+  }
+  
+  /**
+   * List the user's batch invitation jobs
+   * 
+   * GET /api/social-integration/invitation-jobs?platform=&status=&limit=&offset=
+   */
+  async listInvitationJobs(req, res) {
+    try {
+      const { tenantId, userId, schema } = req.tenantContext;
+      const { platform, status } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      
+      const jobs = await InvitationJob.listForUser(schema, tenantId, userId, {
+        platform: platform || null,
+        status: status || null,
+        limit,
+        offset
+      });
       
-      try {
-        const result = await service.sendInvitation(profile, accountId, provider, customMessage);
-        
-        if (result.success) {
-          if (result.alreadySent) {
-            results.alreadySent++;
-          } else {
-            results.successful++;
-          }
-        } else {
-          results.failed++;
-        }
-        
-        results.results.push({
-          profile: profile.name || 'Unknown',
-          success: result.success,
-          alreadySent: result.alreadySent || false,
-          error: result.error || null
-        });
-        
-        // Delay between requests
-        if (i < profiles.length - 1 && delayMs > 0) {
-          await new Promise(resolve => setTimeout(resolve, delayMs));
-        }
-        
-      } catch (error) {
-        results.failed++;
-        results.results.push({
-          profile: profile.name || 'Unknown',
-          success: false,
-          error: error.message
-        });
-      }
+      res.json({
+        success: true,
+        data: jobs.map(job => this.formatInvitationJob(job)),
+        pagination: { limit, offset }
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] List invitation jobs error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list invitation jobs',
+        message: error.message
+      });
     }
-    
-    return results;
   }
   
   /**
-   * Send direct message
-   * 
-   * POST /api/social-integration/:platform/send-message
+   * Get job status and progress
    * 
-   * Body:
-   * - providerId: string (for LinkedIn, Instagram, Facebook) OR
-   * - phoneNumber: string (for WhatsApp)
-   * - message: string (required)
-   * - accountId: string (required)
+   * GET /api/social-integration/invitation-jobs/:jobId
    */
-  async sendMessage(req, res) {
+  async getInvitationJob(req, res) {
     try {
-      const { platform } = req.params;
-      const { providerId, phoneNumber, message, accountId } = req.body;
+      const { tenantId, userId, schema } = req.tenantContext;
+      const job = await InvitationJob.findForUser(schema, tenantId, userId, req.params.jobId);
       
-      // Validate request
-      const validation = PlatformValidator.validateActionPayload(platform, 'send-message', req.body);
-      if (!validation.valid) {
-        return res.status(400).json({
+      if (!job) {
+        return res.status(404).json({
           success: false,
-          errors: validation.errors
+          error: 'Invitation job not found'
         });
       }
       
-      const service = this.getService(platform);
-      const provider = PlatformValidator.getProviderName(platform);
-      
-      console.log(`[SocialIntegrationController] Sending ${platform} message`);
-      
-      let result;
+      res.json({
+        success: true,
+        data: this.formatInvitationJob(job)
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Get invitation job error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get invitation job',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Per-profile results of a job
+   * 
+   * GET /api/social-integration/invitation-jobs/:jobId/items?status=&limit=&offset=
+   */
+  async getInvitationJobItems(req, res) {
+    try {
+      const { tenantId, userId, schema } = req.tenantContext;
+      const job = await InvitationJob.findForUser(schema, tenantId, userId, req.params.jobId);
       
-      // WhatsApp uses phone number instead of provider ID
-      if (platform === 'whatsapp') {
-        result = await service.sendWhatsAppMessage(phoneNumber, message, accountId);
-      } else {
-        result = await service.sendMessage(providerId, message, accountId, provider);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invitation job not found'
+        });
       }
       
-      // Calculate credits
-      const creditsUsed = PlatformValidator.getActionCost(platform, 'message');
-      
-      // TODO: Deduct credits
-      // await this.deductCredits(req.user.id, creditsUsed, platform, 'message');
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      const items = await InvitationJob.listItems(schema, job.id, {
+        status: req.query.status || null,
+        limit,
+        offset
+      });
       
       res.json({
-        success: result.success,
-        data: result.data,
-        creditsUsed: creditsUsed
+        success: true,
+        data: items,
+        pagination: { limit, offset, total: job.total_count }
       });
-      
     } catch (error) {
-      console.error(`[SocialIntegrationController] Send message error:`, error);
+      console.error('[SocialIntegrationController] Get invitation job items error:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to send message',
+        error: 'Failed to get invitation job items',
         message: error.message
       });
     }
   }
   
   /**
-   * Look up profile information
+   * Pause, resume or cancel a job
    * 
-   * GET /api/social-integration/:platform/lookup
+   * POST /api/social-integration/invitation-jobs/:jobId/pause
+   * POST /api/social-integration/invitation-jobs/:jobId/resume
+   * POST /api/social-integration/invitation-jobs/:jobId/cancel
    * 
-   * Query params:
-   * - profileUrl: string OR
-   * - publicIdentifier: string OR
-   * - phoneNumber: string (for WhatsApp)
-   * - accountId: string (required)
+   * Responds 409 when the job is not in a state that allows the action
    */
-  async lookupProfile(req, res) {
+  async updateInvitationJob(req, res, action) {
     try {
-      const { platform } = req.params;
-      const { profileUrl, publicIdentifier, phoneNumber, accountId } = req.query;
-      
-      // Validate request
-      const validation = PlatformValidator.validateActionPayload(platform, 'lookup', { 
-        profileUrl, 
-        publicIdentifier, 
-        phoneNumber, 
-        accountId 
-      });
+      const { tenantId, userId, schema } = req.tenantContext;
+      const job = await InvitationJob.findForUser(schema, tenantId, userId, req.params.jobId);
       
-      if (!validation.valid) {
-        return res.status(400).json({
+      if (!job) {
+        return res.status(404).json({
           success: false,
-          errors: validation.errors
+          error: 'Invitation job not found'
         });
       }
       
-      const service = this.getService(platform);
-      const provider = PlatformValidator.getProviderName(platform);
-      
-      const identifier = profileUrl || publicIdentifier || phoneNumber;
-      
-      console.log(`[SocialIntegrationController] Looking up ${platform} profile: ${identifier}`);
+      const updated = await InvitationJob[action](schema, tenantId, job.id);
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot ${action} a ${job.status} job`,
+          status: job.status
+        });
+      }
       
-      const result = await service.lookupProfile(identifier, accountId, provider);
+      if (action === 'resume') {
+        this.invitationJobs.notify(schema);
+      }
       
-      // Calculate credits
-      const creditsUsed = PlatformValidator.getActionCost(platform, 'lookup');
+      // A profile being sent keeps its credits; the worker settles them with its outcome
+      if (action === 'cancel') {
+        await this.invitationJobs.refundCancelledItems(schema, updated);
+      }
       
-      // TODO: Deduct credits
-      // await this.deductCredits(req.user.id, creditsUsed, platform, 'lookup');
+      console.log(`[SocialIntegrationController] Invitation job ${job.id}: ${action}`);
       
       res.json({
         success: true,
-        profile: result,
-        creditsUsed: creditsUsed
+        data: this.formatInvitationJob(updated)
       });
-      
     } catch (error) {
-      console.error(`[SocialIntegrationController] Lookup error:`, error);
+      console.error(`[SocialIntegrationController] Invitation job ${action} error:`, error);
       res.status(500).json({
         success: false,
-        error: 'Failed to lookup profile',
+        error: `Failed to ${action} invitation job`,
         message: error.message
       });
     }
   }
   
   /**
-   * Get connection status for a platform
+   * Create an outreach sequence
    * 
-   * GET /api/social-integration/:platform/status
+   * POST /api/social-integration/sequences
    * 
-   * Query params:
-   * - accountId: string (optional - if provided, checks specific account)
+   * Body:
+   * - name: string (required)
+   * - platform, accountId: sender account (required)
+   * - steps: [{ type: 'invitation'|'message', message or templateId, delayDays, delayHours,
+   *   delayMinutes, acceptTimeoutDays (invitation only) }]
    */
-  async getStatus(req, res) {
+  async createSequence(req, res) {
     try {
-      const { platform } = req.params;
-      const { accountId } = req.query;
+      const { tenantId, userId, schema } = req.tenantContext;
+      const { name, platform, accountId, steps } = req.body;
       
-      if (!PlatformValidator.isPlatformEnabled(platform)) {
+      if (!name || typeof name !== 'string' || !name.trim()) {
         return res.status(400).json({
           success: false,
-          error: `Platform ${platform} is not enabled`
+          error: 'name is required'
         });
       }
       
-      const service = this.getService(platform);
+      if (!platform || !PlatformValidator.isPlatformEnabled(platform)) {
+        return res.status(400).json({
+          success: false,
+          error: `Platform ${platform} is not enabled`
+        });
+      }
       
-      // If accountId provided, get specific account info
-      if (accountId) {
-        const accountInfo = await service.getAccountInfo(accountId);
-        
-        return res.json({
-          success: true,
-          platform: platform,
-          connected: true,
-          account: accountInfo
+      const templates = await this.findStepTemplates(schema, tenantId, steps);
+      const normalized = this.sequences.normalizeSteps(platform.toLowerCase(), steps, templates);
+      if (!normalized.valid) {
+        return res.status(400).json({
+          success: false,
+          errors: normalized.errors
         });
       }
       
-      // Otherwise, check if Unipile is configured for this platform
-      const configured = service.isConfigured();
+      const account = await this.requireConnectedAccount(req, res, platform, accountId);
+      if (!account) return;
       
-      res.json({
-        success: true,
-        platform: platform,
-        configured: configured,
-        message: configured ? 
-          'Platform is configured and ready' : 
-          'Platform credentials not configured'
+      const sequence = await Sequence.create(schema, {
+        tenantId,
+        userId,
+        name: name.trim(),
+        platform: account.platform,
+        accountId,
+        steps: normalized.steps
       });
       
+      console.log(`[SocialIntegrationController] Created sequence ${sequence.id} (${normalized.steps.length} steps, account ${accountId})`);
+      
+      res.status(201).json({
+        success: true,
+        data: sequence
+      });
     } catch (error) {
-      console.error(`[SocialIntegrationController] Status error:`, error);
+      console.error('[SocialIntegrationController] Create sequence error:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to get status',
+        error: 'Failed to create sequence',
         message: error.message
       });
     }
   }
   
   /**
-   * List all connected accounts
+   * List the tenant's sequences with enrollment counts
    * 
-   * GET /api/social-integration/accounts
+   * GET /api/social-integration/sequences?platform=&status=&limit=&offset=
    */
-  async listAccounts(req, res) {
+  async listSequences(req, res) {
     try {
-      // Use any service to list accounts (they all use same Unipile token)
-      const service = this.services.linkedin;
-      
-      const accounts = await service.listAccounts();
-      
-      // Group accounts by provider
-      const groupedAccounts = {
-        linkedin: [],
-        instagram: [],
-        whatsapp: [],
-        facebook: [],
-        other: []
-      };
-      
-      accounts.forEach(account => {
-        const provider = account.provider?.toLowerCase();
-        if (groupedAccounts[provider]) {
-          groupedAccounts[provider].push(account);
-        } else {
-          groupedAccounts.other.push(account);
-        }
+      const { tenantId, schema } = req.tenantContext;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      
+      const sequences = await Sequence.list(schema, tenantId, {
+        platform: req.query.platform ? req.query.platform.toLowerCase() : null,
+        status: req.query.status || null,
+        limit,
+        offset
       });
       
       res.json({
         success: true,
-        accounts: groupedAccounts,
-        total: accounts.length
+        data: sequences,
+        pagination: { limit, offset }
       });
-      
     } catch (error) {
-      console.error('[SocialIntegrationController] List accounts error:', error);
+      console.error('[SocialIntegrationController] List sequences error:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to list accounts',
+        error: 'Failed to list sequences',
         message: error.message
       });
     }
   }
-
+  
   /**
-   * Connect/authenticate an account
+   * Templates referenced by the templateId of sequence steps
+   */
+  async findStepTemplates(schema, tenantId, steps) {
+    const ids = Array.isArray(steps) ? steps.map(step => step?.templateId).filter(Boolean) : [];
+    return ids.length > 0 ? this.templates.findTemplates(schema, tenantId, ids) : [];
+  }
+  
+  /**
+   * Load a sequence of the caller's tenant
+   * Sends a 404 and returns null when it does not exist
+   */
+  async loadSequence(req, res) {
+    const { tenantId, schema } = req.tenantContext;
+    const sequence = await Sequence.findById(schema, tenantId, req.params.sequenceId);
+    
+    if (!sequence) {
+      res.status(404).json({
+        success: false,
+        error: 'Sequence not found'
+      });
+      return null;
+    }
+    
+    return sequence;
+  }
+  
+  /**
+   * Get a sequence with enrollment counts per status
    * 
-   * POST /api/social-integration/:platform/connect
+   * GET /api/social-integration/sequences/:sequenceId
+   */
+  async getSequence(req, res) {
+    try {
+      const sequence = await this.loadSequence(req, res);
+      if (!sequence) return;
+      
+      res.json({
+        success: true,
+        data: sequence
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Get sequence error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get sequence',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Rename, change steps, pause, resume or archive a sequence
    * 
-   * For LinkedIn (via Unipile):
-   * - method: 'credentials' | 'cookies'
-   * - For credentials: { email, password }
-   * - For cookies: { li_at, li_a, user_agent }
+   * PATCH /api/social-integration/sequences/:sequenceId
    * 
-   * Body:
-   * - method: string (required)
-   * - email, password: for credentials method
-   * - li_at, li_a, user_agent: for cookies method
+   * Body: { name, steps, status: 'active'|'paused'|'archived' }
+   * Enrollments keep their position; changed steps apply from their next step
    */
-  async connectAccount(req, res) {
+  async updateSequence(req, res) {
     try {
-      const { platform } = req.params;
-      const { method, email, password, li_at, li_a, user_agent } = req.body;
-      const userId = req.user?.id || req.user?.userId || 'demo_user_123';
-
-      console.log(`[SocialIntegrationController] Connecting ${platform} account with method: ${method}`);
-      console.log(`[SocialIntegrationController] User ID: ${userId}`);
-
-      const service = this.getService(platform);
-
-      if (platform.toLowerCase() === 'linkedin') {
-        // Validate Unipile configuration
-        if (!service.isConfigured || !service.isConfigured()) {
-          return res.status(503).json({
-            success: false,
-            error: 'LinkedIn integration service not configured',
-            message: 'UNIPILE_DSN or UNIPILE_TOKEN not set'
-          });
-        }
-
-        // Validate method
-        if (!method || (method !== 'credentials' && method !== 'cookies')) {
+      const { tenantId, schema } = req.tenantContext;
+      const { name, steps, status } = req.body;
+      
+      const sequence = await this.loadSequence(req, res);
+      if (!sequence) return;
+      
+      if (status && !['active', 'paused', 'archived'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'status must be one of: active, paused, archived'
+        });
+      }
+      
+      let normalizedSteps = null;
+      if (steps !== undefined) {
+        const templates = await this.findStepTemplates(schema, tenantId, steps);
+        const normalized = this.sequences.normalizeSteps(sequence.platform, steps, templates);
+        if (!normalized.valid) {
           return res.status(400).json({
             success: false,
-            error: 'Invalid authentication method',
-            message: 'Method must be "credentials" or "cookies"'
+            errors: normalized.errors
           });
         }
-
-        try {
-          let connectionResult;
-          
-          if (method === 'credentials') {
-            if (!email || !password) {
-              return res.status(400).json({
-                success: false,
-                error: 'Email and password are required for credentials method'
-              });
-            }
-            
-            // Use LinkedInIntegration service to connect with credentials
-            connectionResult = await service.connectWithCredentials({
-              email,
-              password,
-              userId
-            });
-            
-          } else if (method === 'cookies') {
-            if (!li_at) {
-              return res.status(400).json({
-                success: false,
-                error: 'li_at cookie is required for cookies method'
-              });
-            }
-            
-            // Use LinkedInIntegration service to connect with cookies
-            connectionResult = await service.connectWithCookies({
-              li_at,
-              li_a,
-              user_agent: user_agent || req.headers['user-agent'],
-              userId
-            });
-          }
-
-          // Handle checkpoint/2FA response
-          if (connectionResult.checkpoint_required) {
-            return res.json({
-              success: true,
-              checkpoint_required: true,
-              data: {
-                accountId: connectionResult.accountId,
-                checkpoint: connectionResult.checkpoint,
-                method: method
-              },
-              message: 'LinkedIn account created but requires verification (OTP/2FA)'
-            });
-          }
-
-          // Successful connection
-          return res.json({
-            success: true,
-            data: {
-              accountId: connectionResult.accountId,
-              profileUrl: connectionResult.profileUrl,
-              profileName: connectionResult.profileName,
-              connected: true,
-              method: method
-            },
-            message: 'LinkedIn account connected successfully'
-          });
-
-        } catch (connectionError) {
-          console.error(`[SocialIntegrationController] LinkedIn connection failed:`, connectionError);
-          return res.status(400).json({
-            success: false,
-            error: 'LinkedIn connection failed',
-            message: connectionError.message
-          });
+        normalizedSteps = normalized.steps;
+      }
+      
+      const updated = await Sequence.update(schema, tenantId, sequence.id, {
+        name: typeof name === 'string' && name.trim() ? name.trim() : null,
+        steps: normalizedSteps,
+        status: status || null
+      });
+      
+      if (status === 'active' && sequence.status !== 'active') {
+        this.sequenceRunner.notify(schema);
+      }
+      
+      console.log(`[SocialIntegrationController] Updated sequence ${sequence.id}${status ? ` (${status})` : ''}`);
+      
+      res.json({
+        success: true,
+        data: updated
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Update sequence error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update sequence',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Enroll leads in a sequence
+   * 
+   * POST /api/social-integration/sequences/:sequenceId/enroll
+   * 
+   * Body:
+   * - leads: [{ leadId, name, profile_url, publicIdentifier, providerId }]
+   * 
+   * Leads already in progress in the sequence are skipped; leads without a
+   * profile URL, public identifier or provider ID are reported as invalid, and
+   * leads a template step cannot be rendered for (missing variable, too long)
+   * as rejected: [{ index, step, templateId, error }]
+   */
+  async enrollInSequence(req, res) {
+    try {
+      const { userId, schema } = req.tenantContext;
+      const { leads } = req.body;
+      
+      const sequence = await this.loadSequence(req, res);
+      if (!sequence) return;
+      
+      if (sequence.status === 'archived') {
+        return res.status(409).json({
+          success: false,
+          error: 'Cannot enroll in an archived sequence'
+        });
+      }
+      
+      if (!Array.isArray(leads) || leads.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'leads array is required'
+        });
+      }
+      
+      const maxLeads = Number(process.env.SOCIAL_SEQUENCE_MAX_ENROLL) || 1000;
+      if (leads.length > maxLeads) {
+        return res.status(400).json({
+          success: false,
+          error: `At most ${maxLeads} leads can be enrolled at once`
+        });
+      }
+      
+      const invalid = [];
+      const described = [];
+      leads.forEach((lead, index) => {
+        const enrollment = this.sequences.describeEnrollment(lead);
+        if (enrollment) {
+          described.push({ index, lead, enrollment });
+        } else {
+          invalid.push(index);
+        }
+      });
+      
+      // Template steps are rendered again when sent; this catches leads that can never fit
+      const failures = await this.templates.checkSequenceRenders(schema, sequence, described.map(({ lead, enrollment }) => ({
+        ...lead,
+        publicIdentifier: enrollment.targetPublicIdentifier
+      })));
+      const rejected = [];
+      const enrollments = [];
+      described.forEach(({ index, enrollment }, position) => {
+        if (failures[position]) {
+          rejected.push({ index, ...failures[position] });
+        } else {
+          enrollments.push(enrollment);
         }
+      });
+      
+      const created = enrollments.length > 0
+        ? await Sequence.enroll(schema, sequence, userId, enrollments)
+        : [];
+      
+      if (created.length > 0) {
+        this.sequenceRunner.notify(schema);
       }
-
-      // For other platforms, use generic service method if available
-      if (service.connectAccount) {
-        const result = await service.connectAccount(req.body);
-        return res.json({
-          success: true,
-          data: result,
-          message: `${platform} account connected successfully`
+      
+      console.log(`[SocialIntegrationController] Enrolled ${created.length}/${leads.length} leads in sequence ${sequence.id}`);
+      
+      res.status(201).json({
+        success: true,
+        enrolled: created.length,
+        skipped: enrollments.length - created.length,
+        invalid,
+        rejected,
+        data: created
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Enroll in sequence error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to enroll in sequence',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Enrollments of a sequence, newest first
+   * 
+   * GET /api/social-integration/sequences/:sequenceId/enrollments?status=&cursor=&limit=
+   */
+  async listSequenceEnrollments(req, res) {
+    try {
+      const { schema } = req.tenantContext;
+      const paging = this.parseInboxPaging(req, res, 50);
+      if (!paging) return;
+      
+      const sequence = await this.loadSequence(req, res);
+      if (!sequence) return;
+      
+      const rows = await Sequence.listEnrollments(schema, sequence.id, {
+        status: req.query.status || null,
+        cursor: paging.cursor,
+        limit: paging.limit
+      });
+      
+      const { items, nextCursor } = paginate(rows, paging.limit, 'created_at');
+      
+      res.json({
+        success: true,
+        data: items,
+        pagination: { limit: paging.limit, nextCursor, hasMore: !!nextCursor }
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] List sequence enrollments error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list sequence enrollments',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Take an enrollment out of its sequence
+   * 
+   * POST /api/social-integration/sequences/enrollments/:enrollmentId/unsubscribe
+   * POST /api/social-integration/sequences/enrollments/:enrollmentId/remove
+   * 
+   * Responds 409 when the enrollment already completed or exited
+   */
+  async exitSequenceEnrollment(req, res, reason) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const enrollment = await Sequence.findEnrollment(schema, tenantId, req.params.enrollmentId);
+      
+      if (!enrollment) {
+        return res.status(404).json({
+          success: false,
+          error: 'Enrollment not found'
+        });
+      }
+      
+      const exited = await Sequence.exitEnrollment(schema, tenantId, enrollment.id, reason);
+      if (!exited) {
+        return res.status(409).json({
+          success: false,
+          error: `Enrollment is already ${enrollment.status}`,
+          status: enrollment.status
+        });
+      }
+      
+      console.log(`[SocialIntegrationController] Enrollment ${enrollment.id} exited (${reason})`);
+      
+      res.json({
+        success: true,
+        data: exited
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Exit sequence enrollment error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update enrollment',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Create a message template
+   * 
+   * POST /api/social-integration/templates
+   * 
+   * Body:
+   * - name: string (required)
+   * - kind: 'invitation' | 'message' (required)
+   * - platform: string (optional, any platform when omitted)
+   * - body: text with {{firstName}}, {{lastName}}, {{fullName}}, {{company}}, {{title}},
+   *   {{city}}, {{country}}; inline fallback: {{firstName | there}}
+   * - fallbacks: { variable: value } (optional)
+   */
+  async createTemplate(req, res) {
+    try {
+      const { tenantId, userId, schema } = req.tenantContext;
+      const { name, kind, body, fallbacks } = req.body;
+      const platform = req.body.platform ? String(req.body.platform).toLowerCase() : null;
+      
+      const validation = this.templates.validateTemplate({ name, kind, platform, body, fallbacks });
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          errors: validation.errors
         });
       }
-
-      return res.status(501).json({
-        success: false,
-        error: `Direct connection not supported for ${platform}`,
-        message: 'This platform requires external authentication'
+      
+      const template = await MessageTemplate.create(schema, {
+        tenantId,
+        userId,
+        name: name.trim(),
+        kind,
+        platform,
+        body,
+        fallbacks
+      });
+      
+      console.log(`[SocialIntegrationController] Created ${kind} template ${template.id}`);
+      
+      res.status(201).json({
+        success: true,
+        data: template
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Create template error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create template',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * List the tenant's message templates
+   * 
+   * GET /api/social-integration/templates?kind=&platform=&limit=&offset=
+   * 
+   * With platform, templates for any platform are included
+   */
+  async listTemplates(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      
+      const templates = await MessageTemplate.list(schema, tenantId, {
+        kind: req.query.kind || null,
+        platform: req.query.platform ? req.query.platform.toLowerCase() : null,
+        limit,
+        offset
+      });
+      
+      res.json({
+        success: true,
+        data: templates,
+        pagination: { limit, offset }
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] List templates error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list templates',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Load a template of the caller's tenant
+   * Sends a 404 and returns null when it does not exist
+   */
+  async loadTemplate(req, res, templateId) {
+    const { tenantId, schema } = req.tenantContext;
+    const [template] = await this.templates.findTemplates(schema, tenantId, [templateId]);
+    
+    if (!template) {
+      res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+      return null;
+    }
+    
+    return template;
+  }
+  
+  /**
+   * Get a message template
+   * 
+   * GET /api/social-integration/templates/:templateId
+   */
+  async getTemplate(req, res) {
+    try {
+      const template = await this.loadTemplate(req, res, req.params.templateId);
+      if (!template) return;
+      
+      res.json({
+        success: true,
+        data: template
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Get template error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get template',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Change a template's name, body or fallbacks
+   * 
+   * PATCH /api/social-integration/templates/:templateId
+   * 
+   * Body: { name, body, fallbacks } (kind and platform cannot change)
+   * Sequences render the new body from their next step; queued batches keep their notes
+   */
+  async updateTemplate(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const { name, body, fallbacks } = req.body;
+      
+      const template = await this.loadTemplate(req, res, req.params.templateId);
+      if (!template) return;
+      
+      const validation = this.templates.validateTemplate({ name, body, fallbacks }, {
+        partial: true,
+        kind: template.kind,
+        platform: template.platform
+      });
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          errors: validation.errors
+        });
+      }
+      
+      const updated = await MessageTemplate.update(schema, tenantId, template.id, {
+        name: typeof name === 'string' ? name.trim() : null,
+        body: body || null,
+        fallbacks: fallbacks || null
+      });
+      
+      res.json({
+        success: true,
+        data: updated
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Update template error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update template',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Delete a message template
+   * 
+   * DELETE /api/social-integration/templates/:templateId
+   * 
+   * Responds 409 with the sequences still using it (archive them or change their steps first)
+   */
+  async deleteTemplate(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      
+      const template = await this.loadTemplate(req, res, req.params.templateId);
+      if (!template) return;
+      
+      const sequences = await MessageTemplate.findSequenceUses(schema, tenantId, template.id);
+      if (sequences.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Template is used by sequences',
+          sequences
+        });
+      }
+      
+      await MessageTemplate.softDelete(schema, tenantId, template.id);
+      
+      console.log(`[SocialIntegrationController] Deleted template ${template.id}`);
+      
+      res.json({
+        success: true,
+        message: 'Template deleted'
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Delete template error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete template',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Render a template for sample profiles without sending
+   * 
+   * POST /api/social-integration/templates/:templateId/preview
+   * 
+   * Body:
+   * - platform: string (required for templates without a platform)
+   * - profiles: [{ leadId, name, profile_url, publicIdentifier, company, title, city }]
+   * 
+   * Returns per profile { text, length, limit, missing, error }
+   */
+  async previewTemplate(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const { profiles } = req.body;
+      
+      const template = await this.loadTemplate(req, res, req.params.templateId);
+      if (!template) return;
+      
+      const platform = template.platform || (req.body.platform ? String(req.body.platform).toLowerCase() : null);
+      if (!platform || !PlatformValidator.isPlatformSupported(platform)) {
+        return res.status(400).json({
+          success: false,
+          error: 'A supported platform is required for templates without one'
+        });
+      }
+      
+      if (!Array.isArray(profiles) || profiles.length === 0 || profiles.length > 50) {
+        return res.status(400).json({
+          success: false,
+          error: 'profiles must be an array of 1 to 50 profiles'
+        });
+      }
+      
+      const rendered = await this.templates.renderForTargets(schema, tenantId, template, platform, profiles);
+      
+      res.json({
+        success: true,
+        platform,
+        data: rendered
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Preview template error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to preview template',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Auto-calls waiting for their call window, soonest first
+   *
+   * GET /api/social-integration/scheduled-calls?accountId=&limit=&offset=
+   */
+  async listScheduledCalls(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      
+      const calls = await ScheduledCall.listPending(schema, tenantId, {
+        accountId: req.query.accountId || null,
+        limit,
+        offset
+      });
+      
+      res.json({
+        success: true,
+        data: calls,
+        pagination: { limit, offset }
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] List scheduled calls error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list scheduled calls',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Every social touchpoint with a lead, oldest first: activities sent to the
+   * lead's profiles, inbound messages, webhook events and auto-call attempts
+   *
+   * GET /api/social-integration/leads/:leadId/social-timeline?platform=&cursor=&limit=
+   */
+  async getLeadSocialTimeline(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const paging = this.parseInboxPaging(req, res, 50);
+      if (!paging) return;
+      
+      const lead = await LeadTimeline.findLead(schema, tenantId, req.params.leadId);
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead not found'
+        });
+      }
+      
+      const rows = await LeadTimeline.list(schema, tenantId, lead.id, {
+        platform: req.query.platform ? req.query.platform.toLowerCase() : null,
+        cursor: paging.cursor,
+        limit: paging.limit
+      });
+      
+      const { items, nextCursor } = paginate(rows, paging.limit, 'occurred_at', 'entry_id');
+      
+      res.json({
+        success: true,
+        lead,
+        data: items,
+        pagination: { limit: paging.limit, nextCursor, hasMore: !!nextCursor }
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Get lead social timeline error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get lead social timeline',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Probable duplicate leads: groups of leads sharing a LinkedIn profile,
+   * email, phone or Instagram / Facebook handle (admin)
+   * 
+   * GET /api/social-integration/leads/duplicates?limit=&offset=
+   * 
+   * confidence: high (LinkedIn or email) | medium (phone or handles only)
+   */
+  async getLeadDuplicates(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      
+      const { groups, total } = await this.dedup.getDuplicateReport(schema, tenantId, { limit, offset });
+      
+      res.json({
+        success: true,
+        data: groups,
+        pagination: { limit, offset, total }
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Get lead duplicates error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get lead duplicates',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Merge duplicate leads into this lead (admin)
+   * 
+   * POST /api/social-integration/leads/:leadId/merge
+   * Body: { duplicateLeadIds: ["..."] }
+   * 
+   * The duplicates are soft-deleted; their messages, conversations, sequence
+   * enrollments and auto-calls move to this lead, and its timeline includes their history
+   */
+  async mergeLeads(req, res) {
+    try {
+      const { tenantId, userId, schema } = req.tenantContext;
+      const { leadId } = req.params;
+      const { duplicateLeadIds } = req.body || {};
+      
+      const validation = await this.dedup.validateMerge(schema, tenantId, leadId, duplicateLeadIds);
+      if (validation.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid merge request',
+          message: validation.errors.join('; '),
+          errors: validation.errors
+        });
+      }
+      if (!validation.valid) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead not found',
+          message: `Leads not found: ${validation.notFound.join(', ')}`,
+          notFound: validation.notFound
+        });
+      }
+      
+      const data = await this.dedup.mergeLeads(schema, tenantId, leadId, duplicateLeadIds, userId);
+      
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Merge leads error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to merge leads',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Lead stage each social event moves a lead to, with the tenant's stages
+   *
+   * GET /api/social-integration/stage-mappings
+   */
+  async getStageMappings(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const data = await this.stageMappings.getMappings(schema, tenantId);
+      
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Get stage mappings error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get stage mappings',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Map social events to lead_stages keys (admin)
+   *
+   * PUT /api/social-integration/stage-mappings
+   * Body: { mappings: { accepted: "connected", replied: "engaged", declined: null } }
+   *
+   * A null stage key keeps the lead's stage as is for that event
+   */
+  async updateStageMappings(req, res) {
+    try {
+      const { tenantId, userId, schema } = req.tenantContext;
+      const { mappings } = req.body || {};
+      
+      const validation = await this.stageMappings.validateMappings(schema, tenantId, mappings);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid stage mappings',
+          message: validation.errors.join('; '),
+          errors: validation.errors
+        });
+      }
+      
+      await StageMapping.upsert(schema, tenantId, mappings, userId);
+      const data = await this.stageMappings.getMappings(schema, tenantId);
+      
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Update stage mappings error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update stage mappings',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Remove an event's mapping so it falls back to the default stage key (admin)
+   *
+   * DELETE /api/social-integration/stage-mappings/:event
+   */
+  async deleteStageMapping(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const { event } = req.params;
+      
+      if (!this.stageMappings.isEvent(event)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid event',
+          message: `Unknown event: ${event}`
+        });
+      }
+      
+      const removed = await StageMapping.remove(schema, tenantId, event);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Stage mapping not found',
+          message: `No stage mapping for ${event}`
+        });
+      }
+      
+      const data = await this.stageMappings.getMappings(schema, tenantId);
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Delete stage mapping error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete stage mapping',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Tenant credit balance and ledger entries
+   * 
+   * GET /api/social-integration/credits?platform=&type=&limit=&offset=
+   * 
+   * type: grant | reserve | capture | refund
+   */
+  async getCredits(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      
+      const [balance, transactions] = await Promise.all([
+        this.credits.getBalance(schema, tenantId),
+        CreditLedger.listTransactions(schema, tenantId, {
+          platform: req.query.platform ? req.query.platform.toLowerCase() : null,
+          type: req.query.type || null,
+          limit,
+          offset
+        })
+      ]);
+      
+      res.json({
+        success: true,
+        enabled: this.credits.isEnabled(),
+        balance: balance,
+        data: transactions.map(tx => ({ ...tx, amount: Number(tx.amount) })),
+        pagination: { limit, offset }
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Get credits error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get credits',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Read the shared activity filters from the query string
+   * (type, status and source are checked by the validation middleware)
+   * Sends a 400 and returns null when a date is invalid
+   */
+  parseActivityFilters(req, res) {
+    const { platform, accountId, userId, type, activityType, status, source, variant, from, to } = req.query;
+    const filters = {
+      platform: platform ? platform.toLowerCase() : null,
+      accountId: accountId || null,
+      userId: userId || null,
+      activityType: type || activityType || null,
+      status: status || null,
+      source: source || null,
+      variant: variant || null,
+      from: null,
+      to: null
+    };
+    
+    for (const [key, value] of [['from', from], ['to', to]]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        res.status(400).json({
+          success: false,
+          error: `${key} must be an ISO 8601 date`
+        });
+        return null;
+      }
+      filters[key] = date;
+    }
+    
+    return filters;
+  }
+  
+  /**
+   * Outbound activity history (invitations, messages, lookups), newest first
+   * 
+   * GET /api/social-integration/activities
+   * 
+   * Query params:
+   * - platform, accountId, userId, variant: optional filters
+   * - type: invitation | message | profile_lookup
+   * - source: manual | batch | linkedin_auto_connection | sequence
+   * - status: pending | sent | already_sent | completed | failed | accepted | declined | replied
+   * - from, to: created_at range (ISO 8601, to is exclusive)
+   * - cursor, limit: keyset pagination (default 50, max 100)
+   */
+  async getActivities(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const paging = this.parseInboxPaging(req, res, 50);
+      if (!paging) return;
+      
+      const filters = this.parseActivityFilters(req, res);
+      if (!filters) return;
+      
+      const rows = await SocialActivity.list(schema, tenantId, {
+        ...filters,
+        cursor: paging.cursor,
+        limit: paging.limit
+      });
+      
+      const { items, nextCursor } = paginate(rows, paging.limit, 'created_at');
+      
+      res.json({
+        success: true,
+        data: items,
+        pagination: { limit: paging.limit, nextCursor, hasMore: !!nextCursor }
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Get activities error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get activities',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Activity counters with acceptance and reply rates
+   * 
+   * GET /api/social-integration/activities/stats
+   * 
+   * Accepts the same filters as GET /activities (no cursor or limit)
+   */
+  async getActivityStats(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const filters = this.parseActivityFilters(req, res);
+      if (!filters) return;
+      
+      const stats = await this.activities.getStats(schema, tenantId, filters);
+      
+      res.json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Get activity stats error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get activity stats',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Outreach funnel: sent -> accepted -> replied -> call_triggered for invitations,
+   * with median time-to-accept/time-to-reply and a daily series
+   * 
+   * GET /api/social-integration/analytics/funnel
+   * 
+   * Query params:
+   * - groupBy: comma-separated breakdowns (platform, account, user, source, variant;
+   *   default platform,account,user,source)
+   * - platform, accountId, userId, source, variant: optional filters
+   * - from, to: send date range (ISO 8601, to is exclusive)
+   * - tz: IANA timezone for the daily series (default UTC)
+   */
+  async getFunnelAnalytics(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const filters = this.parseActivityFilters(req, res);
+      if (!filters) return;
+      
+      const { groupBy, tz } = req.query;
+      const dimensions = groupBy
+        ? String(groupBy).split(',').map(d => d.trim()).filter(Boolean)
+        : undefined;
+      
+      const funnel = await this.activities.getFunnel(schema, tenantId, {
+        ...filters,
+        dimensions,
+        timezone: tz || 'UTC'
+      });
+      
+      res.json({
+        success: true,
+        data: funnel
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Get funnel analytics error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get funnel analytics',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Send direct message
+   * 
+   * POST /api/social-integration/:platform/send-message
+   * 
+   * Body:
+   * - providerId: string (for LinkedIn, Instagram, Facebook) OR
+   * - phoneNumber: string (for WhatsApp)
+   * - message: string (required)
+   * - accountId: string (required)
+   */
+  async sendMessage(req, res) {
+    try {
+      const { platform } = req.params;
+      const { providerId, phoneNumber, message, accountId } = req.body;
+      
+      // Validate request
+      const validation = PlatformValidator.validateActionPayload(platform, 'send-message', req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          errors: validation.errors
+        });
+      }
+      
+      const account = await this.requireConnectedAccount(req, res, platform, accountId);
+      if (!account) return;
+      
+      // Direct messages are interactive, so over quota they are refused with the next window
+      const { tenantId, userId, schema } = req.tenantContext;
+      const quota = await this.quotas.consume(schema, account, 'message');
+      if (!quota.allowed) {
+        res.set('Retry-After', String(Math.max(Math.ceil((quota.retryAt.getTime() - Date.now()) / 1000), 1)));
+        return res.status(429).json({
+          success: false,
+          error: `Message quota reached for this account (${quota.reason})`,
+          reason: `${quota.reason}_quota`,
+          retryAt: quota.retryAt.toISOString(),
+          limits: quota.limits
+        });
+      }
+      
+      const credits = await this.reserveCredits(schema, account, 'message', quota, { tenantId, userId });
+      
+      const service = this.getService(platform);
+      const provider = PlatformValidator.getProviderName(platform);
+      
+      console.log(`[SocialIntegrationController] Sending ${platform} message`);
+      
+      const activity = {
+        tenantId,
+        userId,
+        platform: account.platform,
+        accountId,
+        activityType: 'message',
+        source: 'manual',
+        variant: req.body.variant,
+        targetProfileId: providerId || phoneNumber,
+        content: message
+      };
+      
+      let result;
+      
+      try {
+        // WhatsApp uses phone number instead of provider ID
+        if (platform === 'whatsapp') {
+          result = await service.sendWhatsAppMessage(phoneNumber, message, accountId);
+        } else {
+          result = await service.sendMessage(providerId, message, accountId, provider);
+        }
+      } catch (error) {
+        await this.quotas.release(schema, account, 'message', quota);
+        const failed = await this.activities.record(schema, { ...activity, status: 'failed', error: error.message });
+        await this.credits.refund(schema, credits, { reason: 'error', referenceType: 'social_activity', referenceId: failed?.id });
+        throw error;
+      }
+      
+      const recorded = await this.activities.record(schema, {
+        ...activity,
+        status: result.success ? 'sent' : 'failed',
+        error: result.success ? null : (result.error || 'Message failed'),
+        metadata: { message_id: result.data?.message_id || result.data?.id || null }
+      });
+      const reference = { referenceType: 'social_activity', referenceId: recorded?.id };
+      
+      let creditsUsed = 0;
+      if (!result.success) {
+        await this.quotas.release(schema, account, 'message', quota);
+        await this.credits.refund(schema, credits, { ...reference, reason: 'failed' });
+      } else {
+        creditsUsed = await this.credits.capture(schema, credits, reference);
+      }
+      
+      res.json({
+        success: result.success,
+        data: result.data,
+        activityId: recorded?.id || null,
+        creditsUsed: creditsUsed
+      });
+      
+    } catch (error) {
+      console.error(`[SocialIntegrationController] Send message error:`, error);
+      if (this.respondInsufficientCredits(res, error) || this.respondProviderBackoff(res, error)) return;
+      res.status(500).json({
+        success: false,
+        error: 'Failed to send message',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Look up profile information
+   * 
+   * GET /api/social-integration/:platform/lookup
+   * 
+   * Query params:
+   * - profileUrl: string OR
+   * - publicIdentifier: string OR
+   * - phoneNumber: string (for WhatsApp)
+   * - accountId: string (required)
+   */
+  async lookupProfile(req, res) {
+    try {
+      const { platform } = req.params;
+      const { profileUrl, publicIdentifier, phoneNumber, accountId } = req.query;
+      
+      // Validate request
+      const validation = PlatformValidator.validateActionPayload(platform, 'lookup', { 
+        profileUrl, 
+        publicIdentifier, 
+        phoneNumber, 
+        accountId 
+      });
+      
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          errors: validation.errors
+        });
+      }
+      
+      const account = await this.requireConnectedAccount(req, res, platform, accountId);
+      if (!account) return;
+      
+      const service = this.getService(platform);
+      const provider = PlatformValidator.getProviderName(platform);
+      
+      const identifier = profileUrl || publicIdentifier || phoneNumber;
+      
+      console.log(`[SocialIntegrationController] Looking up ${platform} profile: ${identifier}`);
+      
+      const { tenantId, userId, schema } = req.tenantContext;
+      const credits = await this.credits.reserve(schema, {
+        tenantId,
+        userId,
+        platform: account.platform,
+        action: 'lookup'
+      });
+      
+      const activity = {
+        tenantId,
+        userId,
+        platform: account.platform,
+        accountId,
+        activityType: 'profile_lookup',
+        source: 'manual'
+      };
+      const target = this.activities.describeTarget({
+        profile_url: profileUrl,
+        publicIdentifier: publicIdentifier || phoneNumber
+      });
+      
+      let result;
+      try {
+        result = await service.lookupProfile(identifier, accountId, provider);
+      } catch (error) {
+        const failed = await this.activities.record(schema, { ...activity, ...target, status: 'failed', error: error.message });
+        await this.credits.refund(schema, credits, { reason: 'error', referenceType: 'social_activity', referenceId: failed?.id });
+        throw error;
+      }
+      
+      const recorded = await this.activities.record(schema, {
+        ...activity,
+        ...target,
+        targetProfileId: result.providerId,
+        targetPublicIdentifier: result.publicIdentifier || target.targetPublicIdentifier,
+        targetProfileName: result.profileName,
+        status: 'completed'
+      });
+      
+      const creditsUsed = await this.credits.capture(schema, credits, {
+        referenceType: 'social_activity',
+        referenceId: recorded?.id
+      });
+      
+      res.json({
+        success: true,
+        profile: result,
+        activityId: recorded?.id || null,
+        creditsUsed: creditsUsed
+      });
+      
+    } catch (error) {
+      console.error(`[SocialIntegrationController] Lookup error:`, error);
+      if (this.respondInsufficientCredits(res, error) || this.respondProviderBackoff(res, error)) return;
+      res.status(500).json({
+        success: false,
+        error: 'Failed to lookup profile',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Get connection status for a platform
+   * 
+   * GET /api/social-integration/:platform/status
+   * 
+   * Query params:
+   * - accountId: string (optional - if provided, checks specific account)
+   */
+  async getStatus(req, res) {
+    try {
+      const { platform } = req.params;
+      const { accountId } = req.query;
+      
+      if (!PlatformValidator.isPlatformEnabled(platform)) {
+        return res.status(400).json({
+          success: false,
+          error: `Platform ${platform} is not enabled`
+        });
+      }
+      
+      const service = this.getService(platform);
+      
+      // If accountId provided, get specific account info (tenant-owned accounts only)
+      if (accountId) {
+        const account = await this.loadOwnedAccount(req, res, platform, accountId);
+        if (!account) return;
+        
+        // Local status is still reported while Unipile is unreachable
+        const accountInfo = await service.getAccountInfo(accountId).catch(error => {
+          if (error.code === 'CIRCUIT_OPEN') return null;
+          throw error;
+        });
+        const quota = await this.quotas.getStatus(req.tenantContext.schema, account);
+        
+        return res.json({
+          success: true,
+          platform: platform,
+          connected: account.is_active && account.status === 'connected',
+          status: account.status,
+          account: accountInfo,
+          warmup: quota.warmup,
+          quota: quota,
+          schedule: this.schedules.getStatus(account),
+          circuitBreaker: UnipileService.getCircuitState()
+        });
+      }
+      
+      // Otherwise, check if Unipile is configured for this platform
+      const configured = service.isConfigured();
+      
+      res.json({
+        success: true,
+        platform: platform,
+        configured: configured,
+        circuitBreaker: UnipileService.getCircuitState(),
+        message: configured ? 
+          'Platform is configured and ready' : 
+          'Platform credentials not configured'
+      });
+      
+    } catch (error) {
+      console.error(`[SocialIntegrationController] Status error:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get status',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Override an account's send quotas (tenant admin)
+   * 
+   * PUT /api/social-integration/:platform/quotas
+   * 
+   * Body:
+   * - accountId: string (required)
+   * - quotas: { [action]: { daily?: number, weekly?: number } | null }
+   *   (null removes the override and restores the platform default)
+   */
+  async updateAccountQuotas(req, res) {
+    try {
+      const { platform } = req.params;
+      const { accountId, quotas } = req.body || {};
+      const { schema } = req.tenantContext;
+      
+      const account = await this.loadOwnedAccount(req, res, platform, accountId);
+      if (!account) return;
+      
+      if (!quotas || typeof quotas !== 'object' || Array.isArray(quotas)) {
+        return res.status(400).json({
+          success: false,
+          error: 'quotas object is required'
+        });
+      }
+      
+      const allowedActions = Object.keys(PlatformValidator.getPlatformConfig(account.platform).quotas || {});
+      const merged = { ...(account.metadata?.quotas || {}) };
+      
+      for (const [action, limits] of Object.entries(quotas)) {
+        if (!allowedActions.includes(action)) {
+          return res.status(400).json({
+            success: false,
+            error: `Unknown quota action for ${account.platform}: ${action}`,
+            allowedActions
+          });
+        }
+        
+        if (limits === null) {
+          delete merged[action];
+          continue;
+        }
+        
+        const override = {};
+        for (const window of ['daily', 'weekly']) {
+          if (limits?.[window] === undefined) continue;
+          if (!Number.isInteger(limits[window]) || limits[window] < 0) {
+            return res.status(400).json({
+              success: false,
+              error: `${action}.${window} must be a non-negative integer`
+            });
+          }
+          override[window] = limits[window];
+        }
+        merged[action] = override;
+      }
+      
+      const updated = await SocialAccount.mergeMetadata(schema, account.id, { quotas: merged });
+      const quota = await this.quotas.getStatus(schema, updated);
+      
+      console.log(`[SocialIntegrationController] Updated quotas for ${account.platform} account ${accountId}`);
+      
+      res.json({
+        success: true,
+        quota: quota
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Update quotas error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update quotas',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Configure an account's warm-up (tenant admin)
+   * 
+   * PUT /api/social-integration/:platform/warmup
+   * 
+   * Body:
+   * - accountId: string (required)
+   * - enabled: boolean (optional)
+   * - days: number (optional, 1-90)
+   * - startDaily: number (optional, >= 1)
+   * - restart: boolean (optional) - start the ramp again from day 1 today
+   */
+  async updateAccountWarmup(req, res) {
+    try {
+      const { platform } = req.params;
+      const { accountId, enabled, days, startDaily, restart } = req.body || {};
+      const { schema } = req.tenantContext;
+      
+      const account = await this.loadOwnedAccount(req, res, platform, accountId);
+      if (!account) return;
+      
+      if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > 90)) {
+        return res.status(400).json({
+          success: false,
+          error: 'days must be an integer between 1 and 90'
+        });
+      }
+      
+      if (startDaily !== undefined && (!Number.isInteger(startDaily) || startDaily < 1)) {
+        return res.status(400).json({
+          success: false,
+          error: 'startDaily must be a positive integer'
+        });
+      }
+      
+      const warmup = {
+        ...(account.metadata?.warmup || {}),
+        ...(enabled !== undefined ? { enabled: enabled !== false } : {}),
+        ...(days !== undefined ? { days } : {}),
+        ...(startDaily !== undefined ? { startDaily } : {}),
+        ...(restart ? { startedAt: new Date().toISOString(), enabled: true } : {})
+      };
+      
+      const updated = await SocialAccount.mergeMetadata(schema, account.id, { warmup });
+      const quota = await this.quotas.getStatus(schema, updated);
+      
+      console.log(`[SocialIntegrationController] Updated warm-up for ${account.platform} account ${accountId}`);
+      
+      res.json({
+        success: true,
+        warmup: quota.warmup,
+        quota: quota
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Update warm-up error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update warm-up',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Set an account's send windows (tenant admin)
+   * Sends and auto-calls outside the window are queued for its next opening
+   * 
+   * PUT /api/social-integration/:platform/schedule
+   * 
+   * Body:
+   * - accountId: string (required)
+   * - enabled: boolean (optional)
+   * - timezone: IANA timezone of the account, e.g. 'Europe/Paris' (optional)
+   * - days: ISO weekdays, 1 = Monday ... 7 = Sunday (optional)
+   * - start / end: 'HH:MM' (optional)
+   * - useProspectTimezone: read the hours in the prospect's inferred timezone (optional)
+   * - calls: { days, start, end } for auto-calls, or null to use the send window (optional)
+   * - reset: boolean (optional) - drop the override and restore the defaults
+   */
+  async updateAccountSchedule(req, res) {
+    try {
+      const { platform } = req.params;
+      const { accountId, reset, ...changes } = req.body || {};
+      const { schema } = req.tenantContext;
+      
+      const account = await this.loadOwnedAccount(req, res, platform, accountId);
+      if (!account) return;
+      
+      const fields = ['enabled', 'timezone', 'days', 'start', 'end', 'useProspectTimezone', 'calls'];
+      const unknown = Object.keys(changes).filter(field => !fields.includes(field));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown schedule fields: ${unknown.join(', ')}`,
+          allowedFields: fields
+        });
+      }
+      
+      const current = reset ? {} : (account.metadata?.schedule || {});
+      const validation = this.schedules.validateSchedule(changes, this.schedules.getSchedule({ metadata: { schedule: current } }));
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          errors: validation.errors
+        });
+      }
+      
+      const schedule = { ...current, ...changes };
+      if (changes.calls === null) {
+        delete schedule.calls;
+      } else if (changes.calls) {
+        schedule.calls = { ...(current.calls || {}), ...changes.calls };
+      }
+      
+      const updated = await SocialAccount.mergeMetadata(schema, account.id, { schedule });
+      
+      console.log(`[SocialIntegrationController] Updated send schedule for ${account.platform} account ${accountId}`);
+      
+      res.json({
+        success: true,
+        schedule: this.schedules.getStatus(updated)
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Update schedule error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update schedule',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * List all connected accounts
+   * 
+   * GET /api/social-integration/accounts
+   */
+  async listAccounts(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      
+      // Only accounts stored for the caller's tenant (never the whole Unipile workspace)
+      const accounts = await SocialAccount.findByTenant(schema, tenantId);
+      
+      // Group accounts by platform
+      const groupedAccounts = {
+        linkedin: [],
+        instagram: [],
+        whatsapp: [],
+        facebook: [],
+        other: []
+      };
+      
+      accounts.forEach(account => {
+        const platform = account.platform?.toLowerCase();
+        const entry = {
+          id: account.account_id,
+          platform: account.platform,
+          name: account.username,
+          status: account.status,
+          userId: account.user_id,
+          providerId: account.metadata?.provider_id || null,
+          connectedAt: account.created_at,
+          updatedAt: account.updated_at
+        };
+        
+        if (groupedAccounts[platform]) {
+          groupedAccounts[platform].push(entry);
+        } else {
+          groupedAccounts.other.push(entry);
+        }
+      });
+      
+      res.json({
+        success: true,
+        accounts: groupedAccounts,
+        total: accounts.length
+      });
+      
+    } catch (error) {
+      console.error('[SocialIntegrationController] List accounts error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list accounts',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Connect/authenticate an account
+   * 
+   * POST /api/social-integration/:platform/connect
+   * 
+   * For LinkedIn (via Unipile):
+   * - method: 'credentials' | 'cookies'
+   * - For credentials: { email, password }
+   * - For cookies: { li_at, li_a, user_agent }
+   * 
+   * Body:
+   * - method: string (required)
+   * - email, password: for credentials method
+   * - li_at, li_a, user_agent: for cookies method
+   */
+  async connectAccount(req, res) {
+    try {
+      const { platform } = req.params;
+      const { method, email, password, li_at, li_a, user_agent } = req.body;
+      const { userId } = req.tenantContext;
+
+      console.log(`[SocialIntegrationController] Connecting ${platform} account with method: ${method}`);
+      console.log(`[SocialIntegrationController] User ID: ${userId}`);
+
+      const service = this.getService(platform);
+
+      if (platform.toLowerCase() === 'linkedin') {
+        // Validate Unipile configuration
+        if (!service.isConfigured || !service.isConfigured()) {
+          return res.status(503).json({
+            success: false,
+            error: 'LinkedIn integration service not configured',
+            message: 'UNIPILE_DSN or UNIPILE_TOKEN not set'
+          });
+        }
+
+        // Validate method
+        if (!method || (method !== 'credentials' && method !== 'cookies')) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid authentication method',
+            message: 'Method must be "credentials" or "cookies"'
+          });
+        }
+
+        // Held until the account is saved, refunded if the connection fails
+        const { tenantId, schema } = req.tenantContext;
+        let credits = null;
+        
+        try {
+          let connectionResult;
+          
+          if (method === 'credentials') {
+            if (!email || !password) {
+              return res.status(400).json({
+                success: false,
+                error: 'Email and password are required for credentials method'
+              });
+            }
+            
+            credits = await this.credits.reserve(schema, { tenantId, userId, platform: 'linkedin', action: 'connect' });
+            
+            // Use LinkedInIntegration service to connect with credentials
+            connectionResult = await service.connectWithCredentials({
+              email,
+              password,
+              userId
+            });
+            
+          } else if (method === 'cookies') {
+            if (!li_at) {
+              return res.status(400).json({
+                success: false,
+                error: 'li_at cookie is required for cookies method'
+              });
+            }
+            
+            credits = await this.credits.reserve(schema, { tenantId, userId, platform: 'linkedin', action: 'connect' });
+            
+            // Use LinkedInIntegration service to connect with cookies
+            connectionResult = await service.connectWithCookies({
+              li_at,
+              li_a,
+              user_agent: user_agent || req.headers['user-agent'],
+              userId
+            });
+          }
+
+          // Persist the account for the calling tenant and user
+          const saved = await this.saveConnection(req.tenantContext, 'linkedin', connectionResult, {
+            method,
+            username: method === 'credentials' ? email : null
+          });
+          
+          await this.credits.capture(schema, credits, { referenceType: 'social_account', referenceId: saved?.id });
+
+          return res.json(this.buildConnectionResponse(platform, connectionResult, method));
+
+        } catch (connectionError) {
+          console.error(`[SocialIntegrationController] LinkedIn connection failed:`, connectionError);
+          await this.credits.refund(schema, credits, { reason: 'failed' });
+          if (this.respondInsufficientCredits(res, connectionError)) return;
+          return res.status(400).json({
+            success: false,
+            error: 'LinkedIn connection failed',
+            message: connectionError.message
+          });
+        }
+      }
+
+      // For other platforms, use generic service method if available
+      if (service.connectAccount) {
+        const result = await service.connectAccount(req.body);
+        return res.json({
+          success: true,
+          data: result,
+          message: `${platform} account connected successfully`
+        });
+      }
+
+      return res.status(501).json({
+        success: false,
+        error: `Direct connection not supported for ${platform}`,
+        message: 'This platform requires external authentication'
+      });
+
+    } catch (error) {
+      console.error(`[SocialIntegrationController] Connect error:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to connect account',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Disconnect an account
+   * 
+   * POST /api/social-integration/:platform/disconnect
+   * 
+   * Body:
+   * - accountId: string (required)
+   */
+  async disconnectAccount(req, res) {
+    try {
+      const { platform } = req.params;
+      const { accountId } = req.body;
+      
+      if (!accountId) {
+        return res.status(400).json({
+          success: false,
+          error: 'accountId is required'
+        });
+      }
+      
+      const account = await this.loadOwnedAccount(req, res, platform, accountId);
+      if (!account) return;
+      
+      const service = this.getService(platform);
+      
+      console.log(`[SocialIntegrationController] Disconnecting ${platform} account: ${accountId}`);
+      
+      const result = await service.disconnectAccount(accountId);
+      
+      await SocialAccount.updateStatus(req.tenantContext.schema, account.id, 'disconnected', {
+        disconnected_at: new Date().toISOString(),
+        disconnected_by: req.tenantContext.userId
+      });
+      
+      res.json(result);
+      
+    } catch (error) {
+      console.error(`[SocialIntegrationController] Disconnect error:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to disconnect account',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Persist a connection result as the tenant's social account
+   *
+   * @param {Object} tenantContext - { tenantId, userId, schema }
+   * @param {string} platform - Platform name
+   * @param {Object} connectionResult - Result from the platform service
+   * @param {Object} options - { method, username, userId }
+   * @returns {Promise<Object>} Stored account row
+   */
+  async saveConnection(tenantContext, platform, connectionResult, options = {}) {
+    const { method = null, username = null, userId = tenantContext.userId } = options;
+
+    return SocialAccount.upsert(tenantContext.schema, {
+      platform: platform,
+      accountId: connectionResult.accountId,
+      username: connectionResult.profileName || username,
+      profileData: connectionResult.profile || {},
+      status: connectionResult.checkpoint_required ? 'checkpoint' : 'connected',
+      metadata: {
+        ...(method ? { method } : {}),
+        provider_id: connectionResult.providerId || null,
+        public_identifier: connectionResult.publicIdentifier || null,
+        checkpoint: connectionResult.checkpoint || null
+      },
+      tenantId: tenantContext.tenantId,
+      userId: userId
+    });
+  }
+
+  /**
+   * Build the response for a connect / checkpoint / reconnect result
+   */
+  buildConnectionResponse(platform, connectionResult, method) {
+    const platformName = PlatformValidator.getPlatformConfig(platform)?.name || platform;
+
+    if (connectionResult.checkpoint_required) {
+      return {
+        success: true,
+        checkpoint_required: true,
+        data: {
+          accountId: connectionResult.accountId,
+          checkpoint: connectionResult.checkpoint,
+          method: method
+        },
+        message: `${platformName} account requires verification (${connectionResult.checkpoint?.type || 'checkpoint'})`
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        accountId: connectionResult.accountId,
+        profileUrl: connectionResult.profileUrl,
+        profileName: connectionResult.profileName,
+        providerId: connectionResult.providerId,
+        connected: true,
+        method: method
+      },
+      message: `${platformName} account connected successfully`
+    };
+  }
+
+  /**
+   * Load a tenant-owned account for checkpoint/reconnect endpoints
+   * Sends the error response and returns null when not usable
+   */
+  async loadOwnedAccount(req, res, platform, accountId) {
+    if (!accountId) {
+      res.status(400).json({
+        success: false,
+        error: 'accountId is required'
+      });
+      return null;
+    }
+
+    const { tenantId, schema } = req.tenantContext;
+    const account = await SocialAccount.findByAccountId(schema, tenantId, accountId, platform ? platform.toLowerCase() : null);
+
+    if (!account) {
+      res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+      return null;
+    }
+
+    return account;
+  }
+
+  /**
+   * Ensure an account belongs to the caller's tenant and is connected
+   * Sends the error response and returns null when not usable
+   */
+  async requireConnectedAccount(req, res, platform, accountId) {
+    const account = await this.loadOwnedAccount(req, res, platform, accountId);
+    if (!account) return null;
+
+    if (!account.is_active || account.status !== 'connected') {
+      res.status(409).json({
+        success: false,
+        error: 'Account is not connected',
+        status: account.status
+      });
+      return null;
+    }
+
+    return account;
+  }
+
+  /**
+   * Submit a checkpoint answer and persist the outcome
+   */
+  async submitCheckpointAnswer(req, res, code, action) {
+    const { platform } = req.params;
+    const { accountId } = req.body;
+    const service = this.getService(platform);
+
+    if (!service.submitCheckpoint) {
+      return res.status(501).json({
+        success: false,
+        error: `Checkpoint resolution not supported for ${platform}`
+      });
+    }
+
+    const account = await this.loadOwnedAccount(req, res, platform, accountId);
+    if (!account) return;
+
+    const method = account.metadata?.method || null;
+
+    try {
+      const connectionResult = await service.submitCheckpoint(accountId, code, method);
+
+      await this.saveConnection(req.tenantContext, platform.toLowerCase(), connectionResult, {
+        method,
+        userId: account.user_id
+      });
+
+      return res.json(this.buildConnectionResponse(platform, connectionResult, method));
+
+    } catch (checkpointError) {
+      console.error(`[SocialIntegrationController] ${action} failed:`, checkpointError.message);
+      return res.status(checkpointError.status && checkpointError.status < 500 ? 400 : 502).json({
+        success: false,
+        error: `${action} failed`,
+        message: checkpointError.message
+      });
+    }
+  }
+
+  /**
+   * Verify OTP / 2FA code for a pending account
+   * 
+   * POST /api/social-integration/:platform/verify-otp
+   * 
+   * Body:
+   * - accountId: string (required)
+   * - code: string (required)
+   */
+  async verifyOtp(req, res) {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          error: 'code is required'
+        });
+      }
+
+      console.log(`[SocialIntegrationController] Verifying ${req.params.platform} OTP for account: ${req.body.accountId}`);
+
+      return await this.submitCheckpointAnswer(req, res, String(code).trim(), 'OTP verification');
+
+    } catch (error) {
+      console.error(`[SocialIntegrationController] Verify OTP error:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to verify OTP',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Solve a checkpoint (captcha answer, in-app validation confirmation, phone/code challenges)
+   * 
+   * POST /api/social-integration/:platform/solve-checkpoint
+   * 
+   * Body:
+   * - accountId: string (required)
+   * - code: string (captcha answer or challenge code)
+   * - confirmed: boolean (in-app validation - user approved the login in the app)
+   */
+  async solveCheckpoint(req, res) {
+    try {
+      const { platform } = req.params;
+      const { accountId, code, confirmed } = req.body;
+
+      // In-app validation has no code: once approved in the app, the account becomes active
+      if (!code && confirmed) {
+        return await this.respondWithCheckpointStatus(req, res, platform, accountId);
+      }
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          error: 'code is required (or confirmed: true for in-app validation)'
+        });
+      }
+
+      console.log(`[SocialIntegrationController] Solving ${platform} checkpoint for account: ${accountId}`);
+
+      return await this.submitCheckpointAnswer(req, res, String(code).trim(), 'Checkpoint resolution');
+
+    } catch (error) {
+      console.error(`[SocialIntegrationController] Solve checkpoint error:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to solve checkpoint',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Poll checkpoint state of a pending account
+   * 
+   * GET /api/social-integration/:platform/checkpoint-status
+   * 
+   * Query params:
+   * - accountId: string (required)
+   */
+  async getCheckpointStatus(req, res) {
+    try {
+      const { platform } = req.params;
+      const { accountId } = req.query;
+
+      return await this.respondWithCheckpointStatus(req, res, platform, accountId);
+
+    } catch (error) {
+      console.error(`[SocialIntegrationController] Checkpoint status error:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get checkpoint status',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Compare stored checkpoint state with Unipile and respond with the current state
+   */
+  async respondWithCheckpointStatus(req, res, platform, accountId) {
+    const service = this.getService(platform);
+
+    const account = await this.loadOwnedAccount(req, res, platform, accountId);
+    if (!account) return;
+
+    const remoteStatus = await service.getAccountStatus(accountId);
+
+    // Not yet created on Unipile: the checkpoint is still pending
+    if (!remoteStatus) {
+      return res.json({
+        success: true,
+        accountId: accountId,
+        status: account.status,
+        checkpoint_required: account.status === 'checkpoint',
+        checkpoint: account.metadata?.checkpoint || null
+      });
+    }
+
+    if (remoteStatus.status !== account.status) {
+      await SocialAccount.updateStatus(req.tenantContext.schema, account.id, remoteStatus.status, {
+        status_message: remoteStatus.statusMessage,
+        ...(remoteStatus.isConnected ? { checkpoint: null } : {})
+      });
+    }
+
+    res.json({
+      success: true,
+      accountId: accountId,
+      status: remoteStatus.status,
+      connected: remoteStatus.isConnected,
+      checkpoint_required: remoteStatus.status === 'checkpoint',
+      checkpoint: remoteStatus.isConnected ? null : (account.metadata?.checkpoint || null),
+      statusMessage: remoteStatus.statusMessage
+    });
+  }
+
+  /**
+   * Re-authenticate a stopped account in place
+   * 
+   * POST /api/social-integration/:platform/reconnect
+   * 
+   * Body:
+   * - accountId: string (required)
+   * - method: 'credentials' | 'cookies' (required)
+   * - email, password: for credentials method
+   * - li_at, li_a, user_agent: for cookies method
+   */
+  async reconnectAccount(req, res) {
+    try {
+      const { platform } = req.params;
+      const { accountId, method, email, password, li_at, li_a, user_agent } = req.body;
+      const service = this.getService(platform);
+
+      if (!service.reconnect) {
+        return res.status(501).json({
+          success: false,
+          error: `Reconnect not supported for ${platform}`
+        });
+      }
+
+      const account = await this.loadOwnedAccount(req, res, platform, accountId);
+      if (!account) return;
+
+      console.log(`[SocialIntegrationController] Reconnecting ${platform} account: ${accountId}`);
+
+      try {
+        const connectionResult = await service.reconnect(accountId, {
+          method,
+          email,
+          password,
+          li_at,
+          li_a,
+          user_agent: user_agent || req.headers['user-agent'],
+          userId: req.tenantContext.userId
+        });
+
+        await this.saveConnection(req.tenantContext, platform.toLowerCase(), connectionResult, {
+          method,
+          username: method === 'credentials' ? email : null,
+          userId: account.user_id
+        });
+
+        return res.json(this.buildConnectionResponse(platform, connectionResult, method));
+
+      } catch (reconnectError) {
+        console.error(`[SocialIntegrationController] Reconnect failed:`, reconnectError.message);
+        return res.status(400).json({
+          success: false,
+          error: 'Reconnect failed',
+          message: reconnectError.message
+        });
+      }
+
+    } catch (error) {
+      console.error(`[SocialIntegrationController] Reconnect error:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reconnect account',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Get invitations status
+   * 
+   * GET /api/social-integration/:platform/invitations
+   * 
+   * Query params:
+   * - accountId: string (required)
+   * - status: string (optional - 'pending', 'accepted', 'declined')
+   */
+  async getInvitationsStatus(req, res) {
+    try {
+      const { platform } = req.params;
+      const { accountId, status } = req.query;
+      
+      if (!accountId) {
+        return res.status(400).json({
+          success: false,
+          error: 'accountId is required'
+        });
+      }
+      
+      if (!PlatformValidator.isPlatformEnabled(platform)) {
+        return res.status(400).json({
+          success: false,
+          error: `Platform ${platform} is not enabled`
+        });
+      }
+      
+      const account = await this.requireConnectedAccount(req, res, platform, accountId);
+      if (!account) return;
+      
+      const service = this.getService(platform);
+      
+      const filters = {};
+      if (status) {
+        filters.status = status;
+      }
+      
+      console.log(`[SocialIntegrationController] Getting ${platform} invitations status`);
+      
+      const result = await service.getInvitationsStatus(accountId, filters);
+      
+      res.json(result);
+      
+    } catch (error) {
+      console.error(`[SocialIntegrationController] Get invitations error:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get invitations status',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Get messages
+   * 
+   * GET /api/social-integration/:platform/messages
+   * 
+   * Query params:
+   * - accountId: string (required)
+   * - conversationId: string (optional)
+   * - since: timestamp (optional)
+   */
+  async getMessages(req, res) {
+    try {
+      const { platform } = req.params;
+      const { accountId, conversationId, since } = req.query;
+      
+      if (!accountId) {
+        return res.status(400).json({
+          success: false,
+          error: 'accountId is required'
+        });
+      }
+      
+      if (!PlatformValidator.isPlatformEnabled(platform)) {
+        return res.status(400).json({
+          success: false,
+          error: `Platform ${platform} is not enabled`
+        });
+      }
+      
+      const account = await this.requireConnectedAccount(req, res, platform, accountId);
+      if (!account) return;
+      
+      const service = this.getService(platform);
+      
+      const filters = {};
+      if (conversationId) filters.conversation_id = conversationId;
+      if (since) filters.since = since;
+      
+      console.log(`[SocialIntegrationController] Getting ${platform} messages`);
+      
+      const result = await service.getMessages(accountId, filters);
+      
+      res.json(result);
+      
+    } catch (error) {
+      console.error(`[SocialIntegrationController] Get messages error:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get messages',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Get conversations
+   * 
+   * GET /api/social-integration/:platform/conversations
+   * 
+   * Query params:
+   * - accountId: string (required)
+   */
+  async getConversations(req, res) {
+    try {
+      const { platform } = req.params;
+      const { accountId } = req.query;
+      
+      if (!accountId) {
+        return res.status(400).json({
+          success: false,
+          error: 'accountId is required'
+        });
+      }
+      
+      if (!PlatformValidator.isPlatformEnabled(platform)) {
+        return res.status(400).json({
+          success: false,
+          error: `Platform ${platform} is not enabled`
+        });
+      }
+      
+      const account = await this.requireConnectedAccount(req, res, platform, accountId);
+      if (!account) return;
+      
+      const service = this.getService(platform);
+      
+      console.log(`[SocialIntegrationController] Getting ${platform} conversations`);
+      
+      const result = await service.getConversations(accountId);
+      
+      res.json(result);
+      
+    } catch (error) {
+      console.error(`[SocialIntegrationController] Get conversations error:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get conversations',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Parse cursor/limit query params for inbox listings
+   * Responds 400 and returns null for a malformed cursor
+   */
+  parseInboxPaging(req, res, defaultLimit = 25) {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || defaultLimit, 1), 100);
+    try {
+      return { limit, cursor: decodeCursor(req.query.cursor) };
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+      return null;
+    }
+  }
+  
+  /**
+   * Unified inbox: conversations across all of the user's connected accounts
+   * 
+   * GET /api/social-integration/inbox/conversations
+   * 
+   * Query params:
+   * - platform, accountId, leadId: optional filters
+   * - status: active (default) | unread | archived | all
+   * - q: search participant, lead name and message text
+   * - cursor, limit: keyset pagination (default 25, max 100)
+   */
+  async getInbox(req, res) {
+    try {
+      const { tenantId, userId, schema } = req.tenantContext;
+      const paging = this.parseInboxPaging(req, res);
+      if (!paging) return;
+      
+      const { platform, accountId, leadId, status = 'active', q } = req.query;
+      if (!['active', 'unread', 'archived', 'all'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'status must be one of: active, unread, archived, all'
+        });
+      }
+      
+      const rows = await SocialConversation.list(schema, tenantId, userId, {
+        platform: platform || null,
+        accountId: accountId || null,
+        leadId: leadId || null,
+        status,
+        search: q || null,
+        cursor: paging.cursor,
+        limit: paging.limit
+      });
+      
+      const { items, nextCursor } = paginate(rows, paging.limit, 'last_message_at');
+      
+      res.json({
+        success: true,
+        data: items,
+        pagination: { limit: paging.limit, nextCursor, hasMore: !!nextCursor }
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Get inbox error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get inbox',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Unified inbox grouped per lead
+   * 
+   * GET /api/social-integration/inbox/leads?q=&cursor=&limit=
+   */
+  async getInboxByLead(req, res) {
+    try {
+      const { tenantId, userId, schema } = req.tenantContext;
+      const paging = this.parseInboxPaging(req, res);
+      if (!paging) return;
+      
+      const rows = await SocialConversation.listByLead(schema, tenantId, userId, {
+        search: req.query.q || null,
+        cursor: paging.cursor,
+        limit: paging.limit
+      });
+      
+      const { items, nextCursor } = paginate(rows, paging.limit, 'last_message_at', 'lead_id');
+      
+      res.json({
+        success: true,
+        data: items,
+        pagination: { limit: paging.limit, nextCursor, hasMore: !!nextCursor }
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Get inbox by lead error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get inbox by lead',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Messages of one inbox conversation (newest first)
+   * 
+   * GET /api/social-integration/inbox/conversations/:conversationId/messages?cursor=&limit=
+   */
+  async getInboxMessages(req, res) {
+    try {
+      const { tenantId, userId, schema } = req.tenantContext;
+      const paging = this.parseInboxPaging(req, res, 50);
+      if (!paging) return;
+      
+      const conversation = await SocialConversation.findForUser(schema, tenantId, userId, req.params.conversationId);
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Conversation not found'
+        });
+      }
+      
+      const rows = await SocialMessage.listByConversation(
+        schema,
+        tenantId,
+        conversation.account_id,
+        conversation.conversation_id,
+        { cursor: paging.cursor, limit: paging.limit }
+      );
+      
+      const { items, nextCursor } = paginate(rows, paging.limit, 'sent_at');
+      
+      res.json({
+        success: true,
+        conversation: conversation,
+        data: items,
+        pagination: { limit: paging.limit, nextCursor, hasMore: !!nextCursor }
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Get inbox messages error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get messages',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Unread counts across the user's inbox
+   * 
+   * GET /api/social-integration/inbox/unread-counts
+   */
+  async getInboxUnreadCounts(req, res) {
+    try {
+      const { tenantId, userId, schema } = req.tenantContext;
+      const rows = await SocialConversation.getUnreadCounts(schema, tenantId, userId);
+      
+      const byPlatform = {};
+      for (const row of rows) {
+        byPlatform[row.platform] = (byPlatform[row.platform] || 0) + row.unread_conversations;
+      }
+      
+      res.json({
+        success: true,
+        data: {
+          totalConversations: rows.reduce((sum, row) => sum + row.unread_conversations, 0),
+          totalMessages: rows.reduce((sum, row) => sum + row.unread_messages, 0),
+          byPlatform,
+          byAccount: rows.map(row => ({
+            platform: row.platform,
+            accountId: row.account_id,
+            unreadConversations: row.unread_conversations,
+            unreadMessages: row.unread_messages
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Get unread counts error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get unread counts',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Mark an inbox conversation as read
+   * 
+   * POST /api/social-integration/inbox/conversations/:conversationId/read
+   */
+  async markConversationRead(req, res) {
+    try {
+      const { tenantId, userId, schema } = req.tenantContext;
+      const conversation = await SocialConversation.findForUser(schema, tenantId, userId, req.params.conversationId);
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Conversation not found'
+        });
+      }
+      
+      const updated = await SocialConversation.markRead(schema, tenantId, conversation.id);
+      
+      res.json({
+        success: true,
+        data: updated
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Mark read error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to mark conversation as read',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Archive or unarchive an inbox conversation
+   * A new inbound message unarchives it again
+   * 
+   * POST /api/social-integration/inbox/conversations/:conversationId/archive
+   * Body: { archived?: boolean } (default true)
+   */
+  async archiveConversation(req, res) {
+    try {
+      const { tenantId, userId, schema } = req.tenantContext;
+      const archived = req.body?.archived !== false;
+      
+      const conversation = await SocialConversation.findForUser(schema, tenantId, userId, req.params.conversationId);
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Conversation not found'
+        });
+      }
+      
+      const updated = await SocialConversation.setArchived(schema, tenantId, conversation.id, archived);
+      
+      res.json({
+        success: true,
+        data: updated
+      });
+    } catch (error) {
+      console.error('[SocialIntegrationController] Archive conversation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to archive conversation',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Sync the user's inbox from Unipile (history backfill / reconciliation)
+   * 
+   * POST /api/social-integration/inbox/sync
+   * Body: { platform?, accountId? }
+   */
+  async syncInbox(req, res) {
+    try {
+      const { platform, accountId } = req.body || {};
+      
+      if (accountId) {
+        const account = await this.requireConnectedAccount(req, res, platform || null, accountId);
+        if (!account) return;
+      }
+      
+      const result = await this.inboxSync.syncUserInbox(req.tenantContext, {
+        platform: platform || null,
+        accountId: accountId || null
+      });
+      
+      res.json({
+        success: true,
+        data: result
       });
-
     } catch (error) {
-      console.error(`[SocialIntegrationController] Connect error:`, error);
+      console.error('[SocialIntegrationController] Inbox sync error:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to connect account',
+        error: 'Failed to sync inbox',
         message: error.message
       });
     }
   }
-
+  
   /**
-   * Disconnect an account
+   * Handle Unipile webhook events
    * 
-   * POST /api/social-integration/:platform/disconnect
+   * POST /api/social-integration/webhook
    * 
-   * Body:
-   * - accountId: string (required)
+   * Handles events like:
+   * - new_relation (primary event for connection acceptance)
+   * - connection.accepted / invitation.accepted
+   * - connection.sent / invitation.sent
+   * - connection.declined / invitation.declined
+   * - AccountStatus (account state changes: OK, ERROR, CREDENTIALS, etc.)
+   * - message.received
+   * 
+   * Events are stored and acknowledged immediately, then processed by the
+   * WebhookEventProcessor queue (retries with backoff, dead-letter after N attempts)
    */
-  async disconnectAccount(req, res) {
+  async handleWebhook(req, res) {
     try {
-      const { platform } = req.params;
-      const { accountId } = req.body;
-      
-      if (!accountId) {
-        return res.status(400).json({
-          success: false,
-          error: 'accountId is required'
-        });
-      }
+      const payload = req.body;
       
-      const service = this.getService(platform);
+      // Signature already verified by verifyUnipileWebhook
+      console.log(`[Unipile Webhook] 🔐 Verified via ${req.webhookContext?.scheme || 'unknown'} (tenant: ${req.webhookContext?.tenantId || 'unresolved'})`);
       
-      console.log(`[SocialIntegrationController] Disconnecting ${platform} account: ${accountId}`);
+      // Persist delivery; repeated idempotency keys are not queued again
+      const { event, duplicate } = await this.eventProcessor.ingest(payload, req.webhookContext);
       
-      const result = await service.disconnectAccount(accountId);
+      if (duplicate) {
+        console.log(`[Unipile Webhook] ⚠️ Duplicate delivery for event ${event.id} (${event.status}), skipping`);
+        return res.status(200).json({
+          success: true,
+          duplicate: true,
+          eventId: event.id,
+          status: event.status,
+          message: 'Webhook already received'
+        });
+      }
       
-      res.json(result);
+      // Acknowledge immediately; the queue worker processes and retries the event
+      res.status(200).json({
+        success: true,
+        eventId: event.id,
+        status: event.status,
+        message: 'Webhook received and queued'
+      });
       
+      this.eventProcessor.notify();
+
     } catch (error) {
-      console.error(`[SocialIntegrationController] Disconnect error:`, error);
-      res.status(500).json({
+      console.error('[Unipile Webhook] Error storing webhook:', error);
+      
+      // Event could not be persisted - ask Unipile to redeliver
+      res.status(503).json({
         success: false,
-        error: 'Failed to disconnect account',
-        message: error.message
+        error: error.message,
+        message: 'Webhook could not be stored, please retry'
       });
     }
   }
   
   /**
-   * Get invitations status
+   * Apollo phone reveal callback (no JWT - authenticated by the one-time token
+   * in the callback URL given to Apollo with the reveal request)
    * 
-   * GET /api/social-integration/:platform/invitations
+   * POST /api/social-integration/webhook/apollo/phone-reveal/:revealId?token=...
    * 
-   * Query params:
-   * - accountId: string (required)
-   * - status: string (optional - 'pending', 'accepted', 'declined')
+   * The phone is written to the lead and the auto-call is placed (or queued
+   * for the call window); repeated callbacks for a reveal are acknowledged and ignored
    */
-  async getInvitationsStatus(req, res) {
+  async handleApolloPhoneReveal(req, res) {
     try {
-      const { platform } = req.params;
-      const { accountId, status } = req.query;
-      
-      if (!accountId) {
-        return res.status(400).json({
-          success: false,
-          error: 'accountId is required'
-        });
-      }
+      const result = await this.webhookService.handleApolloPhoneReveal(req.params.revealId, req.query.token, req.body || {});
       
-      if (!PlatformValidator.isPlatformEnabled(platform)) {
-        return res.status(400).json({
+      if (!result.accepted) {
+        console.warn(`[Apollo Webhook] ❌ Rejected phone reveal callback for ${req.params.revealId} (ip: ${req.ip})`);
+        return res.status(401).json({
           success: false,
-          error: `Platform ${platform} is not enabled`
+          error: 'Invalid phone reveal callback'
         });
       }
       
-      const service = this.getService(platform);
-      
-      const filters = {};
-      if (status) {
-        filters.status = status;
-      }
-      
-      console.log(`[SocialIntegrationController] Getting ${platform} invitations status`);
-      
-      const result = await service.getInvitationsStatus(accountId, filters);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('[Apollo Webhook] Error handling phone reveal callback:', error);
       
-      res.json(result);
+      // Ask Apollo to redeliver
+      res.status(503).json({
+        success: false,
+        error: 'Failed to handle phone reveal callback',
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * List stored webhook events for the tenant (support)
+   * 
+   * GET /api/social-integration/webhook/events?status=failed&eventType=new_relation&accountId=...&limit=50&offset=0
+   */
+  async listWebhookEvents(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      
+      const events = await WebhookEvent.findByTenant(schema, tenantId, {
+        status: req.query.status || null,
+        eventType: req.query.eventType || null,
+        accountId: req.query.accountId || null,
+        limit,
+        offset
+      });
       
+      res.json({
+        success: true,
+        data: events,
+        pagination: { limit, offset, count: events.length }
+      });
     } catch (error) {
-      console.error(`[SocialIntegrationController] Get invitations error:`, error);
+      console.error('[SocialIntegration] Error listing webhook events:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to get invitations status',
+        error: 'Failed to list webhook events',
         message: error.message
       });
     }
   }
   
   /**
-   * Get messages
-   * 
-   * GET /api/social-integration/:platform/messages
+   * Get a stored webhook event with payload and result
    * 
-   * Query params:
-   * - accountId: string (required)
-   * - conversationId: string (optional)
-   * - since: timestamp (optional)
+   * GET /api/social-integration/webhook/events/:eventId
    */
-  async getMessages(req, res) {
+  async getWebhookEvent(req, res) {
     try {
-      const { platform } = req.params;
-      const { accountId, conversationId, since } = req.query;
-      
-      if (!accountId) {
-        return res.status(400).json({
-          success: false,
-          error: 'accountId is required'
-        });
-      }
+      const { tenantId, schema } = req.tenantContext;
+      const event = await WebhookEvent.findById(schema, tenantId, req.params.eventId);
       
-      if (!PlatformValidator.isPlatformEnabled(platform)) {
-        return res.status(400).json({
+      if (!event) {
+        return res.status(404).json({
           success: false,
-          error: `Platform ${platform} is not enabled`
+          error: 'Webhook event not found'
         });
       }
       
-      const service = this.getService(platform);
-      
-      const filters = {};
-      if (conversationId) filters.conversation_id = conversationId;
-      if (since) filters.since = since;
-      
-      console.log(`[SocialIntegrationController] Getting ${platform} messages`);
-      
-      const result = await service.getMessages(accountId, filters);
-      
-      res.json(result);
-      
+      res.json({
+        success: true,
+        data: event
+      });
     } catch (error) {
-      console.error(`[SocialIntegrationController] Get messages error:`, error);
+      console.error('[SocialIntegration] Error getting webhook event:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to get messages',
+        error: 'Failed to get webhook event',
         message: error.message
       });
     }
   }
   
   /**
-   * Get conversations
+   * Test webhook endpoint (GET) to verify accessibility
    * 
-   * GET /api/social-integration/:platform/conversations
+   * GET /api/social-integration/webhook/test
+   */
+  async testWebhook(req, res) {
+    res.json({
+      success: true,
+      message: 'Unipile webhook endpoint is accessible',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  /**
+   * Rotate the tenant's webhook secret
+   * The previous secret stays valid for graceMinutes so Unipile can be updated without dropped events.
+   * The new secret is only returned once.
    * 
-   * Query params:
-   * - accountId: string (required)
+   * POST /api/social-integration/webhook/secrets/rotate
+   * Body: { secret?, graceMinutes? }
    */
-  async getConversations(req, res) {
+  async rotateWebhookSecret(req, res) {
     try {
-      const { platform } = req.params;
-      const { accountId } = req.query;
+      const { tenantId, userId, schema } = req.tenantContext;
+      const { secret, graceMinutes = 1440 } = req.body || {};
       
-      if (!accountId) {
+      if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
         return res.status(400).json({
           success: false,
-          error: 'accountId is required'
+          error: 'Secret must be a string of at least 16 characters'
         });
       }
       
-      if (!PlatformValidator.isPlatformEnabled(platform)) {
+      const grace = Number(graceMinutes);
+      if (!Number.isInteger(grace) || grace < 0 || grace > 10080) {
         return res.status(400).json({
           success: false,
-          error: `Platform ${platform} is not enabled`
+          error: 'graceMinutes must be an integer between 0 and 10080'
         });
       }
       
-      const service = this.getService(platform);
-      
-      console.log(`[SocialIntegrationController] Getting ${platform} conversations`);
-      
-      const result = await service.getConversations(accountId);
+      const newSecret = secret || generateSecret();
+      const row = await WebhookSecret.rotate(schema, tenantId, {
+        secret: newSecret,
+        graceMinutes: grace,
+        createdBy: userId
+      });
       
-      res.json(result);
+      console.log(`[SocialIntegration] 🔑 Rotated webhook secret for tenant ${tenantId} (grace: ${grace}min)`);
       
+      res.json({
+        success: true,
+        data: {
+          id: row.id,
+          secret: newSecret,
+          createdAt: row.created_at,
+          previousValidForMinutes: grace
+        }
+      });
     } catch (error) {
-      console.error(`[SocialIntegrationController] Get conversations error:`, error);
+      console.error('[SocialIntegration] Error rotating webhook secret:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to get conversations',
+        error: 'Failed to rotate webhook secret',
         message: error.message
       });
     }
   }
   
   /**
-   * Handle Unipile webhook events
-   * 
-   * POST /api/social-integration/webhook
-   * 
-   * Handles events like:
-   * - new_relation (primary event for connection acceptance)
-   * - connection.accepted / invitation.accepted
-   * - connection.sent / invitation.sent
-   * - connection.declined / invitation.declined
-   * - AccountStatus (account state changes: OK, ERROR, CREDENTIALS, etc.)
-   * - message.received
+   * List rejected webhook deliveries for the tenant (spoofing audit)
    * 
-   * 📡 Unipile Webhook Timing:
-   * - Best Case: 1-5 seconds (active sync)
-   * - Normal: 5-30 seconds (most notifications)
-   * - Typical: 30-60 seconds (average)
-   * - Delayed: 1-2 minutes (high load)
-   * - Very Delayed: 15-30 minutes (inactive account, waiting for sync cycle)
+   * GET /api/social-integration/webhook/rejections?limit=50&offset=0&reason=invalid_signature
    */
-  async handleWebhook(req, res) {
+  async listWebhookRejections(req, res) {
     try {
-      const payload = req.body;
-      
-      // Check if this is an AccountStatus webhook (Unipile format)
-      // Format: { "AccountStatus": { "account_id": "...", "account_type": "LINKEDIN", "message": "OK|ERROR|CREDENTIALS|..." } }
-      if (payload.AccountStatus) {
-        console.log(`[Unipile Webhook] 📨 Received AccountStatus webhook`);
-        console.log(`[Unipile Webhook] Account ID: ${payload.AccountStatus.account_id}`);
-        console.log(`[Unipile Webhook] Account Type: ${payload.AccountStatus.account_type}`);
-        console.log(`[Unipile Webhook] Status Message: ${payload.AccountStatus.message}`);
-        
-        // Handle account status update
-        await this.webhookService.handleAccountStatusChanged(payload.AccountStatus);
-        
-        return res.status(200).json({
-          success: true,
-          message: 'AccountStatus webhook received and processed'
-        });
-      }
-      
-      // Handle other webhook formats (connection events, etc.)
-      const event = payload.event || payload.type || payload.object;
-      const timestamp = payload.timestamp || new Date().toISOString();
-      
-      // Log receipt with timing info
-      const receivedAt = new Date();
-      console.log(`[Unipile Webhook] 📨 Received event: ${event} at ${timestamp}`);
-      console.log(`[Unipile Webhook] ⏰ Webhook received at: ${receivedAt.toISOString()}`);
+      const { tenantId, schema } = req.tenantContext;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      
+      const rejections = await WebhookRejection.findByTenant(schema, tenantId, {
+        limit,
+        offset,
+        reason: req.query.reason || null
+      });
       
-      // Calculate delay if timestamp provided
-      if (payload.timestamp) {
-        try {
-          const eventTime = new Date(payload.timestamp);
-          const delayMs = receivedAt - eventTime;
-          const delaySeconds = Math.round(delayMs / 1000);
-          if (delaySeconds > 0) {
-            console.log(`[Unipile Webhook] ⏱️  Estimated delay: ~${delaySeconds} seconds`);
-          }
-        } catch (timeError) {
-          // Ignore timestamp parsing errors
-        }
-      }
-
-      // Handle different event types
-      // Note: "new_relation" is the primary event type for "New Reaction / Read / Event" webhooks
-      // It fires when someone accepts your LinkedIn connection request
-      switch (event) {
-        case 'connection.accepted':
-        case 'invitation.accepted':
-        case 'new_relation':  // Primary event type from Unipile "Users" webhook
-        case 'relation':      // Alternative event name
-          console.log(`[Unipile Webhook] ✅ Processing connection acceptance event`);
-          await this.webhookService.handleConnectionAccepted(payload);
-          break;
-
-        case 'connection.sent':
-        case 'invitation.sent':
-          console.log(`[Unipile Webhook] 📤 Processing connection sent event`);
-          await this.webhookService.handleConnectionSent(payload);
-          break;
-
-        case 'connection.declined':
-        case 'invitation.declined':
-          console.log(`[Unipile Webhook] ❌ Processing connection declined event`);
-          await this.webhookService.handleConnectionDeclined(payload);
-          break;
-
-        case 'account.status_changed':
-        case 'account.status':
-        case 'account.state_changed':
-        case 'account.state':
-          console.log(`[Unipile Webhook] 🔄 Processing account status changed event`);
-          await this.webhookService.handleAccountStatusChanged(payload);
-          break;
-
-        case 'message.received':
-          console.log(`[Unipile Webhook] 💬 Message received event`);
-          // TODO: Implement message handling
-          break;
-
-        default:
-          console.log(`[Unipile Webhook] ℹ️ Unhandled event type: ${event}`);
-      }
-
-      // Always return 200 to acknowledge receipt
-      res.status(200).json({
+      res.json({
         success: true,
-        message: 'Webhook received and processed'
+        data: rejections,
+        pagination: { limit, offset, count: rejections.length }
       });
-
     } catch (error) {
-      console.error('[Unipile Webhook] Error processing webhook:', error);
-      
-      // Still return 200 to prevent Unipile from retrying
-      // Log the error for manual investigation
-      res.status(200).json({
+      console.error('[SocialIntegration] Error listing webhook rejections:', error);
+      res.status(500).json({
         success: false,
-        error: error.message,
-        message: 'Webhook received but processing failed'
+        error: 'Failed to list webhook rejections',
+        message: error.message
       });
     }
   }
   
   /**
-   * Test webhook endpoint (GET) to verify accessibility
+   * List dead-lettered webhook events for the tenant
    * 
-   * GET /api/social-integration/webhook/test
+   * GET /api/social-integration/webhook/dead-letters?status=pending|replayed&eventType=...&limit=50&offset=0
    */
-  async testWebhook(req, res) {
-    res.json({
-      success: true,
-      message: 'Unipile webhook endpoint is accessible',
-      timestamp: new Date().toISOString()
-    });
+  async listDeadLetters(req, res) {
+    try {
+      const { tenantId, schema } = req.tenantContext;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      
+      const deadLetters = await WebhookDeadLetter.findByTenant(schema, tenantId, {
+        status: req.query.status || null,
+        eventType: req.query.eventType || null,
+        limit,
+        offset
+      });
+      
+      res.json({
+        success: true,
+        data: deadLetters,
+        pagination: { limit, offset, count: deadLetters.length }
+      });
+    } catch (error) {
+      console.error('[SocialIntegration] Error listing dead letters:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list dead-lettered events',
+        message: error.message
+      });
+    }
   }
   
   /**
-   * TODO: Deduct credits from user account
-   * This should integrate with your credit/billing system
+   * Replay a dead-lettered webhook event
+   * The original event is re-queued with a fresh retry budget
+   * 
+   * POST /api/social-integration/webhook/dead-letters/:deadLetterId/replay
    */
-  async deductCredits(userId, credits, platform, action) {
-    // Implementation depends on your credit system
-    console.log(`[Credits] Deducting ${credits} credits from user ${userId} for ${platform}/${action}`);
-    
-    // Example implementation:
-    // const query = `
-    //   INSERT INTO credit_transactions (user_id, credits, feature, action, created_at)
-    //   VALUES ($1, $2, $3, $4, NOW())
-    // `;
-    // await this.db.query(query, [userId, -credits, `social-integration-${platform}`, action]);
+  async replayDeadLetter(req, res) {
+    try {
+      const { tenantId, userId, schema } = req.tenantContext;
+      const { deadLetterId } = req.params;
+      
+      const deadLetter = await WebhookDeadLetter.findById(schema, tenantId, deadLetterId);
+      if (!deadLetter) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dead-lettered event not found'
+        });
+      }
+      
+      const event = await WebhookDeadLetter.replay(schema, tenantId, deadLetterId, userId);
+      if (!event) {
+        return res.status(409).json({
+          success: false,
+          error: 'Event has already been replayed'
+        });
+      }
+      
+      console.log(`[SocialIntegration] 🔁 Replaying dead-lettered event ${event.id} for tenant ${tenantId}`);
+      this.eventProcessor.notify();
+      
+      res.status(202).json({
+        success: true,
+        data: {
+          deadLetterId,
+          eventId: event.id,
+          status: event.status
+        },
+        message: 'Event re-queued for processing'
+      });
+    } catch (error) {
+      console.error('[SocialIntegration] Error replaying dead letter:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to replay event',
+        message: error.message
+      });
+    }
   }
 }
 
@@ -46,7 +46,16 @@ module.exports = {
         invitation: 1,        // Credits per connection request sent
         message: 2,           // Credits per message sent
         lookup: 0.5,          // Credits per profile lookup
-      }
+      },
+      // Per-account send caps (UTC day / ISO week), kept under LinkedIn's restriction thresholds
+      quotas: {
+        invitation: { daily: 20, weekly: 100 },
+        message: { daily: 100, weekly: 500 }
+      },
+      // New accounts ramp their daily caps from startDaily to the quota over `days`
+      warmup: { enabled: true, days: 14, startDaily: 5, actions: ['invitation', 'message'] },
+      // Longest text accepted per kind (invitation notes, messages); rendered templates are checked against it
+      messageLimits: { invitation: 300, message: 8000 }
     },
     instagram: {
       enabled: true,
@@ -58,7 +67,14 @@ module.exports = {
         follow: 0.5,
         message: 2,
         lookup: 0.5,
-      }
+      },
+      invitationAction: 'follow',  // Batch/single invitations are follows
+      quotas: {
+        follow: { daily: 50, weekly: 300 },
+        message: { daily: 50, weekly: 300 }
+      },
+      warmup: { enabled: true, days: 10, startDaily: 10, actions: ['follow', 'message'] },
+      messageLimits: { message: 1000 }
     },
     whatsapp: {
       enabled: true,
@@ -68,7 +84,11 @@ module.exports = {
       costPerAction: {
         connect: 1,
         message: 3,           // Higher cost due to direct messaging
-      }
+      },
+      quotas: {
+        message: { daily: 250, weekly: 1500 }
+      },
+      messageLimits: { message: 4096 }
     },
     facebook: {
       enabled: true,
@@ -80,17 +100,46 @@ module.exports = {
         friendRequest: 1,
         message: 2,
         lookup: 0.5,
-      }
+      },
+      invitationAction: 'friendRequest',  // Batch/single invitations are friend requests
+      quotas: {
+        friendRequest: { daily: 20, weekly: 100 },
+        message: { daily: 50, weekly: 300 }
+      },
+      warmup: { enabled: true, days: 14, startDaily: 5, actions: ['friendRequest', 'message'] },
+      messageLimits: { message: 2000 }
     }
   },
   
+  // Default send windows (ISO weekdays, 1 = Monday), overridable per account in
+  // social_accounts.metadata.schedule. Hours are read in the prospect's timezone
+  // when it can be inferred (useProspectTimezone), else in `timezone`;
+  // auto-calls use `calls` where it narrows the window.
+  sendSchedule: {
+    enabled: false,
+    timezone: 'UTC',
+    days: [1, 2, 3, 4, 5],
+    start: '09:00',
+    end: '18:00',
+    useProspectTimezone: true,
+    calls: { start: '09:00', end: '17:00' }
+  },
+  
   // API Configuration
   api: {
     basePath: '/api/social-integration',
     requiresAuth: true,
     rateLimit: {
       windowMs: 15 * 60 * 1000, // 15 minutes
-      maxRequests: 100
+      maxRequests: 100,         // Per user per window
+      tenantMaxRequests: 1000,  // Per tenant per window (all users)
+      // Tighter limits on routes that spend Unipile quota (matched against the route path)
+      routes: {
+        '/:platform/send-*': { windowMs: 60 * 1000, maxRequests: 10 },
+        '/:platform/batch-send-invitations': { windowMs: 15 * 60 * 1000, maxRequests: 5 },
+        '/:platform/lookup': { windowMs: 60 * 1000, maxRequests: 10, tenantMaxRequests: 60 },
+        '/inbox/sync': { windowMs: 5 * 60 * 1000, maxRequests: 2 }
+      }
     }
   },
   
@@ -109,6 +158,45 @@ module.exports = {
     'INSTAGRAM_APP_SECRET',
     'FACEBOOK_APP_ID',
     'FACEBOOK_APP_SECRET',
+    'UNIPILE_WEBHOOK_SECRET',             // Global webhook secret (used when a tenant has none)
+    'UNIPILE_WEBHOOK_SECRET_PREVIOUS',    // Previous global secret, valid during rotation
+    'UNIPILE_WEBHOOK_TOLERANCE_SECONDS',  // Replay window (default: 300)
+    'UNIPILE_WEBHOOK_REQUIRE_TIMESTAMP',  // Set to false to accept shared-secret deliveries without a timestamp
+    'UNIPILE_WEBHOOK_ALLOW_UNSIGNED',     // Development only: skip verification (ignored in production)
+    'UNIPILE_WEBHOOK_DEDUP_WINDOW_MINUTES', // Dedup window for payloads without ID/timestamp (default: 10)
+    'UNIPILE_WEBHOOK_WORKER_ENABLED',     // Set 'false' to disable the webhook queue worker on this instance
+    'UNIPILE_WEBHOOK_WORKER_INTERVAL_SECONDS', // Queue poll interval (default: 15)
+    'UNIPILE_WEBHOOK_MAX_ATTEMPTS',       // Attempts before dead-lettering (default: 5)
+    'UNIPILE_WEBHOOK_RETRY_BASE_SECONDS', // First retry delay, doubled per attempt (default: 30)
+    'UNIPILE_WEBHOOK_RETRY_MAX_SECONDS',  // Retry delay cap (default: 3600)
+    'SOCIAL_REPLIED_STAGE_KEY',           // Default lead_stages key for replies when the tenant has no mapping (default: 'replied')
+    'SOCIAL_INVITATION_JOB_WORKER_ENABLED', // Set 'false' to disable the batch invitation runner on this instance
+    'SOCIAL_INVITATION_JOB_POLL_SECONDS', // Invitation job poll interval (default: 30)
+    'SOCIAL_INVITATION_JOB_CONCURRENCY',  // Jobs run at once per instance (default: 2)
+    'SOCIAL_INVITATION_JOB_MAX_PROFILES', // Profiles per batch (default: 1000)
+    'SOCIAL_EMPLOYEE_AUTO_PROCESSOR_ENABLED', // Set 'true' to run the employee auto-processor on this instance
+    'SOCIAL_EMPLOYEE_AUTO_PROCESSOR_INTERVAL_MINUTES', // Employee auto-processor fallback interval (default: 5)
+    'SOCIAL_SEQUENCE_WORKER_ENABLED',     // Set 'false' to disable the sequence runner on this instance
+    'SOCIAL_SEQUENCE_POLL_SECONDS',       // Sequence runner poll interval (default: 60)
+    'SOCIAL_SEQUENCE_BATCH_SIZE',         // Due enrollments claimed per poll (default: 20)
+    'SOCIAL_SEQUENCE_MAX_ENROLL',         // Leads per enroll request (default: 1000)
+    'SOCIAL_SEQUENCE_STOP_KEYWORDS',      // Inbound words that unsubscribe from sequences (default: stop,unsubscribe,opt out,remove me)
+    'SOCIAL_RATE_LIMIT_ENABLED',          // Set 'false' to disable API rate limiting
+    'SOCIAL_RATE_LIMIT_STORE',            // 'memory' (default, single instance) or 'postgres' (shared across instances)
+    'UNIPILE_MAX_RETRIES',                // Retries for throttled/failed Unipile calls (default: 3)
+    'UNIPILE_RETRY_BASE_MS',              // First backoff ceiling, doubled per retry (default: 500)
+    'UNIPILE_RETRY_MAX_MS',               // Backoff cap (default: 10000)
+    'UNIPILE_RETRY_AFTER_MAX_SECONDS',    // Longest Retry-After waited out in-request (default: 30)
+    'UNIPILE_BREAKER_FAILURE_THRESHOLD',  // Consecutive 5xx/network failures that open the circuit (default: 5)
+    'UNIPILE_BREAKER_COOLDOWN_SECONDS',   // Time the circuit stays open before a probe (default: 30)
+    'SOCIAL_CREDITS_ENABLED',             // Set 'false' to run actions without charging credits
+    'SOCIAL_SCHEDULED_CALL_WORKER_ENABLED', // Set 'false' to disable the scheduled auto-call runner on this instance
+    'SOCIAL_SCHEDULED_CALL_POLL_SECONDS', // Scheduled auto-call poll interval (default: 60)
+    'APOLLO_API_KEY',                     // Apollo API key for phone reveals (reveals stop at LinkedIn contact info without it)
+    'APOLLO_API_URL',                     // Apollo API base URL (default: https://api.apollo.io/api/v1; point at a local fake in tests)
+    'APOLLO_API_TIMEOUT_MS',              // Apollo request timeout (default: 15000)
+    'APOLLO_WEBHOOK_BASE_URL',            // Public base URL Apollo calls back (default: BASE_URL)
+    'SOCIAL_PHONE_REVEAL_TIMEOUT_MINUTES', // Pending Apollo reveal replaced by a new request after (default: 60)
   ],
   
   // Database tables used
@@ -117,7 +205,28 @@ module.exports = {
       'users_voiceagent',          // User authentication
       'social_accounts',           // Connected social accounts (to be created)
       'social_invitations',        // Invitation tracking (to be created)
-      'credit_transactions',       // Credit usage tracking
+      'social_activities',         // Outbound invitations, messages and lookups with webhook responses
+      'credit_balances',           // Tenant credit balance and reserved credits
+      'credit_reservations',       // Credits held for in-flight actions and batch jobs
+      'credit_transactions',       // Credit ledger (grant/reserve/capture/refund)
+      'webhook_secrets',           // Per-tenant webhook secrets (rotation)
+      'webhook_rejections',        // Audit log of rejected webhook deliveries
+      'webhook_events',            // Durable webhook event store and processing queue
+      'webhook_dead_letters',      // Webhook events that exhausted retries
+      'social_messages',           // Inbound/outbound messages linked to leads
+      'social_conversations',      // Unified inbox threads (unread/archived state)
+      'social_invitation_jobs',    // Persistent batch invitation jobs
+      'social_invitation_job_items', // Per-profile outcomes of invitation jobs
+      'social_sequences',          // Multi-step outreach sequences
+      'social_sequence_enrollments', // Leads enrolled in sequences and their step state
+      'social_message_templates',  // Invitation/message templates with variables
+      'social_scheduled_calls',    // Auto-calls queued until the account's call window opens
+      'social_stage_mappings',     // Per-tenant lead stage for each social event
+      'social_lead_identities',    // Lead provider IDs / canonical slugs for webhook matching
+      'social_lead_merges',        // Duplicate leads merged into another lead
+      'social_phone_reveals',      // Apollo phone reveals waiting for their callback
+      'social_quota_usage',        // Per-account daily send counters (quotas)
+      'social_rate_limits',        // Shared API rate limit counters (postgres store)
     ]
   },
   
@@ -157,6 +266,34 @@ module.exports = {
       auth: true,
       params: ['platform']
     },
+    {
+      method: 'POST',
+      path: '/:platform/reconnect',
+      description: 'Re-authenticate a stopped account in place (same account ID)',
+      auth: true,
+      params: ['platform']
+    },
+    {
+      method: 'POST',
+      path: '/:platform/verify-otp',
+      description: 'Submit OTP/2FA code for a pending account checkpoint',
+      auth: true,
+      params: ['platform']
+    },
+    {
+      method: 'POST',
+      path: '/:platform/solve-checkpoint',
+      description: 'Submit captcha answer or in-app validation confirmation for a pending checkpoint',
+      auth: true,
+      params: ['platform']
+    },
+    {
+      method: 'GET',
+      path: '/:platform/checkpoint-status',
+      description: 'Poll checkpoint state of a pending account',
+      auth: true,
+      params: ['platform']
+    },
     {
       method: 'POST',
       path: '/:platform/send-invitation',
@@ -167,7 +304,7 @@ module.exports = {
     {
       method: 'POST',
       path: '/:platform/batch-send-invitations',
-      description: 'Batch send invitations with automatic delays',
+      description: 'Queue a background job that sends invitations with automatic delays',
       auth: true,
       params: ['platform']
     },
@@ -217,13 +354,14 @@ module.exports = {
       path: '/webhook',
       description: 'Unipile webhook for platform events (connection accepted/declined, messages, account status)',
       auth: false,
+      verification: 'Unipile-Auth shared secret or X-Unipile-Signature HMAC, with replay window',
       events: [
         'new_relation - Primary event when connection request is accepted',
         'connection.accepted / invitation.accepted - Alternative acceptance events',
         'connection.sent / invitation.sent - Connection request sent',
         'connection.declined / invitation.declined - Connection request declined',
         'AccountStatus - Account state changes (OK, ERROR, STOPPED, CREDENTIALS, etc.)',
-        'message.received - New message received'
+        'message_received / message.received - New message on any connected platform (stored, lead moved to "replied")'
       ],
       timing: {
         best: '1-5 seconds (active sync)',
@@ -234,7 +372,7 @@ module.exports = {
       },
       automated: {
         leadUpdates: 'Automatically updates lead status when connections accepted',
-        phoneReveal: 'Triggers phone number reveal via Apollo when LinkedIn connections accepted',
+        phoneReveal: 'Reveals the phone from LinkedIn contact info, else via Apollo (async callback) when LinkedIn connections accepted',
         autoCall: 'Can trigger automatic voice calls after connections (configurable via LINKEDIN_AUTO_CALL_ENABLED)'
       }
     },
@@ -243,6 +381,311 @@ module.exports = {
       path: '/webhook/test',
       description: 'Test endpoint to verify webhook accessibility',
       auth: false
+    },
+    {
+      method: 'POST',
+      path: '/webhook/apollo/phone-reveal/:revealId',
+      description: 'Apollo phone reveal callback: writes the phone to the lead and places the auto-call',
+      auth: false,
+      verification: 'One-time token in the callback URL (?token=)'
+    },
+    {
+      method: 'POST',
+      path: '/webhook/secrets/rotate',
+      description: 'Rotate the tenant webhook secret (previous secret stays valid for a grace period)',
+      auth: true,
+      admin: true
+    },
+    {
+      method: 'GET',
+      path: '/webhook/rejections',
+      description: 'List rejected webhook deliveries for spoofing audit',
+      auth: true,
+      admin: true
+    },
+    {
+      method: 'GET',
+      path: '/webhook/events',
+      description: 'List stored webhook events with processing status (filter by status, eventType, accountId)',
+      auth: true,
+      admin: true
+    },
+    {
+      method: 'GET',
+      path: '/webhook/events/:eventId',
+      description: 'Get a stored webhook event with payload and result',
+      auth: true,
+      admin: true
+    },
+    {
+      method: 'GET',
+      path: '/webhook/dead-letters',
+      description: 'List webhook events that exhausted their retries',
+      auth: true,
+      admin: true
+    },
+    {
+      method: 'POST',
+      path: '/webhook/dead-letters/:deadLetterId/replay',
+      description: 'Re-queue a dead-lettered webhook event',
+      auth: true,
+      admin: true
+    },
+    {
+      method: 'GET',
+      path: '/inbox/conversations',
+      description: 'Unified inbox across platforms (filters, search, cursor pagination)',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/inbox/leads',
+      description: 'Unified inbox grouped per lead',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/inbox/unread-counts',
+      description: 'Unread counts per platform and account',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/inbox/conversations/:conversationId/messages',
+      description: 'Messages of an inbox conversation',
+      auth: true
+    },
+    {
+      method: 'POST',
+      path: '/inbox/conversations/:conversationId/read',
+      description: 'Mark an inbox conversation as read',
+      auth: true
+    },
+    {
+      method: 'POST',
+      path: '/inbox/conversations/:conversationId/archive',
+      description: 'Archive or unarchive an inbox conversation',
+      auth: true
+    },
+    {
+      method: 'POST',
+      path: '/inbox/sync',
+      description: 'Sync chats and recent messages from Unipile',
+      auth: true
+    },
+    {
+      method: 'PUT',
+      path: '/:platform/quotas',
+      description: 'Override an account\'s daily/weekly send quotas',
+      auth: true,
+      admin: true,
+      params: ['platform']
+    },
+    {
+      method: 'PUT',
+      path: '/:platform/warmup',
+      description: 'Configure or restart an account\'s warm-up ramp',
+      auth: true,
+      admin: true,
+      params: ['platform']
+    },
+    {
+      method: 'PUT',
+      path: '/:platform/schedule',
+      description: 'Set an account\'s allowed send/call days and hours',
+      auth: true,
+      admin: true,
+      params: ['platform']
+    },
+    {
+      method: 'GET',
+      path: '/invitation-jobs',
+      description: 'List batch invitation jobs',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/invitation-jobs/:jobId',
+      description: 'Batch invitation job status and progress',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/invitation-jobs/:jobId/items',
+      description: 'Per-profile results of a batch invitation job',
+      auth: true
+    },
+    {
+      method: 'POST',
+      path: '/invitation-jobs/:jobId/pause',
+      description: 'Pause a batch invitation job',
+      auth: true
+    },
+    {
+      method: 'POST',
+      path: '/invitation-jobs/:jobId/resume',
+      description: 'Resume a paused batch invitation job',
+      auth: true
+    },
+    {
+      method: 'POST',
+      path: '/invitation-jobs/:jobId/cancel',
+      description: 'Cancel a batch invitation job',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/credits',
+      description: 'Tenant credit balance and ledger entries',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/activities',
+      description: 'Outbound activity history (filter by platform, account, type, status, date range)',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/activities/stats',
+      description: 'Activity counters with acceptance and reply rates',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/analytics/funnel',
+      description: 'Invitation funnel (sent, accepted, replied, call triggered) by platform, account, user, source and variant',
+      auth: true
+    },
+    {
+      method: 'POST',
+      path: '/sequences',
+      description: 'Create a multi-step outreach sequence',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/sequences',
+      description: 'List sequences with enrollment counts',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/sequences/:sequenceId',
+      description: 'Get a sequence',
+      auth: true
+    },
+    {
+      method: 'PATCH',
+      path: '/sequences/:sequenceId',
+      description: 'Update, pause, resume or archive a sequence',
+      auth: true
+    },
+    {
+      method: 'POST',
+      path: '/sequences/:sequenceId/enroll',
+      description: 'Enroll leads in a sequence',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/sequences/:sequenceId/enrollments',
+      description: 'List enrollments of a sequence',
+      auth: true
+    },
+    {
+      method: 'POST',
+      path: '/sequences/enrollments/:enrollmentId/unsubscribe',
+      description: 'Unsubscribe an enrolled lead',
+      auth: true
+    },
+    {
+      method: 'POST',
+      path: '/sequences/enrollments/:enrollmentId/remove',
+      description: 'Remove an enrolled lead from its sequence',
+      auth: true
+    },
+    {
+      method: 'POST',
+      path: '/templates',
+      description: 'Create an invitation or message template with variables',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/templates',
+      description: 'List message templates (filter by kind, platform)',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/templates/:templateId',
+      description: 'Get a message template',
+      auth: true
+    },
+    {
+      method: 'PATCH',
+      path: '/templates/:templateId',
+      description: 'Update a template name, body or fallbacks',
+      auth: true
+    },
+    {
+      method: 'DELETE',
+      path: '/templates/:templateId',
+      description: 'Delete a template not used by any sequence',
+      auth: true
+    },
+    {
+      method: 'POST',
+      path: '/templates/:templateId/preview',
+      description: 'Render a template for sample profiles and check platform length limits',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/scheduled-calls',
+      description: 'Auto-calls waiting for their account\'s call window',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/leads/duplicates',
+      description: 'Probable duplicate leads grouped by shared LinkedIn profile, email, phone or handle',
+      auth: true,
+      admin: true
+    },
+    {
+      method: 'POST',
+      path: '/leads/:leadId/merge',
+      description: 'Merge duplicate leads into a lead',
+      auth: true,
+      admin: true
+    },
+    {
+      method: 'GET',
+      path: '/leads/:leadId/social-timeline',
+      description: 'Activities, inbound messages, webhook events and auto-calls for a lead, oldest first',
+      auth: true
+    },
+    {
+      method: 'GET',
+      path: '/stage-mappings',
+      description: 'Lead stage each social event moves a lead to',
+      auth: true
+    },
+    {
+      method: 'PUT',
+      path: '/stage-mappings',
+      description: 'Map social events to lead_stages keys',
+      auth: true,
+      admin: true
+    },
+    {
+      method: 'DELETE',
+      path: '/stage-mappings/:event',
+      description: 'Remove an event mapping and use the default stage key',
+      auth: true,
+      admin: true
     }
   ],
   
@@ -253,7 +696,7 @@ module.exports = {
     webhookSupport: true,        // Handle Unipile webhooks
     analyticsTracking: true,     // Track success/failure metrics
     autoCallOnAccept: true,      // Automatically call leads when connection accepted
-    phoneReveal: true,           // Automatically reveal phone numbers via Apollo
+    phoneReveal: true,           // Automatically reveal phone numbers (LinkedIn contact info, then Apollo)
   },
   
   // Webhook configuration
@@ -266,13 +709,18 @@ module.exports = {
       'connection.sent',
       'connection.declined',
       'AccountStatus',
+      'message_received',
       'message.received'
     ],
     features: {
-      duplicatePrevention: true,   // Prevents duplicate event processing
+      signatureVerification: true, // Rejects unsigned/spoofed/replayed deliveries
+      duplicatePrevention: true,   // Durable idempotency via webhook_events (shared across replicas)
+      asyncProcessing: true,       // Acknowledge immediately, process from persistent queue
+      retries: true,               // Exponential backoff, dead-letter after max attempts
       autoLeadCreation: true,       // Auto-creates leads from connections
       leadStatusUpdates: true,      // Updates lead statuses based on events
-      phoneReveal: true,            // Triggers phone reveal via Apollo
+      messageStore: true,           // Stores messages and moves replying leads to "replied"
+      phoneReveal: true,            // Triggers phone reveal (LinkedIn contact info, then Apollo callback)
       autoCall: true,               // Triggers automatic calls (configurable)
       batchMode: false              // Batch mode for scheduled calls vs immediate
     }
@@ -0,0 +1,149 @@
+/**
+ * Rate Limit Middleware for Social Integration Feature
+ *
+ * Enforces manifest.api.rateLimit on protected routes:
+ * - Per user (maxRequests) and per tenant (tenantMaxRequests) per window
+ * - Per-route overrides in rateLimit.routes, keyed by route path pattern
+ *   ('*' matches within one path segment, e.g. '/:platform/send-*')
+ * - RateLimit-Limit / -Remaining / -Reset / -Policy headers on every response,
+ *   Retry-After on 429
+ * Must run after requireTenantContext. Store errors fail open.
+ */
+
+const manifest = require('../manifest');
+const { createStore } = require('../utils/rateLimitStore');
+
+let store = null;
+
+/**
+ * Replace the counter store (e.g. a Redis-backed store in a cluster)
+ *
+ * @param {Object} customStore - Object with increment(key, windowMs) => { count, resetAt }
+ */
+function setRateLimitStore(customStore) {
+  store = customStore;
+}
+
+function getStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+/**
+ * Convert a route pattern to a RegExp ('*' stays within a path segment)
+ */
+function patternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Find the route override matching an Express route path
+ *
+ * @param {string} routePath - req.route.path (e.g. '/:platform/lookup')
+ * @returns {Object|null} { pattern, windowMs, maxRequests, tenantMaxRequests }
+ */
+function getRouteOverride(routePath) {
+  const routes = manifest.api.rateLimit.routes || {};
+
+  for (const [pattern, config] of Object.entries(routes)) {
+    if (patternToRegExp(pattern).test(routePath)) {
+      return { pattern, ...config };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Counters that apply to a request
+ */
+function getPolicies(req) {
+  const config = manifest.api.rateLimit;
+  const { tenantId, userId } = req.tenantContext;
+  const policies = [];
+
+  if (userId && config.maxRequests) {
+    policies.push({ scope: 'user', key: `user:${tenantId}:${userId}`, windowMs: config.windowMs, max: config.maxRequests });
+  }
+  if (config.tenantMaxRequests) {
+    policies.push({ scope: 'tenant', key: `tenant:${tenantId}`, windowMs: config.windowMs, max: config.tenantMaxRequests });
+  }
+
+  const override = req.route?.path ? getRouteOverride(req.route.path) : null;
+  if (override) {
+    const windowMs = override.windowMs || config.windowMs;
+    if (userId && override.maxRequests) {
+      policies.push({ scope: 'route', key: `route:${override.pattern}:user:${tenantId}:${userId}`, windowMs, max: override.maxRequests });
+    }
+    if (override.tenantMaxRequests) {
+      policies.push({ scope: 'route_tenant', key: `route:${override.pattern}:tenant:${tenantId}`, windowMs, max: override.tenantMaxRequests });
+    }
+  }
+
+  return policies;
+}
+
+/**
+ * Rate limit protected routes
+ * Headers describe the most restrictive counter; a 429 reports the one
+ * that takes longest to reset
+ */
+async function rateLimit(req, res, next) {
+  if (process.env.SOCIAL_RATE_LIMIT_ENABLED === 'false' || !req.tenantContext?.tenantId) {
+    return next();
+  }
+
+  let results;
+  try {
+    const policies = getPolicies(req);
+    if (policies.length === 0) {
+      return next();
+    }
+
+    const counts = await Promise.all(policies.map(policy => getStore().increment(policy.key, policy.windowMs)));
+    results = policies.map((policy, i) => ({
+      ...policy,
+      remaining: Math.max(policy.max - counts[i].count, 0),
+      exceeded: counts[i].count > policy.max,
+      resetAt: counts[i].resetAt
+    }));
+  } catch (error) {
+    console.error('[RateLimit] Store error, allowing request:', error.message);
+    return next();
+  }
+
+  const exceeded = results.filter(result => result.exceeded);
+  const binding = exceeded.length > 0
+    ? exceeded.reduce((a, b) => (b.resetAt > a.resetAt ? b : a))
+    : results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+  const resetSeconds = Math.max(Math.ceil((binding.resetAt - Date.now()) / 1000), 0);
+
+  res.set('RateLimit-Limit', String(binding.max));
+  res.set('RateLimit-Remaining', String(binding.remaining));
+  res.set('RateLimit-Reset', String(resetSeconds));
+  res.set('RateLimit-Policy', results.map(result => `${result.max};w=${Math.round(result.windowMs / 1000)}`).join(', '));
+
+  if (exceeded.length > 0) {
+    res.set('Retry-After', String(Math.max(resetSeconds, 1)));
+    console.warn(`[RateLimit] ⛔ ${binding.scope} limit reached for tenant ${req.tenantContext.tenantId} on ${req.method} ${req.route?.path || req.path}`);
+
+    return res.status(429).json({
+      success: false,
+      error: 'Too many requests',
+      scope: binding.scope,
+      retryAfter: Math.max(resetSeconds, 1)
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  rateLimit,
+  setRateLimitStore,
+  getRouteOverride
+};
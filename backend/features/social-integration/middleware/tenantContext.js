@@ -0,0 +1,74 @@
+/**
+ * Tenant Context Middleware for Social Integration Feature
+ *
+ * Resolves tenant, user and schema from the authenticated request.
+ * Tenant always comes from the auth context, never from the request body.
+ */
+
+const { getSchema } = require('../utils/schemaHelper');
+
+/**
+ * Require tenant context on protected routes
+ * Must run after the JWT auth middleware
+ *
+ * Sets req.tenantContext = { tenantId, userId, schema }
+ */
+function requireTenantContext(req, res, next) {
+  const tenantId = req.user?.tenant_id || req.user?.tenantId;
+  const userId = req.user?.id || req.user?.userId;
+
+  if (!tenantId) {
+    return res.status(401).json({
+      success: false,
+      error: 'Tenant context required'
+    });
+  }
+
+  // Optional tenant header must match the authenticated tenant
+  const headerTenantId = req.headers['x-tenant-id'];
+  if (headerTenantId && String(headerTenantId) !== String(tenantId)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Tenant header does not match authenticated tenant'
+    });
+  }
+
+  try {
+    req.tenantContext = {
+      tenantId,
+      userId,
+      schema: getSchema(req)
+    };
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid tenant schema',
+      message: error.message
+    });
+  }
+
+  next();
+}
+
+/**
+ * Require a tenant admin for administrative routes
+ * Must run after requireTenantContext
+ */
+function requireTenantAdmin(req, res, next) {
+  const role = String(req.user?.role || '').toLowerCase();
+  const isAdmin = req.user?.is_admin === true || ['admin', 'owner', 'superadmin'].includes(role);
+
+  if (!isAdmin) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireTenantContext,
+  requireTenantAdmin
+};
@@ -3,8 +3,10 @@
  */
 
 const SUPPORTED_PLATFORMS = ['linkedin', 'twitter', 'facebook', 'instagram'];
-const ACTIVITY_TYPES = ['invitation', 'message', 'connection', 'profile_lookup'];
-const ACTIVITY_STATUSES = ['pending', 'sent', 'delivered', 'failed', 'accepted', 'rejected'];
+const ACTIVITY_TYPES = ['invitation', 'message', 'profile_lookup'];
+const ACTIVITY_STATUSES = ['pending', 'sent', 'already_sent', 'completed', 'failed', 'accepted', 'declined', 'replied'];
+const ACTIVITY_SOURCES = ['manual', 'batch', 'linkedin_auto_connection', 'sequence'];
+const FUNNEL_DIMENSIONS = ['platform', 'account', 'user', 'source', 'variant'];
 
 /**
  * Validate platform parameter
@@ -190,7 +192,7 @@ function validateProfileLookupRequest(req, res, next) {
  * Validate activity type
  */
 function validateActivityType(req, res, next) {
-  const { activityType } = req.query;
+  const activityType = req.query.type || req.query.activityType;
 
   if (activityType && !ACTIVITY_TYPES.includes(activityType)) {
     return res.status(400).json({
@@ -218,6 +220,53 @@ function validateActivityStatus(req, res, next) {
   next();
 }
 
+/**
+ * Validate activity source
+ */
+function validateActivitySource(req, res, next) {
+  const { source } = req.query;
+
+  if (source && !ACTIVITY_SOURCES.includes(source)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid source. Valid sources: ${ACTIVITY_SOURCES.join(', ')}`
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validate funnel analytics query (comma-separated groupBy dimensions and timezone)
+ */
+function validateFunnelQuery(req, res, next) {
+  const { groupBy, tz } = req.query;
+
+  if (groupBy) {
+    const dimensions = String(groupBy).split(',').map(d => d.trim()).filter(Boolean);
+    const invalid = dimensions.filter(d => !FUNNEL_DIMENSIONS.includes(d));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid groupBy: ${invalid.join(', ')}. Valid dimensions: ${FUNNEL_DIMENSIONS.join(', ')}`
+      });
+    }
+  }
+
+  if (tz) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid timezone: ${tz}`
+      });
+    }
+  }
+
+  next();
+}
+
 /**
  * Validate pagination parameters
  */
@@ -256,5 +305,7 @@ module.exports = {
   validateProfileLookupRequest,
   validateActivityType,
   validateActivityStatus,
+  validateActivitySource,
+  validateFunnelQuery,
   validatePagination
 };
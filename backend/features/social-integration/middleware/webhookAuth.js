@@ -0,0 +1,193 @@
+/**
+ * Webhook Authentication Middleware for Social Integration Feature
+ *
+ * Verifies Unipile webhook deliveries before any event is processed.
+ * Secrets are resolved per tenant (from the event's account_id), falling back
+ * to the global UNIPILE_WEBHOOK_SECRET / UNIPILE_WEBHOOK_SECRET_PREVIOUS pair.
+ * Rejected deliveries are recorded in webhook_rejections for auditing.
+ */
+
+const express = require('express');
+const { SocialAccount, WebhookSecret, WebhookRejection } = require('../models');
+const { getSchema } = require('../utils/schemaHelper');
+const { getEventType } = require('../utils/webhookEventKey');
+const {
+  verifyDelivery,
+  hashPayload,
+  DEFAULT_TOLERANCE_SECONDS,
+  SIGNATURE_HEADER
+} = require('../utils/webhookSignature');
+
+/**
+ * JSON body parser that keeps the raw body for HMAC verification
+ * Must run before any app-level JSON parser: once the body has been parsed
+ * elsewhere, req.rawBody is absent and deliveries are refused
+ */
+const captureRawBody = express.json({
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+});
+
+/**
+ * Extract Unipile account ID from any supported payload shape
+ */
+function extractAccountId(payload) {
+  if (!payload) return null;
+  const data = payload.AccountStatus || payload.data || payload;
+  return payload.account_id || data.account_id || payload.accountId || data.accountId || null;
+}
+
+/**
+ * Global secrets from environment (current + previous during rotation)
+ */
+function getGlobalSecrets() {
+  return [
+    { id: 'env:current', secret: process.env.UNIPILE_WEBHOOK_SECRET, source: 'global' },
+    { id: 'env:previous', secret: process.env.UNIPILE_WEBHOOK_SECRET_PREVIOUS, source: 'global' }
+  ].filter(candidate => candidate.secret);
+}
+
+/**
+ * Whether unsigned deliveries are accepted (UNIPILE_WEBHOOK_ALLOW_UNSIGNED, development only)
+ * Never in production: the flag is ignored there and deliveries are verified
+ */
+function isUnsignedAllowed() {
+  if (process.env.UNIPILE_WEBHOOK_ALLOW_UNSIGNED !== 'true') {
+    return false;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    console.error('[Webhook Auth] ❌ UNIPILE_WEBHOOK_ALLOW_UNSIGNED=true is ignored in production');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Record a rejected delivery; never fails the request
+ */
+async function recordRejection(schema, req, details) {
+  try {
+    await WebhookRejection.record(schema, {
+      ...details,
+      sourceIp: req.ip,
+      userAgent: req.headers['user-agent'],
+      payloadHash: typeof req.rawBody === 'string' ? hashPayload(req.rawBody) : null,
+      metadata: { hasSignatureHeader: !!req.headers[SIGNATURE_HEADER] }
+    });
+  } catch (error) {
+    console.error('[Webhook Auth] Failed to record rejection:', error.message);
+  }
+}
+
+/**
+ * Verify Unipile webhook signature / shared secret and replay window
+ *
+ * Sets req.webhookContext = { tenantId, accountId, schema, scheme, secretSource }
+ * (schema: the owning tenant's schema, where the event is stored)
+ */
+async function verifyUnipileWebhook(req, res, next) {
+  // Re-serialized JSON is not the signed bytes: never verify without the raw body
+  if (typeof req.rawBody !== 'string') {
+    const parsedElsewhere = req._body === true;
+    console.error(`[Webhook Auth] ❌ Raw body not captured (${parsedElsewhere ? 'parsed by an earlier body parser' : 'no JSON body'})`);
+    return res.status(parsedElsewhere ? 500 : 400).json({
+      success: false,
+      error: parsedElsewhere ? 'Webhook raw body not captured' : 'JSON body required'
+    });
+  }
+
+  let schema = getSchema();
+  const payload = req.body || {};
+  const accountId = extractAccountId(payload);
+  const eventType = getEventType(payload);
+
+  try {
+    // Tenant is only a claim at this point - it selects which secrets to try.
+    // Secrets and rejections live in the owning tenant's schema
+    let tenantId = null;
+    if (accountId) {
+      const owner = await SocialAccount.findOwnerInAnySchema(accountId);
+      tenantId = owner?.tenant_id || null;
+      schema = owner?.schema || schema;
+    }
+
+    if (isUnsignedAllowed()) {
+      console.warn(`[Webhook Auth] ⚠️ Signature verification disabled (UNIPILE_WEBHOOK_ALLOW_UNSIGNED=true, tenant: ${tenantId || 'unresolved'})`);
+      req.webhookContext = { tenantId, accountId, schema, scheme: 'none', secretSource: null };
+      return next();
+    }
+
+    // Tenant secrets are authoritative once configured; otherwise use global
+    let secrets = [];
+    if (tenantId) {
+      const tenantSecrets = await WebhookSecret.findValidByTenant(schema, tenantId);
+      secrets = tenantSecrets.map(row => ({ id: row.id, secret: row.secret, source: 'tenant' }));
+    }
+    if (secrets.length === 0) {
+      secrets = getGlobalSecrets();
+    }
+
+    const result = verifyDelivery({
+      headers: req.headers,
+      rawBody: req.rawBody,
+      payload,
+      secrets,
+      toleranceSeconds: Number(process.env.UNIPILE_WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS,
+      requireTimestamp: process.env.UNIPILE_WEBHOOK_REQUIRE_TIMESTAMP !== 'false'
+    });
+
+    if (!result.valid) {
+      console.warn(`[Webhook Auth] ❌ Rejected delivery: ${result.reason} (account: ${accountId || 'unknown'}, ip: ${req.ip})`);
+
+      await recordRejection(schema, req, {
+        tenantId,
+        accountId,
+        eventType,
+        reason: result.reason,
+        scheme: result.scheme,
+        deliveryTimestamp: result.timestamp
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid webhook signature',
+        reason: result.reason
+      });
+    }
+
+    req.webhookContext = {
+      tenantId,
+      accountId,
+      schema,
+      scheme: result.scheme,
+      secretSource: result.secret.source
+    };
+
+    next();
+  } catch (error) {
+    // Never guess which tenant's secrets and data a shared account ID belongs to
+    if (error.code === 'ACCOUNT_OWNER_AMBIGUOUS') {
+      console.error(`[Webhook Auth] ❌ Refused delivery: ${error.message}`);
+      await recordRejection(schema, req, { tenantId: null, accountId, eventType, reason: 'ambiguous_account_owner' });
+      return res.status(409).json({
+        success: false,
+        error: 'Account is linked to more than one tenant'
+      });
+    }
+
+    console.error('[Webhook Auth] Verification error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Webhook verification failed',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  captureRawBody,
+  verifyUnipileWebhook,
+  extractAccountId
+};
@@ -0,0 +1,97 @@
+-- Social Integration: connected accounts
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+CREATE TABLE IF NOT EXISTS social_accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  user_id UUID,
+  platform VARCHAR(32) NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  username VARCHAR(255),
+  access_token TEXT,
+  refresh_token TEXT,
+  token_expires_at TIMESTAMPTZ,
+  profile_data JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(32) NOT NULL DEFAULT 'connected',
+  metadata JSONB NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT social_accounts_platform_account_unique UNIQUE (platform, account_id)
+);
+
+-- Tables created before tenant schemas keyed accounts by organization_id:
+-- add the columns the model writes, carry organization_id over to tenant_id
+-- and replace the per-organization unique key (an account ID belongs to one tenant)
+ALTER TABLE social_accounts
+  ADD COLUMN IF NOT EXISTS tenant_id UUID,
+  ADD COLUMN IF NOT EXISTS status VARCHAR(32) NOT NULL DEFAULT 'connected',
+  ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN NOT NULL DEFAULT false;
+
+DO $$
+DECLARE
+  legacy_constraint RECORD;
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = 'social_accounts'
+      AND column_name = 'organization_id'
+  ) THEN
+    UPDATE social_accounts
+    SET tenant_id = organization_id::text::uuid
+    WHERE tenant_id IS NULL;
+
+    ALTER TABLE social_accounts ALTER COLUMN organization_id DROP NOT NULL;
+
+    FOR legacy_constraint IN
+      SELECT c.conname
+      FROM pg_constraint c
+      JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)
+      WHERE c.conrelid = 'social_accounts'::regclass
+        AND c.contype = 'u'
+        AND a.attname = 'organization_id'
+    LOOP
+      EXECUTE format('ALTER TABLE social_accounts DROP CONSTRAINT %I', legacy_constraint.conname);
+    END LOOP;
+  END IF;
+
+  UPDATE social_accounts
+  SET status = 'disconnected'
+  WHERE is_active = false AND status = 'connected';
+
+  IF NOT EXISTS (SELECT 1 FROM social_accounts WHERE tenant_id IS NULL) THEN
+    ALTER TABLE social_accounts ALTER COLUMN tenant_id SET NOT NULL;
+  ELSE
+    RAISE WARNING 'social_accounts: % row(s) have no tenant_id; they stay invisible to tenants until fixed',
+      (SELECT COUNT(*) FROM social_accounts WHERE tenant_id IS NULL);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'social_accounts'::regclass
+      AND conname = 'social_accounts_platform_account_unique'
+  ) THEN
+    IF EXISTS (
+      SELECT 1 FROM social_accounts
+      GROUP BY platform, account_id
+      HAVING COUNT(*) > 1
+    ) THEN
+      RAISE EXCEPTION 'social_accounts: an account_id is linked to several organizations; keep one row per (platform, account_id) and rerun';
+    END IF;
+
+    ALTER TABLE social_accounts
+      ADD CONSTRAINT social_accounts_platform_account_unique UNIQUE (platform, account_id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_social_accounts_tenant
+  ON social_accounts (tenant_id, platform, is_active);
+
+CREATE INDEX IF NOT EXISTS idx_social_accounts_tenant_user
+  ON social_accounts (tenant_id, user_id);
+
+CREATE INDEX IF NOT EXISTS idx_social_accounts_account_id
+  ON social_accounts (account_id);
@@ -0,0 +1,46 @@
+-- Social Integration: webhook secrets and rejected deliveries
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- Per-tenant webhook secrets. During rotation the old secret stays valid
+-- as 'previous' until expires_at, so two secrets are accepted at once.
+CREATE TABLE IF NOT EXISTS webhook_secrets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  provider VARCHAR(32) NOT NULL DEFAULT 'unipile',
+  secret TEXT NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'active',
+  expires_at TIMESTAMPTZ,
+  created_by UUID,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT webhook_secrets_status_check CHECK (status IN ('active', 'previous', 'revoked'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_secrets_tenant
+  ON webhook_secrets (tenant_id, provider, status);
+
+-- Audit log of deliveries that failed verification.
+-- tenant_id is the tenant the delivery claimed to be for (if resolvable).
+CREATE TABLE IF NOT EXISTS webhook_rejections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID,
+  provider VARCHAR(32) NOT NULL DEFAULT 'unipile',
+  account_id VARCHAR(255),
+  event_type VARCHAR(128),
+  reason VARCHAR(64) NOT NULL,
+  scheme VARCHAR(16),
+  source_ip VARCHAR(64),
+  user_agent TEXT,
+  delivery_timestamp TIMESTAMPTZ,
+  payload_hash VARCHAR(64),
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_rejections_tenant
+  ON webhook_rejections (tenant_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_rejections_created
+  ON webhook_rejections (created_at DESC);
@@ -0,0 +1,40 @@
+-- Social Integration: durable webhook event store
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- Every verified delivery is stored once per idempotency key.
+-- Replicas claim an event by moving it to 'processing' in a single UPDATE,
+-- so each event is processed exactly once.
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID,
+  provider VARCHAR(32) NOT NULL DEFAULT 'unipile',
+  idempotency_key VARCHAR(255) NOT NULL,
+  provider_event_id VARCHAR(255),
+  event_type VARCHAR(128),
+  account_id VARCHAR(255),
+  payload JSONB NOT NULL,
+  payload_hash VARCHAR(64) NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'received',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  duplicate_count INTEGER NOT NULL DEFAULT 0,
+  result JSONB,
+  error TEXT,
+  locked_by VARCHAR(128),
+  received_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  processing_started_at TIMESTAMPTZ,
+  processed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT webhook_events_idempotency_unique UNIQUE (provider, idempotency_key),
+  CONSTRAINT webhook_events_status_check CHECK (status IN ('received', 'processing', 'processed', 'failed', 'skipped'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_tenant
+  ON webhook_events (tenant_id, received_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_tenant_status
+  ON webhook_events (tenant_id, status, received_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_account
+  ON webhook_events (account_id, received_at DESC);
@@ -0,0 +1,41 @@
+-- Social Integration: webhook processing queue and dead-letter table
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- webhook_events doubles as the persistent queue: workers pick up
+-- 'received'/'failed' events whose next_attempt_at has passed.
+ALTER TABLE webhook_events
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE webhook_events DROP CONSTRAINT IF EXISTS webhook_events_status_check;
+ALTER TABLE webhook_events
+  ADD CONSTRAINT webhook_events_status_check
+  CHECK (status IN ('received', 'processing', 'processed', 'failed', 'skipped', 'dead_lettered'));
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_queue
+  ON webhook_events (next_attempt_at)
+  WHERE status IN ('received', 'failed', 'processing');
+
+-- Events that exhausted their retries. Replaying re-queues the original event.
+CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id UUID NOT NULL REFERENCES webhook_events(id) ON DELETE CASCADE,
+  tenant_id UUID,
+  provider VARCHAR(32) NOT NULL DEFAULT 'unipile',
+  event_type VARCHAR(128),
+  account_id VARCHAR(255),
+  payload JSONB NOT NULL,
+  attempts INTEGER NOT NULL,
+  last_error TEXT,
+  replay_count INTEGER NOT NULL DEFAULT 0,
+  replayed_at TIMESTAMPTZ,
+  replayed_by UUID,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_tenant
+  ON webhook_dead_letters (tenant_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_event
+  ON webhook_dead_letters (event_id);
@@ -0,0 +1,34 @@
+-- Social Integration: inbound/outbound message store
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+CREATE TABLE IF NOT EXISTS social_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  platform VARCHAR(32) NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  conversation_id VARCHAR(255),
+  provider_message_id VARCHAR(255) NOT NULL,
+  direction VARCHAR(16) NOT NULL DEFAULT 'inbound',
+  sender_provider_id VARCHAR(255),
+  sender_name VARCHAR(255),
+  sender_profile_url TEXT,
+  text TEXT,
+  attachments JSONB NOT NULL DEFAULT '[]',
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  lead_id UUID,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT social_messages_provider_unique UNIQUE (tenant_id, account_id, provider_message_id),
+  CONSTRAINT social_messages_direction_check CHECK (direction IN ('inbound', 'outbound'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_social_messages_tenant_conversation
+  ON social_messages (tenant_id, conversation_id, sent_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_social_messages_tenant_lead
+  ON social_messages (tenant_id, lead_id, sent_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_social_messages_tenant_sent
+  ON social_messages (tenant_id, sent_at DESC);
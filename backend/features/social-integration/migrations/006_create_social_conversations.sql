@@ -0,0 +1,38 @@
+-- Social Integration: locally synced conversations for the unified inbox
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+CREATE TABLE IF NOT EXISTS social_conversations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  platform VARCHAR(32) NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  conversation_id VARCHAR(255) NOT NULL,
+  lead_id UUID,
+  participant_name VARCHAR(255),
+  participant_provider_id VARCHAR(255),
+  participant_profile_url TEXT,
+  last_message_text TEXT,
+  last_message_direction VARCHAR(16),
+  last_message_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  unread_count INTEGER NOT NULL DEFAULT 0,
+  last_read_at TIMESTAMPTZ,
+  is_archived BOOLEAN NOT NULL DEFAULT false,
+  archived_at TIMESTAMPTZ,
+  synced_at TIMESTAMPTZ,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT social_conversations_unique UNIQUE (tenant_id, account_id, conversation_id)
+);
+
+-- Inbox listing: newest first, keyset pagination on (last_message_at, id)
+CREATE INDEX IF NOT EXISTS idx_social_conversations_inbox
+  ON social_conversations (tenant_id, account_id, is_archived, last_message_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_social_conversations_tenant_lead
+  ON social_conversations (tenant_id, lead_id);
+
+CREATE INDEX IF NOT EXISTS idx_social_conversations_unread
+  ON social_conversations (tenant_id, account_id)
+  WHERE unread_count > 0 AND is_archived = false;
@@ -0,0 +1,55 @@
+-- Social Integration: persistent batch invitation jobs
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- One row per batch request. processed_count doubles as the resume point:
+-- items are sent in position order and each outcome is committed before the next.
+CREATE TABLE IF NOT EXISTS social_invitation_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  user_id UUID,
+  platform VARCHAR(32) NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  status VARCHAR(32) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'paused', 'completed', 'cancelled', 'failed')),
+  custom_message TEXT,
+  delay_ms INTEGER NOT NULL DEFAULT 2000,
+  total_count INTEGER NOT NULL DEFAULT 0,
+  processed_count INTEGER NOT NULL DEFAULT 0,
+  successful_count INTEGER NOT NULL DEFAULT 0,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  already_sent_count INTEGER NOT NULL DEFAULT 0,
+  locked_by VARCHAR(255),
+  heartbeat_at TIMESTAMPTZ,
+  last_error TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  started_at TIMESTAMPTZ,
+  paused_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_social_invitation_jobs_queue
+  ON social_invitation_jobs (created_at)
+  WHERE status IN ('queued', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_social_invitation_jobs_tenant
+  ON social_invitation_jobs (tenant_id, user_id, created_at DESC);
+
+-- Profiles of a job, in submission order
+CREATE TABLE IF NOT EXISTS social_invitation_job_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES social_invitation_jobs(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  profile JSONB NOT NULL,
+  status VARCHAR(32) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sent', 'already_sent', 'failed', 'cancelled')),
+  error TEXT,
+  result JSONB,
+  processed_at TIMESTAMPTZ,
+  UNIQUE (job_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_social_invitation_job_items_pending
+  ON social_invitation_job_items (job_id, position)
+  WHERE status = 'pending';
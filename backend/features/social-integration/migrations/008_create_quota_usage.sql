@@ -0,0 +1,34 @@
+-- Social Integration: per-account send quotas
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- Daily send counters per Unipile account and action (UTC days).
+-- Weekly usage is the sum over the ISO week.
+CREATE TABLE IF NOT EXISTS social_quota_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  platform VARCHAR(32) NOT NULL,
+  action VARCHAR(32) NOT NULL,
+  usage_date DATE NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (account_id, platform, action, usage_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_social_quota_usage_tenant
+  ON social_quota_usage (tenant_id, usage_date DESC);
+
+-- Invitation jobs that hit a quota wait for the next window
+ALTER TABLE social_invitation_jobs
+  ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deferred_reason TEXT;
+
+ALTER TABLE social_invitation_jobs DROP CONSTRAINT IF EXISTS social_invitation_jobs_status_check;
+ALTER TABLE social_invitation_jobs
+  ADD CONSTRAINT social_invitation_jobs_status_check
+  CHECK (status IN ('queued', 'running', 'deferred', 'paused', 'completed', 'cancelled', 'failed'));
+
+DROP INDEX IF EXISTS idx_social_invitation_jobs_queue;
+CREATE INDEX IF NOT EXISTS idx_social_invitation_jobs_queue
+  ON social_invitation_jobs (created_at)
+  WHERE status IN ('queued', 'running', 'deferred');
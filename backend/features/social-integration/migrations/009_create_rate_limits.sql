@@ -0,0 +1,14 @@
+-- Social Integration: shared API rate limit counters
+-- Only needed when SOCIAL_RATE_LIMIT_STORE=postgres; created in the default schema
+-- UNLOGGED: counters are disposable and written on every request
+
+CREATE UNLOGGED TABLE IF NOT EXISTS social_rate_limits (
+  key VARCHAR(512) NOT NULL,
+  window_start TIMESTAMPTZ NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (key, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_social_rate_limits_expires
+  ON social_rate_limits (expires_at);
@@ -0,0 +1,64 @@
+-- Social Integration: credit ledger
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- Tenant credit balance. available = balance - reserved
+CREATE TABLE IF NOT EXISTS credit_balances (
+  tenant_id UUID PRIMARY KEY,
+  balance NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  reserved NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (reserved >= 0),
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Credits held for an action (or a whole batch) until its outcome is known.
+-- Each sent item captures part of the hold; failed, already-sent and
+-- unprocessed items are refunded. Settled once captured + refunded = amount.
+CREATE TABLE IF NOT EXISTS credit_reservations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  user_id UUID,
+  platform VARCHAR(32) NOT NULL,
+  action VARCHAR(32) NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  captured NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  refunded NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  status VARCHAR(16) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'settled')),
+  reference_type VARCHAR(64),
+  reference_id VARCHAR(255),
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CHECK (captured + refunded <= amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_reservations_open
+  ON credit_reservations (tenant_id, created_at)
+  WHERE status = 'open';
+
+-- Append-only ledger. amount is always positive, type gives the direction:
+-- grant (+balance), reserve (+reserved), capture (-balance, -reserved), refund (-reserved)
+CREATE TABLE IF NOT EXISTS credit_transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  user_id UUID,
+  platform VARCHAR(32),
+  action VARCHAR(32),
+  type VARCHAR(16) NOT NULL CHECK (type IN ('grant', 'reserve', 'capture', 'refund')),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  reservation_id UUID REFERENCES credit_reservations(id),
+  reference_type VARCHAR(64),
+  reference_id VARCHAR(255),
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_tenant
+  ON credit_transactions (tenant_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_reference
+  ON credit_transactions (reference_type, reference_id);
+
+-- Batch invitation jobs hold one reservation for all their profiles
+ALTER TABLE social_invitation_jobs
+  ADD COLUMN IF NOT EXISTS credit_reservation_id UUID;
@@ -0,0 +1,105 @@
+-- Social Integration: outbound activity history
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- One row per invitation, message or lookup sent through the feature
+-- (single requests and batch job items). Webhooks move invitations to
+-- accepted/declined and messages to replied. Charges for an activity are
+-- the credit_transactions rows referencing it (reference_type 'social_activity').
+CREATE TABLE IF NOT EXISTS social_activities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  user_id UUID,
+  platform VARCHAR(32) NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  activity_type VARCHAR(32) NOT NULL
+    CHECK (activity_type IN ('invitation', 'message', 'profile_lookup')),
+  status VARCHAR(32) NOT NULL
+    CHECK (status IN ('pending', 'sent', 'already_sent', 'completed', 'failed', 'accepted', 'declined', 'replied')),
+  target_profile_id VARCHAR(255),
+  target_public_identifier VARCHAR(255),
+  target_profile_url TEXT,
+  target_profile_name VARCHAR(255),
+  content TEXT,
+  error TEXT,
+  job_id UUID,
+  job_item_id UUID,
+  responded_at TIMESTAMPTZ,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tables created before tenant schemas keyed activities by organization_id
+-- and used the old type and status names: add the columns the model writes,
+-- carry organization_id over to tenant_id and rename legacy values before
+-- the checks are (re)applied
+ALTER TABLE social_activities
+  ADD COLUMN IF NOT EXISTS tenant_id UUID,
+  ADD COLUMN IF NOT EXISTS user_id UUID,
+  ADD COLUMN IF NOT EXISTS target_public_identifier VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS target_profile_url TEXT,
+  ADD COLUMN IF NOT EXISTS error TEXT,
+  ADD COLUMN IF NOT EXISTS job_id UUID,
+  ADD COLUMN IF NOT EXISTS job_item_id UUID,
+  ADD COLUMN IF NOT EXISTS responded_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = 'social_activities'
+      AND column_name = 'organization_id'
+  ) THEN
+    UPDATE social_activities
+    SET tenant_id = organization_id::text::uuid
+    WHERE tenant_id IS NULL;
+
+    ALTER TABLE social_activities ALTER COLUMN organization_id DROP NOT NULL;
+  END IF;
+
+  UPDATE social_activities SET metadata = '{}' WHERE metadata IS NULL;
+  UPDATE social_activities SET activity_type = 'invitation' WHERE activity_type = 'connection';
+  UPDATE social_activities SET status = 'sent' WHERE status = 'delivered';
+  UPDATE social_activities SET status = 'declined' WHERE status = 'rejected';
+
+  IF NOT EXISTS (SELECT 1 FROM social_activities WHERE tenant_id IS NULL) THEN
+    ALTER TABLE social_activities ALTER COLUMN tenant_id SET NOT NULL;
+  ELSE
+    RAISE WARNING 'social_activities: % row(s) have no tenant_id; they stay invisible to tenants until fixed',
+      (SELECT COUNT(*) FROM social_activities WHERE tenant_id IS NULL);
+  END IF;
+END $$;
+
+ALTER TABLE social_activities DROP CONSTRAINT IF EXISTS social_activities_activity_type_check;
+ALTER TABLE social_activities
+  ADD CONSTRAINT social_activities_activity_type_check
+  CHECK (activity_type IN ('invitation', 'message', 'profile_lookup'));
+
+ALTER TABLE social_activities DROP CONSTRAINT IF EXISTS social_activities_status_check;
+ALTER TABLE social_activities
+  ADD CONSTRAINT social_activities_status_check
+  CHECK (status IN ('pending', 'sent', 'already_sent', 'completed', 'failed', 'accepted', 'declined', 'replied'));
+
+CREATE INDEX IF NOT EXISTS idx_social_activities_tenant_created
+  ON social_activities (tenant_id, created_at DESC)
+  WHERE is_deleted = false;
+
+CREATE INDEX IF NOT EXISTS idx_social_activities_account
+  ON social_activities (tenant_id, account_id, created_at DESC);
+
+-- Webhook matching: latest activity towards a profile
+CREATE INDEX IF NOT EXISTS idx_social_activities_target_id
+  ON social_activities (tenant_id, account_id, target_profile_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_social_activities_target_identifier
+  ON social_activities (tenant_id, account_id, LOWER(target_public_identifier), created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_social_activities_job
+  ON social_activities (job_id)
+  WHERE job_id IS NOT NULL;
@@ -0,0 +1,27 @@
+-- Social Integration: outreach funnel tracking on activities
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- Invitations move through sent -> accepted (responded_at) -> replied -> call_triggered.
+-- source: manual (single API sends), batch (invitation jobs) or
+-- linkedin_auto_connection (jobs queued by the employee auto-processor).
+-- variant: optional label for the message variant, used to compare messages.
+ALTER TABLE social_activities
+  ADD COLUMN IF NOT EXISTS source VARCHAR(64) NOT NULL DEFAULT 'manual',
+  ADD COLUMN IF NOT EXISTS variant VARCHAR(128),
+  ADD COLUMN IF NOT EXISTS replied_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS call_triggered_at TIMESTAMPTZ;
+
+-- Activities recorded before this migration
+UPDATE social_activities a
+SET source = CASE
+  WHEN j.metadata->>'source' = 'employee_auto_processor' THEN 'linkedin_auto_connection'
+  ELSE 'batch'
+END
+FROM social_invitation_jobs j
+WHERE a.job_id = j.id
+  AND a.source = 'manual';
+
+-- Funnel queries scan a tenant's invitations by date
+CREATE INDEX IF NOT EXISTS idx_social_activities_funnel
+  ON social_activities (tenant_id, activity_type, created_at)
+  WHERE is_deleted = false;
@@ -0,0 +1,83 @@
+-- Social Integration: multi-step outreach sequences
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- A sequence is an ordered list of steps sent from one account, e.g.
+--   [{ "type": "invitation", "message": "...", "acceptTimeoutDays": 14 },
+--    { "type": "message", "delayHours": 4, "message": "..." },
+--    { "type": "message", "delayDays": 3, "message": "..." }]
+-- Paused sequences keep their enrollments but send nothing. Each step sent is
+-- recorded in social_activities with source 'sequence'.
+CREATE TABLE IF NOT EXISTS social_sequences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  user_id UUID,
+  name VARCHAR(255) NOT NULL,
+  platform VARCHAR(32) NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  status VARCHAR(32) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'paused', 'archived')),
+  steps JSONB NOT NULL,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_social_sequences_tenant
+  ON social_sequences (tenant_id, created_at DESC)
+  WHERE status <> 'archived';
+
+-- One row per lead enrolled in a sequence. current_step is the index of the
+-- next step to send:
+--   active               due at next_run_at (claimed by the runner with a lease)
+--   awaiting_acceptance  invitation sent; the acceptance webhook makes it active,
+--                        next_run_at (if set) is the acceptance timeout
+--   completed            every step sent
+--   exited               stopped early (exit_reason: replied, declined, unsubscribed,
+--                        not_accepted, removed)
+--   failed               a step could not be sent (last_error)
+CREATE TABLE IF NOT EXISTS social_sequence_enrollments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  sequence_id UUID NOT NULL REFERENCES social_sequences(id) ON DELETE CASCADE,
+  user_id UUID,
+  lead_id UUID,
+  profile JSONB NOT NULL,
+  target_profile_id VARCHAR(255),
+  target_public_identifier VARCHAR(255),
+  status VARCHAR(32) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'awaiting_acceptance', 'completed', 'exited', 'failed')),
+  current_step INTEGER NOT NULL DEFAULT 0,
+  next_run_at TIMESTAMPTZ,
+  exit_reason VARCHAR(64),
+  last_error TEXT,
+  locked_by VARCHAR(255),
+  locked_until TIMESTAMPTZ,
+  history JSONB NOT NULL DEFAULT '[]',
+  accepted_at TIMESTAMPTZ,
+  replied_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Runner queue: enrollments due to run (or to time out)
+CREATE INDEX IF NOT EXISTS idx_social_sequence_enrollments_due
+  ON social_sequence_enrollments (next_run_at)
+  WHERE status IN ('active', 'awaiting_acceptance');
+
+CREATE INDEX IF NOT EXISTS idx_social_sequence_enrollments_sequence
+  ON social_sequence_enrollments (sequence_id, created_at DESC, id DESC);
+
+-- Webhook matching: enrollments in progress towards a profile
+CREATE INDEX IF NOT EXISTS idx_social_sequence_enrollments_target_id
+  ON social_sequence_enrollments (tenant_id, target_profile_id)
+  WHERE status IN ('active', 'awaiting_acceptance');
+
+CREATE INDEX IF NOT EXISTS idx_social_sequence_enrollments_target_identifier
+  ON social_sequence_enrollments (tenant_id, LOWER(target_public_identifier))
+  WHERE status IN ('active', 'awaiting_acceptance');
+
+-- A profile is in a sequence at most once at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_social_sequence_enrollments_unique_target
+  ON social_sequence_enrollments (sequence_id, COALESCE(LOWER(target_public_identifier), target_profile_id))
+  WHERE status IN ('active', 'awaiting_acceptance');
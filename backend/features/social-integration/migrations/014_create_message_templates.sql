@@ -0,0 +1,31 @@
+-- Social Integration: message templates
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- Stored invitation notes and messages with variables, e.g.
+--   "Hi {{firstName}}, I saw you're {{title | working}} at {{company}}..."
+-- Variables are filled from the lead, then the employees_cache profile, then the
+-- profile sent with the request; fallbacks (inline or per template) cover the rest.
+-- kind: invitation (connection request note) or message.
+-- platform: NULL for templates usable on any platform.
+CREATE TABLE IF NOT EXISTS social_message_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  user_id UUID,
+  name VARCHAR(255) NOT NULL,
+  kind VARCHAR(32) NOT NULL CHECK (kind IN ('invitation', 'message')),
+  platform VARCHAR(32),
+  body TEXT NOT NULL,
+  fallbacks JSONB NOT NULL DEFAULT '{}',
+  is_deleted BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_social_message_templates_tenant
+  ON social_message_templates (tenant_id, kind, updated_at DESC)
+  WHERE is_deleted = false;
+
+-- Batch jobs sent from a template store each profile's rendered note
+-- (custom_message on the job is used when the item has none)
+ALTER TABLE social_invitation_job_items
+  ADD COLUMN IF NOT EXISTS message TEXT;
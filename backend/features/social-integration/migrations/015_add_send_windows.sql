@@ -0,0 +1,45 @@
+-- Social Integration: send windows for batch invitations and auto-calls
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- Batch items remember the prospect timezone inferred when the job was queued
+-- (employees_cache city / country). An item outside its send window is
+-- postponed to the window's next opening (not_before) while the rest of the
+-- job goes on; the job is deferred when only postponed items are left.
+ALTER TABLE social_invitation_job_items
+  ADD COLUMN IF NOT EXISTS timezone VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS not_before TIMESTAMPTZ;
+
+-- Auto-calls triggered outside the account's call window, placed when it opens:
+--   pending    waiting for run_at
+--   running    claimed by the runner (locked_until is the lease)
+--   completed  call placed (result holds the voice agent response)
+--   failed     not placed (last_error), e.g. no phone number
+--   cancelled  superseded or no longer wanted
+CREATE TABLE IF NOT EXISTS social_scheduled_calls (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  account_id VARCHAR(255),
+  lead_id UUID NOT NULL,
+  linkedin_url TEXT,
+  timezone VARCHAR(64),
+  run_at TIMESTAMPTZ NOT NULL,
+  status VARCHAR(32) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  locked_by VARCHAR(255),
+  locked_until TIMESTAMPTZ,
+  last_error TEXT,
+  result JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Runner queue: calls due to be placed
+CREATE INDEX IF NOT EXISTS idx_social_scheduled_calls_due
+  ON social_scheduled_calls (run_at)
+  WHERE status IN ('pending', 'running');
+
+-- A lead has at most one call waiting at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_social_scheduled_calls_unique_lead
+  ON social_scheduled_calls (tenant_id, lead_id)
+  WHERE status IN ('pending', 'running');
@@ -0,0 +1,18 @@
+-- Social Integration: lead stage mapping for social events
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- Which lead_stages key a lead moves to when a social event happens, per tenant.
+-- A NULL stage_key turns the stage change off for that event (status is still
+-- updated). Events without a row use the default key when the tenant has a
+-- stage with exactly that key.
+CREATE TABLE IF NOT EXISTS social_stage_mappings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  event VARCHAR(32) NOT NULL
+    CHECK (event IN ('invitation_sent', 'accepted', 'declined', 'replied', 'call_triggered', 'unsubscribed')),
+  stage_key VARCHAR(100),
+  updated_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tenant_id, event)
+);
@@ -0,0 +1,16 @@
+-- Social Integration: lead social timeline lookups
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- Webhook events that touched a lead (handlers return { leadId } as the event result)
+CREATE INDEX IF NOT EXISTS idx_webhook_events_tenant_lead
+  ON webhook_events (tenant_id, (result->>'leadId'))
+  WHERE result ? 'leadId';
+
+-- Activities towards a lead's profiles, from any account
+CREATE INDEX IF NOT EXISTS idx_social_activities_tenant_target_id
+  ON social_activities (tenant_id, target_profile_id)
+  WHERE is_deleted = false;
+
+CREATE INDEX IF NOT EXISTS idx_social_activities_tenant_target_identifier
+  ON social_activities (tenant_id, LOWER(target_public_identifier))
+  WHERE is_deleted = false;
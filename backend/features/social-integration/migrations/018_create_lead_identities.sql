@@ -0,0 +1,39 @@
+-- Social Integration: provider identities of leads
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- Stored alongside lead_social: the provider ID (Unipile provider_id, stable
+-- when the member edits their vanity URL) and canonical slug of a lead's
+-- profile. Filled from webhooks that carry a provider ID and by the backfill
+-- script (scripts/backfill-linkedin-provider-ids.js).
+--   public_identifier  canonical slug: lowercase, URL-decoded
+--   lookup_error       last failed backfill lookup (retried up to a limit)
+CREATE TABLE IF NOT EXISTS social_lead_identities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  lead_id UUID NOT NULL,
+  platform VARCHAR(32) NOT NULL DEFAULT 'linkedin',
+  provider_id VARCHAR(255),
+  public_identifier VARCHAR(255),
+  source VARCHAR(32) NOT NULL DEFAULT 'webhook'
+    CHECK (source IN ('webhook', 'backfill')),
+  lookup_attempts INTEGER NOT NULL DEFAULT 0,
+  lookup_error TEXT,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT social_lead_identities_unique UNIQUE (tenant_id, lead_id, platform)
+);
+
+-- Webhook matching: provider ID first, then canonical slug
+CREATE INDEX IF NOT EXISTS idx_social_lead_identities_provider
+  ON social_lead_identities (tenant_id, platform, provider_id)
+  WHERE provider_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_social_lead_identities_slug
+  ON social_lead_identities (tenant_id, platform, public_identifier)
+  WHERE public_identifier IS NOT NULL;
+
+-- Exact slug lookups on lead_social, replacing LIKE '%<url>%' scans.
+-- Queries must use this exact expression for the index to apply.
+CREATE INDEX IF NOT EXISTS idx_lead_social_linkedin_slug
+  ON lead_social (LOWER(SUBSTRING(linkedin FROM 'linkedin\.com/in/([^/?#]+)')));
@@ -0,0 +1,39 @@
+-- Social Integration: lead de-duplication
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- One row per lead merged into another. The merged lead is soft-deleted;
+-- snapshot keeps its leads / lead_social rows as they were before the merge.
+-- Timelines of the primary lead include the leads merged into it.
+CREATE TABLE IF NOT EXISTS social_lead_merges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  primary_lead_id UUID NOT NULL,
+  merged_lead_id UUID NOT NULL,
+  merged_by UUID,
+  matched_on TEXT[] NOT NULL DEFAULT '{}',
+  snapshot JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT social_lead_merges_unique UNIQUE (tenant_id, merged_lead_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_social_lead_merges_primary
+  ON social_lead_merges (tenant_id, primary_lead_id);
+
+-- Identity resolution keys (exact lookups). Queries must use these exact
+-- expressions for the indexes to apply.
+CREATE INDEX IF NOT EXISTS idx_leads_tenant_email_key
+  ON leads (tenant_id, LOWER(TRIM(email)))
+  WHERE is_deleted = FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_leads_tenant_phone_key
+  ON leads (tenant_id, REGEXP_REPLACE(phone, '[^0-9]', '', 'g'))
+  WHERE is_deleted = FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_lead_social_whatsapp_key
+  ON lead_social (REGEXP_REPLACE(SPLIT_PART(whatsapp, '@', 1), '[^0-9]', '', 'g'));
+
+CREATE INDEX IF NOT EXISTS idx_lead_social_instagram_key
+  ON lead_social (LOWER(SUBSTRING(instagram FROM '^(?:https?://)?(?:www\.)?(?:instagram\.com/)?@?([^/?#]+)')));
+
+CREATE INDEX IF NOT EXISTS idx_lead_social_facebook_key
+  ON lead_social (LOWER(SUBSTRING(facebook FROM '^(?:https?://)?(?:www\.)?(?:(?:facebook|fb)\.com/)?([^/?#]+)')));
@@ -0,0 +1,37 @@
+-- Social Integration: phone reveals requested from Apollo
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- Apollo delivers revealed phone numbers asynchronously to a callback URL
+-- carrying the reveal ID and a one-time token (only its SHA-256 is stored).
+-- Statuses:
+--   pending    requested, waiting for Apollo's callback
+--   revealed   phone written to the lead (phone)
+--   not_found  Apollo had no phone for the person
+--   failed     the request or the callback could not be used (error)
+--   expired    no callback within SOCIAL_PHONE_REVEAL_TIMEOUT_MINUTES
+CREATE TABLE IF NOT EXISTS social_phone_reveals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  lead_id UUID NOT NULL,
+  account_id VARCHAR(255),
+  linkedin_url TEXT,
+  provider VARCHAR(32) NOT NULL DEFAULT 'apollo',
+  provider_person_id VARCHAR(255),
+  callback_token_hash VARCHAR(64) NOT NULL,
+  status VARCHAR(32) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'revealed', 'not_found', 'failed', 'expired')),
+  phone VARCHAR(64),
+  error TEXT,
+  requested_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A lead has at most one reveal waiting at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_social_phone_reveals_unique_pending
+  ON social_phone_reveals (tenant_id, lead_id)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_social_phone_reveals_tenant_lead
+  ON social_phone_reveals (tenant_id, lead_id, created_at DESC);
@@ -0,0 +1,8 @@
+-- Social Integration: in-flight invitation job items
+-- Run against each tenant schema (search_path is set by the migration runner)
+
+-- sending_at marks the item a worker is sending right now. Cancelling a job
+-- leaves that item (and its share of the credit reservation) to the worker,
+-- which captures or refunds it once the outcome is known.
+ALTER TABLE social_invitation_job_items
+  ADD COLUMN IF NOT EXISTS sending_at TIMESTAMPTZ;
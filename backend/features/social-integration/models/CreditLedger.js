@@ -0,0 +1,238 @@
+/**
+ * Credit Ledger Model
+ *
+ * Tenant credit balances, reservations and the credit_transactions ledger.
+ * Every balance change is a single statement that updates the balance and
+ * appends its transaction, so concurrent actions cannot overdraw a tenant.
+ * Amounts come back from Postgres as strings (NUMERIC).
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+
+class CreditLedger {
+  /**
+   * Balance row of a tenant (zero when the tenant has none yet)
+   *
+   * @returns {Promise<Object>} { tenant_id, balance, reserved }
+   */
+  static async getBalance(schema, tenantId) {
+    try {
+      const result = await query(`
+        SELECT tenant_id, balance, reserved, updated_at
+        FROM ${validateSchema(schema)}.credit_balances
+        WHERE tenant_id = $1
+      `, [tenantId]);
+
+      return result.rows[0] || { tenant_id: tenantId, balance: '0', reserved: '0', updated_at: null };
+    } catch (error) {
+      console.error('Error getting credit balance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add credits to a tenant (billing top-up, manual adjustment)
+   *
+   * @returns {Promise<Object>} Updated balance row
+   */
+  static async grant(schema, { tenantId, userId = null, amount, referenceType = null, referenceId = null, metadata = {} }) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH bal AS (
+          INSERT INTO ${s}.credit_balances (tenant_id, balance)
+          VALUES ($1, $3::numeric)
+          ON CONFLICT (tenant_id)
+          DO UPDATE SET
+            balance = credit_balances.balance + EXCLUDED.balance,
+            updated_at = CURRENT_TIMESTAMP
+          RETURNING *
+        ), tx AS (
+          INSERT INTO ${s}.credit_transactions (tenant_id, user_id, type, amount, reference_type, reference_id, metadata)
+          SELECT bal.tenant_id, $2, 'grant', $3::numeric, $4, $5, $6 FROM bal
+        )
+        SELECT * FROM bal
+      `, [tenantId, userId, amount, referenceType, referenceId, JSON.stringify(metadata)]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error granting credits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hold credits if the tenant's available balance covers them
+   *
+   * @returns {Promise<Object|null>} Reservation row, or null when the balance is insufficient
+   */
+  static async reserve(schema, reservationData) {
+    try {
+      const {
+        tenantId,
+        userId,
+        platform,
+        action,
+        amount,
+        referenceType,
+        referenceId,
+        metadata
+      } = reservationData;
+
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH bal AS (
+          UPDATE ${s}.credit_balances
+          SET reserved = reserved + $5::numeric, updated_at = CURRENT_TIMESTAMP
+          WHERE tenant_id = $1 AND balance - reserved >= $5::numeric
+          RETURNING tenant_id
+        ), res AS (
+          INSERT INTO ${s}.credit_reservations (
+            tenant_id, user_id, platform, action, amount, reference_type, reference_id, metadata
+          )
+          SELECT bal.tenant_id, $2, $3, $4, $5::numeric, $6, $7, $8 FROM bal
+          RETURNING *
+        ), tx AS (
+          INSERT INTO ${s}.credit_transactions (
+            tenant_id, user_id, platform, action, type, amount, reservation_id, reference_type, reference_id
+          )
+          SELECT res.tenant_id, res.user_id, res.platform, res.action, 'reserve', res.amount, res.id, res.reference_type, res.reference_id
+          FROM res
+        )
+        SELECT * FROM res
+      `, [
+        tenantId,
+        userId || null,
+        platform,
+        action,
+        amount,
+        referenceType || null,
+        referenceId ? String(referenceId) : null,
+        JSON.stringify(metadata || {})
+      ]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error reserving credits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Charge part of a reservation
+   * The transaction references what was charged for (defaults to the reservation's reference)
+   *
+   * @returns {Promise<Object|null>} Updated reservation, or null when it is settled or too small
+   */
+  static async capture(schema, reservationId, amount, { referenceType = null, referenceId = null, metadata = {} } = {}) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH res AS (
+          UPDATE ${s}.credit_reservations
+          SET
+            captured = captured + $2::numeric,
+            status = CASE WHEN captured + refunded + $2::numeric >= amount THEN 'settled' ELSE 'open' END,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND status = 'open' AND amount - captured - refunded >= $2::numeric
+          RETURNING *
+        ), bal AS (
+          UPDATE ${s}.credit_balances b
+          SET
+            balance = b.balance - $2::numeric,
+            reserved = b.reserved - $2::numeric,
+            updated_at = CURRENT_TIMESTAMP
+          FROM res
+          WHERE b.tenant_id = res.tenant_id
+        ), tx AS (
+          INSERT INTO ${s}.credit_transactions (
+            tenant_id, user_id, platform, action, type, amount, reservation_id, reference_type, reference_id, metadata
+          )
+          SELECT res.tenant_id, res.user_id, res.platform, res.action, 'capture', $2::numeric, res.id,
+            COALESCE($3, res.reference_type), COALESCE($4, res.reference_id), $5
+          FROM res
+        )
+        SELECT * FROM res
+      `, [reservationId, amount, referenceType, referenceId ? String(referenceId) : null, JSON.stringify(metadata)]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error capturing credits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Return held credits to the available balance
+   *
+   * @param {number|null} amount - Credits to refund (null: everything not yet captured or refunded)
+   * @returns {Promise<Object|null>} Updated reservation with `refund`, or null when nothing was left to refund
+   */
+  static async refund(schema, reservationId, amount = null, { referenceType = null, referenceId = null, metadata = {} } = {}) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH target AS (
+          SELECT id, LEAST(COALESCE($2::numeric, amount - captured - refunded), amount - captured - refunded) AS refund
+          FROM ${s}.credit_reservations
+          WHERE id = $1 AND status = 'open'
+          FOR UPDATE
+        ), res AS (
+          UPDATE ${s}.credit_reservations r
+          SET
+            refunded = r.refunded + target.refund,
+            status = CASE WHEN r.captured + r.refunded + target.refund >= r.amount THEN 'settled' ELSE 'open' END,
+            updated_at = CURRENT_TIMESTAMP
+          FROM target
+          WHERE r.id = target.id AND target.refund > 0
+          RETURNING r.*, target.refund
+        ), bal AS (
+          UPDATE ${s}.credit_balances b
+          SET reserved = b.reserved - res.refund, updated_at = CURRENT_TIMESTAMP
+          FROM res
+          WHERE b.tenant_id = res.tenant_id
+        ), tx AS (
+          INSERT INTO ${s}.credit_transactions (
+            tenant_id, user_id, platform, action, type, amount, reservation_id, reference_type, reference_id, metadata
+          )
+          SELECT res.tenant_id, res.user_id, res.platform, res.action, 'refund', res.refund, res.id,
+            COALESCE($3, res.reference_type), COALESCE($4, res.reference_id), $5
+          FROM res
+        )
+        SELECT * FROM res
+      `, [reservationId, amount, referenceType, referenceId ? String(referenceId) : null, JSON.stringify(metadata)]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error refunding credits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ledger entries of a tenant, newest first
+   */
+  static async listTransactions(schema, tenantId, { platform = null, type = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const result = await query(`
+        SELECT
+          id, user_id, platform, action, type, amount, reservation_id,
+          reference_type, reference_id, metadata, created_at
+        FROM ${validateSchema(schema)}.credit_transactions
+        WHERE tenant_id = $1
+          AND ($2::text IS NULL OR platform = $2)
+          AND ($3::text IS NULL OR type = $3)
+        ORDER BY created_at DESC, id DESC
+        LIMIT $4 OFFSET $5
+      `, [tenantId, platform, type, limit, offset]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing credit transactions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CreditLedger;
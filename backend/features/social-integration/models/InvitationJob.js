@@ -0,0 +1,536 @@
+/**
+ * Invitation Job Model
+ *
+ * Persistent batch invitation jobs and their per-profile items.
+ * Jobs are claimed with a worker lease (locked_by + heartbeat_at) so a
+ * job abandoned by a crashed or restarted worker is picked up again and
+ * continues from its first pending item.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+
+// A running job without a heartbeat for this long is assumed abandoned
+const STALE_LEASE_MINUTES = 10;
+
+class InvitationJob {
+  /**
+   * Create a queued job with one item per profile
+   * With nextRunAt the job starts deferred until then
+   * The ID may be chosen by the caller (e.g. to reference it from a credit reservation)
+   * messages (optional) holds a rendered note per profile, sent instead of customMessage
+   * timezones (optional) holds each profile's inferred timezone for send windows
+   */
+  static async create(schema, jobData) {
+    try {
+      const {
+        id,
+        tenantId,
+        userId,
+        platform,
+        accountId,
+        customMessage,
+        delayMs,
+        profiles,
+        messages,
+        timezones,
+        metadata,
+        nextRunAt,
+        deferredReason,
+        creditReservationId
+      } = jobData;
+
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH job AS (
+          INSERT INTO ${s}.social_invitation_jobs (
+            id,
+            tenant_id,
+            user_id,
+            platform,
+            account_id,
+            custom_message,
+            delay_ms,
+            total_count,
+            metadata,
+            status,
+            next_run_at,
+            deferred_reason,
+            credit_reservation_id
+          ) VALUES (COALESCE($13::uuid, gen_random_uuid()), $1, $2, $3, $4, $5, $6, jsonb_array_length($7::jsonb), $8, $9, $10, $11, $12)
+          RETURNING *
+        ), items AS (
+          INSERT INTO ${s}.social_invitation_job_items (job_id, position, profile, message, timezone)
+          SELECT job.id, p.position - 1, p.profile, ($14::text[])[p.position], ($15::text[])[p.position]
+          FROM job, jsonb_array_elements($7::jsonb) WITH ORDINALITY AS p(profile, position)
+        )
+        SELECT * FROM job
+      `, [
+        tenantId,
+        userId || null,
+        platform,
+        accountId,
+        customMessage || null,
+        delayMs,
+        JSON.stringify(profiles),
+        JSON.stringify(metadata || {}),
+        nextRunAt ? 'deferred' : 'queued',
+        nextRunAt || null,
+        nextRunAt ? (deferredReason || null) : null,
+        creditReservationId || null,
+        id || null,
+        messages || null,
+        timezones || null
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating invitation job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a job owned by the user
+   */
+  static async findForUser(schema, tenantId, userId, id) {
+    try {
+      const result = await query(`
+        SELECT * FROM ${validateSchema(schema)}.social_invitation_jobs
+        WHERE id = $1 AND tenant_id = $2 AND user_id = $3
+      `, [id, tenantId, userId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding invitation job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the user's jobs, newest first
+   */
+  static async listForUser(schema, tenantId, userId, { platform = null, status = null, limit = 20, offset = 0 } = {}) {
+    try {
+      let sql = `
+        SELECT * FROM ${validateSchema(schema)}.social_invitation_jobs
+        WHERE tenant_id = $1 AND user_id = $2
+      `;
+      const params = [tenantId, userId];
+
+      if (platform) {
+        params.push(platform);
+        sql += ` AND platform = $${params.length}`;
+      }
+
+      if (status) {
+        params.push(status);
+        sql += ` AND status = $${params.length}`;
+      }
+
+      params.push(limit, offset);
+      sql += ` ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing invitation jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List items of a job in submission order
+   */
+  static async listItems(schema, jobId, { status = null, limit = 100, offset = 0 } = {}) {
+    try {
+      let sql = `
+        SELECT id, position, profile, message, timezone, not_before, status, error, result, processed_at
+        FROM ${validateSchema(schema)}.social_invitation_job_items
+        WHERE job_id = $1
+      `;
+      const params = [jobId];
+
+      if (status) {
+        params.push(status);
+        sql += ` AND status = $${params.length}`;
+      }
+
+      params.push(limit, offset);
+      sql += ` ORDER BY position ASC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing invitation job items:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim runnable jobs (queued, deferred and due, or running with a stale lease)
+   * Only one job per account runs at a time so per-account pacing holds
+   */
+  static async claimNext(schema, workerId, limit = 1) {
+    try {
+      const table = `${validateSchema(schema)}.social_invitation_jobs`;
+      const result = await query(`
+        UPDATE ${table}
+        SET
+          status = 'running',
+          locked_by = $1,
+          heartbeat_at = CURRENT_TIMESTAMP,
+          next_run_at = NULL,
+          deferred_reason = NULL,
+          started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+          SELECT j.id FROM ${table} j
+          WHERE (
+            j.status = 'queued'
+            OR (j.status = 'deferred' AND j.next_run_at <= CURRENT_TIMESTAMP)
+            OR (
+              j.status = 'running'
+              AND (j.heartbeat_at IS NULL OR j.heartbeat_at < CURRENT_TIMESTAMP - ($3 * INTERVAL '1 minute'))
+            )
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM ${table} other
+            WHERE other.account_id = j.account_id
+              AND other.id <> j.id
+              AND other.status = 'running'
+              AND other.heartbeat_at >= CURRENT_TIMESTAMP - ($3 * INTERVAL '1 minute')
+          )
+          ORDER BY j.created_at ASC
+          LIMIT $2
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, [workerId, limit, STALE_LEASE_MINUTES]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error claiming invitation jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Current status and lease of a job
+   * Checked by the runner before each item to honour pause/cancel
+   */
+  static async getState(schema, id) {
+    try {
+      const result = await query(`
+        SELECT status, locked_by FROM ${validateSchema(schema)}.social_invitation_jobs
+        WHERE id = $1
+      `, [id]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error reading invitation job state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Next pending item (the resume point)
+   * Items postponed to a later send window are skipped until then
+   */
+  static async nextPendingItem(schema, jobId) {
+    try {
+      const result = await query(`
+        SELECT * FROM ${validateSchema(schema)}.social_invitation_job_items
+        WHERE job_id = $1
+          AND status = 'pending'
+          AND (not_before IS NULL OR not_before <= CURRENT_TIMESTAMP)
+        ORDER BY position ASC
+        LIMIT 1
+      `, [jobId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding pending invitation job item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an item as being sent by the worker holding the job
+   * Refreshes the lease; null when the job was paused or cancelled meanwhile
+   * (a cancelled item is no longer pending)
+   */
+  static async leaseItem(schema, jobId, itemId, workerId) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH job AS (
+          UPDATE ${s}.social_invitation_jobs
+          SET heartbeat_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND locked_by = $3 AND status = 'running'
+          RETURNING id
+        )
+        UPDATE ${s}.social_invitation_job_items i
+        SET sending_at = CURRENT_TIMESTAMP
+        FROM job
+        WHERE i.id = $2 AND i.job_id = job.id AND i.status = 'pending'
+        RETURNING i.*
+      `, [jobId, itemId, workerId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error leasing invitation job item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Postpone the job's due pending items in a timezone (null: no inferred
+   * timezone) until their send window opens
+   *
+   * @returns {Promise<number>} Items postponed
+   */
+  static async postponeItems(schema, jobId, timezone, notBefore) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_invitation_job_items
+        SET not_before = $3
+        WHERE job_id = $1
+          AND status = 'pending'
+          AND timezone IS NOT DISTINCT FROM $2
+          AND (not_before IS NULL OR not_before <= CURRENT_TIMESTAMP)
+      `, [jobId, timezone, notBefore]);
+
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error postponing invitation job items:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Earliest time a postponed pending item becomes due
+   *
+   * @returns {Promise<Date|null>} null when no pending item is postponed
+   */
+  static async nextPostponedAt(schema, jobId) {
+    try {
+      const result = await query(`
+        SELECT MIN(not_before) AS next_at
+        FROM ${validateSchema(schema)}.social_invitation_job_items
+        WHERE job_id = $1 AND status = 'pending' AND not_before > CURRENT_TIMESTAMP
+      `, [jobId]);
+
+      return result.rows[0]?.next_at || null;
+    } catch (error) {
+      console.error('Error finding postponed invitation job items:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an item outcome and bump the job counters
+   * status: 'sent' | 'already_sent' | 'failed'
+   * Items already resolved (e.g. cancelled meanwhile) are left untouched
+   */
+  static async recordItemResult(schema, jobId, itemId, status, { error = null, result = null } = {}) {
+    try {
+      const s = validateSchema(schema);
+      const updated = await query(`
+        WITH item AS (
+          UPDATE ${s}.social_invitation_job_items
+          SET
+            status = $3,
+            error = $4,
+            result = $5::jsonb,
+            processed_at = CURRENT_TIMESTAMP
+          WHERE id = $2 AND job_id = $1 AND status = 'pending'
+          RETURNING status
+        )
+        UPDATE ${s}.social_invitation_jobs j
+        SET
+          processed_count = j.processed_count + 1,
+          successful_count = j.successful_count + (CASE WHEN item.status = 'sent' THEN 1 ELSE 0 END),
+          already_sent_count = j.already_sent_count + (CASE WHEN item.status = 'already_sent' THEN 1 ELSE 0 END),
+          failed_count = j.failed_count + (CASE WHEN item.status = 'failed' THEN 1 ELSE 0 END),
+          heartbeat_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        FROM item
+        WHERE j.id = $1
+        RETURNING j.*
+      `, [jobId, itemId, status, error, result ? JSON.stringify(result) : null]);
+
+      return updated.rows[0] || null;
+    } catch (error) {
+      console.error('Error recording invitation job item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh the worker lease (long delays between items)
+   */
+  static async heartbeat(schema, id, workerId) {
+    try {
+      await query(`
+        UPDATE ${validateSchema(schema)}.social_invitation_jobs
+        SET heartbeat_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND locked_by = $2 AND status = 'running'
+      `, [id, workerId]);
+    } catch (error) {
+      console.error('Error updating invitation job heartbeat:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish a job held by this worker
+   * status: 'completed' | 'failed'
+   */
+  static async finish(schema, id, workerId, status, lastError = null) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_invitation_jobs
+        SET
+          status = $3,
+          last_error = $4,
+          locked_by = NULL,
+          completed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND locked_by = $2 AND status = 'running'
+        RETURNING *
+      `, [id, workerId, status, lastError]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finishing invitation job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release a job held by this worker until the next quota or send window
+   */
+  static async defer(schema, id, workerId, nextRunAt, reason) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_invitation_jobs
+        SET
+          status = 'deferred',
+          locked_by = NULL,
+          next_run_at = $3,
+          deferred_reason = $4,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND locked_by = $2 AND status = 'running'
+        RETURNING *
+      `, [id, workerId, nextRunAt, reason]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error deferring invitation job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pause a queued, deferred or running job
+   * A running worker stops before its next item
+   */
+  static async pause(schema, tenantId, id) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_invitation_jobs
+        SET
+          status = 'paused',
+          locked_by = NULL,
+          paused_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND tenant_id = $2 AND status IN ('queued', 'running', 'deferred')
+        RETURNING *
+      `, [id, tenantId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error pausing invitation job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-queue a paused job; it continues from its first pending item
+   * (quota is checked again when it runs)
+   */
+  static async resume(schema, tenantId, id) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_invitation_jobs
+        SET
+          status = 'queued',
+          paused_at = NULL,
+          next_run_at = NULL,
+          deferred_reason = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND tenant_id = $2 AND status = 'paused'
+        RETURNING *
+      `, [id, tenantId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error resuming invitation job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a job and its pending items
+   * The item a live worker is sending stays pending: the worker records its
+   * outcome and settles its credits
+   *
+   * @returns {Promise<Object|null>} Job plus cancelled_count, or null when it cannot be cancelled
+   */
+  static async cancel(schema, tenantId, id) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH previous AS (
+          SELECT id,
+                 heartbeat_at,
+                 status = 'running'
+                   AND locked_by IS NOT NULL
+                   AND heartbeat_at >= CURRENT_TIMESTAMP - ($3 * INTERVAL '1 minute') AS has_live_worker
+          FROM ${s}.social_invitation_jobs
+          WHERE id = $1 AND tenant_id = $2 AND status IN ('queued', 'running', 'deferred', 'paused')
+          FOR UPDATE
+        ), job AS (
+          UPDATE ${s}.social_invitation_jobs j
+          SET
+            status = 'cancelled',
+            locked_by = NULL,
+            completed_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+          FROM previous
+          WHERE j.id = previous.id
+          RETURNING j.*
+        ), items AS (
+          UPDATE ${s}.social_invitation_job_items i
+          SET status = 'cancelled', processed_at = CURRENT_TIMESTAMP
+          FROM previous
+          WHERE i.job_id = previous.id
+            AND i.status = 'pending'
+            -- leaseItem stamps the item and the job heartbeat together
+            AND NOT COALESCE(previous.has_live_worker AND i.sending_at >= previous.heartbeat_at, false)
+          RETURNING i.id
+        )
+        SELECT job.*, (SELECT COUNT(*)::int FROM items) AS cancelled_count
+        FROM job
+      `, [id, tenantId, STALE_LEASE_MINUTES]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error cancelling invitation job:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = InvitationJob;
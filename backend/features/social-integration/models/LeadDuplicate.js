@@ -0,0 +1,358 @@
+/**
+ * Lead Duplicate Model
+ *
+ * Identity resolution across a tenant's leads: LinkedIn provider ID and slug,
+ * email, phone (leads.phone and lead_social.whatsapp) and Instagram / Facebook
+ * handles. Keys are compared exactly through the expressions indexed by
+ * migrations 018 and 019.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+const { LINKEDIN_SLUG } = require('../utils/identityKeys');
+
+// Identity key expressions (same as the migration 018 / 019 indexes)
+const EMAIL_KEY = (column) => `LOWER(TRIM(${column}))`;
+const PHONE_KEY = (column) => `REGEXP_REPLACE(${column}, '[^0-9]', '', 'g')`;
+const WHATSAPP_KEY = (column) => `REGEXP_REPLACE(SPLIT_PART(${column}, '@', 1), '[^0-9]', '', 'g')`;
+const INSTAGRAM_KEY = (column) => `LOWER(SUBSTRING(${column} FROM '^(?:https?://)?(?:www\\.)?(?:instagram\\.com/)?@?([^/?#]+)'))`;
+const FACEBOOK_KEY = (column) => `LOWER(SUBSTRING(${column} FROM '^(?:https?://)?(?:www\\.)?(?:(?:facebook|fb)\\.com/)?([^/?#]+)'))`;
+
+// Shortest phone (digits) treated as an identity
+const MIN_PHONE_DIGITS = 8;
+
+class LeadDuplicate {
+  /**
+   * Leads sharing any identity key, strongest match first
+   *
+   * @param {Object} keys - { providerId, linkedinSlugs: Array<string>, email, phone (digits), instagram, facebook }
+   * @param {Object} options - { excludeLeadId, limit }
+   * @returns {Promise<Array>} [{ id, name, matched_on: Array<string> }]
+   */
+  static async findMatches(schema, tenantId, keys, { excludeLeadId = null, limit = 5 } = {}) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH candidates AS (
+          SELECT li.lead_id, 'provider_id' AS matched_on, 1 AS match_rank
+          FROM ${s}.social_lead_identities li
+          WHERE li.tenant_id = $1 AND li.platform = 'linkedin' AND li.provider_id = $2
+          UNION ALL
+          SELECT li.lead_id, 'linkedin', 2
+          FROM ${s}.social_lead_identities li
+          WHERE li.tenant_id = $1 AND li.platform = 'linkedin' AND li.public_identifier = ANY($3::text[])
+          UNION ALL
+          SELECT ls.lead_id, 'linkedin', 2
+          FROM ${s}.lead_social ls
+          WHERE ${LINKEDIN_SLUG('ls.linkedin')} = ANY($3::text[])
+          UNION ALL
+          SELECT l.id, 'email', 3
+          FROM ${s}.leads l
+          WHERE l.tenant_id = $1 AND l.is_deleted = FALSE AND ${EMAIL_KEY('l.email')} = $4
+          UNION ALL
+          SELECT l.id, 'phone', 4
+          FROM ${s}.leads l
+          WHERE l.tenant_id = $1 AND l.is_deleted = FALSE AND ${PHONE_KEY('l.phone')} = $5
+          UNION ALL
+          SELECT ls.lead_id, 'phone', 4
+          FROM ${s}.lead_social ls
+          WHERE ${WHATSAPP_KEY('ls.whatsapp')} = $5
+          UNION ALL
+          SELECT ls.lead_id, 'instagram', 5
+          FROM ${s}.lead_social ls
+          WHERE ${INSTAGRAM_KEY('ls.instagram')} = $6
+          UNION ALL
+          SELECT ls.lead_id, 'facebook', 6
+          FROM ${s}.lead_social ls
+          WHERE ${FACEBOOK_KEY('ls.facebook')} = $7
+        )
+        SELECT l.id, l.name, ARRAY_AGG(DISTINCT c.matched_on) AS matched_on
+        FROM candidates c
+        INNER JOIN ${s}.leads l ON l.id = c.lead_id
+        WHERE l.tenant_id = $1
+          AND l.is_deleted = FALSE
+          AND ($8::uuid IS NULL OR l.id <> $8::uuid)
+        GROUP BY l.id, l.name, l.updated_at
+        ORDER BY MIN(c.match_rank) ASC, COUNT(DISTINCT c.matched_on) DESC, l.updated_at DESC
+        LIMIT $9
+      `, [
+        tenantId,
+        keys.providerId || null,
+        keys.linkedinSlugs || [],
+        keys.email || null,
+        keys.phone || null,
+        keys.instagram || null,
+        keys.facebook || null,
+        excludeLeadId,
+        limit
+      ]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding matching leads:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add contact details and handles a lead is missing (existing values are kept)
+   *
+   * @param {Object} details - { email, phone, linkedin, instagram, facebook, whatsapp }
+   * @returns {Promise<Object|null>} { id } of the lead, or null when it does not exist
+   */
+  static async linkDetails(schema, tenantId, leadId, details) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH lead AS (
+          UPDATE ${s}.leads
+          SET email = COALESCE(NULLIF(email, ''), $3),
+              phone = COALESCE(NULLIF(phone, ''), $4),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $2 AND tenant_id = $1 AND is_deleted = FALSE
+          RETURNING id
+        ), social AS (
+          INSERT INTO ${s}.lead_social (lead_id, tenant_id, linkedin, instagram, facebook, whatsapp)
+          SELECT id, $1, $5, $6, $7, $8 FROM lead
+          ON CONFLICT (lead_id) DO UPDATE SET
+            linkedin = COALESCE(NULLIF(lead_social.linkedin, ''), EXCLUDED.linkedin),
+            instagram = COALESCE(NULLIF(lead_social.instagram, ''), EXCLUDED.instagram),
+            facebook = COALESCE(NULLIF(lead_social.facebook, ''), EXCLUDED.facebook),
+            whatsapp = COALESCE(NULLIF(lead_social.whatsapp, ''), EXCLUDED.whatsapp)
+        )
+        SELECT id FROM lead
+      `, [
+        tenantId,
+        leadId,
+        details.email || null,
+        details.phone || null,
+        details.linkedin || null,
+        details.instagram || null,
+        details.facebook || null,
+        details.whatsapp || null
+      ]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error linking lead details:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Groups of leads sharing identity keys (probable duplicates), most shared keys first
+   *
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { groups: [{ lead_ids, matches: [{ type, value }] }], total }
+   */
+  static async listGroups(schema, tenantId, { limit = 50, offset = 0 } = {}) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH active AS (
+          SELECT id, email, phone FROM ${s}.leads WHERE tenant_id = $1 AND is_deleted = FALSE
+        ),
+        keys AS (
+          SELECT a.id AS lead_id, 'email' AS match_type, ${EMAIL_KEY('a.email')} AS value
+          FROM active a
+          WHERE NULLIF(TRIM(a.email), '') IS NOT NULL
+          UNION ALL
+          SELECT a.id, 'phone', ${PHONE_KEY('a.phone')}
+          FROM active a
+          WHERE LENGTH(${PHONE_KEY('a.phone')}) >= $4
+          UNION ALL
+          SELECT ls.lead_id, 'phone', ${WHATSAPP_KEY('ls.whatsapp')}
+          FROM ${s}.lead_social ls INNER JOIN active a ON a.id = ls.lead_id
+          WHERE LENGTH(${WHATSAPP_KEY('ls.whatsapp')}) >= $4
+          UNION ALL
+          SELECT ls.lead_id, 'linkedin', ${LINKEDIN_SLUG('ls.linkedin')}
+          FROM ${s}.lead_social ls INNER JOIN active a ON a.id = ls.lead_id
+          WHERE ${LINKEDIN_SLUG('ls.linkedin')} IS NOT NULL
+          UNION ALL
+          SELECT li.lead_id, 'provider_id', li.provider_id
+          FROM ${s}.social_lead_identities li INNER JOIN active a ON a.id = li.lead_id
+          WHERE li.tenant_id = $1 AND li.platform = 'linkedin' AND li.provider_id IS NOT NULL
+          UNION ALL
+          SELECT ls.lead_id, 'instagram', ${INSTAGRAM_KEY('ls.instagram')}
+          FROM ${s}.lead_social ls INNER JOIN active a ON a.id = ls.lead_id
+          WHERE NULLIF(ls.instagram, '') IS NOT NULL
+          UNION ALL
+          SELECT ls.lead_id, 'facebook', ${FACEBOOK_KEY('ls.facebook')}
+          FROM ${s}.lead_social ls INNER JOIN active a ON a.id = ls.lead_id
+          WHERE NULLIF(ls.facebook, '') IS NOT NULL
+            AND ${FACEBOOK_KEY('ls.facebook')} <> 'profile.php'
+        ),
+        collisions AS (
+          SELECT match_type, value, ARRAY_AGG(DISTINCT lead_id ORDER BY lead_id) AS lead_ids
+          FROM keys
+          WHERE value IS NOT NULL AND value <> ''
+          GROUP BY match_type, value
+          HAVING COUNT(DISTINCT lead_id) > 1
+        ),
+        duplicate_groups AS (
+          SELECT lead_ids,
+            JSONB_AGG(JSONB_BUILD_OBJECT('type', match_type, 'value', value) ORDER BY match_type, value) AS matches
+          FROM collisions
+          GROUP BY lead_ids
+        )
+        SELECT lead_ids, matches, COUNT(*) OVER () AS total
+        FROM duplicate_groups
+        ORDER BY JSONB_ARRAY_LENGTH(matches) DESC, CARDINALITY(lead_ids) DESC, lead_ids
+        LIMIT $2 OFFSET $3
+      `, [tenantId, limit, offset, MIN_PHONE_DIGITS]);
+
+      return {
+        groups: result.rows.map(({ total, ...group }) => group),
+        total: result.rows.length > 0 ? Number(result.rows[0].total) : 0
+      };
+    } catch (error) {
+      console.error('Error listing duplicate leads:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Leads with their social profiles, for reports and merge checks
+   *
+   * @returns {Promise<Array>} Active leads among the IDs
+   */
+  static async findLeads(schema, tenantId, leadIds) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        SELECT l.id, l.name, l.email, l.phone, l.status, l.stage, l.source, l.created_at, l.updated_at,
+          ls.linkedin, ls.instagram, ls.facebook, ls.whatsapp
+        FROM ${s}.leads l
+        LEFT JOIN ${s}.lead_social ls ON ls.lead_id = l.id
+        WHERE l.tenant_id = $1
+          AND l.id = ANY($2::uuid[])
+          AND l.is_deleted = FALSE
+        ORDER BY l.created_at ASC
+      `, [tenantId, leadIds]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding leads:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge duplicate leads into a primary lead, in one statement:
+   * - the primary gets the email / phone / social handles it is missing
+   * - messages, conversations, sequence enrollments and auto-calls move to the primary
+   *   (pending calls of a duplicate are cancelled; the primary keeps its own)
+   * - LinkedIn identities of the duplicates move to the primary (its own values are kept)
+   * - duplicates are soft-deleted and recorded in social_lead_merges
+   *
+   * @param {Object} options - { userId, matchedOn }
+   * @returns {Promise<Object>} { merged, messages, conversations, enrollments, calls, identities }
+   */
+  static async merge(schema, tenantId, primaryLeadId, duplicateLeadIds, { userId = null, matchedOn = [] } = {}) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH dup AS (
+          SELECT l.*
+          FROM ${s}.leads l
+          WHERE l.tenant_id = $1 AND l.id = ANY($3::uuid[]) AND l.id <> $2 AND l.is_deleted = FALSE
+        ), dup_social AS (
+          SELECT ls.*
+          FROM ${s}.lead_social ls
+          INNER JOIN dup ON dup.id = ls.lead_id
+        ), primary_lead AS (
+          UPDATE ${s}.leads p
+          SET email = COALESCE(NULLIF(p.email, ''),
+                (SELECT d.email FROM dup d WHERE NULLIF(d.email, '') IS NOT NULL ORDER BY d.updated_at DESC LIMIT 1)),
+              phone = COALESCE(NULLIF(p.phone, ''),
+                (SELECT d.phone FROM dup d WHERE NULLIF(d.phone, '') IS NOT NULL ORDER BY d.updated_at DESC LIMIT 1)),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE p.id = $2 AND p.tenant_id = $1 AND p.is_deleted = FALSE
+            AND EXISTS (SELECT 1 FROM dup)
+          RETURNING p.id
+        ), primary_social AS (
+          INSERT INTO ${s}.lead_social (lead_id, tenant_id, linkedin, instagram, facebook, whatsapp)
+          SELECT $2, $1,
+            (SELECT ds.linkedin FROM dup_social ds WHERE NULLIF(ds.linkedin, '') IS NOT NULL LIMIT 1),
+            (SELECT ds.instagram FROM dup_social ds WHERE NULLIF(ds.instagram, '') IS NOT NULL LIMIT 1),
+            (SELECT ds.facebook FROM dup_social ds WHERE NULLIF(ds.facebook, '') IS NOT NULL LIMIT 1),
+            (SELECT ds.whatsapp FROM dup_social ds WHERE NULLIF(ds.whatsapp, '') IS NOT NULL LIMIT 1)
+          FROM primary_lead
+          ON CONFLICT (lead_id) DO UPDATE SET
+            linkedin = COALESCE(NULLIF(lead_social.linkedin, ''), EXCLUDED.linkedin),
+            instagram = COALESCE(NULLIF(lead_social.instagram, ''), EXCLUDED.instagram),
+            facebook = COALESCE(NULLIF(lead_social.facebook, ''), EXCLUDED.facebook),
+            whatsapp = COALESCE(NULLIF(lead_social.whatsapp, ''), EXCLUDED.whatsapp)
+        ), retired AS (
+          UPDATE ${s}.leads d
+          SET is_deleted = TRUE, updated_at = CURRENT_TIMESTAMP
+          WHERE d.id IN (SELECT id FROM dup)
+            AND EXISTS (SELECT 1 FROM primary_lead)
+          RETURNING d.id
+        ), messages AS (
+          UPDATE ${s}.social_messages SET lead_id = $2, updated_at = CURRENT_TIMESTAMP
+          WHERE tenant_id = $1 AND lead_id IN (SELECT id FROM retired)
+          RETURNING id
+        ), conversations AS (
+          UPDATE ${s}.social_conversations SET lead_id = $2, updated_at = CURRENT_TIMESTAMP
+          WHERE tenant_id = $1 AND lead_id IN (SELECT id FROM retired)
+          RETURNING id
+        ), enrollments AS (
+          UPDATE ${s}.social_sequence_enrollments SET lead_id = $2, updated_at = CURRENT_TIMESTAMP
+          WHERE tenant_id = $1 AND lead_id IN (SELECT id FROM retired)
+          RETURNING id
+        ), calls AS (
+          UPDATE ${s}.social_scheduled_calls
+          SET lead_id = $2,
+              status = CASE WHEN status = 'pending' THEN 'cancelled' ELSE status END,
+              last_error = CASE WHEN status = 'pending' THEN 'Lead merged into ' || $2::text ELSE last_error END,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE tenant_id = $1 AND lead_id IN (SELECT id FROM retired) AND status <> 'running'
+          RETURNING id
+        ), released_identities AS (
+          DELETE FROM ${s}.social_lead_identities
+          WHERE tenant_id = $1 AND lead_id IN (SELECT id FROM retired)
+          RETURNING *
+        ), identities AS (
+          INSERT INTO ${s}.social_lead_identities
+            (tenant_id, lead_id, platform, provider_id, public_identifier, source, resolved_at)
+          SELECT DISTINCT ON (ri.platform) $1, $2, ri.platform, ri.provider_id, ri.public_identifier, ri.source, ri.resolved_at
+          FROM released_identities ri
+          WHERE ri.provider_id IS NOT NULL
+          ORDER BY ri.platform, ri.resolved_at DESC NULLS LAST
+          ON CONFLICT (tenant_id, lead_id, platform) DO UPDATE SET
+            provider_id = COALESCE(social_lead_identities.provider_id, EXCLUDED.provider_id),
+            public_identifier = COALESCE(social_lead_identities.public_identifier, EXCLUDED.public_identifier),
+            resolved_at = COALESCE(social_lead_identities.resolved_at, EXCLUDED.resolved_at),
+            updated_at = CURRENT_TIMESTAMP
+          RETURNING id
+        ), merges AS (
+          INSERT INTO ${s}.social_lead_merges (tenant_id, primary_lead_id, merged_lead_id, merged_by, matched_on, snapshot)
+          SELECT $1, $2, d.id, $4, $5::text[], JSONB_BUILD_OBJECT(
+            'lead', TO_JSONB(d),
+            'social', (SELECT TO_JSONB(ds) FROM dup_social ds WHERE ds.lead_id = d.id LIMIT 1)
+          )
+          FROM dup d
+          WHERE d.id IN (SELECT id FROM retired)
+          RETURNING merged_lead_id
+        )
+        SELECT
+          (SELECT COUNT(*) FROM merges)::int AS merged,
+          (SELECT COUNT(*) FROM messages)::int AS messages,
+          (SELECT COUNT(*) FROM conversations)::int AS conversations,
+          (SELECT COUNT(*) FROM enrollments)::int AS enrollments,
+          (SELECT COUNT(*) FROM calls)::int AS calls,
+          (SELECT COUNT(*) FROM identities)::int AS identities
+      `, [tenantId, primaryLeadId, duplicateLeadIds, userId, matchedOn]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error merging leads:', error);
+      throw error;
+    }
+  }
+}
+
+LeadDuplicate.MIN_PHONE_DIGITS = MIN_PHONE_DIGITS;
+
+module.exports = LeadDuplicate;
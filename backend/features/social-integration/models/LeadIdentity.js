@@ -0,0 +1,124 @@
+/**
+ * Lead Identity Model
+ *
+ * Provider ID and canonical slug of a lead's profile, stored alongside
+ * lead_social so webhooks can match leads exactly (provider ID first, then slug)
+ * even after the member changes their vanity URL.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+const { LINKEDIN_SLUG } = require('../utils/identityKeys');
+
+class LeadIdentity {
+  /**
+   * Store what is known about a lead's profile
+   * Known values are kept when the new data leaves them out
+   *
+   * @param {Object} identityData - { tenantId, leadId, platform, providerId, publicIdentifier, source }
+   * @returns {Promise<Object>} Stored row
+   */
+  static async record(schema, identityData) {
+    try {
+      const {
+        tenantId,
+        leadId,
+        platform = 'linkedin',
+        providerId = null,
+        publicIdentifier = null,
+        source = 'webhook'
+      } = identityData;
+
+      const result = await query(`
+        INSERT INTO ${validateSchema(schema)}.social_lead_identities
+          (tenant_id, lead_id, platform, provider_id, public_identifier, source, resolved_at)
+        VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $4::text IS NOT NULL THEN CURRENT_TIMESTAMP END)
+        ON CONFLICT (tenant_id, lead_id, platform) DO UPDATE SET
+          provider_id = COALESCE(EXCLUDED.provider_id, social_lead_identities.provider_id),
+          public_identifier = COALESCE(EXCLUDED.public_identifier, social_lead_identities.public_identifier),
+          source = CASE WHEN EXCLUDED.provider_id IS NOT NULL THEN EXCLUDED.source ELSE social_lead_identities.source END,
+          resolved_at = COALESCE(EXCLUDED.resolved_at, social_lead_identities.resolved_at),
+          lookup_error = CASE WHEN EXCLUDED.provider_id IS NOT NULL THEN NULL ELSE social_lead_identities.lookup_error END,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `, [tenantId, leadId, platform, providerId, publicIdentifier, source]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error recording lead identity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a failed provider lookup for a lead (backfill)
+   */
+  static async recordLookupFailure(schema, { tenantId, leadId, platform = 'linkedin', publicIdentifier = null, error: lookupError }) {
+    try {
+      await query(`
+        INSERT INTO ${validateSchema(schema)}.social_lead_identities
+          (tenant_id, lead_id, platform, public_identifier, source, lookup_attempts, lookup_error)
+        VALUES ($1, $2, $3, $4, 'backfill', 1, $5)
+        ON CONFLICT (tenant_id, lead_id, platform) DO UPDATE SET
+          lookup_attempts = social_lead_identities.lookup_attempts + 1,
+          lookup_error = EXCLUDED.lookup_error,
+          updated_at = CURRENT_TIMESTAMP
+      `, [tenantId, leadId, platform, publicIdentifier, lookupError]);
+    } catch (error) {
+      console.error('Error recording lead identity lookup failure:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Leads with a LinkedIn URL in lead_social but no provider ID yet, by lead ID
+   *
+   * @param {Object} options - { afterLeadId, limit, maxAttempts }
+   * @returns {Promise<Array>} [{ lead_id, linkedin, slug }]
+   */
+  static async listUnresolved(schema, tenantId, { afterLeadId = null, limit = 50, maxAttempts = 3 } = {}) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        SELECT l.id AS lead_id, ls.linkedin, ${LINKEDIN_SLUG('ls.linkedin')} AS slug
+        FROM ${s}.leads l
+        INNER JOIN ${s}.lead_social ls ON ls.lead_id = l.id
+        LEFT JOIN ${s}.social_lead_identities li
+          ON li.tenant_id = l.tenant_id AND li.lead_id = l.id AND li.platform = 'linkedin'
+        WHERE l.tenant_id = $1
+          AND l.is_deleted = FALSE
+          AND ${LINKEDIN_SLUG('ls.linkedin')} IS NOT NULL
+          AND li.provider_id IS NULL
+          AND COALESCE(li.lookup_attempts, 0) < $2
+          AND ($3::uuid IS NULL OR l.id > $3::uuid)
+        ORDER BY l.id ASC
+        LIMIT $4
+      `, [tenantId, maxAttempts, afterLeadId, limit]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing unresolved lead identities:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tenants of a schema with a connected LinkedIn account (backfill targets)
+   */
+  static async listBackfillTenants(schema) {
+    try {
+      const result = await query(`
+        SELECT DISTINCT tenant_id
+        FROM ${validateSchema(schema)}.social_accounts
+        WHERE platform = 'linkedin' AND status = 'connected' AND is_active = true
+      `);
+
+      return result.rows.map(row => row.tenant_id);
+    } catch (error) {
+      console.error('Error listing backfill tenants:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = LeadIdentity;
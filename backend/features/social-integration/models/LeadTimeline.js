@@ -0,0 +1,193 @@
+/**
+ * Lead Timeline Model
+ *
+ * Read-only view of everything this feature did with one lead, across platforms:
+ * - activities (invitations, messages, lookups) sent to the lead's profiles
+ * - inbound messages stored for the lead
+ * - webhook events whose handler touched the lead (result.leadId)
+ * - auto-calls placed from a webhook or queued for the call window
+ *
+ * Activities have no lead_id; they are matched by the lead's LinkedIn slug
+ * (lead_social), its stored identities (social_lead_identities) and the
+ * provider IDs seen in its messages and conversations.
+ *
+ * Leads merged into this one (social_lead_merges) contribute their history too.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+const { LINKEDIN_SLUG } = require('../utils/identityKeys');
+
+// Message events are shown as their stored inbound message instead
+const MESSAGE_EVENT_TYPES = ['message_received', 'message.received'];
+
+class LeadTimeline {
+  /**
+   * A tenant's lead (null when missing or deleted)
+   */
+  static async findLead(schema, tenantId, leadId) {
+    try {
+      const result = await query(`
+        SELECT id, name, status, stage
+        FROM ${validateSchema(schema)}.leads
+        WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+      `, [leadId, tenantId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding timeline lead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Timeline entries for a lead, oldest first (keyset pagination on occurred_at, entry_id)
+   *
+   * Each row: { entry_id, type (invitation | message | profile_lookup | inbound_message |
+   *   webhook_event | auto_call), source (activity | message | webhook_event | scheduled_call),
+   *   occurred_at, platform, account_id, account_username, account_user_id, outcome, details }
+   *
+   * @param {Object} options - { platform, cursor, limit }
+   * @returns {Promise<Array>} Up to limit + 1 rows (the extra row signals another page)
+   */
+  static async list(schema, tenantId, leadId, { platform = null, cursor = null, limit = 50 } = {}) {
+    try {
+      const s = validateSchema(schema);
+      const params = [tenantId, leadId, MESSAGE_EVENT_TYPES];
+      let sql = `
+        WITH RECURSIVE lead_ids AS (
+          SELECT $2::uuid AS id
+          UNION
+          SELECT m.merged_lead_id
+          FROM ${s}.social_lead_merges m
+          INNER JOIN lead_ids ON m.primary_lead_id = lead_ids.id
+          WHERE m.tenant_id = $1
+        ),
+        lead_slugs AS (
+          SELECT ${LINKEDIN_SLUG('ls.linkedin')} AS slug
+          FROM ${s}.lead_social ls
+          WHERE ls.lead_id IN (SELECT id FROM lead_ids)
+          UNION
+          SELECT public_identifier
+          FROM ${s}.social_lead_identities
+          WHERE tenant_id = $1 AND lead_id IN (SELECT id FROM lead_ids)
+        ),
+        lead_provider_ids AS (
+          SELECT sender_provider_id AS provider_id
+          FROM ${s}.social_messages
+          WHERE tenant_id = $1 AND lead_id IN (SELECT id FROM lead_ids) AND direction = 'inbound' AND sender_provider_id IS NOT NULL
+          UNION
+          SELECT participant_provider_id
+          FROM ${s}.social_conversations
+          WHERE tenant_id = $1 AND lead_id IN (SELECT id FROM lead_ids) AND participant_provider_id IS NOT NULL
+          UNION
+          SELECT UNNEST(ARRAY[ls.instagram, ls.whatsapp, ls.facebook])
+          FROM ${s}.lead_social ls
+          WHERE ls.lead_id IN (SELECT id FROM lead_ids)
+          UNION
+          SELECT provider_id
+          FROM ${s}.social_lead_identities
+          WHERE tenant_id = $1 AND lead_id IN (SELECT id FROM lead_ids)
+        ),
+        entries AS (
+          SELECT 'activity:' || a.id AS entry_id, a.activity_type AS type, 'activity' AS source,
+            a.created_at AS occurred_at, a.platform, a.account_id, a.status AS outcome,
+            jsonb_build_object(
+              'activityId', a.id, 'userId', a.user_id, 'content', a.content, 'error', a.error,
+              'source', a.source, 'variant', a.variant, 'jobId', a.job_id,
+              'respondedAt', a.responded_at, 'repliedAt', a.replied_at, 'callTriggeredAt', a.call_triggered_at
+            ) AS details
+          FROM ${s}.social_activities a
+          WHERE a.tenant_id = $1
+            AND a.is_deleted = false
+            AND (a.target_profile_id IN (SELECT provider_id FROM lead_provider_ids WHERE provider_id IS NOT NULL)
+                 OR LOWER(a.target_public_identifier) IN (SELECT slug FROM lead_slugs WHERE slug IS NOT NULL))
+
+          UNION ALL
+          SELECT 'message:' || m.id, 'inbound_message', 'message',
+            m.sent_at, m.platform, m.account_id, 'received',
+            jsonb_build_object(
+              'messageId', m.id, 'conversationId', m.conversation_id, 'senderName', m.sender_name,
+              'text', m.text, 'attachments', m.attachments
+            )
+          FROM ${s}.social_messages m
+          WHERE m.tenant_id = $1 AND m.lead_id IN (SELECT id FROM lead_ids) AND m.direction = 'inbound' AND m.is_deleted = false
+
+          UNION ALL
+          SELECT 'webhook:' || e.id, 'webhook_event', 'webhook_event',
+            e.received_at, NULL, e.account_id,
+            COALESCE(e.result->>'updatedStatus', e.result->>'reason', e.status),
+            jsonb_build_object(
+              'eventId', e.id, 'eventType', e.event_type, 'status', e.status, 'note', e.result->>'note'
+            )
+          FROM ${s}.webhook_events e
+          WHERE e.tenant_id = $1
+            AND e.result ? 'leadId'
+            AND e.result->>'leadId' IN (SELECT id::text FROM lead_ids)
+            AND COALESCE(e.event_type, '') <> ALL($3::text[])
+
+          UNION ALL
+          SELECT 'webhook_call:' || e.id, 'auto_call', 'webhook_event',
+            COALESCE(e.processed_at, e.received_at), NULL, e.account_id,
+            CASE
+              WHEN (e.result->'autoCallTriggered'->>'queued')::boolean THEN 'queued'
+              WHEN (e.result->'autoCallTriggered'->>'skipped')::boolean THEN 'skipped'
+              WHEN (e.result->'autoCallTriggered'->>'success')::boolean THEN 'initiated'
+              ELSE 'failed'
+            END,
+            jsonb_build_object(
+              'eventId', e.id, 'phone', e.result->'autoCallTriggered'->>'phone',
+              'reason', e.result->'autoCallTriggered'->>'reason', 'error', e.result->'autoCallTriggered'->>'error'
+            )
+          FROM ${s}.webhook_events e
+          WHERE e.tenant_id = $1
+            AND e.result ? 'leadId'
+            AND e.result->>'leadId' IN (SELECT id::text FROM lead_ids)
+            AND jsonb_typeof(e.result->'autoCallTriggered') = 'object'
+            AND NOT COALESCE((e.result->'autoCallTriggered'->>'scheduled')::boolean, false)
+
+          UNION ALL
+          SELECT 'call:' || c.id, 'auto_call', 'scheduled_call',
+            CASE WHEN c.status IN ('completed', 'failed', 'cancelled') THEN c.updated_at ELSE c.created_at END,
+            'linkedin', c.account_id,
+            CASE WHEN c.status = 'pending' THEN 'scheduled' ELSE c.status END,
+            jsonb_build_object(
+              'scheduledCallId', c.id, 'runAt', c.run_at, 'timezone', c.timezone,
+              'attempts', c.attempts, 'error', c.last_error
+            )
+          FROM ${s}.social_scheduled_calls c
+          WHERE c.tenant_id = $1 AND c.lead_id IN (SELECT id FROM lead_ids)
+        )
+        SELECT t.entry_id, t.type, t.source, date_trunc('milliseconds', t.occurred_at) AS occurred_at,
+          COALESCE(t.platform, sa.platform) AS platform,
+          t.account_id, sa.username AS account_username, sa.user_id AS account_user_id,
+          t.outcome, t.details
+        FROM entries t
+        LEFT JOIN ${s}.social_accounts sa ON sa.tenant_id = $1 AND sa.account_id = t.account_id
+        WHERE TRUE
+      `;
+
+      if (platform) {
+        params.push(platform);
+        sql += ` AND COALESCE(t.platform, sa.platform) = $${params.length}`;
+      }
+
+      if (cursor) {
+        params.push(cursor.t, cursor.id);
+        // Cursor timestamps are ISO (milliseconds), so compare at that precision
+        sql += ` AND (date_trunc('milliseconds', t.occurred_at), t.entry_id) > ($${params.length - 1}::timestamptz, $${params.length}::text)`;
+      }
+
+      params.push(limit + 1);
+      sql += ` ORDER BY occurred_at ASC, t.entry_id ASC LIMIT $${params.length}`;
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing lead timeline:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = LeadTimeline;
@@ -0,0 +1,225 @@
+/**
+ * Message Template Model
+ *
+ * Per-tenant invitation notes and messages with variables, and the lead and
+ * employees_cache fields their variables are filled from.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+const { LINKEDIN_SLUG } = require('../utils/identityKeys');
+
+class MessageTemplate {
+  /**
+   * Create a template
+   */
+  static async create(schema, templateData) {
+    try {
+      const {
+        tenantId,
+        userId,
+        name,
+        kind,
+        platform,
+        body,
+        fallbacks
+      } = templateData;
+
+      const result = await query(`
+        INSERT INTO ${validateSchema(schema)}.social_message_templates (
+          tenant_id,
+          user_id,
+          name,
+          kind,
+          platform,
+          body,
+          fallbacks
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [
+        tenantId,
+        userId || null,
+        name,
+        kind,
+        platform || null,
+        body,
+        JSON.stringify(fallbacks || {})
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating message template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find templates of a tenant by ID (deleted ones are not returned)
+   *
+   * @returns {Promise<Array>} Templates found (missing or deleted IDs are left out)
+   */
+  static async findByIds(schema, tenantId, ids) {
+    try {
+      if (!ids || ids.length === 0) {
+        return [];
+      }
+
+      const result = await query(`
+        SELECT * FROM ${validateSchema(schema)}.social_message_templates
+        WHERE id = ANY($1::uuid[]) AND tenant_id = $2 AND is_deleted = false
+      `, [ids, tenantId]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding message templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a tenant's templates, most recently updated first
+   * With a platform, templates for any platform are included
+   */
+  static async list(schema, tenantId, { kind = null, platform = null, limit = 50, offset = 0 } = {}) {
+    try {
+      let sql = `
+        SELECT * FROM ${validateSchema(schema)}.social_message_templates
+        WHERE tenant_id = $1 AND is_deleted = false
+      `;
+      const params = [tenantId];
+
+      if (kind) {
+        params.push(kind);
+        sql += ` AND kind = $${params.length}`;
+      }
+
+      if (platform) {
+        params.push(platform);
+        sql += ` AND (platform = $${params.length} OR platform IS NULL)`;
+      }
+
+      params.push(limit, offset);
+      sql += ` ORDER BY updated_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing message templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update name, body or fallbacks
+   * Queued batches keep the text rendered when they were created; sequences
+   * render each step when it is sent, so they pick up the new body
+   */
+  static async update(schema, tenantId, id, { name = null, body = null, fallbacks = null } = {}) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_message_templates
+        SET
+          name = COALESCE($3, name),
+          body = COALESCE($4, body),
+          fallbacks = COALESCE($5::jsonb, fallbacks),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND tenant_id = $2 AND is_deleted = false
+        RETURNING *
+      `, [id, tenantId, name, body, fallbacks ? JSON.stringify(fallbacks) : null]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating message template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Soft delete a template
+   */
+  static async softDelete(schema, tenantId, id) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_message_templates
+        SET is_deleted = true, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND tenant_id = $2 AND is_deleted = false
+        RETURNING id
+      `, [id, tenantId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error deleting message template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sequences (not archived) with a step rendered from the template
+   */
+  static async findSequenceUses(schema, tenantId, id) {
+    try {
+      const result = await query(`
+        SELECT id, name, status
+        FROM ${validateSchema(schema)}.social_sequences
+        WHERE tenant_id = $1
+          AND status <> 'archived'
+          AND steps @> jsonb_build_array(jsonb_build_object('templateId', $2::text))
+        ORDER BY created_at DESC
+      `, [tenantId, id]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding sequences using message template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lead and employees_cache rows that template variables are filled from
+   * Leads are matched by ID or by the LinkedIn slug in lead_social,
+   * employees_cache rows by the slug of employee_linkedin_url
+   *
+   * @param {Object} keys - { leadIds: Array<string>, identifiers: Array<string> (lowercase slugs) }
+   * @returns {Promise<Object>} { leads: Array<{ id, slug, name, job_title, company }>,
+   *   employees: Array<{ slug, employee_name, employee_title, company_name, employee_city, employee_country }> }
+   */
+  static async findVariableSources(schema, tenantId, { leadIds = [], identifiers = [] } = {}) {
+    try {
+      if (leadIds.length === 0 && identifiers.length === 0) {
+        return { leads: [], employees: [] };
+      }
+
+      const s = validateSchema(schema);
+      const [leads, employees] = await Promise.all([
+        query(`
+          SELECT DISTINCT ON (l.id) l.id, ${LINKEDIN_SLUG('ls.linkedin')} AS slug, l.name, l.job_title, l.company
+          FROM ${s}.leads l
+          LEFT JOIN ${s}.lead_social ls ON ls.lead_id = l.id
+          WHERE l.tenant_id = $1
+            AND l.is_deleted = FALSE
+            AND (l.id = ANY($2::uuid[]) OR ${LINKEDIN_SLUG('ls.linkedin')} = ANY($3::text[]))
+          ORDER BY l.id
+        `, [tenantId, leadIds, identifiers]),
+        identifiers.length === 0 ? { rows: [] } : query(`
+          SELECT DISTINCT ON (slug) *
+          FROM (
+            SELECT ${LINKEDIN_SLUG('employee_linkedin_url')} AS slug,
+              employee_name, employee_title, company_name, employee_city, employee_country, created_at
+            FROM ${s}.employees_cache
+            WHERE tenant_id = $1
+              AND employee_linkedin_url LIKE '%linkedin.com/in/%'
+          ) ec
+          WHERE slug = ANY($2::text[])
+          ORDER BY slug, created_at DESC
+        `, [tenantId, identifiers])
+      ]);
+
+      return { leads: leads.rows, employees: employees.rows };
+    } catch (error) {
+      console.error('Error loading template variable sources:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MessageTemplate;
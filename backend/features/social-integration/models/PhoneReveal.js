@@ -0,0 +1,178 @@
+/**
+ * Phone Reveal Model
+ *
+ * Phone reveals requested from Apollo and waiting for its callback.
+ * A reveal is completed once: later callbacks for it are ignored.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+const { findInTenantSchemas } = require('../utils/tenantSchemas');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class PhoneReveal {
+  /**
+   * Open a reveal for a lead
+   * Pending reveals older than timeoutMinutes are expired first; a lead with a
+   * reveal still waiting keeps that one
+   *
+   * @param {Object} revealData - { tenantId, leadId, accountId, linkedinUrl, callbackTokenHash, timeoutMinutes }
+   * @returns {Promise<Object|null>} Created reveal, or null when one is already pending
+   */
+  static async createPending(schema, revealData) {
+    try {
+      const {
+        tenantId,
+        leadId,
+        accountId,
+        linkedinUrl,
+        callbackTokenHash,
+        timeoutMinutes
+      } = revealData;
+
+      const s = validateSchema(schema);
+      await query(`
+        UPDATE ${s}.social_phone_reveals
+        SET status = 'expired', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE tenant_id = $1
+          AND lead_id = $2
+          AND status = 'pending'
+          AND requested_at < CURRENT_TIMESTAMP - ($3 * INTERVAL '1 minute')
+      `, [tenantId, leadId, timeoutMinutes]);
+
+      const result = await query(`
+        INSERT INTO ${s}.social_phone_reveals (
+          tenant_id,
+          lead_id,
+          account_id,
+          linkedin_url,
+          callback_token_hash
+        ) VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (tenant_id, lead_id) WHERE status = 'pending' DO NOTHING
+        RETURNING *
+      `, [tenantId, leadId, accountId || null, linkedinUrl || null, callbackTokenHash]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error creating phone reveal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the provider's ID for the person once the request is accepted
+   */
+  static async markRequested(schema, revealId, providerPersonId) {
+    try {
+      await query(`
+        UPDATE ${validateSchema(schema)}.social_phone_reveals
+        SET provider_person_id = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [revealId, providerPersonId || null]);
+    } catch (error) {
+      console.error('Error marking phone reveal requested:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A reveal by ID in whichever tenant schema holds it (callbacks carry no tenant)
+   *
+   * @returns {Promise<Object|null>} Reveal plus the schema it lives in
+   */
+  static async findById(revealId) {
+    try {
+      // The id comes from an unauthenticated callback URL: anything but a UUID cannot match
+      if (!UUID_PATTERN.test(String(revealId || ''))) {
+        return null;
+      }
+
+      return await findInTenantSchemas('social_phone_reveals', async (schemas) => {
+        const result = await query(`
+          ${schemas.map(schema => `
+            SELECT '${validateSchema(schema)}' AS schema, *
+            FROM ${validateSchema(schema)}.social_phone_reveals
+            WHERE id = $1
+          `).join(' UNION ALL ')}
+          LIMIT 1
+        `, [revealId]);
+
+        return result.rows[0] || null;
+      });
+    } catch (error) {
+      console.error('Error finding phone reveal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete a pending reveal
+   * A revealed phone is written to the lead (never over an existing one) in the
+   * same statement, so a failed write leaves the reveal pending for Apollo's redelivery
+   *
+   * @param {Object} outcome - { status: revealed | not_found | failed, phone, error }
+   * @returns {Promise<Object|null>} Completed reveal with `lead` (the updated lead, null
+   *   without a phone or when the lead is deleted), or null when it was no longer pending
+   */
+  static async complete(schema, revealId, { status, phone = null, error: revealError = null }) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH completed AS (
+          UPDATE ${s}.social_phone_reveals
+          SET status = $2,
+              phone = $3,
+              error = $4,
+              completed_at = CURRENT_TIMESTAMP,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND status = 'pending'
+          RETURNING *
+        ),
+        applied AS (
+          UPDATE ${s}.leads l
+          SET phone = COALESCE(NULLIF(l.phone, ''), completed.phone),
+              updated_at = CURRENT_TIMESTAMP
+          FROM completed
+          WHERE completed.status = 'revealed'
+            AND completed.phone IS NOT NULL
+            AND l.id = completed.lead_id
+            AND l.tenant_id = completed.tenant_id
+            AND l.is_deleted = FALSE
+          RETURNING l.id, l.name, l.status, l.stage, l.phone, l.email, l.company, l.job_title, l.tenant_id
+        )
+        SELECT completed.*, (SELECT row_to_json(applied) FROM applied) AS lead
+        FROM completed
+      `, [revealId, status, phone, revealError]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error completing phone reveal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a revealed phone to a lead that has none
+   *
+   * @returns {Promise<Object|null>} The lead (with its phone), or null when missing or deleted
+   */
+  static async applyToLead(schema, tenantId, leadId, phone) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.leads
+        SET phone = COALESCE(NULLIF(phone, ''), $3),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+        RETURNING id, name, status, stage, phone, email, company, job_title, tenant_id
+      `, [leadId, tenantId, phone]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error applying revealed phone to lead:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PhoneReveal;
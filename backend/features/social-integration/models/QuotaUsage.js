@@ -0,0 +1,105 @@
+/**
+ * Quota Usage Model
+ *
+ * Daily send counters per Unipile account and action.
+ * Counters are incremented atomically against the daily and weekly caps
+ * so concurrent senders cannot overshoot a quota.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+
+class QuotaUsage {
+  /**
+   * Count one send if it fits within both caps
+   * The daily row's lock serialises concurrent senders for the account/action
+   *
+   * @returns {Promise<number|null>} Today's new count, or null when over quota
+   */
+  static async consume(schema, usageData) {
+    try {
+      const {
+        tenantId,
+        accountId,
+        platform,
+        action,
+        usageDate,
+        weekStart,
+        dailyLimit,
+        weeklyLimit
+      } = usageData;
+
+      const table = `${validateSchema(schema)}.social_quota_usage`;
+      const result = await query(`
+        INSERT INTO ${table} AS q (tenant_id, account_id, platform, action, usage_date, count)
+        SELECT $1, $2, $3, $4, $5::date, 1
+        WHERE $6 > 0
+          AND $7 > (
+            SELECT COALESCE(SUM(w.count), 0) FROM ${table} w
+            WHERE w.account_id = $2 AND w.platform = $3 AND w.action = $4
+              AND w.usage_date >= $8::date AND w.usage_date < $5::date
+          )
+        ON CONFLICT (account_id, platform, action, usage_date)
+        DO UPDATE SET
+          count = q.count + 1,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE q.count < $6
+          AND q.count + (
+            SELECT COALESCE(SUM(w.count), 0) FROM ${table} w
+            WHERE w.account_id = $2 AND w.platform = $3 AND w.action = $4
+              AND w.usage_date >= $8::date AND w.usage_date < $5::date
+          ) < $7
+        RETURNING q.count
+      `, [tenantId, accountId, platform, action, usageDate, dailyLimit, weeklyLimit, weekStart]);
+
+      return result.rows[0]?.count ?? null;
+    } catch (error) {
+      console.error('Error consuming quota:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give back one send (the send failed or was a no-op)
+   */
+  static async release(schema, { accountId, platform, action, usageDate }) {
+    try {
+      await query(`
+        UPDATE ${validateSchema(schema)}.social_quota_usage
+        SET count = count - 1, updated_at = CURRENT_TIMESTAMP
+        WHERE account_id = $1 AND platform = $2 AND action = $3
+          AND usage_date = $4::date AND count > 0
+      `, [accountId, platform, action, usageDate]);
+    } catch (error) {
+      console.error('Error releasing quota:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Daily and weekly usage per action for an account
+   *
+   * @returns {Promise<Array>} Rows of { action, daily_used, weekly_used }
+   */
+  static async getUsage(schema, accountId, platform, usageDate, weekStart) {
+    try {
+      const result = await query(`
+        SELECT
+          action,
+          COALESCE(SUM(count) FILTER (WHERE usage_date = $3::date), 0)::int AS daily_used,
+          COALESCE(SUM(count), 0)::int AS weekly_used
+        FROM ${validateSchema(schema)}.social_quota_usage
+        WHERE account_id = $1 AND platform = $2
+          AND usage_date >= $4::date AND usage_date <= $3::date
+        GROUP BY action
+      `, [accountId, platform, usageDate, weekStart]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error reading quota usage:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = QuotaUsage;
@@ -0,0 +1,188 @@
+/**
+ * Scheduled Call Model
+ *
+ * Auto-calls held back until the account's call window opens.
+ * Due calls are claimed with a short lease (locked_by + locked_until) so a
+ * call abandoned by a crashed worker is picked up again.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+
+class ScheduledCall {
+  /**
+   * Queue a call for a lead
+   * A lead with a call already waiting keeps that one
+   *
+   * @returns {Promise<Object>} { call, created }
+   */
+  static async schedule(schema, callData) {
+    try {
+      const {
+        tenantId,
+        accountId,
+        leadId,
+        linkedinUrl,
+        timezone,
+        runAt
+      } = callData;
+
+      const s = validateSchema(schema);
+      const inserted = await query(`
+        INSERT INTO ${s}.social_scheduled_calls (
+          tenant_id,
+          account_id,
+          lead_id,
+          linkedin_url,
+          timezone,
+          run_at
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (tenant_id, lead_id) WHERE status IN ('pending', 'running') DO NOTHING
+        RETURNING *
+      `, [tenantId, accountId || null, leadId, linkedinUrl || null, timezone || null, runAt]);
+
+      if (inserted.rows[0]) {
+        return { call: inserted.rows[0], created: true };
+      }
+
+      const existing = await query(`
+        SELECT * FROM ${s}.social_scheduled_calls
+        WHERE tenant_id = $1 AND lead_id = $2 AND status IN ('pending', 'running')
+      `, [tenantId, leadId]);
+
+      return { call: existing.rows[0] || null, created: false };
+    } catch (error) {
+      console.error('Error scheduling call:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The call waiting (pending or running) for a lead, if any
+   */
+  static async findActiveByLead(schema, tenantId, leadId) {
+    try {
+      const result = await query(`
+        SELECT * FROM ${validateSchema(schema)}.social_scheduled_calls
+        WHERE tenant_id = $1 AND lead_id = $2 AND status IN ('pending', 'running')
+      `, [tenantId, leadId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding scheduled call:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim due calls (pending and due, or running with an expired lease)
+   */
+  static async claimDue(schema, workerId, limit, leaseMinutes) {
+    try {
+      const table = `${validateSchema(schema)}.social_scheduled_calls`;
+      const result = await query(`
+        UPDATE ${table}
+        SET
+          status = 'running',
+          attempts = attempts + 1,
+          locked_by = $1,
+          locked_until = CURRENT_TIMESTAMP + ($3 * INTERVAL '1 minute'),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+          SELECT id FROM ${table}
+          WHERE (status = 'pending' AND run_at <= CURRENT_TIMESTAMP)
+            OR (status = 'running' AND locked_until < CURRENT_TIMESTAMP)
+          ORDER BY run_at ASC
+          LIMIT $2
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, [workerId, limit, leaseMinutes]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error claiming scheduled calls:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish a call held by this worker
+   * status: 'completed' | 'failed'
+   */
+  static async finish(schema, id, workerId, status, { result = null, lastError = null } = {}) {
+    try {
+      const updated = await query(`
+        UPDATE ${validateSchema(schema)}.social_scheduled_calls
+        SET
+          status = $3,
+          result = $4::jsonb,
+          last_error = $5,
+          locked_by = NULL,
+          locked_until = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND locked_by = $2 AND status = 'running'
+        RETURNING *
+      `, [id, workerId, status, result ? JSON.stringify(result) : null, lastError]);
+
+      return updated.rows[0] || null;
+    } catch (error) {
+      console.error('Error finishing scheduled call:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a call held by this worker back in the queue until runAt
+   */
+  static async reschedule(schema, id, workerId, runAt, reason) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_scheduled_calls
+        SET
+          status = 'pending',
+          run_at = $3,
+          last_error = $4,
+          locked_by = NULL,
+          locked_until = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND locked_by = $2 AND status = 'running'
+        RETURNING *
+      `, [id, workerId, runAt, reason]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error rescheduling call:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calls of a tenant waiting for their window, soonest first
+   */
+  static async listPending(schema, tenantId, { accountId = null, limit = 50, offset = 0 } = {}) {
+    try {
+      let sql = `
+        SELECT * FROM ${validateSchema(schema)}.social_scheduled_calls
+        WHERE tenant_id = $1 AND status IN ('pending', 'running')
+      `;
+      const params = [tenantId];
+
+      if (accountId) {
+        params.push(accountId);
+        sql += ` AND account_id = $${params.length}`;
+      }
+
+      params.push(limit, offset);
+      sql += ` ORDER BY run_at ASC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing scheduled calls:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ScheduledCall;
@@ -0,0 +1,493 @@
+/**
+ * Sequence Model
+ *
+ * Multi-step outreach sequences and the leads enrolled in them.
+ * Due enrollments are claimed with a short lease (locked_by + locked_until)
+ * so only one worker sends a step, and a crashed worker's claim expires.
+ * Webhook transitions (accepted, declined, replied) only touch enrollments
+ * still in progress and release any claim on them, so a worker's update
+ * never overrides an exit or an acceptance.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+
+// Statuses of enrollments still in the sequence
+const IN_PROGRESS = ['active', 'awaiting_acceptance'];
+
+// Delay before a step, from the normalized step definition
+const STEP_DELAY = `COALESCE((s.steps->e.current_step->>'delayMinutes')::int, 0) * INTERVAL '1 minute'`;
+
+class Sequence {
+  /**
+   * Create a sequence
+   * Steps are stored as given (normalized by SequenceService)
+   */
+  static async create(schema, sequenceData) {
+    try {
+      const {
+        tenantId,
+        userId,
+        name,
+        platform,
+        accountId,
+        steps,
+        metadata
+      } = sequenceData;
+
+      const result = await query(`
+        INSERT INTO ${validateSchema(schema)}.social_sequences (
+          tenant_id,
+          user_id,
+          name,
+          platform,
+          account_id,
+          steps,
+          metadata
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [
+        tenantId,
+        userId || null,
+        name,
+        platform,
+        accountId,
+        JSON.stringify(steps),
+        JSON.stringify(metadata || {})
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating sequence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a tenant's sequence with enrollment counts per status
+   */
+  static async findById(schema, tenantId, id) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        SELECT seq.*, counts.enrollment_counts
+        FROM ${s}.social_sequences seq
+        LEFT JOIN LATERAL (
+          SELECT COALESCE(jsonb_object_agg(status, total), '{}'::jsonb) AS enrollment_counts
+          FROM (
+            SELECT status, COUNT(*)::int AS total
+            FROM ${s}.social_sequence_enrollments
+            WHERE sequence_id = seq.id
+            GROUP BY status
+          ) c
+        ) counts ON true
+        WHERE seq.id = $1 AND seq.tenant_id = $2
+      `, [id, tenantId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding sequence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a tenant's sequences, newest first (archived ones only when asked for)
+   */
+  static async list(schema, tenantId, { platform = null, status = null, limit = 20, offset = 0 } = {}) {
+    try {
+      const s = validateSchema(schema);
+      let sql = `
+        SELECT seq.*, counts.enrollment_counts
+        FROM ${s}.social_sequences seq
+        LEFT JOIN LATERAL (
+          SELECT COALESCE(jsonb_object_agg(status, total), '{}'::jsonb) AS enrollment_counts
+          FROM (
+            SELECT status, COUNT(*)::int AS total
+            FROM ${s}.social_sequence_enrollments
+            WHERE sequence_id = seq.id
+            GROUP BY status
+          ) c
+        ) counts ON true
+        WHERE seq.tenant_id = $1
+      `;
+      const params = [tenantId];
+
+      if (platform) {
+        params.push(platform);
+        sql += ` AND seq.platform = $${params.length}`;
+      }
+
+      if (status) {
+        params.push(status);
+        sql += ` AND seq.status = $${params.length}`;
+      } else {
+        sql += ` AND seq.status <> 'archived'`;
+      }
+
+      params.push(limit, offset);
+      sql += ` ORDER BY seq.created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing sequences:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update name, steps or status
+   * Enrollments keep their step index, so changed steps apply from their next step
+   */
+  static async update(schema, tenantId, id, { name = null, steps = null, status = null } = {}) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_sequences
+        SET
+          name = COALESCE($3, name),
+          steps = COALESCE($4::jsonb, steps),
+          status = COALESCE($5, status),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND tenant_id = $2
+        RETURNING *
+      `, [id, tenantId, name, steps ? JSON.stringify(steps) : null, status]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating sequence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enroll profiles; the first step is due after its delay
+   * Profiles already in progress in this sequence are skipped
+   *
+   * @param {Object} sequence - social_sequences row
+   * @param {Array<Object>} enrollments - { leadId, profile, targetProfileId, targetPublicIdentifier }
+   * @returns {Promise<Array>} Created enrollments
+   */
+  static async enroll(schema, sequence, userId, enrollments) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        INSERT INTO ${s}.social_sequence_enrollments (
+          tenant_id,
+          sequence_id,
+          user_id,
+          lead_id,
+          profile,
+          target_profile_id,
+          target_public_identifier,
+          next_run_at
+        )
+        SELECT
+          $1,
+          $2,
+          $3,
+          NULLIF(e->>'leadId', '')::uuid,
+          e->'profile',
+          NULLIF(e->>'targetProfileId', ''),
+          NULLIF(e->>'targetPublicIdentifier', ''),
+          CURRENT_TIMESTAMP + COALESCE(($4::jsonb->0->>'delayMinutes')::int, 0) * INTERVAL '1 minute'
+        FROM jsonb_array_elements($5::jsonb) AS e
+        ON CONFLICT DO NOTHING
+        RETURNING *
+      `, [sequence.tenant_id, sequence.id, userId || null, JSON.stringify(sequence.steps), JSON.stringify(enrollments)]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error enrolling in sequence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an enrollment of a tenant
+   */
+  static async findEnrollment(schema, tenantId, id) {
+    try {
+      const result = await query(`
+        SELECT * FROM ${validateSchema(schema)}.social_sequence_enrollments
+        WHERE id = $1 AND tenant_id = $2
+      `, [id, tenantId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding sequence enrollment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List enrollments of a sequence, newest first (keyset pagination on created_at, id)
+   *
+   * @returns {Promise<Array>} Up to limit + 1 rows (the extra row signals another page)
+   */
+  static async listEnrollments(schema, sequenceId, { status = null, cursor = null, limit = 50 } = {}) {
+    try {
+      let sql = `
+        SELECT * FROM ${validateSchema(schema)}.social_sequence_enrollments
+        WHERE sequence_id = $1
+      `;
+      const params = [sequenceId];
+
+      if (status) {
+        params.push(status);
+        sql += ` AND status = $${params.length}`;
+      }
+
+      if (cursor) {
+        params.push(cursor.t, cursor.id);
+        sql += ` AND (date_trunc('milliseconds', created_at), id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`;
+      }
+
+      params.push(limit + 1);
+      sql += ` ORDER BY date_trunc('milliseconds', created_at) DESC, id DESC LIMIT $${params.length}`;
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing sequence enrollments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim due enrollments of active sequences: active ones whose step is due and
+   * awaiting_acceptance ones past their acceptance timeout
+   * Rows come back with the sequence's platform, account and steps
+   */
+  static async claimDue(schema, workerId, limit, leaseMinutes) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH claimed AS (
+          UPDATE ${s}.social_sequence_enrollments
+          SET
+            locked_by = $1,
+            locked_until = CURRENT_TIMESTAMP + ($3 * INTERVAL '1 minute'),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id IN (
+            SELECT e.id
+            FROM ${s}.social_sequence_enrollments e
+            INNER JOIN ${s}.social_sequences s ON s.id = e.sequence_id
+            WHERE e.status = ANY($4::text[])
+              AND e.next_run_at <= CURRENT_TIMESTAMP
+              AND (e.locked_until IS NULL OR e.locked_until < CURRENT_TIMESTAMP)
+              AND s.status = 'active'
+            ORDER BY e.next_run_at ASC
+            LIMIT $2
+            FOR UPDATE OF e SKIP LOCKED
+          )
+          RETURNING *
+        )
+        SELECT claimed.*, s.platform, s.account_id, s.steps, s.name AS sequence_name
+        FROM claimed
+        INNER JOIN ${s}.social_sequences s ON s.id = claimed.sequence_id
+      `, [workerId, limit, leaseMinutes, IN_PROGRESS]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error claiming sequence enrollments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the outcome of a step run by this worker and release the claim
+   * Ignored when the enrollment left the sequence meanwhile (e.g. a reply arrived)
+   *
+   * @param {Object} update - { status, currentStep, nextRunAt, exitReason, lastError,
+   *   targetProfileId, historyEntry }
+   * @returns {Promise<Object|null>} Updated enrollment
+   */
+  static async advance(schema, id, workerId, update) {
+    try {
+      const {
+        status,
+        currentStep,
+        nextRunAt = null,
+        exitReason = null,
+        lastError = null,
+        targetProfileId = null,
+        historyEntry = null
+      } = update;
+
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_sequence_enrollments
+        SET
+          status = $3,
+          current_step = COALESCE($4, current_step),
+          next_run_at = $5,
+          exit_reason = $6,
+          last_error = $7,
+          target_profile_id = COALESCE(target_profile_id, $8),
+          history = CASE WHEN $9::jsonb IS NULL THEN history ELSE history || jsonb_build_array($9::jsonb) END,
+          completed_at = CASE WHEN $3 IN ('completed', 'exited', 'failed') THEN CURRENT_TIMESTAMP ELSE completed_at END,
+          locked_by = NULL,
+          locked_until = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+          AND locked_by = $2
+          AND status = ANY($10::text[])
+        RETURNING *
+      `, [
+        id,
+        workerId,
+        status,
+        currentStep ?? null,
+        nextRunAt,
+        exitReason,
+        lastError,
+        targetProfileId,
+        historyEntry ? JSON.stringify(historyEntry) : null,
+        IN_PROGRESS
+      ]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error advancing sequence enrollment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release a claimed enrollment until later (quota window, throttling, credits)
+   */
+  static async defer(schema, id, workerId, nextRunAt, reason) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_sequence_enrollments
+        SET
+          next_run_at = $3,
+          last_error = $4,
+          locked_by = NULL,
+          locked_until = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND locked_by = $2
+        RETURNING *
+      `, [id, workerId, nextRunAt, reason]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error deferring sequence enrollment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invitation accepted: enrollments waiting for it become active with their next
+   * step due after its delay (completed when the invitation was the last step)
+   * The claim is released so a worker that claimed it for the acceptance
+   * timeout cannot exit it afterwards
+   *
+   * @param {Object} match - { tenantId, accountId, targetProfileId, targetPublicIdentifier }
+   * @returns {Promise<Array>} Updated enrollments
+   */
+  static async markAccepted(schema, { tenantId, accountId, targetProfileId = null, targetPublicIdentifier = null }) {
+    try {
+      if (!targetProfileId && !targetPublicIdentifier) {
+        return [];
+      }
+
+      const s = validateSchema(schema);
+      const result = await query(`
+        UPDATE ${s}.social_sequence_enrollments e
+        SET
+          status = CASE WHEN e.current_step >= jsonb_array_length(s.steps) THEN 'completed' ELSE 'active' END,
+          next_run_at = CASE WHEN e.current_step >= jsonb_array_length(s.steps) THEN NULL ELSE CURRENT_TIMESTAMP + ${STEP_DELAY} END,
+          completed_at = CASE WHEN e.current_step >= jsonb_array_length(s.steps) THEN CURRENT_TIMESTAMP ELSE NULL END,
+          target_profile_id = COALESCE(e.target_profile_id, $3),
+          accepted_at = CURRENT_TIMESTAMP,
+          locked_by = NULL,
+          locked_until = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        FROM ${s}.social_sequences s
+        WHERE s.id = e.sequence_id
+          AND e.tenant_id = $1
+          AND s.account_id = $2
+          AND e.status = 'awaiting_acceptance'
+          AND (e.target_profile_id = $3 OR LOWER(e.target_public_identifier) = LOWER($4))
+        RETURNING e.*
+      `, [tenantId, accountId, targetProfileId, targetPublicIdentifier]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error marking sequence enrollments accepted:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a profile out of every sequence it is in progress in
+   * (reply, decline, unsubscribe); accountId limits it to sequences sent from that account
+   *
+   * @param {Object} match - { tenantId, accountId, targetProfileId, targetPublicIdentifier, reason }
+   * @returns {Promise<Array>} Exited enrollments
+   */
+  static async exitForTarget(schema, { tenantId, accountId = null, targetProfileId = null, targetPublicIdentifier = null, reason }) {
+    try {
+      if (!targetProfileId && !targetPublicIdentifier) {
+        return [];
+      }
+
+      const s = validateSchema(schema);
+      const result = await query(`
+        UPDATE ${s}.social_sequence_enrollments e
+        SET
+          status = 'exited',
+          exit_reason = $5,
+          next_run_at = NULL,
+          replied_at = CASE WHEN $5 = 'replied' THEN CURRENT_TIMESTAMP ELSE e.replied_at END,
+          completed_at = CURRENT_TIMESTAMP,
+          locked_by = NULL,
+          locked_until = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        FROM ${s}.social_sequences s
+        WHERE s.id = e.sequence_id
+          AND e.tenant_id = $1
+          AND ($2::varchar IS NULL OR s.account_id = $2)
+          AND e.status = ANY($6::text[])
+          AND (e.target_profile_id = $3 OR LOWER(e.target_public_identifier) = LOWER($4))
+        RETURNING e.*
+      `, [tenantId, accountId, targetProfileId, targetPublicIdentifier, reason, IN_PROGRESS]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error exiting sequence enrollments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take one enrollment out of its sequence (unsubscribe, manual removal)
+   */
+  static async exitEnrollment(schema, tenantId, id, reason) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_sequence_enrollments
+        SET
+          status = 'exited',
+          exit_reason = $3,
+          next_run_at = NULL,
+          completed_at = CURRENT_TIMESTAMP,
+          locked_by = NULL,
+          locked_until = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+          AND tenant_id = $2
+          AND status = ANY($4::text[])
+        RETURNING *
+      `, [id, tenantId, reason, IN_PROGRESS]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error exiting sequence enrollment:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Sequence;
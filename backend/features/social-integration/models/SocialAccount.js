@@ -1,16 +1,20 @@
 /**
  * Social Account Model
- * 
+ *
  * Manages connected social media accounts
+ * All queries are tenant-scoped and run against the resolved schema
  */
 
 const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+const { findInTenantSchemas } = require('../utils/tenantSchemas');
 
 class SocialAccount {
   /**
    * Create or update social account
+   * An account ID already owned by another tenant is never reassigned
    */
-  static async upsert(accountData) {
+  static async upsert(schema, accountData) {
     try {
       const {
         platform,
@@ -20,12 +24,14 @@ class SocialAccount {
         refreshToken,
         tokenExpiresAt,
         profileData,
-        organizationId,
+        status = 'connected',
+        metadata,
+        tenantId,
         userId
       } = accountData;
 
       const result = await query(`
-        INSERT INTO social_accounts (
+        INSERT INTO ${validateSchema(schema)}.social_accounts (
           platform,
           account_id,
           username,
@@ -33,19 +39,25 @@ class SocialAccount {
           refresh_token,
           token_expires_at,
           profile_data,
-          organization_id,
+          status,
+          metadata,
+          tenant_id,
           user_id,
           is_active
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true)
-        ON CONFLICT (platform, account_id, organization_id)
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        ON CONFLICT (platform, account_id)
         DO UPDATE SET
-          username = EXCLUDED.username,
+          username = COALESCE(EXCLUDED.username, social_accounts.username),
           access_token = EXCLUDED.access_token,
           refresh_token = EXCLUDED.refresh_token,
           token_expires_at = EXCLUDED.token_expires_at,
           profile_data = EXCLUDED.profile_data,
-          is_active = true,
+          status = EXCLUDED.status,
+          metadata = social_accounts.metadata || EXCLUDED.metadata,
+          user_id = EXCLUDED.user_id,
+          is_active = EXCLUDED.is_active,
           updated_at = CURRENT_TIMESTAMP
+        WHERE social_accounts.tenant_id = EXCLUDED.tenant_id
         RETURNING *
       `, [
         platform,
@@ -54,11 +66,18 @@ class SocialAccount {
         accessToken,
         refreshToken,
         tokenExpiresAt,
-        JSON.stringify(profileData),
-        organizationId,
-        userId
+        JSON.stringify(profileData || {}),
+        status,
+        JSON.stringify(metadata || {}),
+        tenantId,
+        userId,
+        status === 'connected'
       ]);
 
+      if (result.rows.length === 0) {
+        throw new Error(`Account ${accountId} is already linked to another tenant`);
+      }
+
       return result.rows[0];
     } catch (error) {
       console.error('Error upserting social account:', error);
@@ -69,16 +88,42 @@ class SocialAccount {
   /**
    * Find account by platform and account ID
    */
-  static async findByPlatformAndAccountId(platform, accountId, organizationId) {
+  static async findByPlatformAndAccountId(schema, platform, accountId, tenantId) {
     try {
       const result = await query(`
-        SELECT * FROM social_accounts
-        WHERE platform = $1 
-          AND account_id = $2 
-          AND organization_id = $3
+        SELECT * FROM ${validateSchema(schema)}.social_accounts
+        WHERE platform = $1
+          AND account_id = $2
+          AND tenant_id = $3
           AND is_active = true
-      `, [platform, accountId, organizationId]);
+      `, [platform, accountId, tenantId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding social account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find account by account ID regardless of connection state
+   * Used for pending checkpoints and reconnects
+   */
+  static async findByAccountId(schema, tenantId, accountId, platform = null) {
+    try {
+      let sql = `
+        SELECT * FROM ${validateSchema(schema)}.social_accounts
+        WHERE account_id = $1
+          AND tenant_id = $2
+      `;
+      const params = [accountId, tenantId];
+
+      if (platform) {
+        sql += ` AND platform = $3`;
+        params.push(platform);
+      }
 
+      const result = await query(sql, params);
       return result.rows[0] || null;
     } catch (error) {
       console.error('Error finding social account:', error);
@@ -87,15 +132,124 @@ class SocialAccount {
   }
 
   /**
-   * Find all accounts for organization
+   * Find the owning account row for a Unipile account ID in any tenant schema
+   * Webhooks carry no tenant: every schema holding social_accounts is searched.
+   * An account ID found under more than one tenant (e.g. legacy tables upgraded
+   * from organization_id) is refused rather than picking one by search order.
+   *
+   * @returns {Promise<Object|null>} { schema, id, tenant_id, user_id, platform, account_id, status }
+   * @throws {Error} code ACCOUNT_OWNER_AMBIGUOUS when more than one tenant holds the account
+   */
+  static async findOwnerInAnySchema(accountId) {
+    try {
+      return await findInTenantSchemas('social_accounts', async (schemas) => {
+        const result = await query(`
+          SELECT * FROM (
+            ${schemas.map(schema => `
+              SELECT '${validateSchema(schema)}' AS schema, id, tenant_id, user_id, platform, account_id, status, updated_at
+              FROM ${validateSchema(schema)}.social_accounts
+              WHERE account_id = $1
+            `).join(' UNION ALL ')}
+          ) accounts
+          ORDER BY updated_at DESC
+        `, [accountId]);
+
+        const owners = new Set(result.rows.map(row => `${row.schema}:${row.tenant_id}`));
+        if (owners.size > 1) {
+          const error = new Error(`Account ${accountId} is linked to more than one tenant (${[...owners].join(', ')})`);
+          error.code = 'ACCOUNT_OWNER_AMBIGUOUS';
+          throw error;
+        }
+
+        return result.rows[0] || null;
+      });
+    } catch (error) {
+      console.error('Error finding account owner across schemas:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update connection status
+   * Metadata is merged into the existing metadata
+   */
+  static async updateStatus(schema, id, status, metadata = null) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_accounts
+        SET
+          status = $2,
+          is_active = $3,
+          metadata = metadata || $4::jsonb,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [id, status, status === 'connected', JSON.stringify(metadata || {})]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error updating account status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update connection status by Unipile account ID
+   * Used by AccountStatus webhooks, which carry no tenant context;
+   * the returned row identifies the owning tenant
+   */
+  static async updateStatusByAccountId(schema, accountId, status, metadata = null) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_accounts
+        SET
+          status = $2,
+          is_active = $3,
+          metadata = metadata || $4::jsonb,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE account_id = $1
+        RETURNING *
+      `, [accountId, status, status === 'connected', JSON.stringify(metadata || {})]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating account status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge keys into account metadata without touching status
+   */
+  static async mergeMetadata(schema, id, metadata) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_accounts
+        SET
+          metadata = metadata || $2::jsonb,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [id, JSON.stringify(metadata || {})]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error updating account metadata:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all accounts for tenant
+   * Includes stopped/checkpoint accounts so they can be reconnected; excludes disconnected ones
    */
-  static async findByOrganization(organizationId, platform = null) {
+  static async findByTenant(schema, tenantId, platform = null) {
     try {
       let sql = `
-        SELECT * FROM social_accounts
-        WHERE organization_id = $1 AND is_active = true
+        SELECT * FROM ${validateSchema(schema)}.social_accounts
+        WHERE tenant_id = $1 AND status <> 'disconnected'
       `;
-      const params = [organizationId];
+      const params = [tenantId];
 
       if (platform) {
         sql += ` AND platform = $2`;
@@ -115,11 +269,11 @@ class SocialAccount {
   /**
    * Update tokens
    */
-  static async updateTokens(id, accessToken, refreshToken, tokenExpiresAt) {
+  static async updateTokens(schema, id, accessToken, refreshToken, tokenExpiresAt) {
     try {
       const result = await query(`
-        UPDATE social_accounts
-        SET 
+        UPDATE ${validateSchema(schema)}.social_accounts
+        SET
           access_token = $2,
           refresh_token = $3,
           token_expires_at = $4,
@@ -138,11 +292,11 @@ class SocialAccount {
   /**
    * Deactivate account
    */
-  static async deactivate(id) {
+  static async deactivate(schema, id) {
     try {
       const result = await query(`
-        UPDATE social_accounts
-        SET 
+        UPDATE ${validateSchema(schema)}.social_accounts
+        SET
           is_active = false,
           updated_at = CURRENT_TIMESTAMP
         WHERE id = $1
@@ -159,10 +313,10 @@ class SocialAccount {
   /**
    * Get accounts needing token refresh
    */
-  static async findExpiredTokens() {
+  static async findExpiredTokens(schema) {
     try {
       const result = await query(`
-        SELECT * FROM social_accounts
+        SELECT * FROM ${validateSchema(schema)}.social_accounts
         WHERE is_active = true
           AND token_expires_at < CURRENT_TIMESTAMP + INTERVAL '1 hour'
         ORDER BY token_expires_at ASC
@@ -1,55 +1,134 @@
 /**
  * Social Activity Model
- * 
- * Tracks social media activities (invitations, messages, etc.)
+ *
+ * Tracks outbound social activities (invitations, messages, profile lookups)
+ * per tenant, and the responses webhooks report for them
  */
 
 const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+
+/**
+ * Append the shared list/stats filters to a query on social_activities (alias a)
+ */
+function applyFilters(sql, params, { platform = null, accountId = null, userId = null, activityType = null, status = null, source = null, variant = null, from = null, to = null } = {}) {
+  const filters = [
+    ['a.platform', platform],
+    ['a.account_id', accountId],
+    ['a.user_id', userId],
+    ['a.activity_type', activityType],
+    ['a.status', status],
+    ['a.source', source],
+    ['a.variant', variant]
+  ];
+
+  for (const [column, value] of filters) {
+    if (value) {
+      params.push(value);
+      sql += ` AND ${column} = $${params.length}`;
+    }
+  }
+
+  if (from) {
+    params.push(from);
+    sql += ` AND a.created_at >= $${params.length}`;
+  }
+
+  if (to) {
+    params.push(to);
+    sql += ` AND a.created_at < $${params.length}`;
+  }
+
+  return sql;
+}
+
+// Funnel breakdown dimensions; unlabelled messages are told apart by a hash of their text
+const FUNNEL_GROUPS = {
+  platform: 'a.platform',
+  account: 'a.account_id',
+  user: 'a.user_id::text',
+  source: 'a.source',
+  variant: `COALESCE(a.variant, CASE WHEN a.content IS NULL THEN 'no_message' ELSE 'msg_' || LEFT(md5(a.content), 8) END)`
+};
+
+// Invitations that reached the prospect, and the funnel columns computed over them
+const FUNNEL_BASE = `
+  a.activity_type = 'invitation'
+  AND a.status IN ('sent', 'accepted', 'declined')
+`;
+
+const FUNNEL_COLUMNS = `
+  COUNT(*)::int AS sent,
+  COUNT(*) FILTER (WHERE a.status = 'accepted' OR a.replied_at IS NOT NULL)::int AS accepted,
+  COUNT(*) FILTER (WHERE a.replied_at IS NOT NULL)::int AS replied,
+  COUNT(*) FILTER (WHERE a.call_triggered_at IS NOT NULL)::int AS call_triggered
+`;
 
 class SocialActivity {
   /**
    * Log activity
    */
-  static async create(activityData) {
+  static async create(schema, activityData) {
     try {
       const {
-        accountId,
+        tenantId,
+        userId,
         platform,
-        activityType, // 'invitation', 'message', 'connection', 'profile_lookup'
+        accountId,
+        activityType, // 'invitation', 'message', 'profile_lookup'
+        status, // 'pending', 'sent', 'already_sent', 'completed', 'failed'
+        source, // 'manual', 'batch', 'linkedin_auto_connection', 'sequence'
+        variant,
         targetProfileId,
+        targetPublicIdentifier,
+        targetProfileUrl,
         targetProfileName,
         content,
-        status, // 'pending', 'sent', 'delivered', 'failed', 'accepted', 'rejected'
-        metadata,
-        organizationId,
-        userId
+        error,
+        jobId,
+        jobItemId,
+        metadata
       } = activityData;
 
       const result = await query(`
-        INSERT INTO social_activities (
-          account_id,
+        INSERT INTO ${validateSchema(schema)}.social_activities (
+          tenant_id,
+          user_id,
           platform,
+          account_id,
           activity_type,
+          status,
           target_profile_id,
+          target_public_identifier,
+          target_profile_url,
           target_profile_name,
           content,
-          status,
+          error,
+          job_id,
+          job_item_id,
           metadata,
-          organization_id,
-          user_id
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          source,
+          variant
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
         RETURNING *
       `, [
-        accountId,
+        tenantId,
+        userId || null,
         platform,
+        accountId,
         activityType,
-        targetProfileId,
-        targetProfileName,
-        content,
         status,
-        JSON.stringify(metadata),
-        organizationId,
-        userId
+        targetProfileId || null,
+        targetPublicIdentifier || null,
+        targetProfileUrl || null,
+        targetProfileName || null,
+        content || null,
+        error || null,
+        jobId || null,
+        jobItemId || null,
+        JSON.stringify(metadata || {}),
+        source || 'manual',
+        variant || null
       ]);
 
       return result.rows[0];
@@ -61,65 +140,155 @@ class SocialActivity {
 
   /**
    * Update activity status
+   * Metadata is merged into the existing metadata
    */
-  static async updateStatus(id, status, metadata = null) {
+  static async updateStatus(schema, id, status, metadata = null) {
     try {
-      let sql = `
-        UPDATE social_activities
-        SET 
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_activities
+        SET
           status = $2,
+          metadata = metadata || COALESCE($3::jsonb, '{}'::jsonb),
           updated_at = CURRENT_TIMESTAMP
-      `;
-      const params = [id, status];
+        WHERE id = $1
+        RETURNING *
+      `, [id, status, metadata ? JSON.stringify(metadata) : null]);
 
-      if (metadata) {
-        sql += `, metadata = $3`;
-        params.push(JSON.stringify(metadata));
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating activity status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a response (accepted, declined, replied) on the latest matching activity
+   * towards a profile, matched by provider ID or public identifier
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} response - { tenantId, accountId, activityType, fromStatuses, status, targetProfileId, targetPublicIdentifier }
+   * @returns {Promise<Object|null>} Updated activity, or null when none matched
+   */
+  static async recordResponse(schema, response) {
+    try {
+      const {
+        tenantId,
+        accountId,
+        activityType,
+        fromStatuses,
+        status,
+        targetProfileId,
+        targetPublicIdentifier
+      } = response;
+
+      if (!targetProfileId && !targetPublicIdentifier) {
+        return null;
       }
 
-      sql += ` WHERE id = $1 RETURNING *`;
+      const s = validateSchema(schema);
+      const result = await query(`
+        UPDATE ${s}.social_activities
+        SET
+          status = $4,
+          responded_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = (
+          SELECT id FROM ${s}.social_activities
+          WHERE tenant_id = $1
+            AND account_id = $2
+            AND activity_type = $3
+            AND status = ANY($5::text[])
+            AND is_deleted = false
+            AND (target_profile_id = $6 OR LOWER(target_public_identifier) = LOWER($7))
+          ORDER BY created_at DESC
+          LIMIT 1
+        )
+        RETURNING *
+      `, [tenantId, accountId, activityType, status, fromStatuses, targetProfileId || null, targetPublicIdentifier || null]);
 
-      const result = await query(sql, params);
-      return result.rows[0];
+      return result.rows[0] || null;
     } catch (error) {
-      console.error('Error updating activity status:', error);
+      console.error('Error recording activity response:', error);
       throw error;
     }
   }
 
   /**
-   * Find activities by account
+   * Stamp a later funnel step (reply, auto-call) on the latest invitation towards a profile
+   * Only the first occurrence is kept
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} step - { tenantId, accountId (optional), step: 'replied'|'call_triggered', targetProfileId, targetPublicIdentifier }
+   * @returns {Promise<Object|null>} Updated activity, or null when none matched
    */
-  static async findByAccount(accountId, options = {}) {
+  static async markFunnelStep(schema, { tenantId, accountId = null, step, targetProfileId = null, targetPublicIdentifier = null }) {
     try {
-      const {
-        activityType = null,
-        status = null,
-        limit = 50,
-        offset = 0
-      } = options;
+      const column = { replied: 'replied_at', call_triggered: 'call_triggered_at' }[step];
+      if (!column) {
+        throw new Error(`Unknown funnel step: ${step}`);
+      }
+
+      if (!targetProfileId && !targetPublicIdentifier) {
+        return null;
+      }
+
+      const s = validateSchema(schema);
+      const result = await query(`
+        UPDATE ${s}.social_activities
+        SET
+          ${column} = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = (
+          SELECT id FROM ${s}.social_activities
+          WHERE tenant_id = $1
+            AND ($2::varchar IS NULL OR account_id = $2)
+            AND activity_type = 'invitation'
+            AND status IN ('sent', 'already_sent', 'accepted')
+            AND is_deleted = false
+            AND (target_profile_id = $3 OR LOWER(target_public_identifier) = LOWER($4))
+          ORDER BY created_at DESC
+          LIMIT 1
+        )
+          AND ${column} IS NULL
+        RETURNING *
+      `, [tenantId, accountId, targetProfileId, targetPublicIdentifier]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error marking activity funnel step:', error);
+      throw error;
+    }
+  }
 
+  /**
+   * List a tenant's activities, newest first (keyset pagination on created_at, id)
+   *
+   * @param {Object} filters - { platform, accountId, userId, activityType, status, from, to, cursor, limit }
+   * @returns {Promise<Array>} Up to limit + 1 rows (the extra row signals another page)
+   */
+  static async list(schema, tenantId, filters = {}) {
+    try {
+      const { cursor = null, limit = 50 } = filters;
+      const params = [tenantId];
       let sql = `
-        SELECT * FROM social_activities
-        WHERE account_id = $1
+        SELECT a.*
+        FROM ${validateSchema(schema)}.social_activities a
+        WHERE a.tenant_id = $1
+          AND a.is_deleted = false
       `;
-      const params = [accountId];
 
-      if (activityType) {
-        sql += ` AND activity_type = $${params.length + 1}`;
-        params.push(activityType);
-      }
+      sql = applyFilters(sql, params, filters);
 
-      if (status) {
-        sql += ` AND status = $${params.length + 1}`;
-        params.push(status);
+      if (cursor) {
+        params.push(cursor.t, cursor.id);
+        sql += ` AND (date_trunc('milliseconds', a.created_at), a.id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`;
       }
 
+      params.push(limit + 1);
       sql += `
-        ORDER BY created_at DESC
-        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        ORDER BY date_trunc('milliseconds', a.created_at) DESC, a.id DESC
+        LIMIT $${params.length}
       `;
-      params.push(limit, offset);
 
       const result = await query(sql, params);
       return result.rows;
@@ -131,25 +300,29 @@ class SocialActivity {
 
   /**
    * Get activity statistics
+   *
+   * @param {Object} filters - { platform, accountId, userId, from, to }
    */
-  static async getStats(organizationId, platform = null) {
+  static async getStats(schema, tenantId, filters = {}) {
     try {
+      const params = [tenantId];
       let sql = `
-        SELECT 
-          COUNT(*) as total_activities,
-          COUNT(CASE WHEN activity_type = 'invitation' THEN 1 END) as invitations_sent,
-          COUNT(CASE WHEN activity_type = 'message' THEN 1 END) as messages_sent,
-          COUNT(CASE WHEN status = 'accepted' THEN 1 END) as connections_made,
-          COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_activities
-        FROM social_activities
-        WHERE organization_id = $1
+        SELECT
+          COUNT(*)::int AS total_activities,
+          COUNT(*) FILTER (WHERE activity_type = 'invitation' AND status IN ('sent', 'accepted', 'declined'))::int AS invitations_sent,
+          COUNT(*) FILTER (WHERE activity_type = 'invitation' AND status = 'already_sent')::int AS invitations_already_sent,
+          COUNT(*) FILTER (WHERE activity_type = 'message' AND status IN ('sent', 'replied'))::int AS messages_sent,
+          COUNT(*) FILTER (WHERE activity_type = 'profile_lookup' AND status = 'completed')::int AS profile_lookups,
+          COUNT(*) FILTER (WHERE activity_type = 'invitation' AND status = 'accepted')::int AS connections_made,
+          COUNT(*) FILTER (WHERE activity_type = 'invitation' AND status = 'declined')::int AS invitations_declined,
+          COUNT(*) FILTER (WHERE activity_type = 'message' AND status = 'replied')::int AS replies_received,
+          COUNT(*) FILTER (WHERE status = 'failed')::int AS failed_activities
+        FROM ${validateSchema(schema)}.social_activities a
+        WHERE a.tenant_id = $1
+          AND a.is_deleted = false
       `;
-      const params = [organizationId];
 
-      if (platform) {
-        sql += ` AND platform = $2`;
-        params.push(platform);
-      }
+      sql = applyFilters(sql, params, filters);
 
       const result = await query(sql, params);
       return result.rows[0];
@@ -158,6 +331,90 @@ class SocialActivity {
       throw error;
     }
   }
+
+  /**
+   * Invitation funnel (sent -> accepted -> replied -> call_triggered) with median
+   * times, overall or broken down by one dimension
+   *
+   * @param {string} schema - Tenant schema
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - { groupBy: platform|account|user|source|variant|null, platform, accountId, userId, source, variant, from, to }
+   * @returns {Promise<Array>} Rows with group_key, counts and median_time_to_accept/median_time_to_reply (seconds);
+   *   variant rows also carry sample_content
+   */
+  static async getFunnel(schema, tenantId, { groupBy = null, ...filters } = {}) {
+    try {
+      const groupExpr = groupBy ? FUNNEL_GROUPS[groupBy] : `'all'::text`;
+      if (!groupExpr) {
+        throw new Error(`Unknown funnel dimension: ${groupBy}`);
+      }
+
+      const params = [tenantId];
+      let sql = `
+        SELECT
+          ${groupExpr} AS group_key,
+          ${FUNNEL_COLUMNS},
+          percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM a.responded_at - a.created_at))
+            FILTER (WHERE a.status = 'accepted' AND a.responded_at IS NOT NULL) AS median_time_to_accept,
+          percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM a.replied_at - a.created_at))
+            FILTER (WHERE a.replied_at IS NOT NULL) AS median_time_to_reply
+          ${groupBy === 'variant' ? ', MIN(LEFT(a.content, 200)) AS sample_content' : ''}
+        FROM ${validateSchema(schema)}.social_activities a
+        WHERE a.tenant_id = $1
+          AND a.is_deleted = false
+          AND ${FUNNEL_BASE}
+      `;
+
+      sql = applyFilters(sql, params, { ...filters, activityType: null, status: null });
+      if (groupBy) {
+        sql += `
+          GROUP BY 1
+          ORDER BY sent DESC, group_key
+        `;
+      }
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting activity funnel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Daily funnel counts, by the day the invitation was sent
+   *
+   * @param {string} schema - Tenant schema
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - { timezone, platform, accountId, userId, source, variant, from, to }
+   * @returns {Promise<Array>} Rows with day (YYYY-MM-DD) and counts
+   */
+  static async getFunnelSeries(schema, tenantId, { timezone = 'UTC', ...filters } = {}) {
+    try {
+      const params = [tenantId, timezone];
+      let sql = `
+        SELECT
+          to_char(date_trunc('day', a.created_at AT TIME ZONE $2), 'YYYY-MM-DD') AS day,
+          ${FUNNEL_COLUMNS}
+        FROM ${validateSchema(schema)}.social_activities a
+        WHERE a.tenant_id = $1
+          AND a.is_deleted = false
+          AND ${FUNNEL_BASE}
+      `;
+
+      sql = applyFilters(sql, params, { ...filters, activityType: null, status: null });
+      sql += `
+        GROUP BY 1
+        ORDER BY 1
+      `;
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting activity funnel series:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = SocialActivity;
@@ -0,0 +1,402 @@
+/**
+ * Social Conversation Model
+ *
+ * Locally synced conversations backing the unified inbox.
+ * Listing queries are limited to conversations on accounts owned by the calling user.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+
+/**
+ * Escape LIKE wildcards in user search input
+ */
+function toLikePattern(search) {
+  return `%${String(search).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+class SocialConversation {
+  /**
+   * Upsert conversation from a newly stored message
+   * Inbound messages bump unread_count and unarchive the conversation
+   * (countUnread: false for a redelivered message already counted);
+   * participant fields are only taken from inbound messages
+   */
+  static async recordMessage(schema, messageData) {
+    try {
+      const {
+        tenantId,
+        platform,
+        accountId,
+        conversationId,
+        leadId,
+        direction,
+        participantName,
+        participantProviderId,
+        participantProfileUrl,
+        text,
+        sentAt,
+        countUnread = true
+      } = messageData;
+
+      const inbound = direction === 'inbound';
+
+      const result = await query(`
+        INSERT INTO ${validateSchema(schema)}.social_conversations (
+          tenant_id,
+          platform,
+          account_id,
+          conversation_id,
+          lead_id,
+          participant_name,
+          participant_provider_id,
+          participant_profile_url,
+          last_message_text,
+          last_message_direction,
+          last_message_at,
+          unread_count
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, CURRENT_TIMESTAMP), $12)
+        ON CONFLICT (tenant_id, account_id, conversation_id)
+        DO UPDATE SET
+          lead_id = COALESCE(social_conversations.lead_id, EXCLUDED.lead_id),
+          participant_name = COALESCE(EXCLUDED.participant_name, social_conversations.participant_name),
+          participant_provider_id = COALESCE(EXCLUDED.participant_provider_id, social_conversations.participant_provider_id),
+          participant_profile_url = COALESCE(EXCLUDED.participant_profile_url, social_conversations.participant_profile_url),
+          last_message_text = CASE WHEN EXCLUDED.last_message_at >= social_conversations.last_message_at
+            THEN EXCLUDED.last_message_text ELSE social_conversations.last_message_text END,
+          last_message_direction = CASE WHEN EXCLUDED.last_message_at >= social_conversations.last_message_at
+            THEN EXCLUDED.last_message_direction ELSE social_conversations.last_message_direction END,
+          last_message_at = GREATEST(social_conversations.last_message_at, EXCLUDED.last_message_at),
+          unread_count = social_conversations.unread_count + EXCLUDED.unread_count,
+          is_archived = CASE WHEN EXCLUDED.unread_count > 0 THEN false ELSE social_conversations.is_archived END,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `, [
+        tenantId,
+        platform,
+        accountId,
+        conversationId,
+        leadId || null,
+        inbound ? participantName || null : null,
+        inbound ? participantProviderId || null : null,
+        inbound ? participantProfileUrl || null : null,
+        text || null,
+        direction,
+        sentAt || null,
+        inbound && countUnread ? 1 : 0
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error recording conversation message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upsert conversation from a provider sync
+   * Provider unread count is authoritative; local archive state is kept
+   */
+  static async upsertFromSync(schema, conversationData) {
+    try {
+      const {
+        tenantId,
+        platform,
+        accountId,
+        conversationId,
+        leadId,
+        participantName,
+        participantProviderId,
+        participantProfileUrl,
+        lastMessageText,
+        lastMessageDirection,
+        lastMessageAt,
+        unreadCount,
+        metadata
+      } = conversationData;
+
+      const result = await query(`
+        INSERT INTO ${validateSchema(schema)}.social_conversations (
+          tenant_id,
+          platform,
+          account_id,
+          conversation_id,
+          lead_id,
+          participant_name,
+          participant_provider_id,
+          participant_profile_url,
+          last_message_text,
+          last_message_direction,
+          last_message_at,
+          unread_count,
+          synced_at,
+          metadata
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, CURRENT_TIMESTAMP), $12, CURRENT_TIMESTAMP, $13)
+        ON CONFLICT (tenant_id, account_id, conversation_id)
+        DO UPDATE SET
+          lead_id = COALESCE(social_conversations.lead_id, EXCLUDED.lead_id),
+          participant_name = COALESCE(EXCLUDED.participant_name, social_conversations.participant_name),
+          participant_provider_id = COALESCE(EXCLUDED.participant_provider_id, social_conversations.participant_provider_id),
+          participant_profile_url = COALESCE(EXCLUDED.participant_profile_url, social_conversations.participant_profile_url),
+          last_message_text = COALESCE(EXCLUDED.last_message_text, social_conversations.last_message_text),
+          last_message_direction = COALESCE(EXCLUDED.last_message_direction, social_conversations.last_message_direction),
+          last_message_at = GREATEST(social_conversations.last_message_at, EXCLUDED.last_message_at),
+          unread_count = EXCLUDED.unread_count,
+          synced_at = CURRENT_TIMESTAMP,
+          metadata = social_conversations.metadata || EXCLUDED.metadata,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `, [
+        tenantId,
+        platform,
+        accountId,
+        conversationId,
+        leadId || null,
+        participantName || null,
+        participantProviderId || null,
+        participantProfileUrl || null,
+        lastMessageText || null,
+        lastMessageDirection || null,
+        lastMessageAt || null,
+        unreadCount || 0,
+        JSON.stringify(metadata || {})
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error upserting synced conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List inbox conversations (keyset pagination, newest first)
+   * status: 'active' (default) | 'unread' | 'archived' | 'all'
+   */
+  static async list(schema, tenantId, userId, { platform = null, accountId = null, leadId = null, status = 'active', search = null, cursor = null, limit = 25 } = {}) {
+    try {
+      const s = validateSchema(schema);
+      const params = [tenantId, userId];
+      let sql = `
+        SELECT c.id, c.platform, c.account_id, c.conversation_id, c.lead_id,
+               l.name AS lead_name,
+               c.participant_name, c.participant_provider_id, c.participant_profile_url,
+               c.last_message_text, c.last_message_direction, c.last_message_at,
+               c.unread_count, c.last_read_at, c.is_archived
+        FROM ${s}.social_conversations c
+        INNER JOIN ${s}.social_accounts sa
+          ON sa.tenant_id = c.tenant_id AND sa.account_id = c.account_id AND sa.user_id = $2
+        LEFT JOIN ${s}.leads l
+          ON l.id = c.lead_id AND l.tenant_id = c.tenant_id
+        WHERE c.tenant_id = $1
+          AND c.is_deleted = false
+      `;
+
+      if (status === 'archived') {
+        sql += ` AND c.is_archived = true`;
+      } else if (status === 'unread') {
+        sql += ` AND c.is_archived = false AND c.unread_count > 0`;
+      } else if (status !== 'all') {
+        sql += ` AND c.is_archived = false`;
+      }
+
+      if (platform) {
+        params.push(platform);
+        sql += ` AND c.platform = $${params.length}`;
+      }
+
+      if (accountId) {
+        params.push(accountId);
+        sql += ` AND c.account_id = $${params.length}`;
+      }
+
+      if (leadId) {
+        params.push(leadId);
+        sql += ` AND c.lead_id = $${params.length}`;
+      }
+
+      if (search) {
+        params.push(toLikePattern(search));
+        const p = `$${params.length}`;
+        sql += `
+          AND (
+            c.participant_name ILIKE ${p}
+            OR l.name ILIKE ${p}
+            OR EXISTS (
+              SELECT 1 FROM ${s}.social_messages m
+              WHERE m.tenant_id = c.tenant_id
+                AND m.account_id = c.account_id
+                AND m.conversation_id = c.conversation_id
+                AND m.text ILIKE ${p}
+            )
+          )
+        `;
+      }
+
+      if (cursor) {
+        params.push(cursor.t, cursor.id);
+        sql += ` AND (date_trunc('milliseconds', c.last_message_at), c.id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`;
+      }
+
+      params.push(limit + 1);
+      sql += ` ORDER BY date_trunc('milliseconds', c.last_message_at) DESC, c.id DESC LIMIT $${params.length}`;
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing conversations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Conversations grouped per lead (keyset pagination on latest message)
+   */
+  static async listByLead(schema, tenantId, userId, { search = null, cursor = null, limit = 25 } = {}) {
+    try {
+      const s = validateSchema(schema);
+      const params = [tenantId, userId];
+      let sql = `
+        SELECT c.lead_id,
+               l.name AS lead_name,
+               MAX(c.last_message_at) AS last_message_at,
+               SUM(c.unread_count)::int AS unread_count,
+               COUNT(*)::int AS conversation_count,
+               json_agg(json_build_object(
+                 'id', c.id,
+                 'platform', c.platform,
+                 'accountId', c.account_id,
+                 'lastMessageText', c.last_message_text,
+                 'lastMessageAt', c.last_message_at,
+                 'unreadCount', c.unread_count
+               ) ORDER BY c.last_message_at DESC) AS conversations
+        FROM ${s}.social_conversations c
+        INNER JOIN ${s}.social_accounts sa
+          ON sa.tenant_id = c.tenant_id AND sa.account_id = c.account_id AND sa.user_id = $2
+        LEFT JOIN ${s}.leads l
+          ON l.id = c.lead_id AND l.tenant_id = c.tenant_id
+        WHERE c.tenant_id = $1
+          AND c.is_deleted = false
+          AND c.is_archived = false
+          AND c.lead_id IS NOT NULL
+      `;
+
+      if (search) {
+        params.push(toLikePattern(search));
+        sql += ` AND (l.name ILIKE $${params.length} OR c.participant_name ILIKE $${params.length})`;
+      }
+
+      sql += ` GROUP BY c.lead_id, l.name`;
+
+      if (cursor) {
+        params.push(cursor.t, cursor.id);
+        sql += ` HAVING (date_trunc('milliseconds', MAX(c.last_message_at)), c.lead_id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`;
+      }
+
+      params.push(limit + 1);
+      sql += ` ORDER BY date_trunc('milliseconds', MAX(c.last_message_at)) DESC, c.lead_id DESC LIMIT $${params.length}`;
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing conversations by lead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unread counts per platform and account for the user's inbox
+   */
+  static async getUnreadCounts(schema, tenantId, userId) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        SELECT c.platform, c.account_id,
+               SUM(c.unread_count)::int AS unread_messages,
+               COUNT(*)::int AS unread_conversations
+        FROM ${s}.social_conversations c
+        INNER JOIN ${s}.social_accounts sa
+          ON sa.tenant_id = c.tenant_id AND sa.account_id = c.account_id AND sa.user_id = $2
+        WHERE c.tenant_id = $1
+          AND c.is_deleted = false
+          AND c.is_archived = false
+          AND c.unread_count > 0
+        GROUP BY c.platform, c.account_id
+      `, [tenantId, userId]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting unread counts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a conversation in the user's inbox
+   */
+  static async findForUser(schema, tenantId, userId, id) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        SELECT c.*
+        FROM ${s}.social_conversations c
+        INNER JOIN ${s}.social_accounts sa
+          ON sa.tenant_id = c.tenant_id AND sa.account_id = c.account_id AND sa.user_id = $3
+        WHERE c.id = $1
+          AND c.tenant_id = $2
+          AND c.is_deleted = false
+      `, [id, tenantId, userId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark conversation read
+   */
+  static async markRead(schema, tenantId, id) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_conversations
+        SET
+          unread_count = 0,
+          last_read_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND tenant_id = $2
+        RETURNING id, unread_count, last_read_at
+      `, [id, tenantId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error marking conversation read:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Archive or unarchive conversation
+   */
+  static async setArchived(schema, tenantId, id, archived) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.social_conversations
+        SET
+          is_archived = $3,
+          archived_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP ELSE NULL END,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND tenant_id = $2
+        RETURNING id, is_archived, archived_at
+      `, [id, tenantId, archived]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error archiving conversation:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SocialConversation;
@@ -0,0 +1,154 @@
+/**
+ * Social Message Model
+ *
+ * Messages received (and echoed) on connected social accounts,
+ * stored per tenant and linked to the matching lead when known
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+
+class SocialMessage {
+  /**
+   * Store a message
+   * Redelivered messages (same provider message ID) return null
+   */
+  static async create(schema, messageData) {
+    try {
+      const {
+        tenantId,
+        platform,
+        accountId,
+        conversationId,
+        providerMessageId,
+        direction = 'inbound',
+        senderProviderId,
+        senderName,
+        senderProfileUrl,
+        text,
+        attachments,
+        sentAt,
+        leadId,
+        metadata
+      } = messageData;
+
+      const result = await query(`
+        INSERT INTO ${validateSchema(schema)}.social_messages (
+          tenant_id,
+          platform,
+          account_id,
+          conversation_id,
+          provider_message_id,
+          direction,
+          sender_provider_id,
+          sender_name,
+          sender_profile_url,
+          text,
+          attachments,
+          sent_at,
+          lead_id,
+          metadata
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, COALESCE($12, CURRENT_TIMESTAMP), $13, $14)
+        ON CONFLICT (tenant_id, account_id, provider_message_id) DO NOTHING
+        RETURNING *
+      `, [
+        tenantId,
+        platform,
+        accountId,
+        conversationId || null,
+        providerMessageId,
+        direction,
+        senderProviderId || null,
+        senderName || null,
+        senderProfileUrl || null,
+        text || null,
+        JSON.stringify(attachments || []),
+        sentAt || null,
+        leadId || null,
+        JSON.stringify(metadata || {})
+      ]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error creating social message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a stored message by its provider message ID
+   */
+  static async findByProviderMessageId(schema, tenantId, accountId, providerMessageId) {
+    try {
+      const result = await query(`
+        SELECT * FROM ${validateSchema(schema)}.social_messages
+        WHERE tenant_id = $1
+          AND account_id = $2
+          AND provider_message_id = $3
+      `, [tenantId, accountId, providerMessageId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding social message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a lead already linked to a conversation
+   * Later messages in a thread inherit the lead matched earlier
+   */
+  static async findLeadIdByConversation(schema, tenantId, accountId, conversationId) {
+    try {
+      const result = await query(`
+        SELECT lead_id FROM ${validateSchema(schema)}.social_messages
+        WHERE tenant_id = $1
+          AND account_id = $2
+          AND conversation_id = $3
+          AND lead_id IS NOT NULL
+        ORDER BY sent_at DESC
+        LIMIT 1
+      `, [tenantId, accountId, conversationId]);
+
+      return result.rows[0]?.lead_id || null;
+    } catch (error) {
+      console.error('Error finding conversation lead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List messages in a conversation (keyset pagination, newest first)
+   */
+  static async listByConversation(schema, tenantId, accountId, conversationId, { cursor = null, limit = 50 } = {}) {
+    try {
+      let sql = `
+        SELECT id, platform, account_id, conversation_id, provider_message_id, direction,
+               sender_provider_id, sender_name, sender_profile_url, text, attachments,
+               sent_at, lead_id
+        FROM ${validateSchema(schema)}.social_messages
+        WHERE tenant_id = $1
+          AND account_id = $2
+          AND conversation_id = $3
+          AND is_deleted = false
+      `;
+      const params = [tenantId, accountId, conversationId];
+
+      if (cursor) {
+        params.push(cursor.t, cursor.id);
+        sql += ` AND (date_trunc('milliseconds', sent_at), id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`;
+      }
+
+      params.push(limit + 1);
+      sql += ` ORDER BY date_trunc('milliseconds', sent_at) DESC, id DESC LIMIT $${params.length}`;
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing conversation messages:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SocialMessage;
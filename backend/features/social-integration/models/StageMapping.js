@@ -0,0 +1,121 @@
+/**
+ * Stage Mapping Model
+ *
+ * Per-tenant lead_stages key for each social event (accepted, replied, ...).
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+
+class StageMapping {
+  /**
+   * Mappings stored for a tenant
+   */
+  static async list(schema, tenantId) {
+    try {
+      const result = await query(`
+        SELECT event, stage_key, updated_by, updated_at
+        FROM ${validateSchema(schema)}.social_stage_mappings
+        WHERE tenant_id = $1
+        ORDER BY event ASC
+      `, [tenantId]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing stage mappings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace mappings (stageKey null turns the stage change off)
+   *
+   * @param {Object} mappings - { [event]: stageKey|null }
+   * @returns {Promise<Array>} Stored rows
+   */
+  static async upsert(schema, tenantId, mappings, userId = null) {
+    try {
+      const events = Object.keys(mappings);
+      const result = await query(`
+        INSERT INTO ${validateSchema(schema)}.social_stage_mappings (tenant_id, event, stage_key, updated_by)
+        SELECT $1, m.event, m.stage_key, $4
+        FROM UNNEST($2::text[], $3::text[]) AS m(event, stage_key)
+        ON CONFLICT (tenant_id, event) DO UPDATE SET
+          stage_key = EXCLUDED.stage_key,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING event, stage_key, updated_by, updated_at
+      `, [tenantId, events, events.map(event => mappings[event]), userId]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error saving stage mappings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a mapping (the event goes back to its default key)
+   */
+  static async remove(schema, tenantId, event) {
+    try {
+      const result = await query(`
+        DELETE FROM ${validateSchema(schema)}.social_stage_mappings
+        WHERE tenant_id = $1 AND event = $2
+        RETURNING event
+      `, [tenantId, event]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error deleting stage mapping:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The tenant's pipeline stages in display order
+   */
+  static async listStages(schema, tenantId) {
+    try {
+      const result = await query(`
+        SELECT key, name, display_order
+        FROM ${validateSchema(schema)}.lead_stages
+        WHERE tenant_id = $1
+        ORDER BY display_order ASC
+      `, [tenantId]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing lead stages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stage key per event: the tenant's mapping, else the default key, kept only
+   * when the tenant has a stage with exactly that key
+   *
+   * @param {Object} defaults - { [event]: default stage key }
+   * @returns {Promise<Object>} { [event]: stageKey|null }
+   */
+  static async resolve(schema, tenantId, defaults) {
+    try {
+      const s = validateSchema(schema);
+      const events = Object.keys(defaults);
+      const result = await query(`
+        SELECT d.event, ls.key AS stage_key
+        FROM UNNEST($2::text[], $3::text[]) AS d(event, default_key)
+        LEFT JOIN ${s}.social_stage_mappings m ON m.tenant_id = $1 AND m.event = d.event
+        LEFT JOIN ${s}.lead_stages ls ON ls.tenant_id = $1
+          AND ls.key = CASE WHEN m.id IS NOT NULL THEN m.stage_key ELSE d.default_key END
+      `, [tenantId, events, events.map(event => defaults[event])]);
+
+      return Object.fromEntries(result.rows.map(row => [row.event, row.stage_key || null]));
+    } catch (error) {
+      console.error('Error resolving stage mappings:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = StageMapping;
@@ -0,0 +1,151 @@
+/**
+ * Webhook Dead Letter Model
+ *
+ * Webhook events that exhausted their retries.
+ * Replaying re-queues the original webhook_events row.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+
+class WebhookDeadLetter {
+  /**
+   * Move an event to the dead-letter table
+   * The event is marked 'dead_lettered' in the same statement, by the worker holding its claim
+   */
+  static async moveFromEvent(schema, eventId, workerId, lastError) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH moved AS (
+          UPDATE ${s}.webhook_events
+          SET
+            status = 'dead_lettered',
+            error = $2,
+            locked_by = NULL,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+            AND status = 'processing'
+            AND locked_by = $3
+          RETURNING *
+        )
+        INSERT INTO ${s}.webhook_dead_letters (
+          event_id,
+          tenant_id,
+          provider,
+          event_type,
+          account_id,
+          payload,
+          attempts,
+          last_error
+        )
+        SELECT id, tenant_id, provider, event_type, account_id, payload, attempts, $2
+        FROM moved
+        RETURNING *
+      `, [eventId, lastError, workerId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error moving webhook event to dead letters:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List dead letters for a tenant
+   * status: 'pending' (not yet replayed) | 'replayed' | null (all)
+   */
+  static async findByTenant(schema, tenantId, { status = null, eventType = null, limit = 50, offset = 0 } = {}) {
+    try {
+      let sql = `
+        SELECT id, event_id, provider, event_type, account_id, attempts, last_error,
+               replay_count, replayed_at, replayed_by, created_at
+        FROM ${validateSchema(schema)}.webhook_dead_letters
+        WHERE tenant_id = $1
+      `;
+      const params = [tenantId];
+
+      if (status === 'pending') {
+        sql += ` AND replayed_at IS NULL`;
+      } else if (status === 'replayed') {
+        sql += ` AND replayed_at IS NOT NULL`;
+      }
+
+      if (eventType) {
+        params.push(eventType);
+        sql += ` AND event_type = $${params.length}`;
+      }
+
+      params.push(limit, offset);
+      sql += ` ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding webhook dead letters:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find dead letter by ID within a tenant
+   */
+  static async findById(schema, tenantId, id) {
+    try {
+      const result = await query(`
+        SELECT * FROM ${validateSchema(schema)}.webhook_dead_letters
+        WHERE id = $1 AND tenant_id = $2
+      `, [id, tenantId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding webhook dead letter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replay a dead letter: re-queue its event with a fresh attempt budget
+   * Returns the re-queued event, or null if the event is no longer dead-lettered
+   */
+  static async replay(schema, tenantId, id, replayedBy = null) {
+    try {
+      const s = validateSchema(schema);
+      const result = await query(`
+        WITH dl AS (
+          UPDATE ${s}.webhook_dead_letters d
+          SET
+            replay_count = replay_count + 1,
+            replayed_at = CURRENT_TIMESTAMP,
+            replayed_by = $3,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE d.id = $1
+            AND d.tenant_id = $2
+            AND EXISTS (
+              SELECT 1 FROM ${s}.webhook_events e
+              WHERE e.id = d.event_id AND e.status = 'dead_lettered'
+            )
+          RETURNING d.event_id
+        )
+        UPDATE ${s}.webhook_events e
+        SET
+          status = 'received',
+          attempts = 0,
+          error = NULL,
+          locked_by = NULL,
+          next_attempt_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        FROM dl
+        WHERE e.id = dl.event_id
+        RETURNING e.id, e.status, e.event_type, e.next_attempt_at
+      `, [id, tenantId, replayedBy]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error replaying webhook dead letter:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookDeadLetter;
@@ -0,0 +1,222 @@
+/**
+ * Webhook Event Model
+ *
+ * Durable store of webhook deliveries, keyed by idempotency key.
+ * Also serves as the processing queue: events are claimed atomically
+ * so each one runs once across replicas.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+
+// A 'processing' claim older than this is assumed to belong to a crashed worker
+const STALE_CLAIM_MINUTES = 15;
+
+class WebhookEvent {
+  /**
+   * Record a delivery
+   * A repeated idempotency key bumps duplicate_count instead of inserting;
+   * `inserted` is false for duplicates
+   */
+  static async record(schema, eventData) {
+    try {
+      const {
+        tenantId,
+        provider = 'unipile',
+        idempotencyKey,
+        providerEventId,
+        eventType,
+        accountId,
+        payload,
+        payloadHash
+      } = eventData;
+
+      const result = await query(`
+        INSERT INTO ${validateSchema(schema)}.webhook_events (
+          tenant_id,
+          provider,
+          idempotency_key,
+          provider_event_id,
+          event_type,
+          account_id,
+          payload,
+          payload_hash
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (provider, idempotency_key)
+        DO UPDATE SET
+          duplicate_count = webhook_events.duplicate_count + 1,
+          last_seen_at = CURRENT_TIMESTAMP
+        RETURNING *, (xmax = 0) AS inserted
+      `, [
+        tenantId || null,
+        provider,
+        idempotencyKey,
+        providerEventId || null,
+        eventType || null,
+        accountId || null,
+        JSON.stringify(payload || {}),
+        payloadHash
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error recording webhook event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim due events for processing (queue pop)
+   * SKIP LOCKED lets several workers poll concurrently without double-claiming;
+   * stale 'processing' claims from crashed workers are picked up again
+   */
+  static async claimDue(schema, workerId, limit = 10) {
+    try {
+      const table = `${validateSchema(schema)}.webhook_events`;
+      const result = await query(`
+        UPDATE ${table}
+        SET
+          status = 'processing',
+          attempts = attempts + 1,
+          locked_by = $1,
+          processing_started_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+          SELECT id FROM ${table}
+          WHERE (
+            status IN ('received', 'failed')
+            AND next_attempt_at <= CURRENT_TIMESTAMP
+          ) OR (
+            status = 'processing'
+            AND processing_started_at < CURRENT_TIMESTAMP - ($3 * INTERVAL '1 minute')
+          )
+          ORDER BY next_attempt_at ASC
+          LIMIT $2
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, [workerId, limit, STALE_CLAIM_MINUTES]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error claiming webhook events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a successful outcome
+   * status: 'processed' | 'skipped'
+   * Only the worker holding the claim can complete the event; null when the
+   * claim was taken over (stale lease reclaimed by another worker)
+   */
+  static async complete(schema, id, workerId, status, { result = null, tenantId = null } = {}) {
+    try {
+      const updated = await query(`
+        UPDATE ${validateSchema(schema)}.webhook_events
+        SET
+          status = $2,
+          result = $3::jsonb,
+          error = NULL,
+          tenant_id = COALESCE(tenant_id, $4),
+          locked_by = NULL,
+          processed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+          AND status = 'processing'
+          AND locked_by = $5
+        RETURNING *
+      `, [id, status, result ? JSON.stringify(result) : null, tenantId, workerId]);
+
+      return updated.rows[0] || null;
+    } catch (error) {
+      console.error('Error completing webhook event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one (claim holder only)
+   */
+  static async scheduleRetry(schema, id, workerId, errorMessage, delaySeconds) {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.webhook_events
+        SET
+          status = 'failed',
+          error = $2,
+          locked_by = NULL,
+          next_attempt_at = CURRENT_TIMESTAMP + ($3 * INTERVAL '1 second'),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+          AND status = 'processing'
+          AND locked_by = $4
+        RETURNING *
+      `, [id, errorMessage, delaySeconds, workerId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error scheduling webhook event retry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find event by ID within a tenant
+   */
+  static async findById(schema, tenantId, id) {
+    try {
+      const result = await query(`
+        SELECT * FROM ${validateSchema(schema)}.webhook_events
+        WHERE id = $1 AND tenant_id = $2
+      `, [id, tenantId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding webhook event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List events for a tenant (support queries)
+   */
+  static async findByTenant(schema, tenantId, { status = null, eventType = null, accountId = null, limit = 50, offset = 0 } = {}) {
+    try {
+      let sql = `
+        SELECT id, provider, idempotency_key, provider_event_id, event_type, account_id,
+               status, attempts, duplicate_count, result, error,
+               received_at, last_seen_at, next_attempt_at, processed_at
+        FROM ${validateSchema(schema)}.webhook_events
+        WHERE tenant_id = $1
+      `;
+      const params = [tenantId];
+
+      if (status) {
+        params.push(status);
+        sql += ` AND status = $${params.length}`;
+      }
+
+      if (eventType) {
+        params.push(eventType);
+        sql += ` AND event_type = $${params.length}`;
+      }
+
+      if (accountId) {
+        params.push(accountId);
+        sql += ` AND account_id = $${params.length}`;
+      }
+
+      params.push(limit, offset);
+      sql += ` ORDER BY received_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding webhook events:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookEvent;
@@ -0,0 +1,96 @@
+/**
+ * Webhook Rejection Model
+ *
+ * Audit log of webhook deliveries that failed signature or replay checks
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+
+class WebhookRejection {
+  /**
+   * Record a rejected delivery
+   */
+  static async record(schema, rejection) {
+    try {
+      const {
+        tenantId,
+        provider = 'unipile',
+        accountId,
+        eventType,
+        reason,
+        scheme,
+        sourceIp,
+        userAgent,
+        deliveryTimestamp,
+        payloadHash,
+        metadata
+      } = rejection;
+
+      const result = await query(`
+        INSERT INTO ${validateSchema(schema)}.webhook_rejections (
+          tenant_id,
+          provider,
+          account_id,
+          event_type,
+          reason,
+          scheme,
+          source_ip,
+          user_agent,
+          delivery_timestamp,
+          payload_hash,
+          metadata
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING id
+      `, [
+        tenantId || null,
+        provider,
+        accountId || null,
+        eventType || null,
+        reason,
+        scheme || null,
+        sourceIp || null,
+        userAgent || null,
+        deliveryTimestamp ? new Date(deliveryTimestamp * 1000) : null,
+        payloadHash || null,
+        JSON.stringify(metadata || {})
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error recording webhook rejection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List recent rejections for a tenant
+   */
+  static async findByTenant(schema, tenantId, { limit = 50, offset = 0, reason = null } = {}) {
+    try {
+      let sql = `
+        SELECT id, account_id, event_type, reason, scheme, source_ip, user_agent,
+               delivery_timestamp, payload_hash, metadata, created_at
+        FROM ${validateSchema(schema)}.webhook_rejections
+        WHERE tenant_id = $1
+      `;
+      const params = [tenantId];
+
+      if (reason) {
+        params.push(reason);
+        sql += ` AND reason = $${params.length}`;
+      }
+
+      params.push(limit, offset);
+      sql += ` ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding webhook rejections:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookRejection;
@@ -0,0 +1,95 @@
+/**
+ * Webhook Secret Model
+ *
+ * Per-tenant secrets used to verify Unipile webhook deliveries.
+ * Rotation keeps the outgoing secret valid as 'previous' for a grace period.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { validateSchema } = require('../utils/schemaHelper');
+
+class WebhookSecret {
+  /**
+   * Find secrets currently valid for a tenant (active + unexpired previous)
+   */
+  static async findValidByTenant(schema, tenantId, provider = 'unipile') {
+    try {
+      const result = await query(`
+        SELECT id, secret, status, expires_at
+        FROM ${validateSchema(schema)}.webhook_secrets
+        WHERE tenant_id = $1
+          AND provider = $2
+          AND is_deleted = false
+          AND (
+            status = 'active'
+            OR (status = 'previous' AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP))
+          )
+        ORDER BY created_at DESC
+      `, [tenantId, provider]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding webhook secrets:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rotate the tenant's secret
+   * The current active secret becomes 'previous' until the grace period ends;
+   * any older 'previous' secret is revoked so at most two are valid.
+   * One statement, so a failure never leaves the tenant without an active secret
+   */
+  static async rotate(schema, tenantId, { secret, graceMinutes = 1440, createdBy = null, provider = 'unipile' }) {
+    try {
+      const table = `${validateSchema(schema)}.webhook_secrets`;
+
+      const result = await query(`
+        WITH revoked AS (
+          UPDATE ${table}
+          SET status = 'revoked', updated_at = CURRENT_TIMESTAMP
+          WHERE tenant_id = $1 AND provider = $2 AND status = 'previous'
+          RETURNING id
+        ),
+        demoted AS (
+          UPDATE ${table}
+          SET
+            status = 'previous',
+            expires_at = CURRENT_TIMESTAMP + ($3 * INTERVAL '1 minute'),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE tenant_id = $1 AND provider = $2 AND status = 'active'
+          RETURNING id
+        )
+        INSERT INTO ${table} (tenant_id, provider, secret, status, created_by)
+        VALUES ($1, $2, $4, 'active', $5)
+        RETURNING id, status, created_at
+      `, [tenantId, provider, graceMinutes, secret, createdBy]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke the previous secret early (end cutover)
+   */
+  static async revokePrevious(schema, tenantId, provider = 'unipile') {
+    try {
+      const result = await query(`
+        UPDATE ${validateSchema(schema)}.webhook_secrets
+        SET status = 'revoked', updated_at = CURRENT_TIMESTAMP
+        WHERE tenant_id = $1 AND provider = $2 AND status = 'previous'
+        RETURNING id
+      `, [tenantId, provider]);
+
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error revoking webhook secret:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookSecret;
@@ -4,8 +4,42 @@
 
 const SocialAccount = require('./SocialAccount');
 const SocialActivity = require('./SocialActivity');
+const SocialMessage = require('./SocialMessage');
+const SocialConversation = require('./SocialConversation');
+const WebhookSecret = require('./WebhookSecret');
+const WebhookRejection = require('./WebhookRejection');
+const WebhookEvent = require('./WebhookEvent');
+const WebhookDeadLetter = require('./WebhookDeadLetter');
+const InvitationJob = require('./InvitationJob');
+const QuotaUsage = require('./QuotaUsage');
+const CreditLedger = require('./CreditLedger');
+const Sequence = require('./Sequence');
+const MessageTemplate = require('./MessageTemplate');
+const ScheduledCall = require('./ScheduledCall');
+const StageMapping = require('./StageMapping');
+const LeadTimeline = require('./LeadTimeline');
+const LeadIdentity = require('./LeadIdentity');
+const LeadDuplicate = require('./LeadDuplicate');
+const PhoneReveal = require('./PhoneReveal');
 
 module.exports = {
   SocialAccount,
-  SocialActivity
+  SocialActivity,
+  SocialMessage,
+  SocialConversation,
+  WebhookSecret,
+  WebhookRejection,
+  WebhookEvent,
+  WebhookDeadLetter,
+  InvitationJob,
+  QuotaUsage,
+  CreditLedger,
+  Sequence,
+  MessageTemplate,
+  ScheduledCall,
+  StageMapping,
+  LeadTimeline,
+  LeadIdentity,
+  LeadDuplicate,
+  PhoneReveal
 };
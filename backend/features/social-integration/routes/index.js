@@ -5,6 +5,7 @@
  * 
  * LAD Architecture Compliant:
  * - Auth middleware on protected routes
+ * - Rate limits from manifest.api.rateLimit on protected routes
  * - Tenant context from req.user (via JWT)
  * - No hardcoded schema names
  */
@@ -12,6 +13,10 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken: jwtAuth } = require('../../../core/middleware/auth');
+const { requireTenantContext, requireTenantAdmin } = require('../middleware/tenantContext');
+const { captureRawBody, verifyUnipileWebhook } = require('../middleware/webhookAuth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validateActivityType, validateActivityStatus, validateActivitySource, validateFunnelQuery } = require('../middleware/validation');
 const SocialIntegrationController = require('../controllers/SocialIntegrationController');
 
 /**
@@ -24,47 +29,156 @@ function initializeRoutes(db) {
   const controller = new SocialIntegrationController(db);
   
   // List available platforms (protected)
-  router.get('/platforms', jwtAuth, (req, res) => controller.listPlatforms(req, res));
+  router.get('/platforms', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.listPlatforms(req, res));
   
   // List all connected accounts (protected)
-  router.get('/accounts', jwtAuth, (req, res) => controller.listAccounts(req, res));
+  router.get('/accounts', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.listAccounts(req, res));
+  
+  // Unified inbox across platforms (registered before /:platform routes)
+  router.get('/inbox/conversations', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getInbox(req, res));
+  router.get('/inbox/leads', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getInboxByLead(req, res));
+  router.get('/inbox/unread-counts', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getInboxUnreadCounts(req, res));
+  router.get('/inbox/conversations/:conversationId/messages', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getInboxMessages(req, res));
+  router.post('/inbox/conversations/:conversationId/read', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.markConversationRead(req, res));
+  router.post('/inbox/conversations/:conversationId/archive', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.archiveConversation(req, res));
+  router.post('/inbox/sync', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.syncInbox(req, res));
+  
+  // Batch invitation jobs (registered before /:platform routes)
+  router.get('/invitation-jobs', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.listInvitationJobs(req, res));
+  router.get('/invitation-jobs/:jobId', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getInvitationJob(req, res));
+  router.get('/invitation-jobs/:jobId/items', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getInvitationJobItems(req, res));
+  router.post('/invitation-jobs/:jobId/pause', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.updateInvitationJob(req, res, 'pause'));
+  router.post('/invitation-jobs/:jobId/resume', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.updateInvitationJob(req, res, 'resume'));
+  router.post('/invitation-jobs/:jobId/cancel', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.updateInvitationJob(req, res, 'cancel'));
+  
+  // Credit balance and ledger (registered before /:platform routes)
+  router.get('/credits', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getCredits(req, res));
+  
+  // Outbound activity history (registered before /:platform routes)
+  router.get('/activities', jwtAuth, requireTenantContext, rateLimit, validateActivityType, validateActivityStatus, validateActivitySource, (req, res) => controller.getActivities(req, res));
+  router.get('/activities/stats', jwtAuth, requireTenantContext, rateLimit, validateActivityType, validateActivityStatus, validateActivitySource, (req, res) => controller.getActivityStats(req, res));
+  router.get('/analytics/funnel', jwtAuth, requireTenantContext, rateLimit, validateActivitySource, validateFunnelQuery, (req, res) => controller.getFunnelAnalytics(req, res));
+  
+  // Outreach sequences (registered before /:platform routes)
+  router.post('/sequences', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.createSequence(req, res));
+  router.get('/sequences', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.listSequences(req, res));
+  router.post('/sequences/enrollments/:enrollmentId/unsubscribe', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.exitSequenceEnrollment(req, res, 'unsubscribed'));
+  router.post('/sequences/enrollments/:enrollmentId/remove', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.exitSequenceEnrollment(req, res, 'removed'));
+  router.get('/sequences/:sequenceId', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getSequence(req, res));
+  router.patch('/sequences/:sequenceId', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.updateSequence(req, res));
+  router.post('/sequences/:sequenceId/enroll', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.enrollInSequence(req, res));
+  router.get('/sequences/:sequenceId/enrollments', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.listSequenceEnrollments(req, res));
+  
+  // Message templates
+  router.post('/templates', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.createTemplate(req, res));
+  router.get('/templates', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.listTemplates(req, res));
+  router.get('/templates/:templateId', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getTemplate(req, res));
+  router.patch('/templates/:templateId', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.updateTemplate(req, res));
+  router.delete('/templates/:templateId', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.deleteTemplate(req, res));
+  router.post('/templates/:templateId/preview', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.previewTemplate(req, res));
+  
+  // Auto-calls waiting for their call window
+  router.get('/scheduled-calls', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.listScheduledCalls(req, res));
+  
+  // Probable duplicate leads and merging them (admin only)
+  router.get('/leads/duplicates', jwtAuth, requireTenantContext, rateLimit, requireTenantAdmin, (req, res) => controller.getLeadDuplicates(req, res));
+  router.post('/leads/:leadId/merge', jwtAuth, requireTenantContext, rateLimit, requireTenantAdmin, (req, res) => controller.mergeLeads(req, res));
+  
+  // Social touchpoints with one lead across platforms
+  router.get('/leads/:leadId/social-timeline', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getLeadSocialTimeline(req, res));
+  
+  // Lead stage per social event (changes are admin only)
+  router.get('/stage-mappings', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getStageMappings(req, res));
+  router.put('/stage-mappings', jwtAuth, requireTenantContext, rateLimit, requireTenantAdmin, (req, res) => controller.updateStageMappings(req, res));
+  router.delete('/stage-mappings/:event', jwtAuth, requireTenantContext, rateLimit, requireTenantAdmin, (req, res) => controller.deleteStageMapping(req, res));
   
   // Platform-specific endpoints with :platform parameter (all protected)
   
   // Connect/authenticate account
-  router.post('/:platform/connect', jwtAuth, (req, res) => controller.connectAccount(req, res));
+  router.post('/:platform/connect', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.connectAccount(req, res));
   
   // Get connection status
-  router.get('/:platform/status', jwtAuth, (req, res) => controller.getStatus(req, res));
+  router.get('/:platform/status', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getStatus(req, res));
   
   // Send invitation/connection request
-  router.post('/:platform/send-invitation', jwtAuth, (req, res) => controller.sendInvitation(req, res));
+  router.post('/:platform/send-invitation', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.sendInvitation(req, res));
   
   // Batch send invitations
-  router.post('/:platform/batch-send-invitations', jwtAuth, (req, res) => controller.batchSendInvitations(req, res));
+  router.post('/:platform/batch-send-invitations', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.batchSendInvitations(req, res));
   
   // Send direct message
-  router.post('/:platform/send-message', jwtAuth, (req, res) => controller.sendMessage(req, res));
+  router.post('/:platform/send-message', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.sendMessage(req, res));
   
   // Look up profile
-  router.get('/:platform/lookup', jwtAuth, (req, res) => controller.lookupProfile(req, res));
+  router.get('/:platform/lookup', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.lookupProfile(req, res));
   
   // Get invitations status
-  router.get('/:platform/invitations', jwtAuth, (req, res) => controller.getInvitationsStatus(req, res));
+  router.get('/:platform/invitations', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getInvitationsStatus(req, res));
   
   // Get messages
-  router.get('/:platform/messages', jwtAuth, (req, res) => controller.getMessages(req, res));
+  router.get('/:platform/messages', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getMessages(req, res));
   
   // Get conversations
-  router.get('/:platform/conversations', jwtAuth, (req, res) => controller.getConversations(req, res));
+  router.get('/:platform/conversations', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getConversations(req, res));
   
   // Disconnect account
-  router.post('/:platform/disconnect', jwtAuth, (req, res) => controller.disconnectAccount(req, res));
+  router.post('/:platform/disconnect', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.disconnectAccount(req, res));
   
-  // Webhook endpoints (no auth - validated by signature)
-  router.post('/webhook', (req, res) => controller.handleWebhook(req, res));
+  // Re-authenticate a stopped account in place
+  router.post('/:platform/reconnect', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.reconnectAccount(req, res));
+  
+  // Per-account send quota overrides, warm-up and send windows (admin)
+  router.put('/:platform/quotas', jwtAuth, requireTenantContext, rateLimit, requireTenantAdmin, (req, res) => controller.updateAccountQuotas(req, res));
+  router.put('/:platform/warmup', jwtAuth, requireTenantContext, rateLimit, requireTenantAdmin, (req, res) => controller.updateAccountWarmup(req, res));
+  router.put('/:platform/schedule', jwtAuth, requireTenantContext, rateLimit, requireTenantAdmin, (req, res) => controller.updateAccountSchedule(req, res));
+  
+  // Checkpoint / OTP / 2FA resolution
+  router.post('/:platform/verify-otp', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.verifyOtp(req, res));
+  router.post('/:platform/solve-checkpoint', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.solveCheckpoint(req, res));
+  router.get('/:platform/checkpoint-status', jwtAuth, requireTenantContext, rateLimit, (req, res) => controller.getCheckpointStatus(req, res));
+  
+  // Webhook secret management and rejection audit (admin)
+  router.post('/webhook/secrets/rotate', jwtAuth, requireTenantContext, rateLimit, requireTenantAdmin, (req, res) => controller.rotateWebhookSecret(req, res));
+  router.get('/webhook/rejections', jwtAuth, requireTenantContext, rateLimit, requireTenantAdmin, (req, res) => controller.listWebhookRejections(req, res));
+  
+  // Stored webhook events (admin/support)
+  router.get('/webhook/events', jwtAuth, requireTenantContext, rateLimit, requireTenantAdmin, (req, res) => controller.listWebhookEvents(req, res));
+  router.get('/webhook/events/:eventId', jwtAuth, requireTenantContext, rateLimit, requireTenantAdmin, (req, res) => controller.getWebhookEvent(req, res));
+  router.get('/webhook/dead-letters', jwtAuth, requireTenantContext, rateLimit, requireTenantAdmin, (req, res) => controller.listDeadLetters(req, res));
+  router.post('/webhook/dead-letters/:deadLetterId/replay', jwtAuth, requireTenantContext, rateLimit, requireTenantAdmin, (req, res) => controller.replayDeadLetter(req, res));
+  
+  // Webhook endpoints (no JWT - validated by signature)
+  router.post('/webhook', captureRawBody, verifyUnipileWebhook, (req, res) => controller.handleWebhook(req, res));
   router.get('/webhook/test', (req, res) => controller.testWebhook(req, res));
   
+  // Apollo phone reveal callbacks (no JWT - one-time token in the callback URL)
+  router.post('/webhook/apollo/phone-reveal/:revealId', captureRawBody, (req, res) => controller.handleApolloPhoneReveal(req, res));
+  
+  // Background worker for queued webhook events (retries, other replicas' deliveries)
+  if (process.env.UNIPILE_WEBHOOK_WORKER_ENABLED !== 'false') {
+    controller.eventProcessor.startWorker(Number(process.env.UNIPILE_WEBHOOK_WORKER_INTERVAL_SECONDS) || 15);
+  }
+  
+  // Background runner for batch invitation jobs (queued, resumed, abandoned by restarts)
+  if (process.env.SOCIAL_INVITATION_JOB_WORKER_ENABLED !== 'false') {
+    controller.invitationJobs.startWorker(Number(process.env.SOCIAL_INVITATION_JOB_POLL_SECONDS) || 30);
+  }
+  
+  // Employee auto-processor (new employees_cache rows -> leads -> invitation jobs); opt-in
+  if (process.env.SOCIAL_EMPLOYEE_AUTO_PROCESSOR_ENABLED === 'true') {
+    controller.employeeProcessor.startProcessor(Number(process.env.SOCIAL_EMPLOYEE_AUTO_PROCESSOR_INTERVAL_MINUTES) || 5);
+  }
+  
+  // Background runner for sequence steps (due steps, acceptance timeouts)
+  if (process.env.SOCIAL_SEQUENCE_WORKER_ENABLED !== 'false') {
+    controller.sequenceRunner.startWorker(Number(process.env.SOCIAL_SEQUENCE_POLL_SECONDS) || 60);
+  }
+  
+  // Background runner for auto-calls queued outside their call window
+  if (process.env.SOCIAL_SCHEDULED_CALL_WORKER_ENABLED !== 'false') {
+    controller.scheduledCalls.startWorker(Number(process.env.SOCIAL_SCHEDULED_CALL_POLL_SECONDS) || 60);
+  }
+  
   console.log('[SocialIntegration] Routes initialized');
   
   return router;
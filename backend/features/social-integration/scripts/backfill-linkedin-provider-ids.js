@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Backfill LinkedIn provider IDs for existing leads
+ *
+ * Looks up every lead with a LinkedIn URL in lead_social but no provider ID in
+ * social_lead_identities, so webhooks match it by provider ID.
+ *
+ * Usage:
+ *   node backend/features/social-integration/scripts/backfill-linkedin-provider-ids.js \
+ *     [--schema=<schema>] [--tenant=<tenantId>] [--account=<unipileAccountId>] \
+ *     [--limit=500] [--delay-ms=2000] [--max-attempts=3] [--dry-run]
+ *
+ * Without --tenant, every tenant of the schema with a connected LinkedIn account
+ * is processed. The schema defaults to DB_SCHEMA / POSTGRES_SCHEMA.
+ */
+
+const LeadIdentityService = require('../services/LeadIdentityService');
+const { LeadIdentity } = require('../models');
+const { getDefaultSchema, validateSchema } = require('../utils/schemaHelper');
+
+/**
+ * Parse --name=value / --flag arguments
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (match) {
+      args[match[1]] = match[2] === undefined ? true : match[2];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const schema = args.schema ? validateSchema(args.schema) : getDefaultSchema();
+  const options = {
+    accountId: args.account || null,
+    limit: parseInt(args.limit, 10) || 500,
+    delayMs: args['delay-ms'] !== undefined ? parseInt(args['delay-ms'], 10) || 0 : 2000,
+    maxAttempts: parseInt(args['max-attempts'], 10) || 3,
+    dryRun: args['dry-run'] === true
+  };
+
+  const tenantIds = args.tenant ? [args.tenant] : await LeadIdentity.listBackfillTenants(schema);
+  console.log(`[Backfill] Schema ${schema}: ${tenantIds.length} tenant(s)${options.dryRun ? ' (dry run)' : ''}`);
+
+  const service = new LeadIdentityService();
+  const summaries = [];
+  for (const tenantId of tenantIds) {
+    summaries.push(await service.backfill(schema, { ...options, tenantId }));
+  }
+
+  console.log(JSON.stringify(summaries, null, 2));
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('[Backfill] ❌ Failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,173 @@
+/**
+ * Activity Service
+ *
+ * Records outbound actions in social_activities and applies webhook responses.
+ * Recording never fails the action itself: the invitation or message has
+ * already gone out, so a write error is logged in full (schema, tenant,
+ * account, database error) and the caller carries on.
+ */
+
+const { SocialActivity } = require('../models');
+const UrlParser = require('../utils/urlParser');
+
+/**
+ * Share of part in total (0-1), null when there is nothing to divide
+ */
+function rate(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 1000 : null;
+}
+
+/**
+ * Funnel row with numeric medians and step conversion rates
+ */
+function formatFunnelRow({ group_key, median_time_to_accept, median_time_to_reply, ...counts }) {
+  const seconds = value => (value === null || value === undefined ? null : Math.round(Number(value)));
+
+  return {
+    ...(group_key !== undefined ? { key: group_key } : {}),
+    ...counts,
+    acceptance_rate: rate(counts.accepted, counts.sent),
+    reply_rate: rate(counts.replied, counts.accepted),
+    call_rate: rate(counts.call_triggered, counts.accepted),
+    ...(median_time_to_accept !== undefined ? {
+      median_time_to_accept_seconds: seconds(median_time_to_accept),
+      median_time_to_reply_seconds: seconds(median_time_to_reply)
+    } : {})
+  };
+}
+
+class ActivityService {
+  /**
+   * Store one activity
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} activityData - See SocialActivity.create
+   * @returns {Promise<Object|null>} Activity row, or null when it could not be stored
+   */
+  async record(schema, activityData) {
+    try {
+      return await SocialActivity.create(schema, activityData);
+    } catch (error) {
+      // Logged in full: an insert failing on every call (e.g. a schema missing a migration) must not go unnoticed
+      console.error(`[ActivityService] ❌ Failed to record ${activityData.platform} ${activityData.activityType} activity in ${schema}`, {
+        tenantId: activityData.tenantId,
+        accountId: activityData.accountId,
+        jobId: activityData.jobId || null,
+        status: activityData.status,
+        code: error.code,
+        error
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Target fields of an activity from the submitted profile and the provider result
+   *
+   * @param {Object} profile - { name, profile_url, url, publicIdentifier }
+   * @param {Object} resolved - Provider data ({ provider_id, name, url }) when known
+   * @returns {Object} { targetProfileId, targetPublicIdentifier, targetProfileUrl, targetProfileName }
+   */
+  describeTarget(profile = {}, resolved = {}) {
+    const profileUrl = profile.profile_url || profile.url || resolved.url || null;
+    const publicIdentifier = profile.publicIdentifier ||
+      (profileUrl ? Object.values(UrlParser.extractAllIdentifiers({ url: profileUrl }))[0] : null) ||
+      null;
+
+    return {
+      targetProfileId: resolved.provider_id || resolved.providerId || profile.provider_id || null,
+      targetPublicIdentifier: publicIdentifier,
+      targetProfileUrl: profileUrl,
+      targetProfileName: profile.name || resolved.name || resolved.profileName || null
+    };
+  }
+
+  /**
+   * Apply a webhook response to the latest matching activity
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} response - See SocialActivity.recordResponse
+   * @returns {Promise<Object|null>} Updated activity
+   */
+  async recordResponse(schema, response) {
+    try {
+      const activity = await SocialActivity.recordResponse(schema, response);
+      if (activity) {
+        console.log(`[ActivityService] ✅ ${activity.activity_type} ${activity.id} marked ${activity.status}`);
+      }
+      return activity;
+    } catch (error) {
+      console.error(`[ActivityService] Failed to record ${response.status} response:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Stamp a reply or auto-call on the latest invitation towards a profile
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} step - See SocialActivity.markFunnelStep
+   * @returns {Promise<Object|null>} Updated activity
+   */
+  async markFunnelStep(schema, step) {
+    try {
+      const activity = await SocialActivity.markFunnelStep(schema, step);
+      if (activity) {
+        console.log(`[ActivityService] ✅ Invitation ${activity.id} reached ${step.step}`);
+      }
+      return activity;
+    } catch (error) {
+      console.error(`[ActivityService] Failed to record ${step.step} funnel step:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Outreach funnel: totals, one breakdown per dimension and a daily series
+   *
+   * @param {string} schema - Tenant schema
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - { dimensions, timezone, platform, accountId, userId, source, variant, from, to }
+   * @returns {Promise<Object>} { totals, breakdowns: { [dimension]: rows }, series }
+   */
+  async getFunnel(schema, tenantId, { dimensions = ['platform', 'account', 'user', 'source'], timezone = 'UTC', ...filters } = {}) {
+    const [[totals], series, ...groups] = await Promise.all([
+      SocialActivity.getFunnel(schema, tenantId, filters),
+      SocialActivity.getFunnelSeries(schema, tenantId, { ...filters, timezone }),
+      ...dimensions.map(groupBy => SocialActivity.getFunnel(schema, tenantId, { ...filters, groupBy }))
+    ]);
+
+    const breakdowns = {};
+    dimensions.forEach((dimension, index) => {
+      breakdowns[dimension] = groups[index].map(formatFunnelRow);
+    });
+
+    const { key, ...overall } = formatFunnelRow(totals);
+
+    return {
+      totals: overall,
+      breakdowns,
+      series: series.map(formatFunnelRow)
+    };
+  }
+
+  /**
+   * Activity statistics with acceptance and reply rates
+   *
+   * @param {string} schema - Tenant schema
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} filters - { platform, accountId, userId, from, to }
+   * @returns {Promise<Object>} Counters plus acceptance_rate and reply_rate (0-1, null without sends)
+   */
+  async getStats(schema, tenantId, filters = {}) {
+    const stats = await SocialActivity.getStats(schema, tenantId, filters);
+
+    return {
+      ...stats,
+      acceptance_rate: rate(stats.connections_made, stats.invitations_sent),
+      reply_rate: rate(stats.replies_received, stats.messages_sent)
+    };
+  }
+}
+
+module.exports = ActivityService;
@@ -0,0 +1,86 @@
+/**
+ * Apollo Service
+ *
+ * Phone reveals through Apollo's people enrichment API. Apollo answers the
+ * request right away and delivers the phone numbers later, to the webhook URL
+ * given with the request.
+ *
+ * APOLLO_API_URL points the client at another base URL (e.g. a local fake).
+ */
+
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://api.apollo.io/api/v1';
+
+class ApolloService {
+  constructor() {
+    this.apiKey = process.env.APOLLO_API_KEY;
+    this.baseUrl = (process.env.APOLLO_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+  }
+
+  /**
+   * Check if Apollo is configured
+   */
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Ask Apollo to reveal a person's phone number
+   *
+   * @param {Object} person - { linkedinUrl, name, email, personId }
+   * @param {string} webhookUrl - Where Apollo delivers the phone numbers
+   * @returns {Promise<Object>} { personId, phone } (phone only when Apollo already returned one)
+   */
+  async requestPhoneReveal({ linkedinUrl, name, email, personId }, webhookUrl) {
+    if (!this.isConfigured()) {
+      throw new Error('APOLLO_API_KEY not configured');
+    }
+
+    const response = await axios.post(`${this.baseUrl}/people/match`, null, {
+      params: {
+        id: personId || undefined,
+        linkedin_url: linkedinUrl || undefined,
+        name: name || undefined,
+        email: email || undefined,
+        reveal_phone_number: true,
+        webhook_url: webhookUrl
+      },
+      headers: {
+        'X-Api-Key': this.apiKey,
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-cache'
+      },
+      timeout: Number(process.env.APOLLO_API_TIMEOUT_MS) || 15000
+    });
+
+    const person = response.data?.person || null;
+    return {
+      personId: person?.id || null,
+      phone: ApolloService.extractPhone({ people: person ? [person] : [] })
+    };
+  }
+
+  /**
+   * Best phone number in an Apollo payload (phone reveal webhook or match response):
+   * valid numbers first, then mobile ones
+   *
+   * @param {Object} payload - { people: [{ phone_numbers: [...] }] } or { person: {...} }
+   * @returns {string|null} Phone number or null
+   */
+  static extractPhone(payload) {
+    const people = payload?.people || (payload?.person ? [payload.person] : []);
+    const numbers = people
+      .flatMap(person => person?.phone_numbers || [])
+      .filter(number => number && (number.sanitized_number || number.raw_number))
+      .filter(number => !/invalid/i.test(number.status_cd || number.status || ''));
+
+    const rank = number => (/valid/i.test(number.status_cd || number.status || '') ? 0 : 2) +
+      (/mobile/i.test(number.type_cd || number.type || '') ? 0 : 1);
+    const [best] = numbers.sort((a, b) => rank(a) - rank(b));
+
+    return best ? (best.sanitized_number || best.raw_number) : null;
+  }
+}
+
+module.exports = ApolloService;
@@ -0,0 +1,137 @@
+/**
+ * Credit Service
+ *
+ * Charges billable actions against the tenant's credit balance.
+ * Prices come from manifest.platforms[platform].costPerAction.
+ * - reserve() holds the cost before the action (402 when the balance is short)
+ * - capture() charges it once the action succeeded
+ * - refund() releases it for failed and already-sent results
+ * Batches reserve every profile up front and capture/refund per profile.
+ * Set SOCIAL_CREDITS_ENABLED=false to run without charging.
+ */
+
+const { CreditLedger } = require('../models');
+const PlatformValidator = require('../utils/platformValidator');
+
+class CreditService {
+  /**
+   * Whether actions are charged
+   */
+  isEnabled() {
+    return process.env.SOCIAL_CREDITS_ENABLED !== 'false';
+  }
+
+  /**
+   * Price of one action (actions without a price, e.g. WhatsApp lookups, are free)
+   */
+  getCost(platform, action) {
+    return PlatformValidator.getPlatformConfig(platform)?.costPerAction?.[action] ?? 0;
+  }
+
+  /**
+   * Hold the cost of `quantity` actions
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} options - { tenantId, userId, platform, action, quantity, referenceType, referenceId, metadata }
+   * @returns {Promise<Object|null>} Reservation ({ id, amount, ... }), or null when nothing is charged
+   * @throws {Error} code INSUFFICIENT_CREDITS (status 402) with required and available
+   */
+  async reserve(schema, { tenantId, userId, platform, action, quantity = 1, referenceType = null, referenceId = null, metadata = {} }) {
+    const amount = this.getCost(platform, action) * quantity;
+    if (!this.isEnabled() || !(amount > 0)) {
+      return null;
+    }
+
+    const reservation = await CreditLedger.reserve(schema, {
+      tenantId,
+      userId,
+      platform,
+      action,
+      amount,
+      referenceType,
+      referenceId,
+      metadata
+    });
+
+    if (!reservation) {
+      const { available } = await this.getBalance(schema, tenantId);
+      console.log(`[CreditService] 💳 Insufficient credits for tenant ${tenantId}: ${platform} ${action} x${quantity} needs ${amount}, ${available} available`);
+
+      const error = new Error(`Insufficient credits: ${amount} required, ${available} available`);
+      error.code = 'INSUFFICIENT_CREDITS';
+      error.status = 402;
+      error.required = amount;
+      error.available = available;
+      throw error;
+    }
+
+    return { ...reservation, amount: Number(reservation.amount) };
+  }
+
+  /**
+   * Charge `amount` of a reservation (default: all of it)
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object|string} reservation - Reservation from reserve(), or its ID
+   * @param {Object} options - { amount, referenceType, referenceId, metadata }
+   * @returns {Promise<number>} Credits charged
+   */
+  async capture(schema, reservation, { amount = null, referenceType = null, referenceId = null, metadata = {} } = {}) {
+    const reservationId = reservation?.id || reservation;
+    if (!reservationId) {
+      return 0;
+    }
+
+    const charge = amount ?? reservation.amount;
+    const captured = await CreditLedger.capture(schema, reservationId, charge, { referenceType, referenceId, metadata });
+    if (!captured) {
+      console.warn(`[CreditService] ⚠️ Reservation ${reservationId} could not cover a ${charge} credit charge`);
+      return 0;
+    }
+
+    return charge;
+  }
+
+  /**
+   * Release `amount` of a reservation (default: everything still held)
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object|string} reservation - Reservation from reserve(), or its ID
+   * @param {Object} options - { amount, reason, referenceType, referenceId }
+   * @returns {Promise<number>} Credits refunded
+   */
+  async refund(schema, reservation, { amount = null, reason = null, referenceType = null, referenceId = null } = {}) {
+    const reservationId = reservation?.id || reservation;
+    if (!reservationId) {
+      return 0;
+    }
+
+    const refunded = await CreditLedger.refund(schema, reservationId, amount, {
+      referenceType,
+      referenceId,
+      metadata: reason ? { reason } : {}
+    });
+
+    return refunded ? Number(refunded.refund) : 0;
+  }
+
+  /**
+   * Balance summary of a tenant
+   *
+   * @returns {Promise<Object>} { balance, reserved, available }
+   */
+  async getBalance(schema, tenantId) {
+    const row = await CreditLedger.getBalance(schema, tenantId);
+    const balance = Number(row.balance);
+    const reserved = Number(row.reserved);
+
+    return {
+      balance,
+      reserved,
+      available: Math.max(balance - reserved, 0),
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = CreditService;
@@ -4,18 +4,32 @@
  * Background service that monitors employees_cache table and automatically:
  * 1. Detects new employees with LinkedIn URLs
  * 2. Saves them to leads table
- * 3. Sends LinkedIn connection requests
- * 4. Updates lead statuses based on results
+ * 3. Queues LinkedIn connection requests as an invitation job
+ *    (sent by InvitationJobRunner within the account's quota; lead statuses
+ *    are updated by the invitation webhooks)
  * 
  * Supports both real-time (PostgreSQL NOTIFY/LISTEN) and scheduled processing
  */
 
 const LinkedInIntegration = require('./LinkedInIntegration');
+const LeadDedupService = require('./LeadDedupService');
+const { listTenantSchemas } = require('../utils/tenantSchemas');
 
 class EmployeeAutoProcessor {
-  constructor(db) {
+  /**
+   * @param {Object} db - Database pool
+   * @param {InvitationJobRunner} invitationJobs - The runner whose worker sends the jobs
+   *   (SocialIntegrationController.invitationJobs); a private runner would never send them
+   */
+  constructor(db, invitationJobs) {
+    if (!invitationJobs) {
+      throw new Error('EmployeeAutoProcessor requires the shared InvitationJobRunner');
+    }
+    
     this.db = db;
     this.linkedInService = new LinkedInIntegration();
+    this.invitationJobs = invitationJobs;
+    this.dedup = new LeadDedupService();
     this.isProcessing = false;
     this.lastProcessedTimestamp = null;
     this.notificationClient = null;
@@ -42,152 +56,31 @@ class EmployeeAutoProcessor {
       client = await this.db.connect();
       console.log('[EmployeeAutoProcessor] Starting to process new employees...');
       
-      // Get all active users with LinkedIn connected
-      const usersQuery = `
-        SELECT DISTINCT
-          u.id as user_id,
-          u.user_id as user_identifier,
-          u.organization_id,
-          COALESCE(
-            ui.credentials->>'unipile_account_id',
-            u.linkedin_unipile_account_id
-          ) as linkedin_unipile_account_id
-        FROM users_voiceagent u
-        LEFT JOIN user_integrations_voiceagent ui 
-          ON ui.user_id = u.id AND ui.provider = 'linkedin'
-        WHERE (
-          (ui.is_connected = TRUE AND ui.credentials->>'unipile_account_id' IS NOT NULL)
-          OR 
-          (u.linkedin_is_connected = TRUE AND u.linkedin_unipile_account_id IS NOT NULL)
-        )
-        AND u.organization_id IS NOT NULL
-      `;
-      
-      const usersResult = await client.query(usersQuery);
-      const users = usersResult.rows;
-      
-      if (users.length === 0) {
-        console.log('[EmployeeAutoProcessor] No users with LinkedIn connected');
-        return { processed: 0 };
-      }
-      
-      console.log(`[EmployeeAutoProcessor] Found ${users.length} users with LinkedIn connected`);
-      
-      // Get new employees from employees_cache
-      const employeesQuery = `
-        SELECT DISTINCT
-          ec.apollo_person_id as id,
-          ec.employee_name as name,
-          ec.employee_title as title,
-          ec.employee_email as email,
-          ec.employee_phone as phone,
-          ec.employee_linkedin_url as linkedin_url,
-          ec.employee_photo_url as photo_url,
-          ec.employee_headline as headline,
-          ec.employee_city as city,
-          ec.employee_state as state,
-          ec.employee_country as country,
-          ec.company_id,
-          ec.company_name,
-          ec.company_domain,
-          ec.employee_data,
-          ec.company_sales_summary,
-          ec.created_at
-        FROM employees_cache ec
-        WHERE ec.employee_linkedin_url IS NOT NULL
-          AND ec.employee_linkedin_url != ''
-          AND ec.employee_linkedin_url LIKE '%linkedin.com%'
-          AND ec.created_at >= NOW() - INTERVAL '${lookbackMinutes} minutes'
-          AND NOT EXISTS (
-            SELECT 1
-            FROM leads l
-            INNER JOIN lead_social ls ON l.id = ls.lead_id
-            WHERE ls.linkedin = ec.employee_linkedin_url
-              AND l.is_deleted = FALSE
-          )
-        ORDER BY ec.created_at DESC
-        LIMIT $1
-      `;
-      
-      const employeesResult = await client.query(employeesQuery, [batchSize]);
-      const newEmployees = employeesResult.rows;
-      
-      if (newEmployees.length === 0) {
-        console.log('[EmployeeAutoProcessor] No new employees found');
-        return { processed: 0 };
-      }
-      
-      console.log(`[EmployeeAutoProcessor] Found ${newEmployees.length} new employees`);
-      
       const results = {
-        total: newEmployees.length,
+        total: 0,
         savedToLeads: 0,
-        connectionsSent: 0,
+        connectionsQueued: 0,
         failed: 0
       };
+      let latestCreatedAt = null;
       
-      // Process for each user with LinkedIn connected
-      for (const user of users) {
-        const userId = user.user_id || user.user_identifier;
-        const organizationId = user.organization_id;
-        const linkedInAccountId = user.linkedin_unipile_account_id;
-        
-        if (!userId || !organizationId || !linkedInAccountId) {
-          console.log(`[EmployeeAutoProcessor] Skipping user ${userId}: missing fields`);
-          continue;
-        }
-        
+      // Users, employees and leads live in each tenant's schema
+      const schemas = await listTenantSchemas('employees_cache');
+      for (const schema of schemas) {
         try {
-          // Save employees to leads table
-          const savedCount = await this.saveEmployeesToLeads(
-            client,
-            newEmployees,
-            organizationId,
-            userId
-          );
-          results.savedToLeads += savedCount;
-          
-          console.log(`[EmployeeAutoProcessor] Saved ${savedCount} employees for user ${userId}`);
-          
-          // Send LinkedIn connection requests
-          if (this.linkedInService.isConfigured() && savedCount > 0) {
-            const profiles = newEmployees.map(emp => ({
-              name: emp.name,
-              profile_url: emp.linkedin_url,
-              publicIdentifier: emp.linkedin_url?.match(/linkedin\.com\/in\/([^\/\?]+)/)?.[1]
-            }));
-            
-            const connectionResult = await this.linkedInService.batchSendConnectionRequests(
-              profiles,
-              linkedInAccountId,
-              null, // No custom message
-              2000  // 2 second delay
-            );
-            
-            results.connectionsSent += connectionResult.successful || 0;
-            results.failed += connectionResult.failed || 0;
-            
-            console.log(`[EmployeeAutoProcessor] Sent ${connectionResult.successful} requests for user ${userId}`);
-            
-            // Update lead statuses
-            if (connectionResult.successful > 0) {
-              await this.updateLeadStatuses(
-                client,
-                connectionResult.results,
-                organizationId
-              );
-            }
+          const schemaLatest = await this.processSchema(client, schema, batchSize, lookbackMinutes, results);
+          if (schemaLatest && (!latestCreatedAt || schemaLatest > latestCreatedAt)) {
+            latestCreatedAt = schemaLatest;
           }
-          
         } catch (error) {
-          console.error(`[EmployeeAutoProcessor] Error for user ${userId}:`, error.message);
+          console.error(`[EmployeeAutoProcessor] Error for schema ${schema}:`, error.message);
           results.failed++;
         }
       }
       
       // Update last processed timestamp
-      if (newEmployees.length > 0) {
-        this.lastProcessedTimestamp = newEmployees[0].created_at;
+      if (latestCreatedAt) {
+        this.lastProcessedTimestamp = latestCreatedAt;
       }
       
       console.log('[EmployeeAutoProcessor] Processing complete:', results);
@@ -204,18 +97,209 @@ class EmployeeAutoProcessor {
     }
   }
   
+  /**
+   * Process new employees of one tenant schema
+   * 
+   * @param {Object} client - Database client
+   * @param {string} schema - Tenant schema
+   * @param {number} batchSize - Number of employees to process at once
+   * @param {number} lookbackMinutes - How many minutes back to look for new employees
+   * @param {Object} results - Counters, updated in place
+   * @returns {Promise<Date|null>} Latest employee created_at seen
+   */
+  async processSchema(client, schema, batchSize, lookbackMinutes, results) {
+    // Get all active users with LinkedIn connected
+    const usersQuery = `
+      SELECT DISTINCT
+        u.id as user_id,
+        u.user_id as user_identifier,
+        u.tenant_id,
+        COALESCE(
+          ui.credentials->>'unipile_account_id',
+          u.linkedin_unipile_account_id
+        ) as linkedin_unipile_account_id
+      FROM ${schema}.users_voiceagent u
+      LEFT JOIN ${schema}.user_integrations_voiceagent ui 
+        ON ui.user_id = u.id
+        AND ui.tenant_id = u.tenant_id
+        AND ui.provider = 'linkedin'
+      WHERE (
+        (ui.is_connected = TRUE AND ui.credentials->>'unipile_account_id' IS NOT NULL)
+        OR 
+        (u.linkedin_is_connected = TRUE AND u.linkedin_unipile_account_id IS NOT NULL)
+      )
+      AND u.tenant_id IS NOT NULL
+    `;
+    
+    const usersResult = await client.query(usersQuery);
+    const users = usersResult.rows;
+    
+    if (users.length === 0) {
+      console.log(`[EmployeeAutoProcessor] No users with LinkedIn connected in ${schema}`);
+      return null;
+    }
+    
+    console.log(`[EmployeeAutoProcessor] Found ${users.length} users with LinkedIn connected in ${schema}`);
+    
+    // New employees of every tenant in the schema, read once (at most batchSize per tenant)
+    const employeesQuery = `
+      SELECT * FROM (
+        SELECT
+          new_employees.*,
+          ROW_NUMBER() OVER (PARTITION BY new_employees.tenant_id ORDER BY new_employees.created_at DESC) AS tenant_rank
+        FROM (
+          SELECT DISTINCT
+            ec.tenant_id,
+            ec.apollo_person_id as id,
+            ec.employee_name as name,
+            ec.employee_title as title,
+            ec.employee_email as email,
+            ec.employee_phone as phone,
+            ec.employee_linkedin_url as linkedin_url,
+            ec.employee_photo_url as photo_url,
+            ec.employee_headline as headline,
+            ec.employee_city as city,
+            ec.employee_state as state,
+            ec.employee_country as country,
+            ec.company_id,
+            ec.company_name,
+            ec.company_domain,
+            ec.employee_data,
+            ec.company_sales_summary,
+            ec.created_at
+          FROM ${schema}.employees_cache ec
+          WHERE ec.tenant_id IS NOT NULL
+            AND ec.employee_linkedin_url IS NOT NULL
+            AND ec.employee_linkedin_url != ''
+            AND ec.employee_linkedin_url LIKE '%linkedin.com%'
+            AND ec.created_at >= NOW() - ($2 * INTERVAL '1 minute')
+            AND NOT EXISTS (
+              SELECT 1
+              FROM ${schema}.leads l
+              INNER JOIN ${schema}.lead_social ls ON l.id = ls.lead_id
+              WHERE ls.linkedin = ec.employee_linkedin_url
+                AND l.tenant_id = ec.tenant_id
+                AND l.is_deleted = FALSE
+            )
+        ) new_employees
+      ) ranked
+      WHERE tenant_rank <= $1
+      ORDER BY created_at DESC
+    `;
+    
+    const employeesResult = await client.query(employeesQuery, [batchSize, lookbackMinutes]);
+    const employeesByTenant = new Map();
+    for (const emp of employeesResult.rows) {
+      if (!employeesByTenant.has(emp.tenant_id)) {
+        employeesByTenant.set(emp.tenant_id, []);
+      }
+      employeesByTenant.get(emp.tenant_id).push(emp);
+    }
+    
+    let latestCreatedAt = null;
+    const handledTenants = new Set();
+    
+    // The first connected user of each tenant saves its new employees and sends the invitations
+    for (const user of users) {
+      const userId = user.user_id || user.user_identifier;
+      const tenantId = user.tenant_id;
+      const linkedInAccountId = user.linkedin_unipile_account_id;
+      
+      if (!userId || !tenantId || !linkedInAccountId) {
+        console.log(`[EmployeeAutoProcessor] Skipping user ${userId}: missing fields`);
+        continue;
+      }
+      
+      if (handledTenants.has(tenantId)) {
+        continue;
+      }
+      handledTenants.add(tenantId);
+      
+      try {
+        const newEmployees = employeesByTenant.get(tenantId) || [];
+        
+        if (newEmployees.length === 0) {
+          console.log(`[EmployeeAutoProcessor] No new employees for tenant ${tenantId}`);
+          continue;
+        }
+        
+        console.log(`[EmployeeAutoProcessor] Found ${newEmployees.length} new employees for tenant ${tenantId}`);
+        results.total += newEmployees.length;
+        
+        if (!latestCreatedAt || newEmployees[0].created_at > latestCreatedAt) {
+          latestCreatedAt = newEmployees[0].created_at;
+        }
+        
+        // Save employees to leads table
+        const savedEmployees = await this.saveEmployeesToLeads(
+          client,
+          schema,
+          newEmployees,
+          tenantId,
+          userId
+        );
+        results.savedToLeads += savedEmployees.length;
+        
+        console.log(`[EmployeeAutoProcessor] Saved ${savedEmployees.length}/${newEmployees.length} employees for user ${userId}`);
+        
+        // Queue LinkedIn connection requests for the saved leads only;
+        // over-quota profiles wait for the next window
+        if (this.linkedInService.isConfigured() && savedEmployees.length > 0) {
+          const profiles = savedEmployees.map(emp => ({
+            name: emp.name,
+            profile_url: emp.linkedin_url,
+            publicIdentifier: emp.linkedin_url?.match(/linkedin\.com\/in\/([^\/\?]+)/)?.[1]
+          }));
+          
+          const job = await this.invitationJobs.enqueue(schema, {
+            tenantId,
+            userId,
+            platform: 'linkedin',
+            accountId: linkedInAccountId,
+            customMessage: null,
+            delayMs: 2000,
+            profiles,
+            metadata: { source: 'employee_auto_processor' }
+          });
+          
+          results.connectionsQueued += profiles.length;
+          
+          console.log(`[EmployeeAutoProcessor] Queued ${profiles.length} requests for user ${userId} (job ${job.id})`);
+        }
+        
+      } catch (error) {
+        console.error(`[EmployeeAutoProcessor] Error for user ${userId}:`, error.message);
+        results.failed++;
+      }
+    }
+    
+    return latestCreatedAt;
+  }
+  
   /**
    * Save employees to leads table
+   * An employee already known as a lead (same LinkedIn, email, phone or handle)
+   * is linked to that lead instead of creating another one
+   *
+   * @returns {Promise<Array>} Employees saved or linked to a lead (with leadId);
+   *   the ones that failed are left out
    */
-  async saveEmployeesToLeads(client, employees, organizationId, userId) {
-    let savedCount = 0;
+  async saveEmployeesToLeads(client, schema, employees, tenantId, userId) {
+    const saved = [];
     
     for (const emp of employees) {
       try {
+        const existing = await this.dedup.resolveAndLink(schema, tenantId, emp);
+        if (existing) {
+          console.log(`[EmployeeAutoProcessor] ${emp.name} matches lead ${existing.leadId} (${existing.matchedOn.join(', ')}), not creating a new lead`);
+          saved.push({ ...emp, leadId: existing.leadId });
+          continue;
+        }
+        
         // Insert lead
         const leadQuery = `
-          INSERT INTO leads (
-            organization_id,
+          INSERT INTO ${schema}.leads (
+            tenant_id,
             user_id,
             name,
             title,
@@ -234,7 +318,7 @@ class EmployeeAutoProcessor {
         `;
         
         const leadResult = await client.query(leadQuery, [
-          organizationId,
+          tenantId,
           userId,
           emp.name,
           emp.title,
@@ -252,45 +336,18 @@ class EmployeeAutoProcessor {
         
         // Insert lead_social
         await client.query(
-          'INSERT INTO lead_social (lead_id, linkedin) VALUES ($1, $2) ON CONFLICT DO NOTHING',
-          [leadId, emp.linkedin_url]
+          `INSERT INTO ${schema}.lead_social (lead_id, tenant_id, linkedin) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING`,
+          [leadId, tenantId, emp.linkedin_url]
         );
         
-        savedCount++;
+        saved.push({ ...emp, leadId });
         
       } catch (error) {
         console.error(`[EmployeeAutoProcessor] Error saving ${emp.name}:`, error.message);
       }
     }
     
-    return savedCount;
-  }
-  
-  /**
-   * Update lead statuses based on connection results
-   */
-  async updateLeadStatuses(client, results, organizationId) {
-    const successfulUrls = results
-      ?.filter(r => r.success && !r.alreadySent)
-      .map(r => r.profile?.url)
-      .filter(url => url) || [];
-    
-    if (successfulUrls.length === 0) {
-      return;
-    }
-    
-    const updateQuery = `
-      UPDATE leads l
-      SET status = 'request_sent', updated_at = CURRENT_TIMESTAMP
-      FROM lead_social ls
-      WHERE l.id = ls.lead_id
-        AND ls.linkedin = ANY($1::text[])
-        AND l.organization_id = $2
-        AND l.is_deleted = FALSE
-    `;
-    
-    await client.query(updateQuery, [successfulUrls, organizationId]);
-    console.log(`[EmployeeAutoProcessor] Updated ${successfulUrls.length} lead statuses`);
+    return saved;
   }
   
   /**
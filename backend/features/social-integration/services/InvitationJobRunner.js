@@ -0,0 +1,424 @@
+/**
+ * Invitation Job Runner
+ *
+ * Sends batch invitations from persistent social_invitation_jobs instead of
+ * inside the HTTP request:
+ * - The batch endpoint stores the job and its profiles, then returns a job ID
+ * - A background worker claims jobs with a lease (safe across replicas)
+ * - Each profile outcome is committed before the next one, so a job taken over
+ *   after a restart continues from its first pending profile
+ * - Pause/cancel are status changes picked up before the next profile
+ * - A profile over the account's send quota defers the job to the next window
+ * - A profile outside its send window (the prospect's hours where its timezone
+ *   is known) is postponed to the window's opening while other profiles go on;
+ *   the job is deferred when only postponed profiles are left
+ * - A Unipile 429 or open circuit defers the job with the profile still pending
+ * - Credits for every profile are reserved when the job is queued; each profile
+ *   captures or refunds its share and the rest is refunded when the job ends
+ * - Every processed profile is recorded as an invitation activity
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { InvitationJob, SocialAccount } = require('../models');
+const QuotaService = require('./QuotaService');
+const CreditService = require('./CreditService');
+const ActivityService = require('./ActivityService');
+const ScheduleService = require('./ScheduleService');
+const PlatformValidator = require('../utils/platformValidator');
+const { listTenantSchemas } = require('../utils/tenantSchemas');
+
+const DEFAULT_CONCURRENCY = 2;
+// Fallback deferral when Unipile gives no Retry-After
+const PROVIDER_RETRY_SECONDS = 60;
+
+class InvitationJobRunner {
+  /**
+   * @param {Object} services - Platform services keyed by platform name
+   */
+  constructor(services) {
+    this.services = services;
+    this.quotas = new QuotaService();
+    this.credits = new CreditService();
+    this.activities = new ActivityService();
+    this.schedules = new ScheduleService();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = Number(process.env.SOCIAL_INVITATION_JOB_CONCURRENCY) || DEFAULT_CONCURRENCY;
+    this.activeJobs = new Map();
+    this.isPolling = false;
+    this.workerInterval = null;
+  }
+
+  /**
+   * Reserve credits for a batch, store it as a queued job and wake the worker
+   * Each profile's timezone is inferred for send windows unless jobData.timezones is given
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} jobData - { tenantId, userId, platform, accountId, customMessage, delayMs, profiles, messages, timezones }
+   * @returns {Promise<Object>} Created job row
+   * @throws {Error} code INSUFFICIENT_CREDITS when the tenant cannot cover every profile
+   */
+  async enqueue(schema, jobData) {
+    const id = crypto.randomUUID();
+    const timezones = jobData.timezones || await this.schedules.resolveTimezones(schema, jobData.tenantId, jobData.profiles)
+      .catch(error => {
+        // Profiles without a timezone use the account's send window
+        console.warn('[InvitationJobRunner] ⚠️ Could not infer profile timezones:', error.message);
+        return null;
+      });
+    const reservation = await this.credits.reserve(schema, {
+      tenantId: jobData.tenantId,
+      userId: jobData.userId,
+      platform: jobData.platform,
+      action: PlatformValidator.getInvitationAction(jobData.platform),
+      quantity: jobData.profiles.length,
+      referenceType: 'invitation_job',
+      referenceId: id
+    });
+
+    let job;
+    try {
+      job = await InvitationJob.create(schema, { ...jobData, id, timezones, creditReservationId: reservation?.id });
+    } catch (error) {
+      await this.credits.refund(schema, reservation, { reason: 'job_not_created' });
+      throw error;
+    }
+
+    console.log(`[InvitationJobRunner] 📥 Queued job ${job.id} (${job.total_count} ${job.platform} profiles, account ${job.account_id})`);
+
+    this.notify(schema);
+    return job;
+  }
+
+  /**
+   * Claim runnable jobs up to the concurrency limit and start them
+   * Jobs run in the background; this returns once claiming is done
+   *
+   * @param {string} schema - Schema to poll (defaults to every schema holding jobs, so
+   *   jobs of every tenant resume after a restart)
+   * @returns {Promise<number>} Number of jobs started
+   */
+  async poll(schema = null) {
+    if (this.isPolling) {
+      return 0;
+    }
+
+    this.isPolling = true;
+    let started = 0;
+
+    try {
+      // Jobs are stored in their tenant's schema
+      const targets = schema ? [schema] : await listTenantSchemas('social_invitation_jobs');
+      for (const target of targets) {
+        const capacity = this.concurrency - this.activeJobs.size;
+        if (capacity <= 0) break;
+
+        let jobs;
+        try {
+          jobs = await InvitationJob.claimNext(target, this.workerId, capacity);
+        } catch (error) {
+          console.error(`[InvitationJobRunner] Poll error for schema ${target}:`, error.message);
+          continue;
+        }
+
+        for (const job of jobs) {
+          // Paused and resumed while its loop was still waiting: that loop carries on
+          if (this.activeJobs.has(job.id)) continue;
+
+          const run = this.runJob(target, job)
+            .catch(err => {
+              console.error(`[InvitationJobRunner] Job ${job.id} error:`, err.message);
+            })
+            .finally(() => {
+              this.activeJobs.delete(job.id);
+            });
+          this.activeJobs.set(job.id, run);
+          started++;
+        }
+      }
+    } catch (error) {
+      console.error('[InvitationJobRunner] Poll error:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+
+    return started;
+  }
+
+  /**
+   * Process a claimed job until it completes, is paused/cancelled or loses its lease
+   * Database errors leave the job running; the stale lease lets a worker resume it
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} job - Claimed social_invitation_jobs row
+   */
+  async runJob(schema, job) {
+    const resumed = job.processed_count > 0;
+    console.log(`[InvitationJobRunner] ▶️ ${resumed ? 'Resuming' : 'Starting'} job ${job.id} at ${job.processed_count}/${job.total_count}`);
+
+    const service = this.services[job.platform];
+    if (!service) {
+      await InvitationJob.finish(schema, job.id, this.workerId, 'failed', `Unsupported platform: ${job.platform}`);
+      await this.refundRemainingCredits(schema, job, 'job_failed');
+      return;
+    }
+
+    // Accounts linked outside social_accounts (legacy user integrations) get default quotas
+    const account = await SocialAccount.findByAccountId(schema, job.tenant_id, job.account_id, job.platform) ||
+      { tenant_id: job.tenant_id, account_id: job.account_id, platform: job.platform, metadata: {}, is_active: true, status: 'connected' };
+    if (!account.is_active || account.status !== 'connected') {
+      await InvitationJob.finish(schema, job.id, this.workerId, 'failed', `Account ${job.account_id} is not connected`);
+      await this.refundRemainingCredits(schema, job, 'job_failed');
+      return;
+    }
+
+    const action = PlatformValidator.getInvitationAction(job.platform);
+    const cost = this.credits.getCost(job.platform, action);
+
+    while (true) {
+      const state = await InvitationJob.getState(schema, job.id);
+      if (!state || state.status !== 'running' || state.locked_by !== this.workerId) {
+        console.log(`[InvitationJobRunner] ⏸️ Job ${job.id} stopped (${state?.status || 'deleted'})`);
+        // Cancelled: the item this worker was sending is settled, so nothing else is in flight
+        if (state?.status === 'cancelled') {
+          await this.refundRemainingCredits(schema, job, 'job_cancelled');
+        }
+        return;
+      }
+
+      const item = await InvitationJob.nextPendingItem(schema, job.id);
+      if (!item) {
+        // Only profiles waiting for their send window are left
+        const postponedUntil = await InvitationJob.nextPostponedAt(schema, job.id);
+        if (postponedUntil) {
+          await InvitationJob.defer(schema, job.id, this.workerId, postponedUntil, 'outside_send_window');
+          console.log(`[InvitationJobRunner] 🕘 Job ${job.id} deferred until ${new Date(postponedUntil).toISOString()} (outside send window)`);
+          return;
+        }
+
+        const finished = await InvitationJob.finish(schema, job.id, this.workerId, 'completed');
+        await this.refundRemainingCredits(schema, job, 'job_completed');
+        if (finished) {
+          console.log(`[InvitationJobRunner] ✅ Job ${job.id} completed: ${finished.successful_count} sent, ${finished.already_sent_count} already sent, ${finished.failed_count} failed`);
+        }
+        return;
+      }
+
+      // Outside the send window: hold back every due profile in the same timezone
+      const notBefore = this.schedules.nextAllowedAt(account, { kind: 'send', timezone: item.timezone });
+      if (notBefore) {
+        await InvitationJob.postponeItems(schema, job.id, item.timezone, notBefore);
+        continue;
+      }
+
+      const quota = await this.quotas.consume(schema, account, action);
+      if (!quota.allowed) {
+        await InvitationJob.defer(schema, job.id, this.workerId, quota.retryAt, `${quota.reason}_quota`);
+        console.log(`[InvitationJobRunner] ⏳ Job ${job.id} deferred until ${quota.retryAt.toISOString()} (${quota.reason} ${action} quota)`);
+        return;
+      }
+
+      // Paused or cancelled since the state check: the next check stops the job
+      if (!await InvitationJob.leaseItem(schema, job.id, item.id, this.workerId)) {
+        await this.quotas.release(schema, account, action, quota);
+        continue;
+      }
+
+      // Items of template batches carry their own rendered note
+      const message = item.message || job.custom_message;
+      const outcome = await this.sendItem(service, job, item.profile, message);
+      if (outcome.status !== 'sent') {
+        await this.quotas.release(schema, account, action, quota);
+      }
+
+      // Throttled or circuit open: keep the profile pending and come back later
+      if (outcome.status === 'retry') {
+        const retryAt = new Date(Date.now() + outcome.retryAfter * 1000);
+        await InvitationJob.defer(schema, job.id, this.workerId, retryAt, outcome.reason);
+        console.log(`[InvitationJobRunner] ⏳ Job ${job.id} deferred until ${retryAt.toISOString()} (${outcome.reason})`);
+        return;
+      }
+      const updated = await InvitationJob.recordItemResult(schema, job.id, item.id, outcome.status, {
+        error: outcome.error,
+        result: outcome.result
+      });
+
+      const activity = await this.activities.record(schema, {
+        tenantId: job.tenant_id,
+        userId: job.user_id,
+        platform: job.platform,
+        accountId: job.account_id,
+        activityType: 'invitation',
+        source: this.getActivitySource(job),
+        variant: job.metadata?.variant,
+        status: outcome.status,
+        ...this.activities.describeTarget(item.profile, outcome.profile || {}),
+        content: message,
+        error: outcome.error,
+        jobId: job.id,
+        jobItemId: item.id
+      });
+
+      // Charge sent profiles; failed and already-sent ones get their share back
+      const charge = { amount: cost, referenceType: 'social_activity', referenceId: activity?.id };
+      if (outcome.status === 'sent') {
+        await this.credits.capture(schema, job.credit_reservation_id, charge);
+      } else {
+        await this.credits.refund(schema, job.credit_reservation_id, { ...charge, reason: outcome.status });
+      }
+
+      // Pace requests to avoid provider rate limits
+      if (updated && updated.processed_count < updated.total_count && job.delay_ms > 0) {
+        await new Promise(resolve => setTimeout(resolve, job.delay_ms));
+        await InvitationJob.heartbeat(schema, job.id, this.workerId);
+      }
+    }
+  }
+
+  /**
+   * Funnel source of a job's invitations
+   * Jobs without a source come from the batch endpoint
+   *
+   * @param {Object} job - social_invitation_jobs row
+   * @returns {string} 'manual', 'batch' or 'linkedin_auto_connection'
+   */
+  getActivitySource(job) {
+    const source = job.metadata?.source;
+    if (source === 'employee_auto_processor') {
+      return 'linkedin_auto_connection';
+    }
+    return source || 'batch';
+  }
+
+  /**
+   * Refund whatever a job's reservation still holds (unprocessed or cancelled profiles)
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} job - social_invitation_jobs row
+   * @param {string} reason - Stored on the refund transaction
+   * @returns {Promise<number>} Credits refunded
+   */
+  async refundRemainingCredits(schema, job, reason) {
+    const refunded = await this.credits.refund(schema, job.credit_reservation_id, { reason });
+    if (refunded > 0) {
+      console.log(`[InvitationJobRunner] 💳 Refunded ${refunded} credits held by job ${job.id} (${reason})`);
+    }
+    return refunded;
+  }
+
+  /**
+   * Refund the share of the items a cancel stopped
+   * The item a worker is sending keeps its share until its outcome is known
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} job - Cancelled job (with cancelled_count)
+   * @returns {Promise<number>} Credits refunded
+   */
+  async refundCancelledItems(schema, job) {
+    const count = Number(job.cancelled_count) || 0;
+    if (count === 0) {
+      return 0;
+    }
+
+    const amount = this.credits.getCost(job.platform, PlatformValidator.getInvitationAction(job.platform)) * count;
+    const refunded = await this.credits.refund(schema, job.credit_reservation_id, { amount, reason: 'job_cancelled' });
+    if (refunded > 0) {
+      console.log(`[InvitationJobRunner] 💳 Refunded ${refunded} credits for ${count} cancelled profile(s) of job ${job.id}`);
+    }
+    return refunded;
+  }
+
+  /**
+   * Send one invitation with the platform's method
+   *
+   * @returns {Promise<Object>} { status: 'sent'|'already_sent'|'failed', error, result, profile },
+   *   or { status: 'retry', reason, retryAfter } when Unipile asked to back off
+   */
+  async sendItem(service, job, profile, message) {
+    const label = profile.name || profile.publicIdentifier || profile.profile_url || 'Unknown';
+
+    try {
+      let result;
+      if (job.platform === 'linkedin' && service.sendConnectionRequest) {
+        result = await service.sendConnectionRequest(profile, job.account_id, message);
+      } else if (job.platform === 'facebook' && service.sendFriendRequest) {
+        result = await service.sendFriendRequest(profile, job.account_id);
+      } else {
+        result = await service.sendInvitation(profile, job.account_id, PlatformValidator.getProviderName(job.platform), message);
+      }
+
+      if (!result.success) {
+        return { status: 'failed', error: result.error || 'Invitation failed', result: null };
+      }
+
+      return {
+        status: result.alreadySent ? 'already_sent' : 'sent',
+        error: null,
+        result: result.data || null,
+        profile: result.profile || null
+      };
+    } catch (error) {
+      if (error.response?.status === 429 || error.code === 'CIRCUIT_OPEN') {
+        return {
+          status: 'retry',
+          reason: error.code === 'CIRCUIT_OPEN' ? 'provider_unavailable' : 'provider_throttled',
+          retryAfter: error.retryAfter || PROVIDER_RETRY_SECONDS
+        };
+      }
+
+      console.error(`[InvitationJobRunner] Failed for ${label}:`, error.message);
+      return { status: 'failed', error: error.message, result: null };
+    }
+  }
+
+  /**
+   * Wake the worker after a job is queued or resumed (non-blocking)
+   *
+   * @param {string} schema - Schema of the job
+   */
+  notify(schema) {
+    setImmediate(() => {
+      this.poll(schema).catch(err => {
+        console.error('[InvitationJobRunner] Error polling jobs:', err);
+      });
+    });
+  }
+
+  /**
+   * Start polling for runnable jobs (queued, resumed, abandoned by other workers)
+   *
+   * @param {number} intervalSeconds - Poll interval
+   */
+  startWorker(intervalSeconds = 30) {
+    if (this.workerInterval) {
+      return;
+    }
+
+    this.workerInterval = setInterval(() => {
+      this.poll().catch(err => {
+        console.error('[InvitationJobRunner] Scheduled poll error:', err);
+      });
+    }, intervalSeconds * 1000);
+
+    // Never keep the process alive just for the poller
+    if (this.workerInterval.unref) {
+      this.workerInterval.unref();
+    }
+
+    console.log(`[InvitationJobRunner] ✅ Worker ${this.workerId} started (poll every ${intervalSeconds}s, concurrency ${this.concurrency})`);
+  }
+
+  /**
+   * Stop polling; jobs in progress finish their current profile
+   */
+  stopWorker() {
+    if (this.workerInterval) {
+      clearInterval(this.workerInterval);
+      this.workerInterval = null;
+    }
+
+    console.log('[InvitationJobRunner] Worker stopped');
+  }
+}
+
+module.exports = InvitationJobRunner;
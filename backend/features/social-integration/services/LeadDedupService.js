@@ -0,0 +1,162 @@
+/**
+ * Lead Dedup Service
+ *
+ * Resolves a profile to an existing lead before a new one is created:
+ * - Identity keys: LinkedIn provider ID and canonical slug, email (lowercase),
+ *   phone (digits only) and Instagram / Facebook handles
+ * - The strongest match wins (provider ID, LinkedIn, email, phone, Instagram, Facebook)
+ * - A matched lead gets the details it is missing instead of a new lead being created
+ * Admins review the remaining probable duplicates and merge them.
+ */
+
+const UrlParser = require('../utils/urlParser');
+const { LeadDuplicate } = require('../models');
+
+// Matches strong enough to merge on sight; the rest need a look first
+const HIGH_CONFIDENCE = ['provider_id', 'linkedin', 'email'];
+
+const MAX_MERGE_DUPLICATES = 10;
+
+class LeadDedupService {
+  /**
+   * Identity keys and profile URLs of a profile
+   *
+   * @param {Object} profile - { linkedin_url, instagram_url, facebook_url, email, phone, providerId, ... }
+   * @returns {Object} { keys: { providerId, linkedinSlugs, email, phone, instagram, facebook }, urls: { linkedin, instagram, facebook } }
+   */
+  describeProfile(profile) {
+    const identifiers = UrlParser.extractAllIdentifiers(profile);
+    const slug = UrlParser.canonicalLinkedInSlug(identifiers.linkedin);
+    const phone = profile.phone ? String(profile.phone).replace(/\D/g, '') : '';
+    const email = profile.email ? String(profile.email).trim().toLowerCase() : '';
+    const instagram = identifiers.instagram ? identifiers.instagram.toLowerCase() : null;
+    // profile.php?id=... URLs carry no handle
+    const facebook = identifiers.facebook && identifiers.facebook.toLowerCase() !== 'profile.php'
+      ? identifiers.facebook.toLowerCase()
+      : null;
+
+    return {
+      keys: {
+        providerId: profile.providerId || profile.provider_id || null,
+        linkedinSlugs: slug ? [...new Set([slug, encodeURIComponent(slug).toLowerCase()])] : [],
+        email: email || null,
+        phone: phone.length >= LeadDuplicate.MIN_PHONE_DIGITS ? phone : null,
+        instagram,
+        facebook
+      },
+      urls: {
+        linkedin: slug ? UrlParser.buildProfileUrl(encodeURIComponent(slug), 'linkedin') : null,
+        instagram: instagram ? UrlParser.buildProfileUrl(instagram, 'instagram') : null,
+        facebook: facebook ? UrlParser.buildProfileUrl(facebook, 'facebook') : null
+      }
+    };
+  }
+
+  /**
+   * Whether a profile has any key to resolve on
+   */
+  hasKeys(keys) {
+    return !!(keys.providerId || keys.linkedinSlugs.length || keys.email || keys.phone || keys.instagram || keys.facebook);
+  }
+
+  /**
+   * Existing lead for a profile; the lead gets the details it is missing
+   *
+   * @param {string} schema - Tenant schema
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} profile - See describeProfile
+   * @returns {Promise<Object|null>} { leadId, matchedOn } or null when the profile is a new lead
+   */
+  async resolveAndLink(schema, tenantId, profile) {
+    const { keys, urls } = this.describeProfile(profile);
+    if (!this.hasKeys(keys)) return null;
+
+    const [match] = await LeadDuplicate.findMatches(schema, tenantId, keys, { limit: 1 });
+    if (!match) return null;
+
+    await LeadDuplicate.linkDetails(schema, tenantId, match.id, {
+      email: profile.email || null,
+      phone: profile.phone || null,
+      ...urls
+    });
+
+    console.log(`[LeadDedupService] 🔗 Profile matched existing lead ${match.id} on ${match.matched_on.join(', ')}`);
+    return { leadId: match.id, matchedOn: match.matched_on };
+  }
+
+  /**
+   * Probable duplicate groups with their leads
+   *
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { groups: [{ confidence, matches, leads }], total }
+   */
+  async getDuplicateReport(schema, tenantId, { limit = 50, offset = 0 } = {}) {
+    const { groups, total } = await LeadDuplicate.listGroups(schema, tenantId, { limit, offset });
+    const leadIds = [...new Set(groups.flatMap(group => group.lead_ids))];
+    const leads = leadIds.length > 0 ? await LeadDuplicate.findLeads(schema, tenantId, leadIds) : [];
+
+    return {
+      groups: groups.map(group => ({
+        confidence: group.matches.some(match => HIGH_CONFIDENCE.includes(match.type)) ? 'high' : 'medium',
+        matches: group.matches,
+        leads: leads.filter(lead => group.lead_ids.includes(lead.id))
+      })),
+      total
+    };
+  }
+
+  /**
+   * Check a merge request before it runs
+   *
+   * @returns {Promise<Object>} { valid, errors, notFound: Array<string> }
+   */
+  async validateMerge(schema, tenantId, primaryLeadId, duplicateLeadIds) {
+    const errors = [];
+
+    if (!Array.isArray(duplicateLeadIds) || duplicateLeadIds.length === 0) {
+      errors.push('duplicateLeadIds must be a non-empty array');
+    } else {
+      if (duplicateLeadIds.length > MAX_MERGE_DUPLICATES) {
+        errors.push(`At most ${MAX_MERGE_DUPLICATES} leads can be merged at once`);
+      }
+      if (duplicateLeadIds.includes(primaryLeadId)) {
+        errors.push('A lead cannot be merged into itself');
+      }
+    }
+    if (errors.length > 0) {
+      return { valid: false, errors, notFound: [] };
+    }
+
+    const ids = [...new Set([primaryLeadId, ...duplicateLeadIds])];
+    const leads = await LeadDuplicate.findLeads(schema, tenantId, ids);
+    const notFound = ids.filter(id => !leads.some(lead => lead.id === id));
+
+    return { valid: notFound.length === 0, errors: [], notFound };
+  }
+
+  /**
+   * Merge duplicates into a primary lead, recording the keys they share
+   *
+   * @returns {Promise<Object>} { primaryLeadId, merged, matchedOn, moved: { messages, conversations, enrollments, calls, identities } }
+   */
+  async mergeLeads(schema, tenantId, primaryLeadId, duplicateLeadIds, userId = null) {
+    const [primary] = await LeadDuplicate.findLeads(schema, tenantId, [primaryLeadId]);
+    const { keys } = this.describeProfile(primary || {});
+    const matches = this.hasKeys(keys)
+      ? await LeadDuplicate.findMatches(schema, tenantId, keys, { excludeLeadId: primaryLeadId, limit: 50 })
+      : [];
+    const matchedOn = [...new Set(matches
+      .filter(match => duplicateLeadIds.includes(match.id))
+      .flatMap(match => match.matched_on))];
+
+    const { merged, ...moved } = await LeadDuplicate.merge(schema, tenantId, primaryLeadId, [...new Set(duplicateLeadIds)], {
+      userId,
+      matchedOn
+    });
+
+    console.log(`[LeadDedupService] 🧬 Merged ${merged} lead(s) into ${primaryLeadId} for tenant ${tenantId}`);
+    return { primaryLeadId, merged, matchedOn, moved };
+  }
+}
+
+module.exports = LeadDedupService;
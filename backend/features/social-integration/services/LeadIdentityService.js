@@ -0,0 +1,103 @@
+/**
+ * Lead Identity Service
+ *
+ * Resolves LinkedIn provider IDs for existing leads (backfill). Webhooks fill
+ * social_lead_identities as events arrive; this covers leads that have not
+ * produced an event yet. Lookups go through Unipile one at a time with a delay
+ * and stop as soon as the provider throttles or the circuit breaker opens.
+ */
+
+const LinkedInIntegration = require('./LinkedInIntegration');
+const UrlParser = require('../utils/urlParser');
+const { SocialAccount, LeadIdentity } = require('../models');
+
+const PAGE_SIZE = 50;
+
+class LeadIdentityService {
+  constructor() {
+    this.linkedin = new LinkedInIntegration();
+  }
+
+  /**
+   * Connected LinkedIn account used for a tenant's lookups
+   *
+   * @returns {Promise<Object|null>} social_accounts row
+   */
+  async getLookupAccount(schema, tenantId, accountId = null) {
+    const accounts = (await SocialAccount.findByTenant(schema, tenantId, 'linkedin'))
+      .filter(account => account.status === 'connected' && account.is_active)
+      .filter(account => !accountId || account.account_id === accountId);
+
+    return accounts[0] || null;
+  }
+
+  /**
+   * Resolve provider IDs for a tenant's leads that have none yet
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} options - { tenantId, accountId, limit, delayMs, maxAttempts, dryRun }
+   * @returns {Promise<Object>} { tenantId, accountId, scanned, resolved, failed, stoppedReason }
+   */
+  async backfill(schema, { tenantId, accountId = null, limit = 500, delayMs = 2000, maxAttempts = 3, dryRun = false }) {
+    const summary = { tenantId, accountId: null, scanned: 0, resolved: 0, failed: 0, stoppedReason: null };
+
+    const account = await this.getLookupAccount(schema, tenantId, accountId);
+    if (!account) {
+      summary.stoppedReason = 'no_connected_linkedin_account';
+      return summary;
+    }
+    summary.accountId = account.account_id;
+
+    let afterLeadId = null;
+    while (summary.scanned < limit) {
+      const leads = await LeadIdentity.listUnresolved(schema, tenantId, {
+        afterLeadId,
+        limit: Math.min(PAGE_SIZE, limit - summary.scanned),
+        maxAttempts
+      });
+      if (leads.length === 0) break;
+
+      for (const lead of leads) {
+        summary.scanned++;
+        afterLeadId = lead.lead_id;
+        if (dryRun) continue;
+
+        try {
+          const profile = await this.linkedin.lookupLinkedInProfile(lead.linkedin, account.account_id);
+          await LeadIdentity.record(schema, {
+            tenantId,
+            leadId: lead.lead_id,
+            providerId: profile.providerId,
+            publicIdentifier: UrlParser.canonicalLinkedInSlug(profile.publicIdentifier || lead.slug),
+            source: 'backfill'
+          });
+          summary.resolved++;
+        } catch (error) {
+          if (error.code === 'CIRCUIT_OPEN' || error.response?.status === 429) {
+            console.warn(`[LeadIdentityService] ⏸️ Provider backoff, stopping backfill for tenant ${tenantId}:`, error.message);
+            summary.scanned--;
+            summary.stoppedReason = 'provider_backoff';
+            return summary;
+          }
+
+          await LeadIdentity.recordLookupFailure(schema, {
+            tenantId,
+            leadId: lead.lead_id,
+            publicIdentifier: UrlParser.canonicalLinkedInSlug(lead.slug),
+            error: error.message
+          });
+          summary.failed++;
+        }
+
+        if (delayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+      }
+    }
+
+    console.log(`[LeadIdentityService] ✅ Backfill for tenant ${tenantId}: ${summary.resolved} resolved, ${summary.failed} failed of ${summary.scanned}${dryRun ? ' (dry run)' : ''}`);
+    return summary;
+  }
+}
+
+module.exports = LeadIdentityService;
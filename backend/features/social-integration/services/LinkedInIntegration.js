@@ -36,6 +36,49 @@ class LinkedInIntegration extends UnipileService {
     return this.lookupProfile(linkedinUrlOrSlug, accountId, this.provider);
   }
   
+  /**
+   * Contact info a LinkedIn member shares with the connected account
+   * (only 1st-degree connections expose phones and emails)
+   * 
+   * @param {string} linkedinUrlOrSlug - LinkedIn profile URL or public identifier
+   * @param {string} accountId - Unipile account ID
+   * @returns {Promise<Object>} { providerId, phones: Array<string>, emails: Array<string> }
+   */
+  async getLinkedInContactInfo(linkedinUrlOrSlug, accountId) {
+    if (!this.isConfigured()) {
+      throw new Error('Unipile is not configured');
+    }
+    
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+    
+    const publicIdentifier = this.extractPublicIdentifier(linkedinUrlOrSlug, this.provider);
+    
+    // GET /users/{public_identifier}?account_id=...&linkedin_sections=* includes contact_info
+    const response = await this.request({
+      method: 'get',
+      url: `${this.getBaseUrl()}/users/${publicIdentifier}`,
+      params: {
+        account_id: accountId,
+        linkedin_sections: '*'
+      },
+      timeout: 15000
+    });
+    
+    const data = response.data?.data || response.data || {};
+    const contactInfo = data.contact_info || {};
+    const values = (list, key) => (Array.isArray(list) ? list : [])
+      .map(entry => (typeof entry === 'string' ? entry : entry?.[key]))
+      .filter(value => value && String(value).trim() !== '');
+    
+    return {
+      providerId: data.provider_id || null,
+      phones: values(contactInfo.phones, 'number'),
+      emails: values(contactInfo.emails, 'address')
+    };
+  }
+  
   /**
    * Validate LinkedIn URL
    * 
@@ -175,25 +218,14 @@ class LinkedInIntegration extends UnipileService {
     console.log(`[LinkedInIntegration] Connecting account with credentials for user: ${userId}`);
 
     try {
-      // This would typically use the Unipile SDK or direct API call
-      // For now, return a mock response that follows the expected pattern
-      const mockAccountId = `unipile_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      // In a real implementation, this would:
-      // 1. Call Unipile's connectLinkedin API with credentials
-      // 2. Handle checkpoint/2FA responses
-      // 3. Store account info in database
-      // 4. Return proper account details
-      
-      return {
-        accountId: mockAccountId,
-        profileUrl: `https://www.linkedin.com/in/${email.split('@')[0]}`,
-        profileName: email.split('@')[0],
-        connected: true,
-        method: 'credentials',
-        checkpoint_required: false
-      };
-      
+      const accountResult = await this.createAccount({
+        provider: this.provider,
+        username: email,
+        password: password
+      });
+
+      return this.buildConnectionResult(accountResult, 'credentials');
+
     } catch (error) {
       console.error(`[LinkedInIntegration] Credentials connection failed:`, error);
       throw new Error(`LinkedIn connection failed: ${error.message}`);
@@ -223,31 +255,133 @@ class LinkedInIntegration extends UnipileService {
     }
 
     try {
-      // This would typically use the Unipile SDK or direct API call
-      // For now, return a mock response that follows the expected pattern
-      const mockAccountId = `unipile_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      // In a real implementation, this would:
-      // 1. Call Unipile's accounts API with cookie authentication
-      // 2. Handle checkpoint/2FA responses
-      // 3. Store account info in database
-      // 4. Return proper account details
-      
-      return {
-        accountId: mockAccountId,
-        profileUrl: 'https://www.linkedin.com/in/connected-user',
-        profileName: 'Connected User',
-        connected: true,
-        method: 'cookies',
-        checkpoint_required: false
+      const payload = {
+        provider: this.provider,
+        access_token: li_at
       };
-      
+
+      if (li_a) {
+        payload.premium_token = li_a;
+      }
+
+      if (user_agent) {
+        payload.user_agent = user_agent;
+      }
+
+      const accountResult = await this.createAccount(payload);
+
+      return this.buildConnectionResult(accountResult, 'cookies');
+
     } catch (error) {
       console.error(`[LinkedInIntegration] Cookie connection failed:`, error);
       throw new Error(`LinkedIn connection failed: ${error.message}`);
     }
   }
 
+  /**
+   * Re-authenticate a stopped LinkedIn account in place
+   * Unipile keeps the same account ID, so the stored account record is reused
+   *
+   * @param {string} accountId - Existing Unipile account ID
+   * @param {Object} params - { method, email, password, li_at, li_a, user_agent, userId }
+   * @returns {Promise<Object>} Connection result
+   */
+  async reconnect(accountId, { method, email, password, li_at, li_a, user_agent, userId }) {
+    if (!this.isConfigured()) {
+      throw new Error('Unipile service not configured');
+    }
+
+    console.log(`[LinkedInIntegration] Reconnecting account ${accountId} with ${method} for user: ${userId}`);
+
+    let payload;
+    if (method === 'credentials') {
+      if (!email || !password) {
+        throw new Error('Email and password are required for credentials method');
+      }
+      payload = { provider: this.provider, username: email, password: password };
+    } else if (method === 'cookies') {
+      if (!li_at) {
+        throw new Error('li_at cookie is required');
+      }
+      payload = { provider: this.provider, access_token: li_at };
+      if (li_a) payload.premium_token = li_a;
+      if (user_agent) payload.user_agent = user_agent;
+    } else {
+      throw new Error('Method must be "credentials" or "cookies"');
+    }
+
+    try {
+      const accountResult = await this.reconnectAccount(accountId, payload);
+      return this.buildConnectionResult(accountResult, method);
+    } catch (error) {
+      console.error(`[LinkedInIntegration] Reconnect failed:`, error.message);
+      throw new Error(`LinkedIn reconnect failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Submit a checkpoint answer (OTP/2FA code, captcha answer, in-app confirmation)
+   * Unipile may answer with a follow-up checkpoint (e.g. OTP after captcha)
+   *
+   * @param {string} accountId - Pending Unipile account ID
+   * @param {string} code - Code or answer
+   * @param {string} method - Original connection method
+   * @returns {Promise<Object>} Connection result
+   */
+  async submitCheckpoint(accountId, code, method = null) {
+    const accountResult = await this.solveCheckpoint(accountId, code, this.provider);
+    return this.buildConnectionResult(accountResult, method);
+  }
+
+  /**
+   * Build connection result from a Unipile account response
+   * Fetches the connected profile once the account is fully created
+   *
+   * @param {Object} accountResult - Result of createAccount
+   * @param {string} method - Connection method ('credentials' | 'cookies')
+   * @returns {Promise<Object>} Connection result
+   */
+  async buildConnectionResult(accountResult, method) {
+    if (accountResult.checkpointRequired) {
+      console.log(`[LinkedInIntegration] Checkpoint required (${accountResult.checkpoint?.type}) for account: ${accountResult.accountId}`);
+
+      return {
+        accountId: accountResult.accountId,
+        connected: false,
+        method: method,
+        checkpoint_required: true,
+        checkpoint: accountResult.checkpoint
+      };
+    }
+
+    // Profile details are nice-to-have; the account is connected either way
+    let profile = null;
+    try {
+      profile = await this.getOwnProfile(accountResult.accountId);
+    } catch (profileError) {
+      console.warn(`[LinkedInIntegration] ⚠️ Could not fetch profile for account ${accountResult.accountId}:`, profileError.message);
+    }
+
+    const publicIdentifier = profile?.public_identifier || null;
+    const profileName = profile ?
+      (`${profile.first_name || ''} ${profile.last_name || ''}`.trim() || profile.name || null) :
+      null;
+
+    console.log(`[LinkedInIntegration] ✅ Account connected: ${accountResult.accountId}`);
+
+    return {
+      accountId: accountResult.accountId,
+      providerId: profile?.provider_id || null,
+      publicIdentifier: publicIdentifier,
+      profileUrl: publicIdentifier ? this.normalizeLinkedInUrl(publicIdentifier) : null,
+      profileName: profileName,
+      profile: profile,
+      connected: true,
+      method: method,
+      checkpoint_required: false
+    };
+  }
+
   /**
    * Check if Unipile service is configured
    * @returns {boolean} True if configured
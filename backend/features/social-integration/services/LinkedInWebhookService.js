@@ -8,15 +8,125 @@
  * - connection.sent: Connection request sent
  * - connection.declined: Connection request declined
  * - AccountStatus: Account status changes (OK, ERROR, STOPPED, CREDENTIALS, etc.)
+ * - message_received / message.received: Message on any connected platform
  */
 
 const axios = require('axios');
+const UnipileService = require('./UnipileService');
+const ActivityService = require('./ActivityService');
+const SequenceService = require('./SequenceService');
+const ScheduleService = require('./ScheduleService');
+const StageMappingService = require('./StageMappingService');
+const LeadDedupService = require('./LeadDedupService');
+const PhoneRevealService = require('./PhoneRevealService');
+const UrlParser = require('../utils/urlParser');
+const { LINKEDIN_SLUG } = require('../utils/identityKeys');
+const { SocialAccount, SocialMessage, SocialConversation, ScheduledCall, LeadIdentity } = require('../models');
+
+// Connection errors raised before the voice agent API received the call request
+const NOT_DISPATCHED_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// lead_social column per platform (never interpolate untrusted names)
+const SOCIAL_COLUMNS = {
+  instagram: 'instagram',
+  whatsapp: 'whatsapp',
+  facebook: 'facebook'
+};
 
 class LinkedInWebhookService {
-  constructor(db) {
+  /**
+   * @param {Object} db - Database pool
+   * @param {Object} options - { phoneReveals: PhoneRevealService (e.g. with fake providers in tests) }
+   */
+  constructor(db, { phoneReveals = null } = {}) {
     this.pool = db;
-    // In-memory cache to prevent duplicate processing (clears on server restart)
-    this.processedEvents = new Set();
+    this.activities = new ActivityService();
+    this.sequences = new SequenceService();
+    this.schedules = new ScheduleService();
+    this.stageMappings = new StageMappingService();
+    this.dedup = new LeadDedupService();
+    this.phoneReveals = phoneReveals || new PhoneRevealService();
+  }
+
+  /**
+   * Route a verified webhook payload to its handler
+   * Duplicate deliveries are filtered by the webhook event store before this runs
+   * 
+   * 📡 Unipile Webhook Timing:
+   * - Best Case: 1-5 seconds (active sync)
+   * - Normal: 5-30 seconds (most notifications)
+   * - Typical: 30-60 seconds (average)
+   * - Delayed: 1-2 minutes (high load)
+   * - Very Delayed: 15-30 minutes (inactive account, waiting for sync cycle)
+   * 
+   * @param {Object} payload - Webhook payload
+   * @returns {Promise<Object|undefined>} Handler result
+   */
+  async dispatch(payload) {
+    // Check if this is an AccountStatus webhook (Unipile format)
+    // Format: { "AccountStatus": { "account_id": "...", "account_type": "LINKEDIN", "message": "OK|ERROR|CREDENTIALS|..." } }
+    if (payload.AccountStatus) {
+      console.log(`[Unipile Webhook] 📨 Received AccountStatus webhook`);
+      console.log(`[Unipile Webhook] Account ID: ${payload.AccountStatus.account_id}`);
+      console.log(`[Unipile Webhook] Account Type: ${payload.AccountStatus.account_type}`);
+      console.log(`[Unipile Webhook] Status Message: ${payload.AccountStatus.message}`);
+      
+      return this.handleAccountStatusChanged(payload.AccountStatus);
+    }
+    
+    // Handle other webhook formats (connection events, etc.)
+    const event = payload.event || payload.type || payload.object;
+    const timestamp = payload.timestamp || new Date().toISOString();
+    
+    // Log receipt with timing info
+    const receivedAt = new Date();
+    console.log(`[Unipile Webhook] 📨 Received event: ${event} at ${timestamp}`);
+    console.log(`[Unipile Webhook] ⏰ Webhook received at: ${receivedAt.toISOString()}`);
+    
+    // Calculate delay if timestamp provided
+    if (payload.timestamp) {
+      const delaySeconds = Math.round((receivedAt - new Date(payload.timestamp)) / 1000);
+      if (delaySeconds > 0) {
+        console.log(`[Unipile Webhook] ⏱️  Estimated delay: ~${delaySeconds} seconds`);
+      }
+    }
+
+    // Note: "new_relation" is the primary event type for "New Reaction / Read / Event" webhooks
+    // It fires when someone accepts your LinkedIn connection request
+    switch (event) {
+      case 'connection.accepted':
+      case 'invitation.accepted':
+      case 'new_relation':  // Primary event type from Unipile "Users" webhook
+      case 'relation':      // Alternative event name
+        console.log(`[Unipile Webhook] ✅ Processing connection acceptance event`);
+        return this.handleConnectionAccepted(payload);
+
+      case 'connection.sent':
+      case 'invitation.sent':
+        console.log(`[Unipile Webhook] 📤 Processing connection sent event`);
+        return this.handleConnectionSent(payload);
+
+      case 'connection.declined':
+      case 'invitation.declined':
+        console.log(`[Unipile Webhook] ❌ Processing connection declined event`);
+        return this.handleConnectionDeclined(payload);
+
+      case 'account.status_changed':
+      case 'account.status':
+      case 'account.state_changed':
+      case 'account.state':
+        console.log(`[Unipile Webhook] 🔄 Processing account status changed event`);
+        return this.handleAccountStatusChanged(payload);
+
+      case 'message.received':
+      case 'message_received':  // Unipile "Messaging" webhook
+        console.log(`[Unipile Webhook] 💬 Processing message received event`);
+        return this.handleMessageReceived(payload);
+
+      default:
+        console.log(`[Unipile Webhook] ℹ️ Unhandled event type: ${event}`);
+        return { success: true, skipped: true, reason: 'unhandled_event' };
+    }
   }
 
   /**
@@ -35,30 +145,6 @@ class LinkedInWebhookService {
    */
   async handleConnectionAccepted(payload) {
     try {
-      // Create a unique event ID to prevent duplicate processing
-      const eventData = payload.data || payload;
-      const eventLinkedinUrl = eventData.user_profile_url || eventData.user_public_identifier || 'unknown';
-      const eventId = `${payload.timestamp || Date.now()}_${eventLinkedinUrl}`;
-      
-      // Check if we've already processed this event
-      if (this.processedEvents.has(eventId)) {
-        console.log(`[LinkedIn Webhook] ⚠️ Duplicate event detected, skipping: ${eventId}`);
-        return {
-          success: false,
-          error: 'Duplicate event - already processed',
-          eventId: eventId
-        };
-      }
-      
-      // Mark this event as processed
-      this.processedEvents.add(eventId);
-      
-      // Clean up old events (keep only last 1000 to prevent memory leak)
-      if (this.processedEvents.size > 1000) {
-        const firstEvent = this.processedEvents.values().next().value;
-        this.processedEvents.delete(firstEvent);
-      }
-      
       console.log('[LinkedIn Webhook] 📥 Raw payload:', JSON.stringify(payload, null, 2));
       const data = payload.data || payload;
       const recipient = data.recipient || {};
@@ -78,54 +164,63 @@ class LinkedInWebhookService {
         return;
       }
       
+      // Resolve owning tenant from the Unipile account that received the event
+      const tenant = await this.resolveTenant(payload);
+      if (!tenant) {
+        return {
+          success: true,
+          skipped: true,
+          reason: 'unknown_account',
+          message: 'Event account is not linked to any tenant'
+        };
+      }
+      const { schema, tenantId } = tenant;
+      
       console.log('[LinkedIn Webhook] ✅ Connection accepted');
+      await this.recordInvitationResponse(tenant, data, linkedinUrl, 'accepted');
+      await this.sequences.handleAccepted(schema, {
+        tenantId,
+        accountId: tenant.accountId,
+        ...this.describeEventTarget(data, linkedinUrl)
+      });
       console.log('[LinkedIn Webhook] Profile URL:', linkedinUrl);
       
       // Normalize LinkedIn URL
       const normalizedUrl = this.normalizeLinkedInUrl(linkedinUrl);
-      
-      // Find lead by LinkedIn URL using lead_social table
-      const leadQuery = `
-        SELECT l.id, l.name, l.status, l.stage, l.organization_id, l.phone, l.email, l.job_title, l.company
-        FROM leads l
-        LEFT JOIN lead_social ls ON l.id = ls.lead_id
-        WHERE (
-          ls.linkedin = $1
-          OR
-          REPLACE(REPLACE(REPLACE(ls.linkedin, 'https://', ''), 'http://', ''), 'www.', '') = $2
-          OR
-          ls.linkedin LIKE $3
-        )
-        AND l.is_deleted = FALSE
-        ORDER BY l.updated_at DESC
-        LIMIT 1
-      `;
-      
       const urlForMatching = normalizedUrl
         .replace(/^https?:\/\//, '')
         .replace(/^www\./, '');
       
-      console.log('[LinkedIn Webhook] 🔍 Searching for lead with URL:', normalizedUrl);
+      const { targetProfileId } = this.describeEventTarget(data, linkedinUrl);
+      console.log('[LinkedIn Webhook] 🔍 Searching for lead with URL:', normalizedUrl, 'provider ID:', targetProfileId);
       
-      const leadResult = await this.pool.query(leadQuery, [
+      // Find lead by provider ID, then canonical slug
+      const leadResult = await this.findLeadByLinkedInUrl(
+        tenant,
         normalizedUrl,
-        urlForMatching,
-        `%${urlForMatching}%`
-      ]);
+        'l.id, l.name, l.status, l.stage, l.tenant_id, l.phone, l.email, l.job_title, l.company',
+        targetProfileId
+      );
       
       console.log('[LinkedIn Webhook] 🔍 Found', leadResult.rows.length, 'lead(s)');
       
+      // Pipeline stages for this tenant's accepted / call triggered events
+      const stageKeys = await this.stageMappings.resolveStageKeys(schema, tenantId, ['accepted', 'call_triggered']);
+      
       if (leadResult.rows.length === 0) {
         console.log('[LinkedIn Webhook] ❌ No lead found for LinkedIn URL:', normalizedUrl);
         
         // CHECK: Only auto-create lead if LinkedIn URL exists in employees_cache
         const employeeCacheCheck = await this.pool.query(`
-          SELECT employee_name, employee_linkedin_url, company_name
-          FROM employees_cache
-          WHERE employee_linkedin_url = $1
-            OR REPLACE(REPLACE(REPLACE(employee_linkedin_url, 'https://', ''), 'http://', ''), 'www.', '') = $2
+          SELECT employee_name, employee_linkedin_url, employee_email, employee_phone, company_name
+          FROM ${schema}.employees_cache
+          WHERE tenant_id = $3
+            AND (
+              employee_linkedin_url = $1
+              OR REPLACE(REPLACE(REPLACE(employee_linkedin_url, 'https://', ''), 'http://', ''), 'www.', '') = $2
+            )
           LIMIT 1
-        `, [normalizedUrl, urlForMatching]);
+        `, [normalizedUrl, urlForMatching, tenantId]);
         
         if (employeeCacheCheck.rows.length === 0) {
           console.log('[LinkedIn Webhook] ⏭️ Skipping auto-creation - LinkedIn URL not found in employees_cache');
@@ -137,7 +232,29 @@ class LinkedInWebhookService {
           };
         }
         
-        console.log('[LinkedIn Webhook] ✅ LinkedIn URL found in employees_cache - auto-creating lead...');
+        console.log('[LinkedIn Webhook] ✅ LinkedIn URL found in employees_cache');
+        
+        // Same person may already be a lead under another identity (email, phone, handles)
+        const employee = employeeCacheCheck.rows[0];
+        const existing = await this.dedup.resolveAndLink(schema, tenantId, {
+          linkedin_url: normalizedUrl,
+          providerId: targetProfileId,
+          email: employee.employee_email,
+          phone: employee.employee_phone
+        });
+        if (existing) {
+          const existingLead = await this.pool.query(`
+            SELECT id, name, status, stage, tenant_id, phone, email, job_title, company
+            FROM ${schema}.leads
+            WHERE id = $1 AND tenant_id = $2
+          `, [existing.leadId, tenantId]);
+          leadResult.rows = existingLead.rows;
+          console.log(`[LinkedIn Webhook] 🔗 Linked to existing lead ${existing.leadId} (${existing.matchedOn.join(', ')})`);
+        }
+      }
+      
+      if (leadResult.rows.length === 0) {
+        console.log('[LinkedIn Webhook] ✅ Auto-creating lead...');
         
         // Extract name from webhook payload
         let fullName = data.user_full_name || 
@@ -161,47 +278,30 @@ class LinkedInWebhookService {
         
         console.log(`[LinkedIn Webhook] 📝 Using name for lead: ${fullName}`);
         
-        // Get organization_id from active LinkedIn account
-        let organizationId = null;
-        try {
-          const orgQuery = `
-            SELECT DISTINCT organization_id
-            FROM linkedin_integrations
-            WHERE is_active = TRUE 
-              AND unipile_account_id IS NOT NULL
-              AND organization_id IS NOT NULL
-            LIMIT 1
-          `;
-          const orgResult = await this.pool.query(orgQuery);
-          if (orgResult.rows.length > 0) {
-            organizationId = orgResult.rows[0].organization_id;
-          }
-        } catch (orgError) {
-          console.warn('[LinkedIn Webhook] ⚠️ Could not get organization_id:', orgError.message);
-        }
-        
-        // Auto-create lead
+        // Auto-create lead for the tenant that owns the receiving account
         const createLeadQuery = `
-          INSERT INTO leads (
+          INSERT INTO ${schema}.leads (
             name,
             status,
             stage,
             source,
             channel,
-            organization_id,
+            tenant_id,
+            user_id,
             created_at,
             updated_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
-          RETURNING id, name, status, stage, organization_id, phone, email, job_title, company
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+          RETURNING id, name, status, stage, tenant_id, phone, email, job_title, company
         `;
         
         const newLead = await this.pool.query(createLeadQuery, [
           fullName,
           'request_accepted',
-          'request_accepted',
+          stageKeys.accepted || 'request_accepted',
           'linkedin_connection',
           'linkedin',
-          organizationId
+          tenantId,
+          tenant.userId
         ]);
         
         if (newLead.rows.length > 0) {
@@ -214,11 +314,11 @@ class LinkedInWebhookService {
           
           // Create lead_social entry
           await this.pool.query(`
-            INSERT INTO lead_social (lead_id, linkedin)
-            VALUES ($1, $2)
+            INSERT INTO ${schema}.lead_social (lead_id, tenant_id, linkedin)
+            VALUES ($1, $2, $3)
             ON CONFLICT (lead_id) 
             DO UPDATE SET linkedin = EXCLUDED.linkedin
-          `, [createdLead.id, normalizedUrl]);
+          `, [createdLead.id, tenantId, normalizedUrl]);
           
           leadResult.rows = [createdLead];
         } else {
@@ -228,6 +328,7 @@ class LinkedInWebhookService {
       }
       
       const lead = leadResult.rows[0];
+      await this.linkLeadIdentity(tenant, lead.id, targetProfileId, linkedinUrl);
       
       // CHECK 1: Only process recent acceptances (last 24 hours)
       let acceptanceTimestamp = null;
@@ -253,21 +354,11 @@ class LinkedInWebhookService {
       }
       
       // CHECK 2: Check if we've already called this lead
-      const existingCallQuery = `
-        SELECT cl.id, cl.started_at, cl.status
-        FROM voice_agent.call_logs_voiceagent cl
-        WHERE cl.target::text = $1::text
-          AND cl.target IS NOT NULL
-          AND cl.added_context LIKE '%LinkedIn connection request%'
-          AND cl.started_at > NOW() - INTERVAL '7 days'
-        ORDER BY cl.started_at DESC
-      `;
-      
-      const existingCallResult = await this.pool.query(existingCallQuery, [lead.id]);
-      const callCount = existingCallResult.rows.length;
+      const existingCalls = await this.findRecentAutoCalls(schema, tenantId, lead.id);
+      const callCount = existingCalls.length;
       
       if (callCount > 0) {
-        const existingCall = existingCallResult.rows[0];
+        const existingCall = existingCalls[0];
         console.log(`[LinkedIn Webhook] ⏭️ Skipping - call already made (call_id: ${existingCall.id}, total calls: ${callCount})`);
         return {
           success: true,
@@ -280,7 +371,7 @@ class LinkedInWebhookService {
       }
       
       // Also check if stage is already "call_triggered"
-      if (lead.stage === 'call_triggered') {
+      if (lead.stage === 'call_triggered' || (stageKeys.call_triggered && lead.stage === stageKeys.call_triggered)) {
         console.log(`[LinkedIn Webhook] ⏭️ Skipping - lead stage is already "call_triggered"`);
         return {
           success: true,
@@ -290,34 +381,18 @@ class LinkedInWebhookService {
         };
       }
       
-      // Find the "request accepted" stage key
-      const stageQuery = `
-        SELECT key
-        FROM lead_stages
-        WHERE organization_id = $1
-          AND (LOWER(key) LIKE '%request_accepted%' 
-               OR LOWER(key) LIKE '%connection_accepted%'
-               OR LOWER(key) LIKE '%accepted%')
-        ORDER BY display_order ASC
-        LIMIT 1
-      `;
-      
-      const stageResult = await this.pool.query(stageQuery, [lead.organization_id]);
-      const acceptedStageKey = stageResult.rows.length > 0 
-        ? stageResult.rows[0].key 
-        : 'request_accepted';
-      
-      // Update lead status
+      // Update lead status (stage from the tenant's mapping; unchanged when unmapped)
       const updateQuery = `
-        UPDATE leads
+        UPDATE ${schema}.leads
         SET status = 'request_accepted',
-            stage = $1,
+            stage = COALESCE($1, stage),
             updated_at = CURRENT_TIMESTAMP
         WHERE id = $2
-        RETURNING id, status, stage, phone, email, company, job_title, organization_id
+          AND tenant_id = $3
+        RETURNING id, name, status, stage, phone, email, company, job_title, tenant_id
       `;
       
-      const updateResult = await this.pool.query(updateQuery, [acceptedStageKey, lead.id]);
+      const updateResult = await this.pool.query(updateQuery, [stageKeys.accepted, lead.id, tenantId]);
       
       if (updateResult.rows.length > 0) {
         const updatedLead = updateResult.rows[0];
@@ -327,13 +402,13 @@ class LinkedInWebhookService {
           stage: updatedLead.stage
         });
         
-        // Automatically reveal phone number - checks LinkedIn first, then Apollo
-        const phoneRevealResult = await this.revealPhoneNumber(updatedLead, normalizedUrl);
+        // Automatically reveal phone number - checks LinkedIn first, then Apollo (async callback)
+        const phoneRevealResult = await this.revealPhoneNumber(updatedLead, normalizedUrl, tenant);
         
         // Get updated lead with phone
         const updatedLeadWithPhone = await this.pool.query(
-          `SELECT id, name, phone, email, company, job_title, organization_id FROM leads WHERE id = $1`,
-          [updatedLead.id]
+          `SELECT id, name, phone, email, company, job_title, tenant_id FROM ${schema}.leads WHERE id = $1 AND tenant_id = $2`,
+          [updatedLead.id, tenantId]
         );
         const leadWithPhone = updatedLeadWithPhone.rows[0] || updatedLead;
         
@@ -342,15 +417,16 @@ class LinkedInWebhookService {
         if (phoneNumber) {
           const recentCallCheck = await this.pool.query(`
             SELECT cl.id, cl.started_at
-            FROM voice_agent.call_logs_voiceagent cl
-            INNER JOIN leads l ON l.id::text = cl.target::text
+            FROM ${schema}.call_logs_voiceagent cl
+            INNER JOIN ${schema}.leads l ON l.id::text = cl.target::text AND l.tenant_id = cl.tenant_id
             WHERE l.phone = $1
+              AND cl.tenant_id = $2
               AND cl.target IS NOT NULL
               AND cl.added_context LIKE '%LinkedIn connection request%'
               AND cl.started_at > NOW() - INTERVAL '7 days'
             ORDER BY cl.started_at DESC
             LIMIT 1
-          `, [phoneNumber]);
+          `, [phoneNumber, tenantId]);
           
           if (recentCallCheck.rows.length > 0) {
             console.log(`[LinkedIn Webhook] ⏭️ Skipping - call already made for phone ${phoneNumber}`);
@@ -371,11 +447,11 @@ class LinkedInWebhookService {
         if (autoCallEnabled && !batchModeEnabled) {
           if (leadWithPhone.phone && leadWithPhone.phone.trim() !== '') {
             console.log('[LinkedIn Webhook] 📱 Phone available, triggering auto-call immediately');
-            callResult = await this.triggerAutoCall(leadWithPhone, normalizedUrl);
+            callResult = await this.triggerAutoCall(leadWithPhone, normalizedUrl, tenant);
           } else if (phoneRevealResult.success && phoneRevealResult.fromLinkedIn && phoneRevealResult.phone) {
             console.log('[LinkedIn Webhook] 📱 Phone found from LinkedIn, triggering auto-call');
             const leadForCall = { ...leadWithPhone, phone: phoneRevealResult.phone };
-            callResult = await this.triggerAutoCall(leadForCall, normalizedUrl);
+            callResult = await this.triggerAutoCall(leadForCall, normalizedUrl, tenant);
           } else {
             console.log('[LinkedIn Webhook] ⏳ Phone not available yet. Will auto-call after phone reveal via Apollo webhook.');
           }
@@ -392,9 +468,11 @@ class LinkedInWebhookService {
           updatedStatus: 'request_accepted',
           phoneRevealTriggered: phoneRevealResult,
           autoCallTriggered: callResult,
-          note: callResult 
-            ? (phoneRevealResult.fromLinkedIn ? 'Called immediately (phone from LinkedIn)' : 'Called immediately (phone was cached)')
-            : 'Will call after phone reveal'
+          note: callResult?.scheduled
+            ? `Call scheduled for ${callResult.runAt} (outside call window)`
+            : callResult 
+              ? (phoneRevealResult.fromLinkedIn ? 'Called immediately (phone from LinkedIn)' : 'Called immediately (phone was cached)')
+              : 'Will call after phone reveal'
         };
       }
       
@@ -426,69 +504,42 @@ class LinkedInWebhookService {
         return;
       }
       
+      // Resolve owning tenant from the Unipile account that sent the event
+      const tenant = await this.resolveTenant(payload);
+      if (!tenant) {
+        return { success: true, skipped: true, reason: 'unknown_account' };
+      }
+      const { schema, tenantId } = tenant;
+      
       console.log('[LinkedIn Webhook] 📤 Connection request sent');
       console.log('[LinkedIn Webhook] Profile URL:', linkedinUrl);
       
       const normalizedUrl = this.normalizeLinkedInUrl(linkedinUrl);
-      const urlForMatching = normalizedUrl
-        .replace(/^https?:\/\//, '')
-        .replace(/^www\./, '');
-      
-      const leadQuery = `
-        SELECT l.id, l.status, l.stage, l.organization_id
-        FROM leads l
-        LEFT JOIN lead_social ls ON l.id = ls.lead_id
-        WHERE (
-          ls.linkedin = $1
-          OR REPLACE(REPLACE(REPLACE(ls.linkedin, 'https://', ''), 'http://', ''), 'www.', '') = $2
-          OR ls.linkedin LIKE $3
-        )
-        AND l.is_deleted = FALSE
-        ORDER BY l.updated_at DESC
-        LIMIT 1
-      `;
+      const { targetProfileId } = this.describeEventTarget(data, linkedinUrl);
       
-      const leadResult = await this.pool.query(leadQuery, [
-        normalizedUrl,
-        urlForMatching,
-        `%${urlForMatching}%`
-      ]);
+      const leadResult = await this.findLeadByLinkedInUrl(tenant, normalizedUrl, 'l.id, l.status, l.stage, l.tenant_id', targetProfileId);
       
       if (leadResult.rows.length === 0) {
         console.log('[LinkedIn Webhook] No lead found for LinkedIn URL:', normalizedUrl);
         return;
       }
+      await this.linkLeadIdentity(tenant, leadResult.rows[0].id, targetProfileId, linkedinUrl);
       
       const lead = leadResult.rows[0];
       
-      // Find the "request sent" stage key
-      const stageQuery = `
-        SELECT key, name
-        FROM lead_stages
-        WHERE organization_id = $1
-          AND (LOWER(name) LIKE '%request sent%' 
-               OR LOWER(name) LIKE '%connection sent%'
-               OR LOWER(name) LIKE '%sent%')
-        ORDER BY display_order ASC
-        LIMIT 1
-      `;
-      
-      const stageResult = await this.pool.query(stageQuery, [lead.organization_id]);
-      const sentStageKey = stageResult.rows.length > 0 
-        ? stageResult.rows[0].key 
-        : 'request_sent';
-      
-      // Update lead status
+      // Update lead status (stage from the tenant's mapping; unchanged when unmapped)
+      const sentStageKey = await this.stageMappings.resolveStageKey(schema, tenantId, 'invitation_sent');
       const updateQuery = `
-        UPDATE leads
+        UPDATE ${schema}.leads
         SET status = 'request_sent',
-            stage = $1,
+            stage = COALESCE($1, stage),
             updated_at = CURRENT_TIMESTAMP
         WHERE id = $2
+          AND tenant_id = $3
         RETURNING id, status, stage
       `;
       
-      const updateResult = await this.pool.query(updateQuery, [sentStageKey, lead.id]);
+      const updateResult = await this.pool.query(updateQuery, [sentStageKey, lead.id, tenantId]);
       
       if (updateResult.rows.length > 0) {
         console.log('[LinkedIn Webhook] ✅ Updated lead:', {
@@ -526,56 +577,55 @@ class LinkedInWebhookService {
         return;
       }
       
+      // Resolve owning tenant from the Unipile account that sent the event
+      const tenant = await this.resolveTenant(payload);
+      if (!tenant) {
+        return { success: true, skipped: true, reason: 'unknown_account' };
+      }
+      const { schema, tenantId } = tenant;
+      
       console.log('[LinkedIn Webhook] ❌ Connection declined');
+      await this.recordInvitationResponse(tenant, data, linkedinUrl, 'declined');
+      await this.sequences.exitForTarget(schema, {
+        tenantId,
+        accountId: tenant.accountId,
+        ...this.describeEventTarget(data, linkedinUrl),
+        reason: 'declined'
+      });
       console.log('[LinkedIn Webhook] Profile URL:', linkedinUrl);
       
       const normalizedUrl = this.normalizeLinkedInUrl(linkedinUrl);
-      const urlForMatching = normalizedUrl
-        .replace(/^https?:\/\//, '')
-        .replace(/^www\./, '');
+      const { targetProfileId } = this.describeEventTarget(data, linkedinUrl);
       
-      const leadQuery = `
-        SELECT l.id, l.status, l.stage, l.organization_id
-        FROM leads l
-        LEFT JOIN lead_social ls ON l.id = ls.lead_id
-        WHERE (
-          ls.linkedin = $1
-          OR REPLACE(REPLACE(REPLACE(ls.linkedin, 'https://', ''), 'http://', ''), 'www.', '') = $2
-          OR ls.linkedin LIKE $3
-        )
-        AND l.is_deleted = FALSE
-        ORDER BY l.updated_at DESC
-        LIMIT 1
-      `;
-      
-      const leadResult = await this.pool.query(leadQuery, [
-        normalizedUrl,
-        urlForMatching,
-        `%${urlForMatching}%`
-      ]);
+      const leadResult = await this.findLeadByLinkedInUrl(tenant, normalizedUrl, 'l.id, l.status, l.stage, l.tenant_id', targetProfileId);
       
       if (leadResult.rows.length === 0) {
         console.log('[LinkedIn Webhook] No lead found for LinkedIn URL:', normalizedUrl);
         return;
       }
+      await this.linkLeadIdentity(tenant, leadResult.rows[0].id, targetProfileId, linkedinUrl);
       
       const lead = leadResult.rows[0];
       
-      // Update lead status
+      // Update lead status (stage from the tenant's mapping; unchanged when unmapped)
+      const declinedStageKey = await this.stageMappings.resolveStageKey(schema, tenantId, 'declined');
       const updateQuery = `
-        UPDATE leads
+        UPDATE ${schema}.leads
         SET status = 'request_declined',
+            stage = COALESCE($3, stage),
             updated_at = CURRENT_TIMESTAMP
         WHERE id = $1
-        RETURNING id, status
+          AND tenant_id = $2
+        RETURNING id, status, stage
       `;
       
-      const updateResult = await this.pool.query(updateQuery, [lead.id]);
+      const updateResult = await this.pool.query(updateQuery, [lead.id, tenantId, declinedStageKey]);
       
       if (updateResult.rows.length > 0) {
         console.log('[LinkedIn Webhook] ✅ Updated lead to declined:', {
           id: updateResult.rows[0].id,
-          status: updateResult.rows[0].status
+          status: updateResult.rows[0].status,
+          stage: updateResult.rows[0].stage
         });
       }
       
@@ -590,6 +640,247 @@ class LinkedInWebhookService {
     }
   }
 
+  /**
+   * Handle message received event (LinkedIn, Instagram, WhatsApp, Facebook)
+   * Stores the message, links it to the matching lead and, for prospect replies,
+   * advances the lead to the configured "replied" stage
+   * 
+   * Unipile also fires this event for messages sent from the connected account;
+   * those are stored as outbound and do not move the lead
+   */
+  async handleMessageReceived(payload) {
+    try {
+      const data = payload.data || payload;
+      
+      const tenant = await this.resolveTenant(payload);
+      if (!tenant) {
+        return { success: true, skipped: true, reason: 'unknown_account' };
+      }
+      const { schema, tenantId, accountId } = tenant;
+      
+      const providerMessageId = data.message_id || data.provider_message_id || data.id;
+      if (!providerMessageId) {
+        console.warn('[LinkedIn Webhook] ⚠️ No message ID in message received event');
+        return { success: true, skipped: true, reason: 'missing_message_id', tenantId };
+      }
+      
+      const platform = (tenant.platform || data.account_type || 'linkedin').toLowerCase();
+      const sender = data.sender || {};
+      const senderProviderId = sender.attendee_provider_id || sender.provider_id || data.sender_id || null;
+      const senderProfileUrl = sender.attendee_profile_url || sender.profile_url || null;
+      const ownProviderId = data.account_info?.user_id || data.account_info?.provider_id || null;
+      const direction = ownProviderId && senderProviderId === ownProviderId ? 'outbound' : 'inbound';
+      const conversationId = data.chat_id || data.provider_chat_id || null;
+      const text = typeof data.message === 'string' ? data.message : (data.text || data.message?.text || null);
+      
+      console.log(`[LinkedIn Webhook] 💬 ${direction} ${platform} message ${providerMessageId} in chat ${conversationId}`);
+      
+      // Match lead: prior message in the same conversation, then sender's social profile
+      let leadId = null;
+      if (conversationId) {
+        leadId = await SocialMessage.findLeadIdByConversation(schema, tenantId, accountId, conversationId);
+      }
+      if (!leadId && direction === 'inbound') {
+        leadId = await this.findLeadIdForSender(tenant, platform, { senderProviderId, senderProfileUrl });
+      }
+      if (leadId && direction === 'inbound' && platform === 'linkedin') {
+        await this.linkLeadIdentity(tenant, leadId, senderProviderId, senderProfileUrl);
+      }
+      
+      let message = await SocialMessage.create(schema, {
+        tenantId,
+        platform,
+        accountId,
+        conversationId,
+        providerMessageId,
+        direction,
+        senderProviderId,
+        senderName: sender.attendee_name || sender.name || null,
+        senderProfileUrl,
+        text,
+        attachments: data.attachments || [],
+        sentAt: data.timestamp || null,
+        leadId,
+        metadata: {
+          provider_chat_id: data.provider_chat_id || null,
+          provider_message_id: data.provider_message_id || null,
+          is_event: data.is_event || false,
+          quoted: data.quoted || null
+        }
+      });
+      
+      // A redelivery (or a retry after a partial failure) finds the message stored;
+      // the steps below are idempotent and run again so none of them is lost
+      const redelivered = !message;
+      if (redelivered) {
+        message = await SocialMessage.findByProviderMessageId(schema, tenantId, accountId, providerMessageId);
+        if (!message) {
+          throw new Error(`Message ${providerMessageId} conflicts with a stored message that cannot be loaded`);
+        }
+        leadId = message.lead_id || leadId;
+        console.log(`[LinkedIn Webhook] ♻️ Message ${providerMessageId} already stored, completing follow-up steps`);
+      }
+      
+      // Keep the unified inbox conversation in sync (a redelivery is not counted as unread again)
+      if (conversationId) {
+        await SocialConversation.recordMessage(schema, {
+          tenantId,
+          platform,
+          accountId,
+          conversationId,
+          leadId,
+          direction,
+          participantName: message.sender_name,
+          participantProviderId: senderProviderId,
+          participantProfileUrl: senderProfileUrl,
+          text,
+          sentAt: message.sent_at,
+          countUnread: !redelivered
+        });
+      }
+      
+      // A prospect reply answers the latest message we sent them and moves
+      // their invitation to the replied step of the funnel
+      if (direction === 'inbound' && senderProviderId) {
+        await this.activities.recordResponse(schema, {
+          tenantId,
+          accountId,
+          activityType: 'message',
+          fromStatuses: ['sent'],
+          status: 'replied',
+          targetProfileId: senderProviderId
+        });
+      }
+      const unsubscribe = direction === 'inbound' && this.sequences.isUnsubscribeRequest(text);
+      if (direction === 'inbound' && (senderProviderId || senderProfileUrl)) {
+        const senderIdentifier = senderProfileUrl ? UrlParser.extractLinkedInIdentifier(senderProfileUrl) : null;
+        await this.activities.markFunnelStep(schema, {
+          tenantId,
+          accountId,
+          step: 'replied',
+          targetProfileId: senderProviderId,
+          targetPublicIdentifier: senderIdentifier
+        });
+        
+        // Any reply ends the sequences sent from this account; a stop request ends all of them
+        await this.sequences.exitForTarget(schema, {
+          tenantId,
+          accountId: unsubscribe ? null : accountId,
+          targetProfileId: senderProviderId,
+          targetPublicIdentifier: senderIdentifier,
+          reason: unsubscribe ? 'unsubscribed' : 'replied'
+        });
+      }
+      
+      let updatedLead = null;
+      if (leadId && direction === 'inbound') {
+        updatedLead = unsubscribe
+          ? await this.updateLeadStage(tenant, leadId, 'unsubscribed', 'unsubscribed')
+          : await this.updateLeadStage(tenant, leadId, 'replied', 'replied', { forwardOnly: true });
+      } else if (!leadId) {
+        console.log(`[LinkedIn Webhook] ℹ️ No lead matched for message ${providerMessageId}`);
+      }
+      
+      return {
+        success: true,
+        tenantId,
+        messageId: message.id,
+        redelivered,
+        direction,
+        leadId,
+        lead: updatedLead
+      };
+    } catch (error) {
+      console.error('[LinkedIn Webhook] Error handling message received:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the lead for a message sender via lead_social
+   * 
+   * @param {Object} tenant - { tenantId, schema }
+   * @param {string} platform - linkedin | instagram | whatsapp | facebook
+   * @param {Object} sender - { senderProviderId, senderProfileUrl }
+   * @returns {Promise<string|null>} Lead ID
+   */
+  async findLeadIdForSender(tenant, platform, { senderProviderId, senderProfileUrl }) {
+    const { schema, tenantId } = tenant;
+    
+    if (platform === 'linkedin') {
+      if (!senderProfileUrl && !senderProviderId) return null;
+      const leadResult = await this.findLeadByLinkedInUrl(tenant, this.normalizeLinkedInUrl(senderProfileUrl), 'l.id', senderProviderId);
+      return leadResult.rows[0]?.id || null;
+    }
+    
+    // Only known lead_social columns are interpolated
+    const column = SOCIAL_COLUMNS[platform];
+    if (!column) return null;
+    
+    const candidates = [senderProviderId, senderProfileUrl]
+      .filter(Boolean)
+      .flatMap(value => [value, value.replace(/@.*$/, '')]);  // WhatsApp IDs: "<number>@s.whatsapp.net"
+    if (candidates.length === 0) return null;
+    
+    const result = await this.pool.query(`
+      SELECT l.id
+      FROM ${schema}.leads l
+      INNER JOIN ${schema}.lead_social ls ON l.id = ls.lead_id
+      WHERE ls.${column} = ANY($1::text[])
+        AND l.tenant_id = $2
+        AND l.is_deleted = FALSE
+      ORDER BY l.updated_at DESC
+      LIMIT 1
+    `, [candidates, tenantId]);
+    
+    return result.rows[0]?.id || null;
+  }
+
+  /**
+   * Move a lead to the stage the tenant maps a social event to
+   * Status is always set; the stage only when the event maps to one of the
+   * tenant's lead_stages. With forwardOnly, leads already in a later stage
+   * (by display_order) are left where they are
+   * 
+   * @param {Object} tenant - { tenantId, schema }
+   * @param {string} leadId - Lead ID
+   * @param {string} event - Stage mapping event (replied, unsubscribed, ...)
+   * @param {string} status - Lead status to set
+   * @param {Object} options - { forwardOnly }
+   * @returns {Promise<Object|null>} Updated lead, or null if not moved
+   */
+  async updateLeadStage(tenant, leadId, event, status, { forwardOnly = false } = {}) {
+    const { schema, tenantId } = tenant;
+    const stageKey = await this.stageMappings.resolveStageKey(schema, tenantId, event);
+    
+    const updateResult = await this.pool.query(`
+      UPDATE ${schema}.leads l
+      SET status = $4,
+          stage = COALESCE($1, l.stage),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE l.id = $2
+        AND l.tenant_id = $3
+        AND (NOT $5::boolean OR NOT EXISTS (
+          SELECT 1
+          FROM ${schema}.lead_stages cur
+          INNER JOIN ${schema}.lead_stages target
+            ON target.tenant_id = cur.tenant_id AND target.key = $1
+          WHERE cur.tenant_id = $3
+            AND cur.key = l.stage
+            AND cur.display_order >= target.display_order
+        ))
+      RETURNING id, status, stage
+    `, [stageKey, leadId, tenantId, status, forwardOnly]);
+    
+    if (updateResult.rows.length === 0) {
+      console.log(`[LinkedIn Webhook] ℹ️ Lead ${leadId} already at or beyond stage ${stageKey}`);
+      return null;
+    }
+    
+    console.log(`[LinkedIn Webhook] ✅ Lead ${leadId} marked ${status}, stage: ${updateResult.rows[0].stage}`);
+    return updateResult.rows[0];
+  }
+
   /**
    * Handle account status changed event
    * 
@@ -618,52 +909,41 @@ class LinkedInWebhookService {
       console.log('[LinkedIn Webhook] Status message:', statusMessage);
       
       // Map Unipile status messages to our status values
-      let mappedStatus = 'unknown';
-      let isConnected = false;
-      
-      switch (statusMessage.toUpperCase()) {
-        case 'OK':
-        case 'CREATION_SUCCESS':
-        case 'RECONNECTED':
-        case 'SYNC_SUCCESS':
-          mappedStatus = 'connected';
-          isConnected = true;
-          break;
-        case 'ERROR':
-        case 'STOPPED':
-          mappedStatus = 'stopped';
-          isConnected = false;
-          break;
-        case 'CREDENTIALS':
-          mappedStatus = 'checkpoint';
-          isConnected = false;
-          break;
-        case 'CONNECTING':
-          mappedStatus = 'connecting';
-          isConnected = false;
-          break;
-        case 'DELETED':
-          mappedStatus = 'disconnected';
-          isConnected = false;
-          break;
-        default:
-          if (statusMessage.toLowerCase().includes('connected') || statusMessage.toLowerCase().includes('active')) {
-            mappedStatus = 'connected';
-            isConnected = true;
-          } else if (statusMessage.toLowerCase().includes('disconnected') || statusMessage.toLowerCase().includes('stopped')) {
-            mappedStatus = 'disconnected';
-            isConnected = false;
-          } else if (statusMessage.toLowerCase().includes('checkpoint') || statusMessage.toLowerCase().includes('credential')) {
-            mappedStatus = 'checkpoint';
-            isConnected = false;
-          }
-      }
+      const { status: mappedStatus, isConnected } = UnipileService.mapAccountStatus(statusMessage);
       
       console.log('[LinkedIn Webhook] Mapped status:', statusMessage, '->', mappedStatus, '(connected:', isConnected, ')');
       
-      // Update linkedin_integrations table
+      // Update social_accounts (source of truth for tenant-owned accounts) in the owner's schema
+      const owner = await SocialAccount.findOwnerInAnySchema(unipileAccountId);
+      const schema = owner?.schema;
+      const socialAccount = owner && await SocialAccount.updateStatusByAccountId(schema, unipileAccountId, mappedStatus, {
+        status_message: statusMessage,
+        last_status_update: new Date().toISOString(),
+        ...(isConnected ? { checkpoint: null } : {})
+      });
+      
+      if (socialAccount) {
+        console.log('[LinkedIn Webhook] ✅ Updated social_accounts:', {
+          unipileAccountId,
+          tenantId: socialAccount.tenant_id,
+          status: mappedStatus
+        });
+      } else {
+        console.warn('[LinkedIn Webhook] ⚠️ No social_accounts record found for account:', unipileAccountId);
+        return {
+          success: true,
+          unipileAccountId,
+          skipped: true,
+          reason: 'unknown_account',
+          status: mappedStatus,
+          statusMessage,
+          isConnected
+        };
+      }
+      
+      // Update legacy linkedin_integrations table for the owning tenant
       const updateQuery = `
-        UPDATE linkedin_integrations
+        UPDATE ${schema}.linkedin_integrations
         SET 
           is_active = $1,
           updated_at = CURRENT_TIMESTAMP,
@@ -673,6 +953,7 @@ class LinkedInWebhookService {
             'last_status_update', $4
           )
         WHERE unipile_account_id = $5
+          AND tenant_id = $6
         RETURNING user_id, profile_name, email
       `;
       
@@ -681,7 +962,8 @@ class LinkedInWebhookService {
         mappedStatus,
         statusMessage,
         new Date().toISOString(),
-        unipileAccountId
+        unipileAccountId,
+        socialAccount.tenant_id
       ]);
       
       if (updateResult.rows.length > 0) {
@@ -700,6 +982,7 @@ class LinkedInWebhookService {
       return {
         success: true,
         unipileAccountId,
+        tenantId: socialAccount.tenant_id,
         status: mappedStatus,
         statusMessage,
         isConnected
@@ -711,10 +994,14 @@ class LinkedInWebhookService {
   }
 
   /**
-   * Reveal phone number via Apollo API when connection is accepted
-   * NEW FLOW: First checks LinkedIn profile for contact details, then falls back to Apollo
+   * Reveal phone number when connection is accepted
+   * Order: lead phone, employees_cache, LinkedIn contact info, then Apollo.
+   * Apollo answers asynchronously: the result is { pending: true } and the
+   * auto-call is placed from handleApolloPhoneReveal when the phone arrives
    */
-  async revealPhoneNumber(lead, linkedinUrl) {
+  async revealPhoneNumber(lead, linkedinUrl, tenant) {
+    const { schema, tenantId } = tenant;
+    
     try {
       // STEP 1: Check if phone already exists
       if (lead.phone) {
@@ -730,22 +1017,25 @@ class LinkedInWebhookService {
       try {
         const cacheQuery = `
           SELECT employee_phone, apollo_person_id
-          FROM employees_cache
-          WHERE employee_linkedin_url = $1
-            OR REPLACE(REPLACE(REPLACE(employee_linkedin_url, 'https://', ''), 'http://', ''), 'www.', '') = REPLACE(REPLACE(REPLACE($1, 'https://', ''), 'http://', ''), 'www.', '')
+          FROM ${schema}.employees_cache
+          WHERE tenant_id = $2
+            AND (
+              employee_linkedin_url = $1
+              OR REPLACE(REPLACE(REPLACE(employee_linkedin_url, 'https://', ''), 'http://', ''), 'www.', '') = REPLACE(REPLACE(REPLACE($1, 'https://', ''), 'http://', ''), 'www.', '')
+            )
           LIMIT 1
         `;
-        const cacheResult = await this.pool.query(cacheQuery, [linkedinUrl]);
+        const cacheResult = await this.pool.query(cacheQuery, [linkedinUrl, tenantId]);
         
         if (cacheResult.rows.length > 0 && cacheResult.rows[0].employee_phone) {
           const cached = cacheResult.rows[0];
           console.log(`[LinkedIn Webhook] 📱 Found existing phone in employees_cache: ${cached.employee_phone}`);
           
           await this.pool.query(`
-            UPDATE leads
+            UPDATE ${schema}.leads
             SET phone = $1, updated_at = CURRENT_TIMESTAMP
-            WHERE id = $2 AND (phone IS NULL OR phone = '')
-          `, [cached.employee_phone, lead.id]);
+            WHERE id = $2 AND tenant_id = $3 AND (phone IS NULL OR phone = '')
+          `, [cached.employee_phone, lead.id, tenantId]);
           
           return {
             success: true,
@@ -757,20 +1047,8 @@ class LinkedInWebhookService {
         console.warn(`[LinkedIn Webhook] ⚠️ Error checking employees_cache:`, cacheError.message);
       }
       
-      // STEP 3: Check LinkedIn profile directly (new step)
-      console.log(`[LinkedIn Webhook] 🔍 Checking LinkedIn profile for contact details`);
-      console.log(`[LinkedIn Webhook] ℹ️ LinkedIn contact details check not implemented yet`);
-      console.log(`[LinkedIn Webhook] ℹ️ Will proceed to Apollo fallback`);
-      
-      // STEP 4: Fallback to Apollo
-      console.log(`[LinkedIn Webhook] ⚠️ Apollo phone reveal not implemented in this service`);
-      console.log(`[LinkedIn Webhook] ℹ️ Phone will need to be revealed through Apollo integration`);
-      
-      return {
-        success: false,
-        error: 'No phone number available',
-        message: 'Phone reveal requires Apollo integration'
-      };
+      // STEP 3: LinkedIn contact info, then an Apollo reveal (phone arrives via handleApolloPhoneReveal)
+      return await this.phoneReveals.reveal(schema, tenant, lead, linkedinUrl);
       
     } catch (error) {
       console.error('[LinkedIn Webhook] ❌ Error in phone reveal:', error);
@@ -781,10 +1059,136 @@ class LinkedInWebhookService {
     }
   }
 
+  /**
+   * Apollo phone reveal callback: store the phone on the lead, then place the
+   * auto-call the connection accepted event could not place without it
+   * A redelivered callback for a revealed phone runs the call step again, since
+   * the earlier delivery may have failed after the reveal was completed
+   * 
+   * @param {string} revealId - social_phone_reveals ID (from the callback URL)
+   * @param {string} token - Callback token (from the callback URL)
+   * @param {Object} payload - Apollo webhook body
+   * @returns {Promise<Object>} { accepted, duplicate, leadId, phone, autoCallTriggered }
+   */
+  async handleApolloPhoneReveal(revealId, token, payload) {
+    const outcome = await this.phoneReveals.handleApolloCallback(revealId, token, payload);
+    if (!outcome.accepted) {
+      return { accepted: false, duplicate: false };
+    }
+    
+    if (outcome.duplicate) {
+      const { reveal } = outcome;
+      if (reveal.status !== 'revealed') {
+        return { accepted: true, duplicate: true };
+      }
+      
+      const lead = await this.findLeadForCall(reveal.schema, reveal.tenant_id, reveal.lead_id);
+      const autoCallTriggered = lead?.phone ? await this.callRevealedLead(reveal.schema, reveal, lead) : null;
+      return { accepted: true, duplicate: true, leadId: reveal.lead_id, phone: reveal.phone, autoCallTriggered };
+    }
+    
+    const { schema, reveal, lead } = outcome;
+    const result = { accepted: true, leadId: reveal.lead_id, phone: outcome.phone, autoCallTriggered: null };
+    if (lead?.phone) {
+      result.autoCallTriggered = await this.callRevealedLead(schema, reveal, lead);
+    }
+    return result;
+  }
+
+  /**
+   * Auto-call a lead whose phone Apollo revealed
+   * Skipped when the lead was already called or has a call waiting. A call that
+   * failed without being placed is queued in social_scheduled_calls, so the
+   * scheduled call runner retries it
+   *
+   * @param {string} schema - Tenant schema of the reveal
+   * @param {Object} reveal - Completed social_phone_reveals row
+   * @param {Object} lead - Lead with its phone, stage and status
+   * @returns {Promise<Object|null>} triggerAutoCall() result, null when auto-calls are off
+   */
+  async callRevealedLead(schema, reveal, lead) {
+    const autoCallEnabled = process.env.LINKEDIN_AUTO_CALL_ENABLED !== 'false';
+    const batchModeEnabled = process.env.LINKEDIN_BATCH_CALL_ENABLED === 'true';
+    if (!autoCallEnabled || batchModeEnabled) {
+      console.log(`[LinkedIn Webhook] ⏭️ Phone revealed for lead ${lead.id}; auto-call ${batchModeEnabled ? 'left to batch processing' : 'is disabled'}`);
+      return null;
+    }
+    
+    const callTriggeredStageKey = await this.stageMappings.resolveStageKey(schema, reveal.tenant_id, 'call_triggered');
+    if (lead.status === 'call_triggered' || lead.stage === 'call_triggered' || (callTriggeredStageKey && lead.stage === callTriggeredStageKey)) {
+      console.log(`[LinkedIn Webhook] ⏭️ Phone revealed for lead ${lead.id}, already called`);
+      return { success: false, skipped: true, reason: 'stage_already_call_triggered' };
+    }
+    
+    const recentCalls = await this.findRecentAutoCalls(schema, reveal.tenant_id, lead.id);
+    if (recentCalls.length > 0) {
+      console.log(`[LinkedIn Webhook] ⏭️ Phone revealed for lead ${lead.id}, call already made (call_id: ${recentCalls[0].id})`);
+      return { success: false, skipped: true, reason: 'call_already_made' };
+    }
+    
+    const waiting = await ScheduledCall.findActiveByLead(schema, reveal.tenant_id, lead.id);
+    if (waiting) {
+      console.log(`[LinkedIn Webhook] ⏭️ Phone revealed for lead ${lead.id}, call already queued (${waiting.id})`);
+      return { success: false, skipped: true, reason: 'call_already_scheduled', scheduledCallId: waiting.id };
+    }
+    
+    console.log(`[LinkedIn Webhook] 📱 Phone revealed by Apollo for lead ${lead.id}, triggering auto-call`);
+    const tenant = { schema, tenantId: reveal.tenant_id, accountId: reveal.account_id };
+    const callResult = await this.triggerAutoCall(lead, reveal.linkedin_url, tenant);
+    if (callResult.success || !callResult.retryable) {
+      return callResult;
+    }
+    
+    const { call } = await ScheduledCall.schedule(schema, {
+      tenantId: reveal.tenant_id,
+      accountId: reveal.account_id,
+      leadId: lead.id,
+      linkedinUrl: reveal.linkedin_url,
+      runAt: new Date()
+    });
+    console.log(`[LinkedIn Webhook] ⏳ Auto-call for lead ${lead.id} failed (${callResult.error}), queued for retry (${call?.id})`);
+    return { ...callResult, scheduled: true, scheduledCallId: call?.id || null };
+  }
+
+  /**
+   * Lead fields needed to place a call, null when missing or deleted
+   */
+  async findLeadForCall(schema, tenantId, leadId) {
+    const result = await this.pool.query(
+      `SELECT id, name, phone, email, company, job_title, stage, status, tenant_id FROM ${schema}.leads WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE`,
+      [leadId, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Auto-calls placed for a lead after a LinkedIn connection in the last 7 days, newest first
+   */
+  async findRecentAutoCalls(schema, tenantId, leadId) {
+    const result = await this.pool.query(`
+      SELECT cl.id, cl.started_at, cl.status
+      FROM ${schema}.call_logs_voiceagent cl
+      WHERE cl.target::text = $1::text
+        AND cl.tenant_id = $2
+        AND cl.target IS NOT NULL
+        AND cl.added_context LIKE '%LinkedIn connection request%'
+        AND cl.started_at > NOW() - INTERVAL '7 days'
+      ORDER BY cl.started_at DESC
+    `, [leadId, tenantId]);
+    
+    return result.rows;
+  }
+
   /**
    * Trigger automatic call for a lead when connection is accepted
+   * Outside the account's call window the call is queued in social_scheduled_calls
+   * for the next opening (returns { scheduled: true, runAt })
+   * 
+   * @param {Object} options - { scheduledCall: queued call being placed by ScheduledCallRunner }
    */
-  async triggerAutoCall(lead, linkedinUrl) {
+  async triggerAutoCall(lead, linkedinUrl, tenant, options = {}) {
+    const { schema, tenantId } = tenant;
+    
     const autoCallEnabled = process.env.LINKEDIN_AUTO_CALL_ENABLED !== 'false';
     if (!autoCallEnabled) {
       console.log('[LinkedIn Webhook] ⏭️ Auto-call is disabled (LINKEDIN_AUTO_CALL_ENABLED=false)');
@@ -795,6 +1199,9 @@ class LinkedInWebhookService {
       };
     }
     
+    // Set once the call request leaves; from then on a failure may hide a placed call
+    let dispatched = false;
+    
     try {
       let phoneNumber = lead.phone;
       
@@ -803,13 +1210,14 @@ class LinkedInWebhookService {
         try {
           const cacheQuery = `
             SELECT employee_phone
-            FROM employees_cache
+            FROM ${schema}.employees_cache
             WHERE employee_linkedin_url = $1
+              AND tenant_id = $2
               AND employee_phone IS NOT NULL
               AND employee_phone != ''
             LIMIT 1
           `;
-          const cacheResult = await this.pool.query(cacheQuery, [linkedinUrl]);
+          const cacheResult = await this.pool.query(cacheQuery, [linkedinUrl, tenantId]);
           if (cacheResult.rows.length > 0) {
             phoneNumber = cacheResult.rows[0].employee_phone;
           }
@@ -848,19 +1256,47 @@ class LinkedInWebhookService {
         };
       }
       
+      // Outside the call window (the lead's hours where known): queue it for the next opening
+      const account = (tenant.accountId && await SocialAccount.findByAccountId(schema, tenantId, tenant.accountId, 'linkedin')) ||
+        { tenant_id: tenantId, platform: 'linkedin', metadata: {} };
+      const window = await this.schedules.checkTarget(schema, account, { leadId: lead.id, profile_url: linkedinUrl }, 'call');
+      if (window.retryAt) {
+        if (options.scheduledCall) {
+          return { success: false, scheduled: true, runAt: window.retryAt.toISOString(), leadId: lead.id };
+        }
+        
+        const { call } = await ScheduledCall.schedule(schema, {
+          tenantId,
+          accountId: tenant.accountId,
+          leadId: lead.id,
+          linkedinUrl,
+          timezone: window.timezone,
+          runAt: window.retryAt
+        });
+        const runAt = new Date(call?.run_at || window.retryAt).toISOString();
+        console.log(`[LinkedIn Webhook] 🕘 Outside call window (${window.timezone}), call for lead ${lead.id} scheduled at ${runAt}`);
+        return {
+          success: true,
+          scheduled: true,
+          scheduledCallId: call?.id || null,
+          runAt,
+          leadId: lead.id
+        };
+      }
+      
       // Get agent_id
       let agentId = lead.agent_id || null;
       
-      if (!agentId && lead.organization_id) {
+      if (!agentId) {
         try {
           const orgQuery = `
             SELECT os.value
-            FROM organization_settings os
-            WHERE os.organization_id = $1
+            FROM ${schema}.organization_settings os
+            WHERE os.tenant_id = $1
             AND os.key = 'default_agent_id'
             LIMIT 1
           `;
-          const orgResult = await this.pool.query(orgQuery, [lead.organization_id]);
+          const orgResult = await this.pool.query(orgQuery, [tenantId]);
           if (orgResult.rows.length > 0) {
             agentId = orgResult.rows[0].value;
           }
@@ -888,12 +1324,14 @@ class LinkedInWebhookService {
         API_BASE_URL = DEFAULT_INTERNAL_API_URL;
       }
       
+      dispatched = true;
       const callResponse = await axios.post(`${API_BASE_URL}/api/voiceagent/calls`, {
         agent_id: agentId,
         to_number: cleanPhone,
         lead_name: leadName,
         added_context: addedContext,
         initiated_by: 'system_auto_call',
+        tenant_id: tenantId,
         lead_id: lead.id,
         source: 'linkedin_connection_accepted'
       }, {
@@ -903,36 +1341,31 @@ class LinkedInWebhookService {
       const callInitiated = callResponse.data?.success !== false;
       
       if (callInitiated) {
-        // Update lead stage to "call_triggered"
+        // Update lead stage to the tenant's "call triggered" stage (unchanged when unmapped)
         try {
-          const callTriggeredStageQuery = `
-            SELECT key
-            FROM lead_stages
-            WHERE organization_id = $1
-              AND (LOWER(key) LIKE '%call_triggered%' 
-                   OR LOWER(key) LIKE '%call%triggered%'
-                   OR LOWER(key) LIKE '%triggered%')
-            ORDER BY display_order ASC
-            LIMIT 1
-          `;
-          const stageResult = await this.pool.query(callTriggeredStageQuery, [lead.organization_id]);
-          const callTriggeredStageKey = stageResult.rows.length > 0 
-            ? stageResult.rows[0].key 
-            : 'call_triggered';
+          const callTriggeredStageKey = await this.stageMappings.resolveStageKey(schema, tenantId, 'call_triggered');
           
           await this.pool.query(`
-            UPDATE leads
-            SET stage = $1,
+            UPDATE ${schema}.leads
+            SET stage = COALESCE($1, stage),
                 status = 'call_triggered',
                 updated_at = CURRENT_TIMESTAMP
             WHERE id = $2
-          `, [callTriggeredStageKey, lead.id]);
+              AND tenant_id = $3
+          `, [callTriggeredStageKey, lead.id, tenantId]);
           
-          console.log(`[LinkedIn Webhook] ✅ Updated lead stage to "${callTriggeredStageKey}"`);
+          console.log(`[LinkedIn Webhook] ✅ Updated lead stage to "${callTriggeredStageKey || 'unchanged'}"`);
         } catch (stageUpdateError) {
           console.warn(`[LinkedIn Webhook] ⚠️ Error updating lead stage:`, stageUpdateError.message);
         }
         
+        await this.activities.markFunnelStep(schema, {
+          tenantId,
+          accountId: tenant.accountId || null,
+          step: 'call_triggered',
+          targetPublicIdentifier: UrlParser.extractLinkedInIdentifier(linkedinUrl)
+        });
+        
         console.log(`[LinkedIn Webhook] ✅ Call initiated for ${leadName}`);
       }
       
@@ -946,14 +1379,193 @@ class LinkedInWebhookService {
       };
     } catch (error) {
       console.error(`[LinkedIn Webhook] ❌ Error in triggerAutoCall:`, error.message);
+      // Only retried when no call can have been placed: failed before the request,
+      // connection never made, or the API answered with an error status.
+      // A timeout or dropped connection may hide a placed call and is never retried.
+      const notPlaced = !dispatched || !!error.response || NOT_DISPATCHED_CODES.includes(error.code);
       return {
         success: false,
         leadId: lead.id,
-        error: error.message
+        error: error.message,
+        retryable: notPlaced
       };
     }
   }
 
+  /**
+   * Place an auto-call that was queued outside the call window (ScheduledCallRunner)
+   * The lead is reloaded so a phone number revealed meanwhile is used, and the
+   * call is skipped when the lead was called since it was queued
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} call - Claimed social_scheduled_calls row
+   * @returns {Promise<Object>} triggerAutoCall() result
+   */
+  async placeScheduledCall(schema, call) {
+    const lead = await this.findLeadForCall(schema, call.tenant_id, call.lead_id);
+
+    if (!lead) {
+      return { success: false, leadId: call.lead_id, error: 'Lead not found' };
+    }
+
+    const callTriggeredStageKey = await this.stageMappings.resolveStageKey(schema, call.tenant_id, 'call_triggered');
+    if (lead.status === 'call_triggered' || lead.stage === 'call_triggered' || (callTriggeredStageKey && lead.stage === callTriggeredStageKey)) {
+      return { success: false, skipped: true, reason: 'stage_already_call_triggered', leadId: lead.id };
+    }
+
+    const recentCalls = await this.findRecentAutoCalls(schema, call.tenant_id, lead.id);
+    if (recentCalls.length > 0) {
+      return { success: false, skipped: true, reason: 'call_already_made', leadId: lead.id };
+    }
+
+    return this.triggerAutoCall(lead, call.linkedin_url, {
+      schema,
+      tenantId: call.tenant_id,
+      accountId: call.account_id
+    }, { scheduledCall: call });
+  }
+
+  /**
+   * Mark the latest invitation sent to the event's profile as accepted or declined
+   * 
+   * @param {Object} tenant - { tenantId, schema, accountId }
+   * @param {Object} data - Event data
+   * @param {string} linkedinUrl - Profile URL from the event
+   * @param {string} status - 'accepted' or 'declined'
+   * @returns {Promise<Object|null>} Updated activity
+   */
+  async recordInvitationResponse(tenant, data, linkedinUrl, status) {
+    return this.activities.recordResponse(tenant.schema, {
+      tenantId: tenant.tenantId,
+      accountId: tenant.accountId,
+      activityType: 'invitation',
+      fromStatuses: ['sent', 'already_sent'],
+      status,
+      ...this.describeEventTarget(data, linkedinUrl)
+    });
+  }
+
+  /**
+   * Profile an invitation event is about, as matched against activities and enrollments
+   * 
+   * @param {Object} data - Event data
+   * @param {string} linkedinUrl - Profile URL from the event
+   * @returns {Object} { targetProfileId, targetPublicIdentifier }
+   */
+  describeEventTarget(data, linkedinUrl) {
+    const recipient = data.recipient || {};
+    
+    return {
+      targetProfileId: data.user_provider_id || recipient.provider_id || null,
+      targetPublicIdentifier: data.user_public_identifier || UrlParser.extractLinkedInIdentifier(linkedinUrl)
+    };
+  }
+
+  /**
+   * Resolve owning tenant for a webhook event from its Unipile account_id
+   * Returns null when the account is not linked to any tenant (never guesses)
+   * 
+   * @param {Object} payload - Webhook payload
+   * @returns {Promise<Object|null>} { tenantId, userId, platform, schema, accountId }
+   */
+  async resolveTenant(payload) {
+    const data = payload.data || payload;
+    const accountId = payload.account_id || data.account_id || payload.accountId || data.accountId;
+    
+    if (!accountId) {
+      console.warn('[LinkedIn Webhook] ⚠️ No account_id in event - cannot resolve tenant');
+      return null;
+    }
+    
+    // The account row lives in the schema of the tenant that connected it
+    const account = await SocialAccount.findOwnerInAnySchema(accountId);
+    
+    if (!account) {
+      console.warn('[LinkedIn Webhook] ⚠️ No tenant owns account:', accountId);
+      return null;
+    }
+    
+    return {
+      tenantId: account.tenant_id,
+      userId: account.user_id,
+      platform: account.platform,
+      schema: account.schema,
+      accountId
+    };
+  }
+
+  /**
+   * Find the lead for a LinkedIn profile within a tenant
+   * Exact, indexed matches only: provider ID (social_lead_identities), then the
+   * canonical slug (social_lead_identities, then lead_social). Ties go to the
+   * most recently updated lead
+   * 
+   * @param {Object} tenant - { tenantId, schema }
+   * @param {string} normalizedUrl - Normalized LinkedIn URL (or null)
+   * @param {string} columns - Columns to select (aliased on l)
+   * @param {string} providerId - LinkedIn provider ID from the event, if any
+   * @returns {Promise<Object>} Query result
+   */
+  async findLeadByLinkedInUrl(tenant, normalizedUrl, columns, providerId = null) {
+    const { schema, tenantId } = tenant;
+    const slug = UrlParser.canonicalLinkedInSlug(normalizedUrl);
+    if (!slug && !providerId) {
+      return { rows: [] };
+    }
+    
+    // lead_social may hold the percent-encoded form of non-ASCII slugs
+    const slugs = slug ? [...new Set([slug, encodeURIComponent(slug).toLowerCase()])] : [];
+    
+    const leadQuery = `
+      SELECT ${columns}
+      FROM ${schema}.leads l
+      INNER JOIN (
+        SELECT li.lead_id, 1 AS match_rank
+        FROM ${schema}.social_lead_identities li
+        WHERE li.tenant_id = $1 AND li.platform = 'linkedin' AND li.provider_id = $2
+        UNION ALL
+        SELECT li.lead_id, 2
+        FROM ${schema}.social_lead_identities li
+        WHERE li.tenant_id = $1 AND li.platform = 'linkedin' AND li.public_identifier = ANY($3::text[])
+        UNION ALL
+        SELECT ls.lead_id, 3
+        FROM ${schema}.lead_social ls
+        WHERE ${LINKEDIN_SLUG('ls.linkedin')} = ANY($3::text[])
+      ) m ON m.lead_id = l.id
+      WHERE l.tenant_id = $1
+        AND l.is_deleted = FALSE
+      ORDER BY m.match_rank ASC, l.updated_at DESC
+      LIMIT 1
+    `;
+    
+    return this.pool.query(leadQuery, [tenantId, providerId, slugs]);
+  }
+
+  /**
+   * Remember the provider ID of a matched lead's LinkedIn profile, so later
+   * events match it even after a vanity URL change. Never fails the event
+   * 
+   * @param {Object} tenant - { tenantId, schema }
+   * @param {string} leadId - Lead ID
+   * @param {string} providerId - LinkedIn provider ID from the event
+   * @param {string} profileUrl - Profile URL or public identifier from the event
+   */
+  async linkLeadIdentity(tenant, leadId, providerId, profileUrl) {
+    if (!providerId) return;
+    
+    try {
+      await LeadIdentity.record(tenant.schema, {
+        tenantId: tenant.tenantId,
+        leadId,
+        providerId,
+        publicIdentifier: UrlParser.canonicalLinkedInSlug(profileUrl),
+        source: 'webhook'
+      });
+    } catch (error) {
+      console.warn(`[LinkedIn Webhook] ⚠️ Could not store provider ID for lead ${leadId}:`, error.message);
+    }
+  }
+
   /**
    * Normalize LinkedIn URL for matching
    */
@@ -0,0 +1,191 @@
+/**
+ * Phone Reveal Service
+ *
+ * Finds a phone number for a lead that has none, in order:
+ * 1. Contact info the member shares on LinkedIn (Unipile, via the receiving account)
+ * 2. An Apollo reveal: Apollo calls back with the phone a few minutes later
+ *    (social_phone_reveals tracks the request until then)
+ *
+ * Both providers are injected, so tests can pass local fakes:
+ *   new PhoneRevealService({
+ *     linkedin: { getLinkedInContactInfo: async (url, accountId) => ({ phones: [] }) },
+ *     apollo: { isConfigured: () => true, requestPhoneReveal: async (person, webhookUrl) => ({ personId: 'p1' }) }
+ *   })
+ */
+
+const crypto = require('crypto');
+const LinkedInIntegration = require('./LinkedInIntegration');
+const ApolloService = require('./ApolloService');
+const { PhoneReveal } = require('../models');
+const { safeEqual } = require('../utils/webhookSignature');
+
+const DEFAULT_TIMEOUT_MINUTES = 60;
+
+/**
+ * SHA-256 of a callback token (only the hash is stored)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+}
+
+class PhoneRevealService {
+  /**
+   * @param {Object} providers - { linkedin, apollo } (default: LinkedInIntegration, ApolloService)
+   */
+  constructor({ linkedin = null, apollo = null } = {}) {
+    this.linkedin = linkedin || new LinkedInIntegration();
+    this.apollo = apollo || new ApolloService();
+  }
+
+  /**
+   * Public URL Apollo calls back (APOLLO_WEBHOOK_BASE_URL, then BASE_URL)
+   *
+   * @returns {string|null} Callback URL, or null when no public base URL is configured
+   */
+  getCallbackUrl(revealId, token) {
+    const baseUrl = process.env.APOLLO_WEBHOOK_BASE_URL || process.env.BASE_URL;
+    if (!baseUrl) return null;
+
+    return `${baseUrl.replace(/\/+$/, '')}/api/social-integration/webhook/apollo/phone-reveal/${revealId}?token=${token}`;
+  }
+
+  /**
+   * Phone from the member's LinkedIn contact info
+   * Lookup failures are logged and treated as "no phone" so Apollo is still tried
+   *
+   * @returns {Promise<string|null>} Phone number or null
+   */
+  async fromLinkedIn(linkedinUrl, accountId) {
+    if (!accountId || (this.linkedin.isConfigured && !this.linkedin.isConfigured())) {
+      return null;
+    }
+
+    try {
+      const contactInfo = await this.linkedin.getLinkedInContactInfo(linkedinUrl, accountId);
+      return contactInfo.phones?.[0] || null;
+    } catch (error) {
+      console.warn(`[PhoneRevealService] ⚠️ LinkedIn contact info lookup failed for ${linkedinUrl}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Reveal a lead's phone: LinkedIn contact info first, then an Apollo request
+   * A phone found right away is written to the lead (when it still has none)
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} tenant - { tenantId, accountId }
+   * @param {Object} lead - { id, name, email }
+   * @param {string} linkedinUrl - Lead's LinkedIn profile URL
+   * @returns {Promise<Object>} { success, phone, fromLinkedIn | fromApollo } when found,
+   *   { success: false, pending: true, revealId } while Apollo works on it,
+   *   { success: false, error, message } otherwise
+   */
+  async reveal(schema, tenant, lead, linkedinUrl) {
+    const { tenantId, accountId } = tenant;
+
+    const linkedInPhone = await this.fromLinkedIn(linkedinUrl, accountId);
+    if (linkedInPhone) {
+      await PhoneReveal.applyToLead(schema, tenantId, lead.id, linkedInPhone);
+      console.log(`[PhoneRevealService] 📱 Phone for lead ${lead.id} found in LinkedIn contact info`);
+      return { success: true, fromLinkedIn: true, phone: linkedInPhone };
+    }
+
+    if (!this.apollo.isConfigured()) {
+      return {
+        success: false,
+        error: 'No phone number available',
+        message: 'Not shared on LinkedIn; Apollo is not configured (APOLLO_API_KEY)'
+      };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const reveal = await PhoneReveal.createPending(schema, {
+      tenantId,
+      leadId: lead.id,
+      accountId,
+      linkedinUrl,
+      callbackTokenHash: hashToken(token),
+      timeoutMinutes: Number(process.env.SOCIAL_PHONE_REVEAL_TIMEOUT_MINUTES) || DEFAULT_TIMEOUT_MINUTES
+    });
+    if (!reveal) {
+      console.log(`[PhoneRevealService] ⏳ Apollo reveal already pending for lead ${lead.id}`);
+      return { success: false, pending: true, message: 'Apollo phone reveal already requested' };
+    }
+
+    const webhookUrl = this.getCallbackUrl(reveal.id, token);
+    if (!webhookUrl) {
+      await PhoneReveal.complete(schema, reveal.id, { status: 'failed', error: 'No public callback URL (APOLLO_WEBHOOK_BASE_URL)' });
+      return {
+        success: false,
+        error: 'No phone number available',
+        message: 'Apollo callback URL is not configured (APOLLO_WEBHOOK_BASE_URL)'
+      };
+    }
+
+    try {
+      const result = await this.apollo.requestPhoneReveal({
+        linkedinUrl,
+        name: lead.name,
+        email: lead.email
+      }, webhookUrl);
+
+      if (result.phone) {
+        await PhoneReveal.complete(schema, reveal.id, { status: 'revealed', phone: result.phone });
+        console.log(`[PhoneRevealService] 📱 Phone for lead ${lead.id} returned by Apollo right away`);
+        return { success: true, fromApollo: true, phone: result.phone };
+      }
+
+      await PhoneReveal.markRequested(schema, reveal.id, result.personId);
+      console.log(`[PhoneRevealService] 📨 Apollo phone reveal requested for lead ${lead.id} (reveal ${reveal.id})`);
+      return {
+        success: false,
+        pending: true,
+        revealId: reveal.id,
+        message: 'Phone reveal requested from Apollo; the auto-call follows its callback'
+      };
+    } catch (error) {
+      const message = error.response?.data?.error || error.message;
+      console.error(`[PhoneRevealService] ❌ Apollo phone reveal request failed for lead ${lead.id}:`, message);
+      await PhoneReveal.complete(schema, reveal.id, { status: 'failed', error: message });
+      return { success: false, error: message };
+    }
+  }
+
+  /**
+   * Apollo's phone reveal callback: complete the reveal and write the phone to the lead
+   *
+   * @param {string} revealId - From the callback URL
+   * @param {string} token - From the callback URL
+   * @param {Object} payload - Apollo webhook body
+   * @returns {Promise<Object>} { accepted: false } for an unknown reveal or token,
+   *   { accepted: true, duplicate: true } when the reveal is already completed,
+   *   { accepted: true, schema, reveal, phone, lead } otherwise (lead null when it has been deleted)
+   */
+  async handleApolloCallback(revealId, token, payload) {
+    const reveal = await PhoneReveal.findById(revealId);
+    if (!reveal || !safeEqual(hashToken(token), reveal.callback_token_hash)) {
+      return { accepted: false };
+    }
+
+    // The tenant schema the reveal was created in
+    const { schema } = reveal;
+
+    // Completing also writes the phone to the lead, so a failure leaves the reveal pending for redelivery
+    const phone = ApolloService.extractPhone(payload);
+    const outcome = await PhoneReveal.complete(schema, reveal.id, {
+      status: phone ? 'revealed' : 'not_found',
+      phone
+    });
+    if (!outcome) {
+      return { accepted: true, duplicate: true, reveal };
+    }
+
+    const { lead, ...completed } = outcome;
+    console.log(`[PhoneRevealService] ${phone ? '📱 Apollo revealed a phone' : '🤷 Apollo found no phone'} for lead ${reveal.lead_id}`);
+
+    return { accepted: true, schema, reveal: completed, phone, lead };
+  }
+}
+
+module.exports = PhoneRevealService;
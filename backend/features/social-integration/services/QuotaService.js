@@ -0,0 +1,245 @@
+/**
+ * Quota Service
+ *
+ * Per-account daily and weekly send caps, keyed on the Unipile account.
+ * - Defaults come from manifest.platforms[platform].quotas
+ * - An account can override them in social_accounts.metadata.quotas
+ * - Windows are UTC days and ISO weeks (Monday 00:00 UTC)
+ * - Over-quota callers get the start of the next window to defer to
+ * - Accounts in warm-up get a daily cap ramped from warmup.startDaily to the
+ *   quota over warmup.days, counted from the account's creation
+ *   (manifest.platforms[platform].warmup, overridable in metadata.warmup)
+ */
+
+const manifest = require('../manifest');
+const { QuotaUsage } = require('../models');
+
+class QuotaService {
+  /**
+   * Effective caps for an action on an account
+   *
+   * @param {string} platform - Platform name
+   * @param {string} action - invitation | message | follow | friendRequest
+   * @param {Object} account - social_accounts row (optional, for overrides and warm-up)
+   * @param {Date} now - Reference time
+   * @returns {Object|null} { daily, weekly }, or null when the action is not capped
+   */
+  getLimits(platform, action, account = null, now = new Date()) {
+    const defaults = manifest.platforms[platform]?.quotas?.[action] || null;
+    const override = account?.metadata?.quotas?.[action] || null;
+
+    if (!defaults && !override) {
+      return null;
+    }
+
+    const daily = override?.daily ?? defaults?.daily ?? Infinity;
+    const warmup = this.getWarmup(account, now);
+
+    return {
+      daily: warmup?.active && warmup.actions.includes(action) ? Math.min(daily, this.getWarmupLimit(warmup, daily)) : daily,
+      weekly: override?.weekly ?? defaults?.weekly ?? Infinity
+    };
+  }
+
+  /**
+   * Warm-up state of an account
+   *
+   * @param {Object} account - social_accounts row
+   * @param {Date} now - Reference time
+   * @returns {Object|null} { active, day, days, startDaily, actions, startedAt, completesAt },
+   *   or null when warm-up does not apply
+   */
+  getWarmup(account, now = new Date()) {
+    const defaults = manifest.platforms[account?.platform]?.warmup || null;
+    const override = account?.metadata?.warmup || {};
+    const config = { ...(defaults || {}), ...override };
+
+    const startedAt = config.startedAt || account?.created_at;
+    if (config.enabled === false || !startedAt || !(config.days > 0)) {
+      return null;
+    }
+
+    const started = new Date(startedAt);
+    const day = Math.floor((now.getTime() - started.getTime()) / 86400000) + 1;
+
+    return {
+      active: day <= config.days,
+      day: Math.min(Math.max(day, 1), config.days),
+      days: config.days,
+      startDaily: config.startDaily ?? 1,
+      actions: config.actions || Object.keys(manifest.platforms[account.platform]?.quotas || {}),
+      startedAt: started.toISOString(),
+      completesAt: new Date(started.getTime() + config.days * 86400000).toISOString()
+    };
+  }
+
+  /**
+   * Daily cap on the current warm-up day, ramping linearly to the target
+   *
+   * @param {Object} warmup - Result of getWarmup()
+   * @param {number} target - Daily quota once warmed up
+   * @returns {number} Allowed daily volume
+   */
+  getWarmupLimit(warmup, target) {
+    if (!Number.isFinite(target)) {
+      return target;
+    }
+
+    const start = Math.min(warmup.startDaily, target);
+    const progress = warmup.days > 1 ? (warmup.day - 1) / (warmup.days - 1) : 1;
+    return Math.round(start + (target - start) * progress);
+  }
+
+  /**
+   * Current quota windows
+   *
+   * @param {Date} now - Reference time
+   * @returns {Object} { usageDate, weekStart, nextDay, nextWeek }
+   */
+  getWindows(now = new Date()) {
+    const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+    const weekStart = new Date(day.getTime() - daysSinceMonday * 86400000);
+
+    return {
+      usageDate: day.toISOString().slice(0, 10),
+      weekStart: weekStart.toISOString().slice(0, 10),
+      nextDay: new Date(day.getTime() + 86400000),
+      nextWeek: new Date(weekStart.getTime() + 7 * 86400000)
+    };
+  }
+
+  /**
+   * Count one send against the account's quota
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} account - social_accounts row
+   * @param {string} action - Quota action
+   * @returns {Promise<Object>} { allowed, usageDate } or { allowed: false, reason, retryAt, limits }
+   */
+  async consume(schema, account, action) {
+    const now = new Date();
+    const limits = this.getLimits(account.platform, action, account, now);
+    const windows = this.getWindows(now);
+
+    if (!limits) {
+      return { allowed: true, usageDate: null };
+    }
+
+    const count = await QuotaUsage.consume(schema, {
+      tenantId: account.tenant_id,
+      accountId: account.account_id,
+      platform: account.platform,
+      action,
+      usageDate: windows.usageDate,
+      weekStart: windows.weekStart,
+      dailyLimit: Number.isFinite(limits.daily) ? limits.daily : Number.MAX_SAFE_INTEGER,
+      weeklyLimit: Number.isFinite(limits.weekly) ? limits.weekly : Number.MAX_SAFE_INTEGER
+    });
+
+    if (count !== null) {
+      return { allowed: true, usageDate: windows.usageDate };
+    }
+
+    // Over quota: defer to whichever window frees up first
+    const usage = await this.getActionUsage(schema, account, action, windows);
+    const reason = usage.weekly_used >= limits.weekly ? 'weekly' : 'daily';
+    const retryAt = reason === 'weekly' ? windows.nextWeek : windows.nextDay;
+
+    console.log(`[QuotaService] ⏳ ${account.platform} ${action} quota reached for account ${account.account_id} (${reason}), next window ${retryAt.toISOString()}`);
+
+    return { allowed: false, reason, retryAt, limits };
+  }
+
+  /**
+   * Give back a send counted by consume() (failed or already-sent)
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} account - social_accounts row
+   * @param {string} action - Quota action
+   * @param {Object} consumed - Result of consume()
+   */
+  async release(schema, account, action, consumed) {
+    if (!consumed?.usageDate) {
+      return;
+    }
+
+    await QuotaUsage.release(schema, {
+      accountId: account.account_id,
+      platform: account.platform,
+      action,
+      usageDate: consumed.usageDate
+    });
+  }
+
+  /**
+   * Usage of one action in the current windows
+   */
+  async getActionUsage(schema, account, action, windows = this.getWindows()) {
+    const rows = await QuotaUsage.getUsage(schema, account.account_id, account.platform, windows.usageDate, windows.weekStart);
+    return rows.find(row => row.action === action) || { action, daily_used: 0, weekly_used: 0 };
+  }
+
+  /**
+   * Remaining quota for every capped action of an account
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} account - social_accounts row
+   * @returns {Promise<Object>} { timezone, warmup, actions: { [action]: { daily, weekly } } }
+   */
+  async getStatus(schema, account) {
+    const now = new Date();
+    const windows = this.getWindows(now);
+    const warmup = this.getWarmup(account, now);
+    const rows = await QuotaUsage.getUsage(schema, account.account_id, account.platform, windows.usageDate, windows.weekStart);
+    const actions = new Set([
+      ...Object.keys(manifest.platforms[account.platform]?.quotas || {}),
+      ...Object.keys(account.metadata?.quotas || {})
+    ]);
+
+    const status = {};
+    for (const action of actions) {
+      const limits = this.getLimits(account.platform, action, account, now);
+      const usage = rows.find(row => row.action === action) || { daily_used: 0, weekly_used: 0 };
+
+      status[action] = {
+        daily: this.describeWindow(limits.daily, usage.daily_used, windows.nextDay),
+        weekly: this.describeWindow(limits.weekly, usage.weekly_used, windows.nextWeek)
+      };
+    }
+
+    return {
+      timezone: 'UTC',
+      warmup: warmup ? {
+        active: warmup.active,
+        day: warmup.day,
+        days: warmup.days,
+        startDaily: warmup.startDaily,
+        startedAt: warmup.startedAt,
+        completesAt: warmup.completesAt,
+        dailyLimits: Object.fromEntries(
+          warmup.actions
+            .filter(action => status[action])
+            .map(action => [action, status[action].daily.limit])
+        )
+      } : null,
+      actions: status
+    };
+  }
+
+  /**
+   * Shape one window for API responses
+   */
+  describeWindow(limit, used, resetsAt) {
+    const capped = Number.isFinite(limit);
+
+    return {
+      limit: capped ? limit : null,
+      used,
+      remaining: capped ? Math.max(limit - used, 0) : null,
+      resetsAt: resetsAt.toISOString()
+    };
+  }
+}
+
+module.exports = QuotaService;
@@ -0,0 +1,236 @@
+/**
+ * Schedule Service
+ *
+ * Per-account send windows (allowed days and hours) for outreach and auto-calls:
+ * - Defaults come from manifest.sendSchedule (off unless enabled)
+ * - An account can override them in social_accounts.metadata.schedule
+ * - Hours are read in the prospect's timezone when it can be inferred from
+ *   employees_cache city / country (useProspectTimezone), else in the
+ *   account's timezone
+ * - Auto-calls use the same days unless schedule.calls narrows them
+ * - Callers outside the window get the start of the next allowed slot to queue for
+ */
+
+const manifest = require('../manifest');
+const TemplateService = require('./TemplateService');
+const { isValidTimezone, inferTimezone, getZonedParts, zonedTimeToUtc } = require('../utils/timezones');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Minutes since midnight of an 'HH:MM' time
+ */
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+class ScheduleService {
+  constructor() {
+    this.templates = new TemplateService();
+  }
+
+  /**
+   * Effective schedule of an account
+   *
+   * @param {Object} account - social_accounts row (optional, for overrides)
+   * @returns {Object} { enabled, timezone, days, start, end, useProspectTimezone, calls: { days, start, end } }
+   */
+  getSchedule(account = null) {
+    const defaults = manifest.sendSchedule || {};
+    const override = account?.metadata?.schedule || {};
+
+    return {
+      ...defaults,
+      ...override,
+      calls: { ...(defaults.calls || {}), ...(override.calls || {}) }
+    };
+  }
+
+  /**
+   * Days and hours that apply to a kind of work
+   *
+   * @param {Object} schedule - Result of getSchedule()
+   * @param {string} kind - 'send' or 'call'
+   * @returns {Object} { days, start, end }
+   */
+  getWindow(schedule, kind = 'send') {
+    const base = { days: schedule.days, start: schedule.start, end: schedule.end };
+    return kind === 'call' ? { ...base, ...schedule.calls } : base;
+  }
+
+  /**
+   * Timezone a window is read in for a prospect
+   *
+   * @param {Object} schedule - Result of getSchedule()
+   * @param {string} prospectTimezone - Inferred prospect timezone (optional)
+   * @returns {string} IANA timezone
+   */
+  getTimezone(schedule, prospectTimezone = null) {
+    if (schedule.useProspectTimezone && isValidTimezone(prospectTimezone)) {
+      return prospectTimezone;
+    }
+    return isValidTimezone(schedule.timezone) ? schedule.timezone : 'UTC';
+  }
+
+  /**
+   * Start of the next allowed slot, or null when work may run now
+   *
+   * @param {Object} account - social_accounts row
+   * @param {Object} options - { kind: 'send'|'call', timezone: prospect timezone, now }
+   * @returns {Date|null}
+   */
+  nextAllowedAt(account, { kind = 'send', timezone = null, now = new Date() } = {}) {
+    const schedule = this.getSchedule(account);
+    if (!schedule.enabled) {
+      return null;
+    }
+
+    return this.nextSlot(this.getWindow(schedule, kind), this.getTimezone(schedule, timezone), now);
+  }
+
+  /**
+   * Next opening of a window in a timezone (null when it is open now)
+   *
+   * @param {Object} window - { days (ISO weekdays, 1 = Monday), start, end ('HH:MM') }
+   * @param {string} timezone - IANA timezone
+   * @param {Date} now - Reference time
+   * @returns {Date|null}
+   */
+  nextSlot(window, timezone, now = new Date()) {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    const local = getZonedParts(now, timezone);
+    const minutes = local.hour * 60 + local.minute;
+
+    if (window.days.includes(local.weekday) && minutes >= start && minutes < end) {
+      return null;
+    }
+
+    for (let offset = 0; offset <= 7; offset++) {
+      const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+      const weekday = day.getUTCDay() || 7;
+      if (!window.days.includes(weekday) || (offset === 0 && minutes >= start)) {
+        continue;
+      }
+      return zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(),
+        Math.floor(start / 60), start % 60, timezone);
+    }
+
+    return null;
+  }
+
+  /**
+   * Prospect timezone per target, inferred from its lead / employees_cache city and country
+   *
+   * @param {string} schema - Tenant schema
+   * @param {string} tenantId - Tenant ID
+   * @param {Array<Object>} targets - Profiles ({ leadId, profile_url, publicIdentifier, city, country, ... })
+   * @returns {Promise<Array<string|null>>} IANA timezone per target, in order
+   */
+  async resolveTimezones(schema, tenantId, targets) {
+    if (targets.length === 0) {
+      return [];
+    }
+
+    const contexts = await this.templates.loadContexts(schema, tenantId, targets);
+    return contexts.map(context => inferTimezone(context.city, context.country));
+  }
+
+  /**
+   * nextAllowedAt() for one prospect, inferring its timezone only when the schedule uses it
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} account - social_accounts row
+   * @param {Object} target - Profile of the prospect
+   * @param {string} kind - 'send' or 'call'
+   * @returns {Promise<Object>} { retryAt: Date|null, timezone (the window is read in), prospectTimezone }
+   */
+  async checkTarget(schema, account, target, kind = 'send') {
+    const schedule = this.getSchedule(account);
+    if (!schedule.enabled) {
+      return { retryAt: null, timezone: null, prospectTimezone: null };
+    }
+
+    const [prospectTimezone] = schedule.useProspectTimezone
+      ? await this.resolveTimezones(schema, account.tenant_id, [target])
+      : [null];
+    const timezone = this.getTimezone(schedule, prospectTimezone);
+
+    return { retryAt: this.nextSlot(this.getWindow(schedule, kind), timezone), timezone, prospectTimezone };
+  }
+
+  /**
+   * Schedule and whether its windows are open now (account timezone)
+   *
+   * @param {Object} account - social_accounts row
+   * @returns {Object} Schedule with sendWindow / callWindow: { open, nextOpenAt }
+   */
+  getStatus(account, now = new Date()) {
+    const schedule = this.getSchedule(account);
+    const timezone = this.getTimezone(schedule);
+    const state = (kind) => {
+      const nextOpenAt = schedule.enabled ? this.nextSlot(this.getWindow(schedule, kind), timezone, now) : null;
+      return { open: !nextOpenAt, nextOpenAt: nextOpenAt ? nextOpenAt.toISOString() : null };
+    };
+
+    return { ...schedule, sendWindow: state('send'), callWindow: state('call') };
+  }
+
+  /**
+   * Validate a schedule override (only the fields given are checked)
+   *
+   * @param {Object} data - { enabled, timezone, days, start, end, useProspectTimezone, calls }
+   * @param {Object} current - Effective schedule the override is merged into
+   * @returns {Object} { valid, errors }
+   */
+  validateSchedule(data, current = this.getSchedule()) {
+    const errors = [];
+
+    for (const field of ['enabled', 'useProspectTimezone']) {
+      if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+        errors.push(`${field} must be a boolean`);
+      }
+    }
+
+    if (data.timezone !== undefined && !isValidTimezone(data.timezone)) {
+      errors.push(`Unknown timezone: ${data.timezone}`);
+    }
+
+    const checkWindow = (window, merged, prefix) => {
+      if (window.days !== undefined) {
+        const valid = Array.isArray(window.days) && window.days.length > 0 &&
+          window.days.every(day => Number.isInteger(day) && day >= 1 && day <= 7);
+        if (!valid) {
+          errors.push(`${prefix}days must be a non-empty array of ISO weekdays (1 = Monday ... 7 = Sunday)`);
+        }
+      }
+
+      for (const field of ['start', 'end']) {
+        if (window[field] !== undefined && !TIME_PATTERN.test(String(window[field]))) {
+          errors.push(`${prefix}${field} must be a time as HH:MM`);
+        }
+      }
+
+      if (TIME_PATTERN.test(String(merged.start)) && TIME_PATTERN.test(String(merged.end)) &&
+        toMinutes(merged.start) >= toMinutes(merged.end)) {
+        errors.push(`${prefix}start must be before ${prefix}end`);
+      }
+    };
+
+    const send = { ...this.getWindow(current, 'send'), ...data };
+    checkWindow(data, send, '');
+
+    if (data.calls !== undefined && data.calls !== null) {
+      if (typeof data.calls !== 'object' || Array.isArray(data.calls)) {
+        errors.push('calls must be an object of { days, start, end }');
+      } else {
+        checkWindow(data.calls, { ...send, ...(current.calls || {}), ...data.calls }, 'calls.');
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+module.exports = ScheduleService;
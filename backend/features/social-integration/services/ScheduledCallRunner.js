@@ -0,0 +1,150 @@
+/**
+ * Scheduled Call Runner
+ *
+ * Places auto-calls that were triggered outside the account's call window:
+ * - A background worker claims due social_scheduled_calls with a short lease
+ * - The lead is reloaded (it may have a phone number by now) and the call goes
+ *   through LinkedInWebhookService.triggerAutoCall like an immediate one
+ * - A call whose window closed again meanwhile (e.g. after downtime) waits
+ *   for the next opening
+ * - A lead called since the call was queued is not called again (cancelled)
+ * - Errors that prove no call was placed (connection refused, an error answer
+ *   from the voice agent API) are retried a few times before the call fails;
+ *   timeouts are not, as the call may have gone out
+ */
+
+const os = require('os');
+const { ScheduledCall } = require('../models');
+const { listTenantSchemas } = require('../utils/tenantSchemas');
+
+const DEFAULT_BATCH_SIZE = 10;
+const LEASE_MINUTES = 5;
+const MAX_ATTEMPTS = 3;
+const RETRY_MINUTES = 15;
+
+class ScheduledCallRunner {
+  /**
+   * @param {Object} webhookService - LinkedInWebhookService (places the calls)
+   */
+  constructor(webhookService) {
+    this.webhookService = webhookService;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.isPolling = false;
+    this.workerInterval = null;
+  }
+
+  /**
+   * Claim due calls and place them one after another
+   *
+   * @param {string} schema - Schema to poll (defaults to every schema holding social_scheduled_calls)
+   * @returns {Promise<number>} Number of calls processed
+   */
+  async poll(schema = null) {
+    if (this.isPolling) {
+      return 0;
+    }
+
+    this.isPolling = true;
+    let processed = 0;
+
+    try {
+      // Calls are queued in their tenant's schema
+      const targets = schema ? [schema] : await listTenantSchemas('social_scheduled_calls');
+      for (const target of targets) {
+        try {
+          const calls = await ScheduledCall.claimDue(target, this.workerId, DEFAULT_BATCH_SIZE, LEASE_MINUTES);
+          for (const call of calls) {
+            try {
+              await this.runCall(target, call);
+            } catch (error) {
+              // The lease expires and the call is retried on a later poll
+              console.error(`[ScheduledCallRunner] Call ${call.id} error:`, error.message);
+            }
+            processed++;
+          }
+        } catch (error) {
+          console.error(`[ScheduledCallRunner] Poll error for schema ${target}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('[ScheduledCallRunner] Poll error:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Place a claimed call
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} call - Claimed social_scheduled_calls row
+   * @returns {Promise<Object|null>} Updated call
+   */
+  async runCall(schema, call) {
+    const result = await this.webhookService.placeScheduledCall(schema, call);
+
+    if (result.scheduled) {
+      console.log(`[ScheduledCallRunner] 🕘 Call ${call.id} moved to ${result.runAt} (outside call window)`);
+      return ScheduledCall.reschedule(schema, call.id, this.workerId, result.runAt, 'outside_call_window');
+    }
+
+    if (result.skipped) {
+      console.log(`[ScheduledCallRunner] ⏭️ Call ${call.id} skipped for lead ${call.lead_id} (${result.reason})`);
+      return ScheduledCall.finish(schema, call.id, this.workerId, 'cancelled', { lastError: result.reason });
+    }
+
+    if (result.success) {
+      console.log(`[ScheduledCallRunner] ✅ Call ${call.id} placed for lead ${call.lead_id}`);
+      return ScheduledCall.finish(schema, call.id, this.workerId, 'completed', { result: result.callData || null });
+    }
+
+    if (result.retryable && call.attempts < MAX_ATTEMPTS) {
+      const retryAt = new Date(Date.now() + RETRY_MINUTES * 60 * 1000);
+      console.log(`[ScheduledCallRunner] ⏳ Call ${call.id} retried at ${retryAt.toISOString()} (${result.error})`);
+      return ScheduledCall.reschedule(schema, call.id, this.workerId, retryAt, result.error);
+    }
+
+    console.log(`[ScheduledCallRunner] ❌ Call ${call.id} failed: ${result.error}`);
+    return ScheduledCall.finish(schema, call.id, this.workerId, 'failed', { lastError: result.error || 'Call not placed' });
+  }
+
+  /**
+   * Start polling for due calls
+   *
+   * @param {number} intervalSeconds - Poll interval
+   */
+  startWorker(intervalSeconds = 60) {
+    if (this.workerInterval) {
+      return;
+    }
+
+    this.workerInterval = setInterval(() => {
+      this.poll().catch(err => {
+        console.error('[ScheduledCallRunner] Scheduled poll error:', err);
+      });
+    }, intervalSeconds * 1000);
+
+    // Never keep the process alive just for the poller
+    if (this.workerInterval.unref) {
+      this.workerInterval.unref();
+    }
+
+    console.log(`[ScheduledCallRunner] ✅ Worker ${this.workerId} started (poll every ${intervalSeconds}s)`);
+  }
+
+  /**
+   * Stop polling; the call in progress finishes
+   */
+  stopWorker() {
+    if (this.workerInterval) {
+      clearInterval(this.workerInterval);
+      this.workerInterval = null;
+    }
+
+    console.log('[ScheduledCallRunner] Worker stopped');
+  }
+}
+
+module.exports = ScheduledCallRunner;
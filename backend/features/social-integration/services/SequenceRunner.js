@@ -0,0 +1,369 @@
+/**
+ * Sequence Runner
+ *
+ * Sends the due steps of sequence enrollments:
+ * - A background worker claims due enrollments with a short lease (safe across replicas)
+ * - invitation: sends the connection request, then waits for the acceptance webhook
+ *   (or exits as not_accepted after the step's acceptTimeoutDays)
+ * - message: sends the message, then schedules the next step after its delay
+ * - Template steps are rendered for the enrollment when sent; a render that
+ *   fails (missing variable, too long for the platform) fails the enrollment
+ * - Quotas, credits and activities work as for single sends; over quota,
+ *   throttled or short of credits the step is retried later
+ * - Outside the account's send window (the prospect's hours where its timezone
+ *   is known) a step waits for the window to open
+ * Replies, declines and unsubscribes exit enrollments through SequenceService,
+ * and the runner never sends to an enrollment that left its sequence.
+ */
+
+const os = require('os');
+const { Sequence, SocialAccount } = require('../models');
+const QuotaService = require('./QuotaService');
+const CreditService = require('./CreditService');
+const ActivityService = require('./ActivityService');
+const TemplateService = require('./TemplateService');
+const ScheduleService = require('./ScheduleService');
+const PlatformValidator = require('../utils/platformValidator');
+const { listTenantSchemas } = require('../utils/tenantSchemas');
+
+const DEFAULT_BATCH_SIZE = 20;
+const LEASE_MINUTES = 5;
+// Fallback deferral when Unipile gives no Retry-After
+const PROVIDER_RETRY_SECONDS = 60;
+// Retry interval while the tenant is short of credits
+const CREDIT_RETRY_MINUTES = 60;
+
+class SequenceRunner {
+  /**
+   * @param {Object} services - Platform services keyed by platform name
+   */
+  constructor(services) {
+    this.services = services;
+    this.quotas = new QuotaService();
+    this.credits = new CreditService();
+    this.activities = new ActivityService();
+    this.templates = new TemplateService();
+    this.schedules = new ScheduleService();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.batchSize = Number(process.env.SOCIAL_SEQUENCE_BATCH_SIZE) || DEFAULT_BATCH_SIZE;
+    this.isPolling = false;
+    this.workerInterval = null;
+  }
+
+  /**
+   * Claim due enrollments and run their steps one after another
+   *
+   * @param {string} schema - Schema to poll (defaults to every schema holding enrollments)
+   * @returns {Promise<number>} Number of enrollments processed
+   */
+  async poll(schema = null) {
+    if (this.isPolling) {
+      return 0;
+    }
+
+    this.isPolling = true;
+    let processed = 0;
+
+    try {
+      // Sequences live in their tenant's schema
+      const targets = schema ? [schema] : await listTenantSchemas('social_sequence_enrollments');
+      for (const target of targets) {
+        try {
+          const enrollments = await Sequence.claimDue(target, this.workerId, this.batchSize, LEASE_MINUTES);
+          for (const enrollment of enrollments) {
+            try {
+              await this.runStep(target, enrollment);
+            } catch (error) {
+              // The lease expires and the step is retried on a later poll
+              console.error(`[SequenceRunner] Enrollment ${enrollment.id} error:`, error.message);
+            }
+            processed++;
+          }
+        } catch (error) {
+          console.error(`[SequenceRunner] Poll error for schema ${target}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('[SequenceRunner] Poll error:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Run the current step of a claimed enrollment
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} enrollment - Claimed enrollment with its sequence's platform, account_id and steps
+   * @returns {Promise<Object|null>} Updated enrollment
+   */
+  async runStep(schema, enrollment) {
+    const steps = enrollment.steps || [];
+    const index = enrollment.current_step;
+
+    // Claimed while waiting for acceptance: the acceptance timeout has passed
+    if (enrollment.status === 'awaiting_acceptance') {
+      console.log(`[SequenceRunner] ⏹️ Enrollment ${enrollment.id} not accepted in time`);
+      return Sequence.advance(schema, enrollment.id, this.workerId, { status: 'exited', exitReason: 'not_accepted' });
+    }
+
+    const step = steps[index];
+    if (!step) {
+      return Sequence.advance(schema, enrollment.id, this.workerId, { status: 'completed' });
+    }
+
+    const service = this.services[enrollment.platform];
+    if (!service) {
+      return Sequence.advance(schema, enrollment.id, this.workerId, {
+        status: 'failed',
+        lastError: `Unsupported platform: ${enrollment.platform}`
+      });
+    }
+
+    // Accounts linked outside social_accounts (legacy user integrations) get default quotas
+    const account = await SocialAccount.findByAccountId(schema, enrollment.tenant_id, enrollment.account_id, enrollment.platform) ||
+      { tenant_id: enrollment.tenant_id, account_id: enrollment.account_id, platform: enrollment.platform, metadata: {}, is_active: true, status: 'connected' };
+    if (!account.is_active || account.status !== 'connected') {
+      return Sequence.advance(schema, enrollment.id, this.workerId, {
+        status: 'failed',
+        lastError: `Account ${enrollment.account_id} is not connected`
+      });
+    }
+
+    const window = await this.schedules.checkTarget(schema, account, {
+      ...enrollment.profile,
+      leadId: enrollment.lead_id,
+      publicIdentifier: enrollment.target_public_identifier || enrollment.profile?.publicIdentifier
+    });
+    if (window.retryAt) {
+      console.log(`[SequenceRunner] 🕘 Enrollment ${enrollment.id} deferred until ${window.retryAt.toISOString()} (outside send window, ${window.timezone})`);
+      return Sequence.defer(schema, enrollment.id, this.workerId, window.retryAt, 'outside_send_window');
+    }
+
+    let text = step.message || null;
+    let template = null;
+    if (step.templateId) {
+      const rendered = await this.templates.renderStep(schema, enrollment, step);
+      if (rendered.error) {
+        console.log(`[SequenceRunner] ❌ Enrollment ${enrollment.id} step ${index} not rendered: ${rendered.error}`);
+        return Sequence.advance(schema, enrollment.id, this.workerId, {
+          status: 'failed',
+          lastError: rendered.error,
+          historyEntry: { step: index, type: step.type, status: 'failed', error: rendered.error, at: new Date().toISOString() }
+        });
+      }
+      text = rendered.text;
+      template = rendered.template;
+    }
+
+    const action = step.type === 'invitation' ? PlatformValidator.getInvitationAction(enrollment.platform) : 'message';
+    const quota = await this.quotas.consume(schema, account, action);
+    if (!quota.allowed) {
+      console.log(`[SequenceRunner] ⏳ Enrollment ${enrollment.id} deferred until ${quota.retryAt.toISOString()} (${quota.reason} ${action} quota)`);
+      return Sequence.defer(schema, enrollment.id, this.workerId, quota.retryAt, `${quota.reason}_quota`);
+    }
+
+    let credits;
+    try {
+      credits = await this.credits.reserve(schema, {
+        tenantId: enrollment.tenant_id,
+        userId: enrollment.user_id,
+        platform: enrollment.platform,
+        action
+      });
+    } catch (error) {
+      await this.quotas.release(schema, account, action, quota);
+      if (error.code !== 'INSUFFICIENT_CREDITS') throw error;
+      const retryAt = new Date(Date.now() + CREDIT_RETRY_MINUTES * 60 * 1000);
+      return Sequence.defer(schema, enrollment.id, this.workerId, retryAt, 'insufficient_credits');
+    }
+
+    const outcome = await this.sendStep(service, enrollment, step, text);
+
+    if (outcome.status !== 'sent') {
+      await this.quotas.release(schema, account, action, quota);
+    }
+
+    if (outcome.status === 'retry') {
+      await this.credits.refund(schema, credits, { reason: outcome.reason });
+      const retryAt = new Date(Date.now() + outcome.retryAfter * 1000);
+      console.log(`[SequenceRunner] ⏳ Enrollment ${enrollment.id} deferred until ${retryAt.toISOString()} (${outcome.reason})`);
+      return Sequence.defer(schema, enrollment.id, this.workerId, retryAt, outcome.reason);
+    }
+
+    const activity = await this.activities.record(schema, {
+      tenantId: enrollment.tenant_id,
+      userId: enrollment.user_id,
+      platform: enrollment.platform,
+      accountId: enrollment.account_id,
+      activityType: step.type === 'invitation' ? 'invitation' : 'message',
+      source: 'sequence',
+      variant: template?.name,
+      status: outcome.status,
+      ...this.activities.describeTarget(enrollment.profile, outcome.profile || {}),
+      targetProfileId: outcome.providerId || enrollment.target_profile_id,
+      content: text,
+      error: outcome.error,
+      metadata: { sequence_id: enrollment.sequence_id, enrollment_id: enrollment.id, step: index, template_id: template?.id }
+    });
+
+    const reference = { referenceType: 'social_activity', referenceId: activity?.id };
+    if (outcome.status === 'sent') {
+      await this.credits.capture(schema, credits, reference);
+    } else {
+      await this.credits.refund(schema, credits, { ...reference, reason: outcome.status });
+    }
+
+    const historyEntry = {
+      step: index,
+      type: step.type,
+      status: outcome.status,
+      activityId: activity?.id || null,
+      error: outcome.error || undefined,
+      at: new Date().toISOString()
+    };
+
+    if (outcome.status === 'failed') {
+      console.log(`[SequenceRunner] ❌ Enrollment ${enrollment.id} step ${index} failed: ${outcome.error}`);
+      return Sequence.advance(schema, enrollment.id, this.workerId, {
+        status: 'failed',
+        lastError: outcome.error,
+        historyEntry
+      });
+    }
+
+    // Invitation out (or already pending): wait for the acceptance webhook
+    if (step.type === 'invitation') {
+      const timeoutAt = step.acceptTimeoutDays
+        ? new Date(Date.now() + step.acceptTimeoutDays * 24 * 60 * 60 * 1000)
+        : null;
+      console.log(`[SequenceRunner] 📤 Enrollment ${enrollment.id} invited, awaiting acceptance`);
+      return Sequence.advance(schema, enrollment.id, this.workerId, {
+        status: 'awaiting_acceptance',
+        currentStep: index + 1,
+        nextRunAt: timeoutAt,
+        targetProfileId: outcome.providerId,
+        historyEntry
+      });
+    }
+
+    const next = steps[index + 1];
+    console.log(`[SequenceRunner] 💬 Enrollment ${enrollment.id} step ${index} sent${next ? '' : ', sequence completed'}`);
+    return Sequence.advance(schema, enrollment.id, this.workerId, {
+      status: next ? 'active' : 'completed',
+      currentStep: index + 1,
+      nextRunAt: next ? new Date(Date.now() + (next.delayMinutes || 0) * 60 * 1000) : null,
+      targetProfileId: outcome.providerId,
+      historyEntry
+    });
+  }
+
+  /**
+   * Send one step's text with the platform service
+   *
+   * @returns {Promise<Object>} { status: 'sent'|'already_sent'|'failed', error, providerId, profile },
+   *   or { status: 'retry', reason, retryAfter } when Unipile asked to back off
+   */
+  async sendStep(service, enrollment, step, text) {
+    const provider = PlatformValidator.getProviderName(enrollment.platform);
+
+    try {
+      if (step.type === 'invitation') {
+        const result = await service.sendInvitation(enrollment.profile, enrollment.account_id, provider, text);
+        if (!result.success) {
+          return { status: 'failed', error: result.error || 'Invitation failed' };
+        }
+        return {
+          status: result.alreadySent ? 'already_sent' : 'sent',
+          error: null,
+          providerId: result.profile?.provider_id || null,
+          profile: result.profile || null
+        };
+      }
+
+      // WhatsApp is addressed by phone number (stored as the target ID)
+      let providerId = enrollment.target_profile_id;
+      if (!providerId && enrollment.platform !== 'whatsapp') {
+        const identifier = enrollment.profile?.profile_url || enrollment.target_public_identifier;
+        const lookup = await service.lookupProfile(identifier, enrollment.account_id, provider);
+        providerId = lookup.providerId;
+      }
+      if (!providerId) {
+        return { status: 'failed', error: 'No provider ID or phone number for the recipient' };
+      }
+
+      const result = enrollment.platform === 'whatsapp'
+        ? await service.sendWhatsAppMessage(providerId, text, enrollment.account_id)
+        : await service.sendMessage(providerId, text, enrollment.account_id, provider);
+
+      if (!result.success) {
+        return { status: 'failed', error: result.error || 'Message failed', providerId };
+      }
+      return { status: 'sent', error: null, providerId };
+    } catch (error) {
+      if (error.response?.status === 429 || error.code === 'CIRCUIT_OPEN') {
+        return {
+          status: 'retry',
+          reason: error.code === 'CIRCUIT_OPEN' ? 'provider_unavailable' : 'provider_throttled',
+          retryAfter: error.retryAfter || PROVIDER_RETRY_SECONDS
+        };
+      }
+
+      console.error(`[SequenceRunner] Step ${step.type} failed for enrollment ${enrollment.id}:`, error.message);
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Wake the worker after enrollments were added or a sequence resumed (non-blocking)
+   *
+   * @param {string} schema - Schema of the sequence
+   */
+  notify(schema) {
+    setImmediate(() => {
+      this.poll(schema).catch(err => {
+        console.error('[SequenceRunner] Error polling enrollments:', err);
+      });
+    });
+  }
+
+  /**
+   * Start polling for due enrollments
+   *
+   * @param {number} intervalSeconds - Poll interval
+   */
+  startWorker(intervalSeconds = 60) {
+    if (this.workerInterval) {
+      return;
+    }
+
+    this.workerInterval = setInterval(() => {
+      this.poll().catch(err => {
+        console.error('[SequenceRunner] Scheduled poll error:', err);
+      });
+    }, intervalSeconds * 1000);
+
+    // Never keep the process alive just for the poller
+    if (this.workerInterval.unref) {
+      this.workerInterval.unref();
+    }
+
+    console.log(`[SequenceRunner] ✅ Worker ${this.workerId} started (poll every ${intervalSeconds}s, batch ${this.batchSize})`);
+  }
+
+  /**
+   * Stop polling; the step in progress finishes
+   */
+  stopWorker() {
+    if (this.workerInterval) {
+      clearInterval(this.workerInterval);
+      this.workerInterval = null;
+    }
+
+    console.log('[SequenceRunner] Worker stopped');
+  }
+}
+
+module.exports = SequenceRunner;
@@ -0,0 +1,218 @@
+/**
+ * Sequence Service
+ *
+ * Validates sequence definitions and applies webhook events to enrollments:
+ * - Acceptance moves awaiting_acceptance enrollments on to their next step
+ * - A decline, a reply or an unsubscribe request takes the profile out of its sequences
+ * Sending is done by SequenceRunner. Like activity recording, webhook
+ * transitions never fail the webhook itself.
+ */
+
+const { Sequence } = require('../models');
+const TemplateService = require('./TemplateService');
+const PlatformValidator = require('../utils/platformValidator');
+const UrlParser = require('../utils/urlParser');
+
+const STEP_TYPES = ['invitation', 'message'];
+const MAX_STEPS = 10;
+const DEFAULT_STOP_KEYWORDS = 'stop,unsubscribe,opt out,remove me';
+
+class SequenceService {
+  constructor() {
+    this.templates = new TemplateService();
+  }
+
+  /**
+   * Validate and normalize step definitions
+   * Delays (delayDays, delayHours, delayMinutes) are stored as delayMinutes;
+   * an invitation step may only come first and waits for acceptance.
+   * A step's text is either a message or a templateId (rendered when the step is sent)
+   *
+   * @param {string} platform - Sequence platform
+   * @param {Array<Object>} steps - Step definitions from the request
+   * @param {Array<Object>} templates - Templates referenced by the steps (see TemplateService.findTemplates)
+   * @returns {Object} { valid, errors, steps }
+   */
+  normalizeSteps(platform, steps, templates = []) {
+    const errors = [];
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return { valid: false, errors: ['steps must be a non-empty array'], steps: [] };
+    }
+
+    if (steps.length > MAX_STEPS) {
+      return { valid: false, errors: [`A sequence can have at most ${MAX_STEPS} steps`], steps: [] };
+    }
+
+    const normalized = steps.map((step, index) => {
+      const label = `steps[${index}]`;
+      const type = step?.type;
+
+      if (!STEP_TYPES.includes(type)) {
+        errors.push(`${label}.type must be one of: ${STEP_TYPES.join(', ')}`);
+        return null;
+      }
+
+      if (type === 'invitation' && index > 0) {
+        errors.push(`${label}: an invitation can only be the first step`);
+      }
+
+      // Acceptance is only reported for connection requests
+      if (type === 'invitation' && !PlatformValidator.supportsFeature(platform, 'send-invitation')) {
+        errors.push(`${label}: ${platform} does not support invitation steps`);
+      }
+
+      if (type === 'message' && !PlatformValidator.supportsFeature(platform, 'messaging')) {
+        errors.push(`${label}: ${platform} does not support messaging`);
+      }
+
+      if (step.templateId !== undefined && step.message) {
+        errors.push(`${label}: use either message or templateId`);
+      }
+
+      if (step.templateId !== undefined) {
+        const template = templates.find(row => row.id === step.templateId);
+        const unusable = template
+          ? this.templates.checkUsable(template, platform, type)
+          : `template ${step.templateId} not found`;
+        if (unusable) {
+          errors.push(`${label}: ${unusable}`);
+        }
+      } else if (type === 'message' && (typeof step.message !== 'string' || !step.message.trim())) {
+        errors.push(`${label}.message or ${label}.templateId is required`);
+      }
+
+      if (typeof step.message === 'string') {
+        const tooLong = this.templates.checkLength(platform, type, step.message);
+        if (tooLong) {
+          errors.push(`${label}: ${tooLong}`);
+        }
+      }
+
+      const delays = ['delayDays', 'delayHours', 'delayMinutes'].map(key => {
+        const value = step[key] === undefined ? 0 : Number(step[key]);
+        if (!Number.isFinite(value) || value < 0) {
+          errors.push(`${label}.${key} must be a non-negative number`);
+          return 0;
+        }
+        return value;
+      });
+      const delayMinutes = Math.round(delays[0] * 1440 + delays[1] * 60 + delays[2]);
+
+      const normalizedStep = { type, delayMinutes };
+      if (step.templateId !== undefined) {
+        normalizedStep.templateId = step.templateId;
+      } else if (step.message) {
+        normalizedStep.message = String(step.message);
+      }
+
+      if (type === 'invitation' && step.acceptTimeoutDays !== undefined) {
+        const timeout = Number(step.acceptTimeoutDays);
+        if (!Number.isFinite(timeout) || timeout <= 0) {
+          errors.push(`${label}.acceptTimeoutDays must be a positive number`);
+        } else {
+          normalizedStep.acceptTimeoutDays = timeout;
+        }
+      }
+
+      return normalizedStep;
+    });
+
+    return { valid: errors.length === 0, errors, steps: normalized };
+  }
+
+  /**
+   * Enrollment row data for a lead/profile from the enroll request
+   *
+   * @param {Object} lead - { leadId, name, profile_url, url, publicIdentifier, providerId }
+   * @returns {Object|null} { leadId, profile, targetProfileId, targetPublicIdentifier }, null without an identity
+   */
+  describeEnrollment(lead = {}) {
+    const profileUrl = lead.profile_url || lead.profileUrl || lead.url || null;
+    const publicIdentifier = lead.publicIdentifier ||
+      (profileUrl ? Object.values(UrlParser.extractAllIdentifiers({ url: profileUrl }))[0] : null) ||
+      null;
+    const providerId = lead.providerId || lead.provider_id || null;
+
+    if (!profileUrl && !publicIdentifier && !providerId) {
+      return null;
+    }
+
+    return {
+      leadId: lead.leadId || null,
+      profile: {
+        name: lead.name || null,
+        profile_url: profileUrl,
+        publicIdentifier
+      },
+      targetProfileId: providerId,
+      targetPublicIdentifier: publicIdentifier
+    };
+  }
+
+  /**
+   * Whether an inbound message asks to stop receiving messages
+   * Keywords come from SOCIAL_SEQUENCE_STOP_KEYWORDS (comma-separated)
+   *
+   * @param {string} text - Message text
+   * @returns {boolean}
+   */
+  isUnsubscribeRequest(text) {
+    if (!text) {
+      return false;
+    }
+
+    const normalized = String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+    const keywords = (process.env.SOCIAL_SEQUENCE_STOP_KEYWORDS || DEFAULT_STOP_KEYWORDS)
+      .split(',')
+      .map(keyword => keyword.trim().toLowerCase())
+      .filter(Boolean);
+
+    return keywords.some(keyword => {
+      const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|\\W)${escaped}(\\W|$)`).test(normalized);
+    });
+  }
+
+  /**
+   * Invitation accepted: continue the profile's sequences from this account
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} match - { tenantId, accountId, targetProfileId, targetPublicIdentifier }
+   * @returns {Promise<Array>} Updated enrollments
+   */
+  async handleAccepted(schema, match) {
+    try {
+      const enrollments = await Sequence.markAccepted(schema, match);
+      for (const enrollment of enrollments) {
+        console.log(`[SequenceService] ✅ Enrollment ${enrollment.id} accepted, now ${enrollment.status}`);
+      }
+      return enrollments;
+    } catch (error) {
+      console.error('[SequenceService] Failed to apply acceptance to sequences:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Take the profile out of its sequences (declined, replied, unsubscribed)
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} match - { tenantId, accountId, targetProfileId, targetPublicIdentifier, reason }
+   * @returns {Promise<Array>} Exited enrollments
+   */
+  async exitForTarget(schema, match) {
+    try {
+      const enrollments = await Sequence.exitForTarget(schema, match);
+      for (const enrollment of enrollments) {
+        console.log(`[SequenceService] ⏹️ Enrollment ${enrollment.id} exited (${match.reason})`);
+      }
+      return enrollments;
+    } catch (error) {
+      console.error(`[SequenceService] Failed to exit sequences (${match.reason}):`, error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = SequenceService;
@@ -0,0 +1,123 @@
+/**
+ * Stage Mapping Service
+ *
+ * Which pipeline stage (lead_stages key) a lead moves to on each social event:
+ * - Tenants map events to their own stage keys (social_stage_mappings)
+ * - Unmapped events use a default key, but only when the tenant has a stage
+ *   with exactly that key (no fuzzy matching on stage names)
+ * - A mapping to null, or a key the tenant does not have, leaves the stage as is
+ */
+
+const { StageMapping } = require('../models');
+
+const STAGE_EVENTS = ['invitation_sent', 'accepted', 'declined', 'replied', 'call_triggered', 'unsubscribed'];
+
+class StageMappingService {
+  /**
+   * Whether a name is a mappable social event
+   */
+  isEvent(event) {
+    return STAGE_EVENTS.includes(event);
+  }
+
+  /**
+   * Default stage key per event
+   * SOCIAL_REPLIED_STAGE_KEY still sets the replied default
+   *
+   * @returns {Object} { [event]: stageKey }
+   */
+  getDefaults() {
+    return {
+      invitation_sent: 'request_sent',
+      accepted: 'request_accepted',
+      declined: 'request_declined',
+      replied: process.env.SOCIAL_REPLIED_STAGE_KEY || 'replied',
+      call_triggered: 'call_triggered',
+      unsubscribed: 'unsubscribed'
+    };
+  }
+
+  /**
+   * Stage keys the events move a tenant's leads to
+   *
+   * @param {string} schema - Tenant schema
+   * @param {string} tenantId - Tenant ID
+   * @param {Array<string>} events - Events to resolve
+   * @returns {Promise<Object>} { [event]: stageKey|null } (null: leave the stage as is)
+   */
+  async resolveStageKeys(schema, tenantId, events) {
+    const defaults = this.getDefaults();
+    return StageMapping.resolve(schema, tenantId, Object.fromEntries(events.map(event => [event, defaults[event]])));
+  }
+
+  /**
+   * Stage key one event moves a tenant's leads to
+   *
+   * @returns {Promise<string|null>}
+   */
+  async resolveStageKey(schema, tenantId, event) {
+    const keys = await this.resolveStageKeys(schema, tenantId, [event]);
+    return keys[event] || null;
+  }
+
+  /**
+   * Effective mapping of every event with where it comes from
+   *
+   * @returns {Promise<Object>} { mappings: [{ event, stageKey (effective), source: 'tenant'|'default',
+   *   configuredKey, defaultKey, updatedAt }], stages (the tenant's lead_stages) }
+   */
+  async getMappings(schema, tenantId) {
+    const [rows, stages, resolved] = await Promise.all([
+      StageMapping.list(schema, tenantId),
+      StageMapping.listStages(schema, tenantId),
+      this.resolveStageKeys(schema, tenantId, STAGE_EVENTS)
+    ]);
+    const defaults = this.getDefaults();
+
+    return {
+      mappings: STAGE_EVENTS.map(event => {
+        const row = rows.find(mapping => mapping.event === event);
+        return {
+          event,
+          stageKey: resolved[event] || null,
+          source: row ? 'tenant' : 'default',
+          configuredKey: row ? row.stage_key : null,
+          defaultKey: defaults[event],
+          updatedAt: row ? row.updated_at : null
+        };
+      }),
+      stages
+    };
+  }
+
+  /**
+   * Validate mappings against the events and the tenant's lead_stages
+   *
+   * @param {Object} mappings - { [event]: stageKey|null }
+   * @returns {Promise<Object>} { valid, errors }
+   */
+  async validateMappings(schema, tenantId, mappings) {
+    const errors = [];
+
+    if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings) || Object.keys(mappings).length === 0) {
+      return { valid: false, errors: [`mappings must be an object of event: stageKey (events: ${STAGE_EVENTS.join(', ')})`] };
+    }
+
+    const stages = await StageMapping.listStages(schema, tenantId);
+    const stageKeys = stages.map(stage => stage.key);
+
+    for (const [event, stageKey] of Object.entries(mappings)) {
+      if (!STAGE_EVENTS.includes(event)) {
+        errors.push(`Unknown event: ${event}. Events: ${STAGE_EVENTS.join(', ')}`);
+      } else if (stageKey !== null && typeof stageKey !== 'string') {
+        errors.push(`${event} must be a stage key or null`);
+      } else if (stageKey !== null && !stageKeys.includes(stageKey)) {
+        errors.push(`${event}: stage '${stageKey}' does not exist in lead_stages`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+module.exports = StageMappingService;
@@ -0,0 +1,324 @@
+/**
+ * Template Service
+ *
+ * Validates and renders message templates:
+ * - {{variable}} placeholders with an optional inline fallback, e.g. {{firstName | there}}
+ * - Values come from the lead, then the employees_cache profile, then the
+ *   profile sent with the request; the template's fallbacks fill what is left
+ * - A variable with no value and no fallback rejects the render rather than
+ *   sending "Hi ,"
+ * - Rendered text must fit the platform's limit for its kind
+ *   (e.g. 300 characters for LinkedIn invitation notes)
+ */
+
+const { MessageTemplate } = require('../models');
+const PlatformValidator = require('../utils/platformValidator');
+const UrlParser = require('../utils/urlParser');
+
+const TEMPLATE_KINDS = ['invitation', 'message'];
+const VARIABLES = ['firstName', 'lastName', 'fullName', 'company', 'title', 'city', 'country'];
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z]+)\s*(?:\|([^}]*))?\}\}/g;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * First non-empty string among the values
+ */
+function firstValue(...values) {
+  for (const value of values) {
+    if (typeof value === 'string' && value.trim()) {
+      return value.trim();
+    }
+  }
+  return null;
+}
+
+class TemplateService {
+  /**
+   * Variables used in a template body
+   *
+   * @param {string} body - Template body
+   * @returns {Array<Object>} [{ name, fallback }] in order of appearance
+   */
+  extractVariables(body) {
+    return [...String(body || '').matchAll(VARIABLE_PATTERN)].map(match => ({
+      name: match[1],
+      fallback: match[2] !== undefined ? match[2].trim() : null
+    }));
+  }
+
+  /**
+   * Validate a template for create (all fields) or update (only the fields given)
+   *
+   * @param {Object} data - { name, kind, platform, body, fallbacks }
+   * @param {Object} options - { partial: true for updates, kind/platform of the existing template }
+   * @returns {Object} { valid, errors }
+   */
+  validateTemplate(data, { partial = false, kind = null, platform = null } = {}) {
+    const errors = [];
+    const templateKind = data.kind !== undefined ? data.kind : kind;
+    const templatePlatform = data.platform !== undefined ? data.platform : platform;
+
+    if (!partial || data.name !== undefined) {
+      if (typeof data.name !== 'string' || !data.name.trim()) {
+        errors.push('name is required');
+      } else if (data.name.length > 255) {
+        errors.push('name cannot exceed 255 characters');
+      }
+    }
+
+    if (!partial && !TEMPLATE_KINDS.includes(templateKind)) {
+      errors.push(`kind must be one of: ${TEMPLATE_KINDS.join(', ')}`);
+    }
+
+    if (!partial && templatePlatform && !PlatformValidator.isPlatformSupported(templatePlatform)) {
+      errors.push(`Unsupported platform: ${templatePlatform}`);
+    }
+
+    if (!partial || data.body !== undefined) {
+      if (typeof data.body !== 'string' || !data.body.trim()) {
+        errors.push('body is required');
+      } else {
+        const unknown = [...new Set(this.extractVariables(data.body).map(v => v.name))]
+          .filter(name => !VARIABLES.includes(name));
+        if (unknown.length > 0) {
+          errors.push(`Unknown variables: ${unknown.join(', ')}. Available: ${VARIABLES.join(', ')}`);
+        }
+
+        // Text outside the placeholders already over the limit can never fit
+        const limit = templatePlatform ? PlatformValidator.getMessageLimit(templatePlatform, templateKind) : null;
+        const fixedLength = data.body.replace(VARIABLE_PATTERN, '').trim().length;
+        if (limit && fixedLength > limit) {
+          errors.push(`body is ${fixedLength} characters without variables; ${templatePlatform} allows ${limit} for ${templateKind === 'invitation' ? 'invitation notes' : 'messages'}`);
+        }
+      }
+    }
+
+    if (data.fallbacks !== undefined && data.fallbacks !== null) {
+      if (typeof data.fallbacks !== 'object' || Array.isArray(data.fallbacks)) {
+        errors.push('fallbacks must be an object of variable: value');
+      } else {
+        for (const [name, value] of Object.entries(data.fallbacks)) {
+          if (!VARIABLES.includes(name)) {
+            errors.push(`fallbacks.${name} is not a known variable`);
+          } else if (typeof value !== 'string') {
+            errors.push(`fallbacks.${name} must be a string`);
+          }
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Whether a template can be used for a send
+   *
+   * @param {Object} template - social_message_templates row
+   * @param {string} platform - Platform of the send
+   * @param {string} kind - 'invitation' or 'message'
+   * @returns {string|null} Reason it cannot, or null
+   */
+  checkUsable(template, platform, kind) {
+    if (template.kind !== kind) {
+      return `Template ${template.id} has kind '${template.kind}', expected '${kind}'`;
+    }
+
+    if (template.platform && template.platform !== platform) {
+      return `Template ${template.id} is for ${template.platform}, not ${platform}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check text against the platform's limit for its kind
+   *
+   * @returns {string|null} Error message when the text is too long, or null
+   */
+  checkLength(platform, kind, text) {
+    const limit = PlatformValidator.getMessageLimit(platform, kind);
+    if (!text || !limit || text.length <= limit) {
+      return null;
+    }
+
+    return `${kind === 'invitation' ? 'Invitation note' : 'Message'} is ${text.length} characters; ${platform} allows ${limit}`;
+  }
+
+  /**
+   * Find templates of a tenant by ID (IDs that are not UUIDs are not found)
+   *
+   * @returns {Promise<Array>} Templates found
+   */
+  async findTemplates(schema, tenantId, ids) {
+    const valid = [...new Set(ids)].filter(id => typeof id === 'string' && UUID_PATTERN.test(id));
+    return MessageTemplate.findByIds(schema, tenantId, valid);
+  }
+
+  /**
+   * Variable values for each target from its lead and employees_cache profile
+   *
+   * @param {string} schema - Tenant schema
+   * @param {string} tenantId - Tenant ID
+   * @param {Array<Object>} targets - Profiles ({ leadId, name, profile_url, publicIdentifier, company, title, city, ... })
+   * @returns {Promise<Array<Object>>} Variable values per target, in order
+   */
+  async loadContexts(schema, tenantId, targets) {
+    const keys = targets.map(target => {
+      const leadId = typeof target.leadId === 'string' && UUID_PATTERN.test(target.leadId) ? target.leadId.toLowerCase() : null;
+      const slug = UrlParser.extractAllIdentifiers(target).linkedin || target.publicIdentifier || null;
+      return { leadId, slug: slug ? String(slug).toLowerCase() : null };
+    });
+
+    const { leads, employees } = await MessageTemplate.findVariableSources(schema, tenantId, {
+      leadIds: [...new Set(keys.map(key => key.leadId).filter(Boolean))],
+      identifiers: [...new Set(keys.map(key => key.slug).filter(Boolean))]
+    });
+
+    return targets.map((target, index) => {
+      const { leadId, slug } = keys[index];
+      const lead = (leadId && leads.find(row => row.id === leadId)) ||
+        (slug && leads.find(row => row.slug === slug)) ||
+        {};
+      const employee = (slug && employees.find(row => row.slug === slug)) || {};
+      return this.buildContext(target, lead, employee);
+    });
+  }
+
+  /**
+   * Variable values from a lead row, an employees_cache row and the request profile
+   */
+  buildContext(profile = {}, lead = {}, employee = {}) {
+    const profileFirst = firstValue(profile.first_name, profile.firstName);
+    const profileLast = firstValue(profile.last_name, profile.lastName);
+    const storedName = firstValue(lead.name, employee.employee_name);
+    const fullName = storedName || firstValue(profile.name, [profileFirst, profileLast].filter(Boolean).join(' '));
+    const [first, ...rest] = fullName ? fullName.split(/\s+/) : [];
+
+    return {
+      fullName,
+      firstName: storedName ? first : firstValue(profileFirst, first),
+      lastName: storedName ? firstValue(rest.join(' ')) : firstValue(profileLast, rest.join(' ')),
+      company: firstValue(lead.company, employee.company_name, profile.company, profile.company_name),
+      title: firstValue(lead.job_title, employee.employee_title, profile.title, profile.job_title),
+      city: firstValue(employee.employee_city, profile.city),
+      country: firstValue(employee.employee_country, profile.country)
+    };
+  }
+
+  /**
+   * Fill a template's variables
+   *
+   * @param {Object} template - { body, fallbacks }
+   * @param {Object} context - Variable values
+   * @returns {Object} { text, missing } (missing: variables with no value or fallback)
+   */
+  render(template, context) {
+    const missing = [];
+    const fallbacks = template.fallbacks || {};
+
+    const text = template.body.replace(VARIABLE_PATTERN, (placeholder, name, inline) => {
+      const value = firstValue(context[name], inline, fallbacks[name]);
+      if (value === null) {
+        missing.push(name);
+        return '';
+      }
+      return value;
+    });
+
+    return { text: text.trim(), missing: [...new Set(missing)] };
+  }
+
+  /**
+   * Render a template for each target and check the platform limit
+   *
+   * @param {Array<Object>} contexts - From loadContexts
+   * @returns {Array<Object>} { text, length, limit, missing, error } per target (error null when it can be sent)
+   */
+  renderAll(template, platform, contexts) {
+    const limit = PlatformValidator.getMessageLimit(platform, template.kind);
+
+    return contexts.map(context => {
+      const { text, missing } = this.render(template, context);
+      let error = null;
+      if (missing.length > 0) {
+        error = `No value for ${missing.join(', ')}`;
+      } else if (!text) {
+        error = 'Rendered message is empty';
+      } else {
+        error = this.checkLength(platform, template.kind, text);
+      }
+      return { text, length: text.length, limit, missing, error };
+    });
+  }
+
+  /**
+   * Load variable values and render a template for each target
+   *
+   * @returns {Promise<Array<Object>>} { text, length, limit, missing, error } per target
+   */
+  async renderForTargets(schema, tenantId, template, platform, targets) {
+    const contexts = await this.loadContexts(schema, tenantId, targets);
+    return this.renderAll(template, platform, contexts);
+  }
+
+  /**
+   * Render each template step of a sequence for the profiles being enrolled
+   *
+   * @param {Object} sequence - social_sequences row
+   * @param {Array<Object>} targets - Profiles being enrolled
+   * @returns {Promise<Array<Object|null>>} Per target, the first failing step ({ step, templateId, error }) or null
+   */
+  async checkSequenceRenders(schema, sequence, targets) {
+    const templateSteps = (sequence.steps || [])
+      .map((step, index) => ({ ...step, index }))
+      .filter(step => step.templateId);
+    const failures = targets.map(() => null);
+
+    if (templateSteps.length === 0 || targets.length === 0) {
+      return failures;
+    }
+
+    const templates = await this.findTemplates(schema, sequence.tenant_id, templateSteps.map(step => step.templateId));
+    const contexts = await this.loadContexts(schema, sequence.tenant_id, targets);
+
+    for (const step of templateSteps) {
+      const template = templates.find(row => row.id === step.templateId);
+      const rendered = template
+        ? this.renderAll(template, sequence.platform, contexts)
+        : targets.map(() => ({ error: `Template ${step.templateId} not found` }));
+
+      rendered.forEach((result, index) => {
+        if (result.error && !failures[index]) {
+          failures[index] = { step: step.index, templateId: step.templateId, error: result.error };
+        }
+      });
+    }
+
+    return failures;
+  }
+
+  /**
+   * Render a sequence step's template for an enrollment at send time
+   *
+   * @param {string} schema - Tenant schema
+   * @param {Object} enrollment - Claimed enrollment (with the sequence's platform)
+   * @param {Object} step - Step with templateId
+   * @returns {Promise<Object>} { text, error, template }
+   */
+  async renderStep(schema, enrollment, step) {
+    const [template] = await this.findTemplates(schema, enrollment.tenant_id, [step.templateId]);
+    if (!template) {
+      return { text: null, error: `Template ${step.templateId} not found`, template: null };
+    }
+
+    const [rendered] = await this.renderForTargets(schema, enrollment.tenant_id, template, enrollment.platform, [{
+      ...enrollment.profile,
+      leadId: enrollment.lead_id,
+      publicIdentifier: enrollment.target_public_identifier || enrollment.profile?.publicIdentifier
+    }]);
+
+    return { text: rendered.text, error: rendered.error, template };
+  }
+}
+
+module.exports = TemplateService;
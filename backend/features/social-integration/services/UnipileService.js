@@ -8,6 +8,22 @@
  */
 
 const axios = require('axios');
+const CircuitBreaker = require('../utils/circuitBreaker');
+
+const RETRY = {
+  maxRetries: parseInt(process.env.UNIPILE_MAX_RETRIES || '3', 10),
+  baseDelayMs: parseInt(process.env.UNIPILE_RETRY_BASE_MS || '500', 10),
+  maxDelayMs: parseInt(process.env.UNIPILE_RETRY_MAX_MS || '10000', 10),
+  // Longer Retry-After values are surfaced to the caller instead of waited out
+  maxRetryAfterSeconds: parseInt(process.env.UNIPILE_RETRY_AFTER_MAX_SECONDS || '30', 10)
+};
+
+// One breaker per process, shared by every platform service instance
+const breaker = new CircuitBreaker({
+  name: 'Unipile',
+  failureThreshold: parseInt(process.env.UNIPILE_BREAKER_FAILURE_THRESHOLD || '5', 10),
+  cooldownMs: parseInt(process.env.UNIPILE_BREAKER_COOLDOWN_SECONDS || '30', 10) * 1000
+});
 
 class UnipileService {
   constructor() {
@@ -66,6 +82,125 @@ class UnipileService {
     };
   }
   
+  /**
+   * Call the Unipile API through the shared HTTP layer
+   * - 429, 5xx and network errors are retried with jittered exponential backoff
+   * - Retry-After is honored; waits above UNIPILE_RETRY_AFTER_MAX_SECONDS are left to the caller
+   * - Non-idempotent calls (POST unless flagged) are only retried on 429, which Unipile never processed
+   * - 5xx and network errors count towards the circuit breaker; while open, calls fail fast
+   *
+   * Errors are rethrown as axios errors (error.response preserved) with
+   * error.retryAfter (seconds) set when the provider asked to back off.
+   *
+   * @param {Object} config - Axios request config (method, url, params, data, timeout)
+   * @param {Object} options
+   * @param {boolean} options.idempotent - Safe to repeat (default: GET and DELETE)
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(config, { idempotent } = {}) {
+    const method = (config.method || 'get').toLowerCase();
+    const retryable = idempotent ?? (method === 'get' || method === 'delete');
+    // A missing token is a local configuration error, not an upstream failure
+    const headers = { ...this.getAuthHeaders(), ...(config.headers || {}) };
+
+    for (let attempt = 0; ; attempt++) {
+      breaker.acquire();
+
+      try {
+        const response = await axios.request({
+          ...config,
+          method,
+          headers
+        });
+        breaker.recordSuccess();
+        return response;
+
+      } catch (error) {
+        const status = error.response?.status;
+        const upstreamFailure = !error.response || status >= 500;
+
+        if (upstreamFailure) {
+          breaker.recordFailure(error);
+        } else if (status === 429) {
+          breaker.release();
+        } else {
+          // Any other answer means Unipile is up
+          breaker.recordSuccess();
+        }
+
+        if (status === 429) {
+          error.retryAfter = UnipileService.parseRetryAfter(error.response.headers?.['retry-after']);
+        }
+
+        const canRetry = status === 429 || (retryable && upstreamFailure);
+        if (!canRetry || attempt >= RETRY.maxRetries) {
+          throw error;
+        }
+
+        // This failure opened the circuit: no point waiting for a retry that would be rejected
+        if (breaker.isOpen()) {
+          throw breaker.openError();
+        }
+
+        if (error.retryAfter && error.retryAfter > RETRY.maxRetryAfterSeconds) {
+          console.warn(`[UnipileService] ⏳ ${method.toUpperCase()} ${config.url} throttled, Retry-After ${error.retryAfter}s`);
+          throw error;
+        }
+
+        const delayMs = error.retryAfter
+          ? error.retryAfter * 1000
+          : UnipileService.getBackoffDelay(attempt);
+
+        console.warn(`[UnipileService] 🔁 ${method.toUpperCase()} ${config.url} failed (${status || error.code || error.message}), retry ${attempt + 1}/${RETRY.maxRetries} in ${delayMs}ms`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  /**
+   * Full-jitter exponential backoff
+   *
+   * @param {number} attempt - Zero-based retry number
+   * @returns {number} Delay in milliseconds
+   */
+  static getBackoffDelay(attempt) {
+    const ceiling = Math.min(RETRY.maxDelayMs, RETRY.baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Parse a Retry-After header (delay in seconds or HTTP date)
+   *
+   * @param {string} value - Header value
+   * @returns {number|null} Seconds to wait, or null when absent/invalid
+   */
+  static parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(Math.ceil(seconds), 0);
+    }
+
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) {
+      return null;
+    }
+
+    return Math.max(Math.ceil((date - Date.now()) / 1000), 0);
+  }
+
+  /**
+   * Circuit breaker state shared by all Unipile calls in this process
+   *
+   * @returns {Object} { state, failures, failureThreshold, openedAt, retryAt, lastFailureAt, lastError }
+   */
+  static getCircuitState() {
+    return breaker.getState();
+  }
+
   /**
    * Look up provider ID from profile URL or public identifier
    * 
@@ -91,19 +226,16 @@ class UnipileService {
       console.log(`[UnipileService] Account ID: ${accountId}`);
       
       const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
       
       // Call Unipile API: GET /users/{provider_public_id}?account_id={account_id}
-      const response = await axios.get(
-        `${baseUrl}/users/${publicIdentifier}`,
-        {
-          headers: headers,
-          params: {
-            account_id: accountId
-          },
-          timeout: 15000
-        }
-      );
+      const response = await this.request({
+        method: 'get',
+        url: `${baseUrl}/users/${publicIdentifier}`,
+        params: {
+          account_id: accountId
+        },
+        timeout: 15000
+      });
       
       console.log(`[UnipileService] Lookup successful`);
       
@@ -188,7 +320,6 @@ class UnipileService {
       
       // Step 2: Send invitation
       const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
       
       const payload = {
         provider: provider,
@@ -202,14 +333,12 @@ class UnipileService {
       
       console.log(`[UnipileService] Sending invitation...`);
       
-      const response = await axios.post(
-        `${baseUrl}/users/invite`,
-        payload,
-        {
-          headers: headers,
-          timeout: 30000
-        }
-      );
+      const response = await this.request({
+        method: 'post',
+        url: `${baseUrl}/users/invite`,
+        data: payload,
+        timeout: 30000
+      });
       
       console.log(`[UnipileService] ✅ Invitation sent successfully`);
       
@@ -306,7 +435,6 @@ class UnipileService {
     
     try {
       const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
       
       const payload = {
         provider: provider,
@@ -317,14 +445,12 @@ class UnipileService {
       
       console.log(`[UnipileService] Sending ${provider} message...`);
       
-      const response = await axios.post(
-        `${baseUrl}/messages/send`,
-        payload,
-        {
-          headers: headers,
-          timeout: 30000
-        }
-      );
+      const response = await this.request({
+        method: 'post',
+        url: `${baseUrl}/messages/send`,
+        data: payload,
+        timeout: 30000
+      });
       
       console.log(`[UnipileService] ✅ Message sent successfully`);
       
@@ -406,15 +532,12 @@ class UnipileService {
     
     try {
       const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
       
-      const response = await axios.get(
-        `${baseUrl}/accounts/${accountId}`,
-        {
-          headers: headers,
-          timeout: 15000
-        }
-      );
+      const response = await this.request({
+        method: 'get',
+        url: `${baseUrl}/accounts/${accountId}`,
+        timeout: 15000
+      });
       
       return response.data?.data || response.data;
       
@@ -424,9 +547,271 @@ class UnipileService {
     }
   }
   
+  /**
+   * Create (connect) an account through Unipile's accounts API
+   *
+   * Unipile responds with either:
+   * - 201 { object: 'AccountCreated', account_id }
+   * - 202 { object: 'Checkpoint', account_id, checkpoint: { type } } (OTP, 2FA, IN_APP_VALIDATION, CAPTCHA, ...)
+   *
+   * @param {Object} payload - Provider-specific connection payload (provider, credentials or cookies)
+   * @returns {Promise<Object>} { accountId, checkpointRequired, checkpoint, data }
+   */
+  async createAccount(payload) {
+    if (!this.isConfigured()) {
+      throw new Error('Unipile is not configured');
+    }
+
+    try {
+      const baseUrl = this.getBaseUrl();
+
+      console.log(`[UnipileService] Creating ${payload.provider} account...`);
+
+      const response = await this.request({
+        method: 'post',
+        url: `${baseUrl}/accounts`,
+        data: payload,
+        timeout: 60000
+      });
+
+      return this.parseAccountResponse(response.data);
+
+    } catch (error) {
+      console.error(`[UnipileService] Create account failed:`, error.message);
+      if (error.response) {
+        console.error(`[UnipileService] Status: ${error.response.status}`);
+      }
+      throw this.toAccountError(error);
+    }
+  }
+
+  /**
+   * Solve a pending account checkpoint (OTP, 2FA, captcha, in-app validation)
+   *
+   * @param {string} accountId - Pending Unipile account ID
+   * @param {string} code - Code or captcha answer submitted by the user
+   * @param {string} provider - Platform provider
+   * @returns {Promise<Object>} { accountId, checkpointRequired, checkpoint, data }
+   */
+  async solveCheckpoint(accountId, code, provider = 'LINKEDIN') {
+    if (!this.isConfigured()) {
+      throw new Error('Unipile is not configured');
+    }
+
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+
+    try {
+      const baseUrl = this.getBaseUrl();
+
+      console.log(`[UnipileService] Solving ${provider} checkpoint for account: ${accountId}`);
+
+      const response = await this.request({
+        method: 'post',
+        url: `${baseUrl}/accounts/checkpoint`,
+        data: {
+          provider: provider,
+          account_id: accountId,
+          code: code
+        },
+        timeout: 60000
+      });
+
+      return this.parseAccountResponse(response.data);
+
+    } catch (error) {
+      console.error(`[UnipileService] Solve checkpoint failed:`, error.message);
+      if (error.response) {
+        console.error(`[UnipileService] Status: ${error.response.status}`);
+      }
+      throw this.toAccountError(error);
+    }
+  }
+
+  /**
+   * Re-authenticate an existing account in place (keeps the same account ID)
+   *
+   * @param {string} accountId - Unipile account ID
+   * @param {Object} payload - Provider-specific connection payload (provider, credentials or cookies)
+   * @returns {Promise<Object>} { accountId, checkpointRequired, checkpoint, data }
+   */
+  async reconnectAccount(accountId, payload) {
+    if (!this.isConfigured()) {
+      throw new Error('Unipile is not configured');
+    }
+
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+
+    try {
+      const baseUrl = this.getBaseUrl();
+
+      console.log(`[UnipileService] Reconnecting ${payload.provider} account: ${accountId}`);
+
+      const response = await this.request({
+        method: 'post',
+        url: `${baseUrl}/accounts/${accountId}/reconnect`,
+        data: payload,
+        timeout: 60000
+      });
+
+      // Reconnect responses may omit account_id since it does not change
+      return this.parseAccountResponse({ account_id: accountId, ...(response.data?.data || response.data) });
+
+    } catch (error) {
+      console.error(`[UnipileService] Reconnect failed:`, error.message);
+      if (error.response) {
+        console.error(`[UnipileService] Status: ${error.response.status}`);
+      }
+      throw this.toAccountError(error);
+    }
+  }
+
+  /**
+   * Get current connection state of an account
+   * Returns null while a checkpoint is pending (account not yet created on Unipile)
+   *
+   * @param {string} accountId - Unipile account ID
+   * @returns {Promise<Object|null>} { status, isConnected, statusMessage, account }
+   */
+  async getAccountStatus(accountId) {
+    try {
+      const account = await this.getAccountInfo(accountId);
+      const statusMessage = account?.sources?.[0]?.status || account?.status || 'unknown';
+
+      return {
+        ...UnipileService.mapAccountStatus(statusMessage),
+        statusMessage,
+        account
+      };
+
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Map Unipile account status messages to our status values
+   *
+   * @param {string} statusMessage - Unipile status (OK, ERROR, STOPPED, CREDENTIALS, ...)
+   * @returns {Object} { status, isConnected }
+   */
+  static mapAccountStatus(statusMessage) {
+    const message = String(statusMessage || 'unknown');
+
+    switch (message.toUpperCase()) {
+      case 'OK':
+      case 'CREATION_SUCCESS':
+      case 'RECONNECTED':
+      case 'SYNC_SUCCESS':
+        return { status: 'connected', isConnected: true };
+      case 'ERROR':
+      case 'STOPPED':
+        return { status: 'stopped', isConnected: false };
+      case 'CREDENTIALS':
+        return { status: 'checkpoint', isConnected: false };
+      case 'CONNECTING':
+        return { status: 'connecting', isConnected: false };
+      case 'DELETED':
+        return { status: 'disconnected', isConnected: false };
+    }
+
+    const lower = message.toLowerCase();
+    if (lower.includes('disconnected') || lower.includes('stopped')) {
+      return { status: 'disconnected', isConnected: false };
+    }
+    if (lower.includes('connected') || lower.includes('active')) {
+      return { status: 'connected', isConnected: true };
+    }
+    if (lower.includes('checkpoint') || lower.includes('credential')) {
+      return { status: 'checkpoint', isConnected: false };
+    }
+
+    return { status: 'unknown', isConnected: false };
+  }
+
+  /**
+   * Get the profile of the connected account itself
+   *
+   * @param {string} accountId - Unipile account ID
+   * @returns {Promise<Object>} Own profile (provider_id, public_identifier, names)
+   */
+  async getOwnProfile(accountId) {
+    if (!this.isConfigured()) {
+      throw new Error('Unipile is not configured');
+    }
+
+    try {
+      const baseUrl = this.getBaseUrl();
+
+      const response = await this.request({
+        method: 'get',
+        url: `${baseUrl}/users/me`,
+        params: {
+          account_id: accountId
+        },
+        timeout: 15000
+      });
+
+      return response.data?.data || response.data;
+
+    } catch (error) {
+      console.error(`[UnipileService] Get own profile failed:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize Unipile AccountCreated / Checkpoint responses
+   *
+   * @param {Object} data - Unipile response body
+   * @returns {Object} { accountId, checkpointRequired, checkpoint, data }
+   */
+  parseAccountResponse(data) {
+    const body = data?.data || data || {};
+    const accountId = body.account_id || body.id;
+
+    if (!accountId) {
+      throw new Error('No account_id found in Unipile response');
+    }
+
+    const checkpointRequired = body.object === 'Checkpoint' || !!body.checkpoint;
+
+    return {
+      accountId: accountId,
+      checkpointRequired: checkpointRequired,
+      checkpoint: checkpointRequired ? (body.checkpoint || {}) : null,
+      data: body
+    };
+  }
+
+  /**
+   * Build a readable error from a failed Unipile account call
+   * Never includes submitted credentials
+   *
+   * @param {Error} error - Axios error
+   * @returns {Error} Error with Unipile detail and HTTP status attached
+   */
+  toAccountError(error) {
+    if (!error.response) {
+      return error;
+    }
+
+    const errorData = error.response.data || {};
+    const accountError = new Error(errorData.detail || errorData.title || errorData.message || error.message);
+    accountError.status = error.response.status;
+    accountError.type = errorData.type;
+    return accountError;
+  }
+
   /**
    * List all accounts for the authenticated user
-   * 
+   *
    * @returns {Promise<Array>} List of accounts
    */
   async listAccounts() {
@@ -436,15 +821,12 @@ class UnipileService {
     
     try {
       const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
       
-      const response = await axios.get(
-        `${baseUrl}/accounts`,
-        {
-          headers: headers,
-          timeout: 15000
-        }
-      );
+      const response = await this.request({
+        method: 'get',
+        url: `${baseUrl}/accounts`,
+        timeout: 15000
+      });
       
       return response.data?.data || response.data || [];
       
@@ -467,15 +849,12 @@ class UnipileService {
     
     try {
       const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
       
-      const response = await axios.delete(
-        `${baseUrl}/accounts/${accountId}`,
-        {
-          headers: headers,
-          timeout: 15000
-        }
-      );
+      const response = await this.request({
+        method: 'delete',
+        url: `${baseUrl}/accounts/${accountId}`,
+        timeout: 15000
+      });
       
       console.log(`[UnipileService] ✅ Account disconnected: ${accountId}`);
       
@@ -505,7 +884,6 @@ class UnipileService {
     
     try {
       const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
       
       const params = {
         account_id: accountId,
@@ -514,14 +892,12 @@ class UnipileService {
       
       console.log(`[UnipileService] Fetching invitations status for account: ${accountId}`);
       
-      const response = await axios.get(
-        `${baseUrl}/users/invitations`,
-        {
-          headers: headers,
-          params: params,
-          timeout: 30000
-        }
-      );
+      const response = await this.request({
+        method: 'get',
+        url: `${baseUrl}/users/invitations`,
+        params: params,
+        timeout: 30000
+      });
       
       const invitations = response.data?.data || response.data || [];
       
@@ -551,7 +927,6 @@ class UnipileService {
     
     try {
       const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
       
       const params = {
         account_id: accountId,
@@ -560,14 +935,12 @@ class UnipileService {
       
       console.log(`[UnipileService] Fetching messages for account: ${accountId}`);
       
-      const response = await axios.get(
-        `${baseUrl}/messages`,
-        {
-          headers: headers,
-          params: params,
-          timeout: 30000
-        }
-      );
+      const response = await this.request({
+        method: 'get',
+        url: `${baseUrl}/messages`,
+        params: params,
+        timeout: 30000
+      });
       
       const messages = response.data?.data || response.data || [];
       
@@ -597,7 +970,6 @@ class UnipileService {
     
     try {
       const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
       
       const params = {
         account_id: accountId,
@@ -606,14 +978,12 @@ class UnipileService {
       
       console.log(`[UnipileService] Fetching conversations for account: ${accountId}`);
       
-      const response = await axios.get(
-        `${baseUrl}/conversations`,
-        {
-          headers: headers,
-          params: params,
-          timeout: 30000
-        }
-      );
+      const response = await this.request({
+        method: 'get',
+        url: `${baseUrl}/conversations`,
+        params: params,
+        timeout: 30000
+      });
       
       const conversations = response.data?.data || response.data || [];
       
@@ -628,6 +998,102 @@ class UnipileService {
       throw error;
     }
   }
+  
+  /**
+   * List chats for an account (one page)
+   * Used by the inbox sync; newest chats first
+   * 
+   * @param {string} accountId - Unipile account ID
+   * @param {Object} options - { cursor, limit, after } (after: ISO date, only chats active since)
+   * @returns {Promise<Object>} { items, cursor }
+   */
+  async listChats(accountId, { cursor = null, limit = 50, after = null } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Unipile is not configured');
+    }
+    
+    try {
+      const params = { account_id: accountId, limit };
+      if (cursor) params.cursor = cursor;
+      if (after) params.after = after;
+      
+      const response = await this.request({
+        method: 'get',
+        url: `${this.getBaseUrl()}/chats`,
+        params: params,
+        timeout: 30000
+      });
+      
+      return {
+        items: response.data?.items || [],
+        cursor: response.data?.cursor || null
+      };
+      
+    } catch (error) {
+      console.error(`[UnipileService] List chats failed:`, error.message);
+      throw error;
+    }
+  }
+  
+  /**
+   * List messages in a chat (one page, newest first)
+   * 
+   * @param {string} chatId - Unipile chat ID
+   * @param {Object} options - { cursor, limit }
+   * @returns {Promise<Object>} { items, cursor }
+   */
+  async listChatMessages(chatId, { cursor = null, limit = 20 } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Unipile is not configured');
+    }
+    
+    try {
+      const params = { limit };
+      if (cursor) params.cursor = cursor;
+      
+      const response = await this.request({
+        method: 'get',
+        url: `${this.getBaseUrl()}/chats/${encodeURIComponent(chatId)}/messages`,
+        params: params,
+        timeout: 30000
+      });
+      
+      return {
+        items: response.data?.items || [],
+        cursor: response.data?.cursor || null
+      };
+      
+    } catch (error) {
+      console.error(`[UnipileService] List chat messages failed:`, error.message);
+      throw error;
+    }
+  }
+  
+  /**
+   * List attendees of a chat
+   * 
+   * @param {string} chatId - Unipile chat ID
+   * @returns {Promise<Array>} Attendees
+   */
+  async listChatAttendees(chatId) {
+    if (!this.isConfigured()) {
+      throw new Error('Unipile is not configured');
+    }
+    
+    try {
+      const response = await this.request({
+        method: 'get',
+        url: `${this.getBaseUrl()}/chats/${encodeURIComponent(chatId)}/attendees`,
+        timeout: 15000
+      });
+      
+      return response.data?.items || [];
+      
+    } catch (error) {
+      console.error(`[UnipileService] List chat attendees failed:`, error.message);
+      throw error;
+    }
+  }
 }
 
 module.exports = UnipileService;
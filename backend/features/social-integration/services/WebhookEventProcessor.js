@@ -0,0 +1,255 @@
+/**
+ * Webhook Event Processor
+ *
+ * Persists every verified webhook delivery to webhook_events and processes it
+ * asynchronously through LinkedInWebhookService:
+ * - Deliveries are keyed by provider event ID or canonical payload hash
+ * - The webhook is acknowledged as soon as the event is stored
+ * - Events are stored in the owning tenant's schema (the default schema when
+ *   no tenant owns the account); the worker drains every schema holding webhook_events
+ * - A background worker claims due events (SKIP LOCKED, safe across replicas)
+ * - Failures retry with exponential backoff, then move to webhook_dead_letters
+ */
+
+const os = require('os');
+const { WebhookEvent, WebhookDeadLetter } = require('../models');
+const { getSchema } = require('../utils/schemaHelper');
+const { listTenantSchemas } = require('../utils/tenantSchemas');
+const { buildEventKey } = require('../utils/webhookEventKey');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const DEFAULT_RETRY_MAX_SECONDS = 3600;
+const DEFAULT_BATCH_SIZE = 10;
+
+class WebhookEventProcessor {
+  /**
+   * @param {LinkedInWebhookService} webhookService - Event handler
+   */
+  constructor(webhookService) {
+    this.webhookService = webhookService;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.maxAttempts = Number(process.env.UNIPILE_WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    this.retryBaseSeconds = Number(process.env.UNIPILE_WEBHOOK_RETRY_BASE_SECONDS) || DEFAULT_RETRY_BASE_SECONDS;
+    this.retryMaxSeconds = Number(process.env.UNIPILE_WEBHOOK_RETRY_MAX_SECONDS) || DEFAULT_RETRY_MAX_SECONDS;
+    // Events handled by this worker whose completion could not be written yet
+    this.handledEvents = new Map();
+    this.isProcessing = false;
+    this.pendingDrain = false;
+    this.workerInterval = null;
+  }
+
+  /**
+   * Store a delivery
+   *
+   * @param {Object} payload - Verified webhook payload
+   * @param {Object} context - req.webhookContext ({ tenantId, accountId, schema })
+   * @returns {Promise<Object>} { event, duplicate }
+   */
+  async ingest(payload, context = {}) {
+    const schema = context.schema || getSchema();
+    const { idempotencyKey, providerEventId, payloadHash, eventType } = buildEventKey(payload, {
+      dedupWindowMinutes: Number(process.env.UNIPILE_WEBHOOK_DEDUP_WINDOW_MINUTES) || undefined
+    });
+
+    const event = await WebhookEvent.record(schema, {
+      tenantId: context.tenantId,
+      idempotencyKey,
+      providerEventId,
+      eventType,
+      accountId: context.accountId,
+      payload,
+      payloadHash
+    });
+
+    console.log(`[WebhookEventProcessor] ${event.inserted ? '📥 Stored' : '♻️ Duplicate'} event ${event.id} (${eventType || 'unknown'}, key: ${idempotencyKey})`);
+
+    return { event, duplicate: !event.inserted };
+  }
+
+  /**
+   * Exponential backoff with jitter for the given attempt number
+   *
+   * @param {number} attempt - Attempts made so far (1-based)
+   * @returns {number} Delay in seconds
+   */
+  getRetryDelaySeconds(attempt) {
+    const exponential = this.retryBaseSeconds * Math.pow(2, Math.max(attempt - 1, 0));
+    const capped = Math.min(exponential, this.retryMaxSeconds);
+    const jitter = Math.random() * 0.2 * capped;
+    return Math.round(capped + jitter);
+  }
+
+  /**
+   * Process one claimed event
+   * An event whose handler already succeeded is only completed, never dispatched again
+   *
+   * @param {string} schema - Schema the event was claimed from
+   * @param {Object} event - Claimed webhook_events row
+   * @returns {Promise<Object>} { status, result, error }
+   */
+  async processEvent(schema, event) {
+    const handled = this.handledEvents.get(event.id);
+    if (handled) {
+      return this.completeEvent(schema, event, handled.status, handled.result);
+    }
+
+    let result;
+    try {
+      result = await this.webhookService.dispatch(event.payload);
+    } catch (error) {
+      if (event.attempts >= this.maxAttempts) {
+        await WebhookDeadLetter.moveFromEvent(schema, event.id, this.workerId, error.message);
+        console.error(`[WebhookEventProcessor] ☠️ Event ${event.id} dead-lettered after ${event.attempts} attempts:`, error.message);
+        return { status: 'dead_lettered', error: error.message };
+      }
+
+      const delaySeconds = this.getRetryDelaySeconds(event.attempts);
+      await WebhookEvent.scheduleRetry(schema, event.id, this.workerId, error.message, delaySeconds);
+      console.warn(`[WebhookEventProcessor] ⚠️ Event ${event.id} failed (attempt ${event.attempts}/${this.maxAttempts}), retrying in ${delaySeconds}s:`, error.message);
+      return { status: 'failed', error: error.message };
+    }
+
+    return this.completeEvent(schema, event, result?.skipped ? 'skipped' : 'processed', result);
+  }
+
+  /**
+   * Record a handled event's outcome
+   * The handler's side effects (calls, sequence steps, charges) have happened,
+   * so a failed write is retried on later drains instead of re-queueing the event
+   *
+   * @returns {Promise<Object>} { status, result, error }
+   */
+  async completeEvent(schema, event, status, result) {
+    try {
+      const completed = await WebhookEvent.complete(schema, event.id, this.workerId, status, {
+        result: result || null,
+        tenantId: result?.tenantId || null
+      });
+      this.handledEvents.delete(event.id);
+
+      if (!completed) {
+        console.warn(`[WebhookEventProcessor] ⚠️ Event ${event.id} ${status}, but its claim was taken over by another worker`);
+        return { status: 'lease_lost', result };
+      }
+
+      console.log(`[WebhookEventProcessor] ✅ Event ${event.id} ${status} (attempt ${event.attempts})`);
+      return { status, result };
+    } catch (error) {
+      this.handledEvents.set(event.id, { schema, event, status, result });
+      console.error(`[WebhookEventProcessor] ❌ Event ${event.id} ${status} but could not be marked; retrying on the next drain:`, error.message);
+      return { status: 'completion_pending', result, error: error.message };
+    }
+  }
+
+  /**
+   * Claim and process due events until the queue is empty
+   * Concurrent calls in the same process are coalesced into one extra pass
+   *
+   * @returns {Promise<number>} Number of events processed in this call
+   */
+  async drain() {
+    if (this.isProcessing) {
+      this.pendingDrain = true;
+      return 0;
+    }
+
+    this.isProcessing = true;
+    let processed = 0;
+
+    try {
+      do {
+        this.pendingDrain = false;
+
+        for (const { schema, event, status, result } of [...this.handledEvents.values()]) {
+          await this.completeEvent(schema, event, status, result);
+        }
+
+        // Events live in their tenant's schema
+        const schemas = await listTenantSchemas('webhook_events');
+        for (const schema of schemas) {
+          try {
+            processed += await this.drainSchema(schema);
+          } catch (error) {
+            console.error(`[WebhookEventProcessor] Queue drain error for schema ${schema}:`, error.message);
+          }
+        }
+      } while (this.pendingDrain);
+    } catch (error) {
+      console.error('[WebhookEventProcessor] Queue drain error:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Claim and process the due events of one schema
+   *
+   * @param {string} schema - Tenant schema
+   * @returns {Promise<number>} Number of events processed
+   */
+  async drainSchema(schema) {
+    let processed = 0;
+    let batch;
+    do {
+      batch = await WebhookEvent.claimDue(schema, this.workerId, DEFAULT_BATCH_SIZE);
+      for (const event of batch) {
+        await this.processEvent(schema, event);
+        processed++;
+      }
+    } while (batch.length === DEFAULT_BATCH_SIZE);
+
+    return processed;
+  }
+
+  /**
+   * Wake the worker after a new event is stored (non-blocking)
+   */
+  notify() {
+    setImmediate(() => {
+      this.drain().catch(err => {
+        console.error('[WebhookEventProcessor] Error draining queue:', err);
+      });
+    });
+  }
+
+  /**
+   * Start polling for due events (retries, events stored by other replicas)
+   *
+   * @param {number} intervalSeconds - Poll interval
+   */
+  startWorker(intervalSeconds = 15) {
+    if (this.workerInterval) {
+      return;
+    }
+
+    this.workerInterval = setInterval(() => {
+      this.drain().catch(err => {
+        console.error('[WebhookEventProcessor] Scheduled drain error:', err);
+      });
+    }, intervalSeconds * 1000);
+
+    // Never keep the process alive just for the poller
+    if (this.workerInterval.unref) {
+      this.workerInterval.unref();
+    }
+
+    console.log(`[WebhookEventProcessor] ✅ Worker ${this.workerId} started (poll every ${intervalSeconds}s, max ${this.maxAttempts} attempts)`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stopWorker() {
+    if (this.workerInterval) {
+      clearInterval(this.workerInterval);
+      this.workerInterval = null;
+    }
+
+    console.log('[WebhookEventProcessor] Worker stopped');
+  }
+}
+
+module.exports = WebhookEventProcessor;
@@ -93,7 +93,6 @@ class WhatsAppIntegration extends UnipileService {
     try {
       const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
       const baseUrl = this.getBaseUrl();
-      const headers = this.getAuthHeaders();
       
       const payload = {
         provider: this.provider,
@@ -105,14 +104,12 @@ class WhatsAppIntegration extends UnipileService {
       
       console.log(`[WhatsAppIntegration] Sending media message to ${normalizedPhone}`);
       
-      const response = await axios.post(
-        `${baseUrl}/messages/send-media`,
-        payload,
-        {
-          headers: headers,
-          timeout: 30000
-        }
-      );
+      const response = await this.request({
+        method: 'post',
+        url: `${baseUrl}/messages/send-media`,
+        data: payload,
+        timeout: 30000
+      });
       
       console.log(`[WhatsAppIntegration] ✅ Media message sent`);
       
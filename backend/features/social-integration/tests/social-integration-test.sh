@@ -12,6 +12,7 @@ NC='\033[0m' # No Color
 # Configuration
 BASE_URL="http://localhost:3004"
 API_BASE="/api/social-integration"
+TEST_LEAD_ID="${TEST_LEAD_ID:-}"   # Existing lead for the timeline test (skipped when empty)
 
 # Test counters
 TOTAL_TESTS=0
@@ -47,12 +48,15 @@ test_endpoint() {
     local endpoint=$2
     local data=$3
     local description=$4
+    local extra_header=$5
+    local expected_status=$6
     
     if [ "$method" == "GET" ]; then
         response=$(curl -s -w "\n%{http_code}" "$BASE_URL$API_BASE$endpoint")
     else
         response=$(curl -s -w "\n%{http_code}" -X "$method" \
             -H "Content-Type: application/json" \
+            ${extra_header:+-H "$extra_header"} \
             -d "$data" \
             "$BASE_URL$API_BASE$endpoint")
     fi
@@ -62,8 +66,12 @@ test_endpoint() {
     # Extract body (all except last line)
     body=$(echo "$response" | sed '$d')
     
-    # Check if status code is 2xx
-    if [[ $status_code =~ ^2[0-9]{2}$ ]]; then
+    # Check status code: the expected one when given, otherwise any 2xx
+    local expected_pattern="^2[0-9]{2}$"
+    if [ -n "$expected_status" ]; then
+        expected_pattern="^${expected_status}$"
+    fi
+    if [[ $status_code =~ $expected_pattern ]]; then
         print_result 0 "$description (HTTP $status_code)"
         echo "  Response: $(echo $body | jq -c '.' 2>/dev/null || echo $body)"
         return 0
@@ -154,6 +162,18 @@ main() {
         "delayMs": 1000
     }'
     test_endpoint "POST" "/linkedin/batch-send-invitations" "$batch_linkedin_data" "Batch send LinkedIn invitations (dry run)"
+    test_endpoint "GET" "/invitation-jobs" "" "List batch invitation jobs"
+    test_endpoint "GET" "/credits" "" "Credit balance and ledger"
+    test_endpoint "GET" "/activities/stats?type=invitation" "" "Activity stats"
+    test_endpoint "GET" "/analytics/funnel?groupBy=user,source" "" "Outreach funnel analytics"
+    test_endpoint "GET" "/sequences" "" "List outreach sequences"
+    test_endpoint "GET" "/templates?kind=invitation" "" "List invitation templates"
+    test_endpoint "GET" "/scheduled-calls" "" "List auto-calls waiting for their call window"
+    test_endpoint "GET" "/stage-mappings" "" "Lead stage mapping for social events"
+    test_endpoint "GET" "/leads/duplicates" "" "Probable duplicate leads"
+    if [ -n "$TEST_LEAD_ID" ]; then
+        test_endpoint "GET" "/leads/$TEST_LEAD_ID/social-timeline" "" "Lead social timeline"
+    fi
     
     # Test 7: List accounts
     print_header "Test 7: Account Management"
@@ -164,7 +184,7 @@ main() {
     
     webhook_data='{
         "event": "connection.accepted",
-        "timestamp": "2024-01-01T00:00:00Z",
+        "timestamp": "'"$(date -u +%Y-%m-%dT%H:%M:%SZ)"'",
         "data": {
             "recipient": {
                 "linkedin_profile_url": "https://linkedin.com/in/test",
@@ -173,7 +193,14 @@ main() {
             "status": "accepted"
         }
     }'
-    test_endpoint "POST" "/webhook" "$webhook_data" "Handle webhook event"
+    test_endpoint "POST" "/webhook" "$webhook_data" "Handle webhook event" "Unipile-Auth: ${UNIPILE_WEBHOOK_SECRET}"
+    
+    # Unsigned delivery must be rejected (expect 401)
+    test_endpoint "POST" "/webhook" "$webhook_data" "Unsigned webhook should be rejected" "" "401"
+    
+    # Apollo callback for an unknown reveal must be rejected (expect 401)
+    test_endpoint "POST" "/webhook/apollo/phone-reveal/00000000-0000-0000-0000-000000000000?token=invalid" '{"people":[]}' "Apollo phone reveal callback with unknown token should be rejected" "" "401"
+    test_endpoint "POST" "/webhook/apollo/phone-reveal/not-a-uuid?token=invalid" '{"people":[]}' "Apollo phone reveal callback with a malformed reveal ID should be rejected" "" "401"
     
     # Test 9: Validation tests
     print_header "Test 9: Validation Tests"
@@ -0,0 +1,136 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops calling a failing upstream so requests fail fast instead of waiting
+ * for their full timeout:
+ * - closed: calls go through, consecutive failures are counted
+ * - open: calls are rejected until the cooldown has passed
+ * - half_open: a single probe call decides between closed and open
+ */
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Name used in logs and errors
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.cooldownMs - How long the circuit stays open before a probe
+   */
+  constructor({ name, failureThreshold = 5, cooldownMs = 30000 }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Reserve a call, or throw when the circuit is open
+   * Moves an open circuit to half_open once the cooldown has passed
+   *
+   * @throws {Error} code CIRCUIT_OPEN with retryAfter (seconds)
+   */
+  acquire(now = Date.now()) {
+    if (this.state === 'open' && now - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      this.probeInFlight = false;
+      console.log(`[CircuitBreaker] 🔄 ${this.name} half-open, probing`);
+    }
+
+    if (this.state === 'closed') {
+      return;
+    }
+
+    if (this.state === 'half_open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return;
+    }
+
+    throw this.openError(now);
+  }
+
+  /**
+   * Whether calls are currently rejected
+   */
+  isOpen(now = Date.now()) {
+    return this.state === 'open' && now - this.openedAt < this.cooldownMs;
+  }
+
+  /**
+   * Error thrown for rejected calls
+   *
+   * @returns {Error} code CIRCUIT_OPEN, status 503, retryAfter in seconds
+   */
+  openError(now = Date.now()) {
+    const retryAt = this.state === 'open' ? this.openedAt + this.cooldownMs : now + 1000;
+    const error = new Error(`${this.name} is unavailable (circuit open)`);
+    error.code = 'CIRCUIT_OPEN';
+    error.status = 503;
+    error.retryAfter = Math.max(Math.ceil((retryAt - now) / 1000), 1);
+    return error;
+  }
+
+  /**
+   * Record a successful call
+   */
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`[CircuitBreaker] ✅ ${this.name} recovered, circuit closed`);
+    }
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Record a failed call; opens the circuit at the threshold or on a failed probe
+   *
+   * @param {Error} error - Failure that is counted against the upstream
+   */
+  recordFailure(error, now = Date.now()) {
+    this.failures++;
+    this.lastFailureAt = now;
+    this.lastError = error?.message || null;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`[CircuitBreaker] 🚫 ${this.name} circuit open after ${this.failures} failure(s), cooling down ${Math.round(this.cooldownMs / 1000)}s`);
+      }
+      this.state = 'open';
+      this.openedAt = now;
+      this.probeInFlight = false;
+    }
+  }
+
+  /**
+   * Release a reserved call that neither succeeded nor failed against the upstream
+   * (e.g. a 4xx), so a half-open circuit can be probed again
+   */
+  release() {
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Snapshot for status endpoints
+   */
+  getState(now = Date.now()) {
+    const open = this.state === 'open';
+
+    return {
+      state: open && now - this.openedAt >= this.cooldownMs ? 'half_open' : this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: open ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
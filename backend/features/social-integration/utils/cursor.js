@@ -0,0 +1,68 @@
+/**
+ * Cursor Pagination Utility
+ *
+ * Opaque keyset cursors: base64url-encoded { t: ISO timestamp, id }.
+ * Queries page with `(date_trunc('milliseconds', sort_column), id) < (cursor.t, cursor.id)`
+ * and order by the same expression, DESC: cursors carry milliseconds while Postgres
+ * stores microseconds, so comparing the raw column skips or repeats rows that
+ * share a millisecond.
+ */
+
+/**
+ * Encode a cursor from the last row of a page
+ *
+ * @param {Date|string} timestamp - Sort column value
+ * @param {string} id - Row ID (tie-breaker)
+ * @returns {string} Cursor
+ */
+function encodeCursor(timestamp, id) {
+  const t = timestamp instanceof Date ? timestamp.toISOString() : timestamp;
+  return Buffer.from(JSON.stringify({ t, id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ *
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} { t, id }, or null when absent
+ * @throws {Error} When the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!t || !id || Number.isNaN(Date.parse(t))) {
+      throw new Error('missing fields');
+    }
+    return { t, id: String(id) };
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+}
+
+/**
+ * Split a limit+1 result into a page and its next cursor
+ *
+ * @param {Array<Object>} rows - Rows fetched with LIMIT limit + 1
+ * @param {number} limit - Page size
+ * @param {string} sortColumn - Row property used for ordering
+ * @param {string} idColumn - Row property used as tie-breaker
+ * @returns {Object} { items, nextCursor }
+ */
+function paginate(rows, limit, sortColumn, idColumn = 'id') {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    nextCursor: hasMore && last ? encodeCursor(last[sortColumn], last[idColumn]) : null
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  paginate
+};
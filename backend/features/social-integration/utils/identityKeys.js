@@ -0,0 +1,20 @@
+/**
+ * Identity Key Expressions
+ *
+ * SQL expressions shared by every query that matches leads by their LinkedIn
+ * profile URL. They must stay identical to the expression indexed by
+ * idx_lead_social_linkedin_slug (migration 018), otherwise Postgres cannot use
+ * the index and falls back to scanning lead_social.
+ */
+
+/**
+ * LinkedIn public identifier (slug) of a stored profile URL, lowercased
+ *
+ * @param {string} column - Trusted column reference (e.g. 'ls.linkedin'), never user input
+ * @returns {string} SQL expression
+ */
+const LINKEDIN_SLUG = (column) => `LOWER(SUBSTRING(${column} FROM 'linkedin\\.com/in/([^/?#]+)'))`;
+
+module.exports = {
+  LINKEDIN_SLUG
+};
@@ -91,6 +91,49 @@ class PlatformValidator {
     return cost;
   }
   
+  /**
+   * Get the action an invitation maps to on a platform
+   * (LinkedIn: invitation, Instagram: follow, Facebook: friendRequest)
+   * 
+   * @param {string} platform - Platform name
+   * @returns {string} Action name used for costs and quotas
+   */
+  static getInvitationAction(platform) {
+    const config = this.getPlatformConfig(platform);
+    if (!config) {
+      throw new Error(`Unsupported platform: ${platform}`);
+    }
+    
+    return config.invitationAction || 'invitation';
+  }
+  
+  /**
+   * Longest text a platform accepts for an invitation note or a message
+   * 
+   * @param {string} platform - Platform name
+   * @param {string} kind - 'invitation' or 'message'
+   * @returns {number|null} Character limit, or null when the platform sets none
+   */
+  static getMessageLimit(platform, kind) {
+    const config = this.getPlatformConfig(platform);
+    return config?.messageLimits?.[kind] || null;
+  }
+  
+  /**
+   * Add an error when text is longer than the platform allows for its kind
+   * 
+   * @param {Array<string>} errors - Errors collected so far
+   * @param {string} platform - Platform name
+   * @param {string} kind - 'invitation' or 'message'
+   * @param {string} text - Text to check
+   */
+  static checkMessageLength(errors, platform, kind, text) {
+    const limit = this.getMessageLimit(platform, kind);
+    if (limit && typeof text === 'string' && text.length > limit) {
+      errors.push(`${kind === 'invitation' ? 'customMessage' : 'message'} cannot exceed ${limit} characters on ${platform}`);
+    }
+  }
+  
   /**
    * List all enabled platforms
    * 
@@ -139,12 +182,14 @@ class PlatformValidator {
         if (!payload.accountId) {
           errors.push('accountId is required');
         }
+        this.checkMessageLength(errors, platform, 'invitation', payload.customMessage);
         break;
       
       case 'send-message':
         if (!payload.message) {
           errors.push('message is required');
         }
+        this.checkMessageLength(errors, platform, 'message', payload.message);
         if (!payload.providerId && !payload.phoneNumber) {
           errors.push('providerId or phoneNumber is required');
         }
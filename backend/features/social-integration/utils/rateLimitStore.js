@@ -0,0 +1,112 @@
+/**
+ * Rate Limit Stores
+ *
+ * Fixed-window counters for the rate limit middleware.
+ * A store implements `increment(key, windowMs)` and resolves
+ * `{ count, resetAt }` (resetAt in epoch milliseconds):
+ * - MemoryStore: per-process, for a single instance
+ * - PostgresStore: shared across instances through social_rate_limits
+ * Any other shared backend (e.g. Redis) can be plugged in with the same method.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { getDefaultSchema, validateSchema } = require('./schemaHelper');
+
+/**
+ * Start of the fixed window containing `now`
+ */
+function getWindowStart(windowMs, now = Date.now()) {
+  return Math.floor(now / windowMs) * windowMs;
+}
+
+class MemoryStore {
+  /**
+   * @param {number} cleanupIntervalMs - How often expired windows are dropped
+   */
+  constructor(cleanupIntervalMs = 60 * 1000) {
+    this.counters = new Map();
+
+    this.cleanupInterval = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    // Never keep the process alive just for cleanup
+    if (this.cleanupInterval.unref) {
+      this.cleanupInterval.unref();
+    }
+  }
+
+  async increment(key, windowMs) {
+    const windowStart = getWindowStart(windowMs);
+    const resetAt = windowStart + windowMs;
+    const counterKey = `${key}:${windowStart}`;
+
+    const counter = this.counters.get(counterKey) || { count: 0, resetAt };
+    counter.count++;
+    this.counters.set(counterKey, counter);
+
+    return { count: counter.count, resetAt };
+  }
+
+  /**
+   * Drop windows that have ended
+   */
+  cleanup(now = Date.now()) {
+    for (const [counterKey, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(counterKey);
+      }
+    }
+  }
+}
+
+class PostgresStore {
+  /**
+   * @param {string} schema - Schema holding social_rate_limits (default: environment schema)
+   */
+  constructor(schema = null) {
+    this.schema = validateSchema(schema || getDefaultSchema());
+  }
+
+  async increment(key, windowMs) {
+    const windowStart = getWindowStart(windowMs);
+    const resetAt = windowStart + windowMs;
+
+    const result = await query(`
+      INSERT INTO ${this.schema}.social_rate_limits (key, window_start, count, expires_at)
+      VALUES ($1, to_timestamp($2 / 1000.0), 1, to_timestamp($3 / 1000.0))
+      ON CONFLICT (key, window_start)
+      DO UPDATE SET count = social_rate_limits.count + 1
+      RETURNING count
+    `, [key, windowStart, resetAt]);
+
+    // Prune ended windows now and then instead of on every request
+    if (Math.random() < 0.01) {
+      query(`DELETE FROM ${this.schema}.social_rate_limits WHERE expires_at < CURRENT_TIMESTAMP`, [])
+        .catch(err => console.error('[RateLimit] Error pruning rate limit windows:', err.message));
+    }
+
+    return { count: result.rows[0].count, resetAt };
+  }
+}
+
+/**
+ * Build the store selected by SOCIAL_RATE_LIMIT_STORE ('memory' | 'postgres')
+ *
+ * @returns {MemoryStore|PostgresStore} Store instance
+ */
+function createStore(type = process.env.SOCIAL_RATE_LIMIT_STORE || 'memory') {
+  if (type === 'postgres') {
+    return new PostgresStore();
+  }
+
+  if (type !== 'memory') {
+    console.warn(`[RateLimit] Unknown store '${type}', using memory`);
+  }
+
+  return new MemoryStore();
+}
+
+module.exports = {
+  MemoryStore,
+  PostgresStore,
+  createStore,
+  getWindowStart
+};
@@ -0,0 +1,52 @@
+/**
+ * Schema Helper Utility
+ *
+ * Resolves the database schema for tenant-scoped queries.
+ * Schema names are never hardcoded - they come from the authenticated
+ * request or the environment default.
+ */
+
+const SCHEMA_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Validate a schema name before interpolating it into SQL
+ *
+ * @param {string} schema - Schema name
+ * @returns {string} The validated schema name
+ */
+function validateSchema(schema) {
+  if (!schema || !SCHEMA_NAME_PATTERN.test(schema)) {
+    throw new Error(`Invalid schema name: ${schema}`);
+  }
+  return schema;
+}
+
+/**
+ * Get the default schema from environment
+ *
+ * @returns {string} Schema name
+ */
+function getDefaultSchema() {
+  return validateSchema(process.env.DB_SCHEMA || process.env.POSTGRES_SCHEMA || 'public');
+}
+
+/**
+ * Resolve schema for a request
+ * Falls back to the environment default for system contexts (webhooks, background jobs)
+ *
+ * @param {Object} req - Express request (optional)
+ * @returns {string} Schema name
+ */
+function getSchema(req) {
+  const schema = req?.tenantContext?.schema ||
+                 req?.user?.schema ||
+                 req?.user?.tenant_schema;
+
+  return schema ? validateSchema(schema) : getDefaultSchema();
+}
+
+module.exports = {
+  getSchema,
+  getDefaultSchema,
+  validateSchema
+};
@@ -0,0 +1,79 @@
+/**
+ * Tenant Schemas
+ *
+ * Webhooks, provider callbacks and background jobs carry no tenant context,
+ * while connect, reconnect and every tenant action write under the tenant's
+ * own schema. The schemas holding a table are read from the catalog (cached
+ * for a minute) so those rows can be found without a request.
+ */
+
+const { query } = require('../../../shared/database/connection');
+const { getDefaultSchema, validateSchema } = require('./schemaHelper');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// table -> { schemas, loadedAt }
+const cache = new Map();
+
+/**
+ * Schemas holding a table, the default schema first
+ *
+ * @param {string} table - Table name (e.g. 'social_accounts')
+ * @param {Object} options - { refresh } to bypass the cache
+ * @returns {Promise<Array<string>>} Schema names
+ */
+async function listTenantSchemas(table, { refresh = false } = {}) {
+  const cached = cache.get(table);
+  if (!refresh && cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.schemas;
+  }
+
+  const result = await query(`
+    SELECT DISTINCT table_schema
+    FROM information_schema.tables
+    WHERE table_name = $1
+      AND table_type = 'BASE TABLE'
+    ORDER BY table_schema
+  `, [table]);
+
+  const defaultSchema = getDefaultSchema();
+  const schemas = result.rows
+    .map(row => row.table_schema)
+    .filter(name => {
+      try {
+        return !!validateSchema(name);
+      } catch (error) {
+        return false;
+      }
+    })
+    .sort((a, b) => (a === defaultSchema ? -1 : b === defaultSchema ? 1 : 0));
+
+  cache.set(table, { schemas, loadedAt: Date.now() });
+  return schemas;
+}
+
+/**
+ * Run a lookup over every schema holding a table
+ * A miss reloads the schema list once, so a tenant schema created since the
+ * last load is searched too
+ *
+ * @param {string} table - Table name
+ * @param {Function} find - async (schemas) => row or null
+ * @returns {Promise<Object|null>} The row found, or null
+ */
+async function findInTenantSchemas(table, find) {
+  const schemas = await listTenantSchemas(table);
+  const row = schemas.length > 0 ? await find(schemas) : null;
+  if (row) {
+    return row;
+  }
+
+  const reloaded = await listTenantSchemas(table, { refresh: true });
+  const added = reloaded.filter(name => !schemas.includes(name));
+  return added.length > 0 ? find(added) : null;
+}
+
+module.exports = {
+  listTenantSchemas,
+  findInTenantSchemas
+};
@@ -0,0 +1,186 @@
+/**
+ * Timezone Utility
+ *
+ * IANA timezone helpers for send windows:
+ * - Infers a prospect's timezone from employees_cache city / country
+ *   (city first for countries spanning several zones)
+ * - Wall-clock parts and UTC conversion for a zone, DST included
+ */
+
+// Countries by name and ISO code; multi-zone countries map to their most populous zone
+const COUNTRY_TIMEZONES = {
+  'united states': 'America/New_York', us: 'America/New_York', usa: 'America/New_York',
+  canada: 'America/Toronto', ca: 'America/Toronto',
+  mexico: 'America/Mexico_City', mx: 'America/Mexico_City',
+  brazil: 'America/Sao_Paulo', br: 'America/Sao_Paulo',
+  argentina: 'America/Argentina/Buenos_Aires', ar: 'America/Argentina/Buenos_Aires',
+  chile: 'America/Santiago', cl: 'America/Santiago',
+  colombia: 'America/Bogota', co: 'America/Bogota',
+  peru: 'America/Lima', pe: 'America/Lima',
+  'united kingdom': 'Europe/London', uk: 'Europe/London', gb: 'Europe/London', england: 'Europe/London', scotland: 'Europe/London', wales: 'Europe/London',
+  ireland: 'Europe/Dublin', ie: 'Europe/Dublin',
+  portugal: 'Europe/Lisbon', pt: 'Europe/Lisbon',
+  spain: 'Europe/Madrid', es: 'Europe/Madrid',
+  france: 'Europe/Paris', fr: 'Europe/Paris',
+  belgium: 'Europe/Brussels', be: 'Europe/Brussels',
+  netherlands: 'Europe/Amsterdam', nl: 'Europe/Amsterdam',
+  germany: 'Europe/Berlin', de: 'Europe/Berlin',
+  switzerland: 'Europe/Zurich', ch: 'Europe/Zurich',
+  austria: 'Europe/Vienna', at: 'Europe/Vienna',
+  italy: 'Europe/Rome', it: 'Europe/Rome',
+  denmark: 'Europe/Copenhagen', dk: 'Europe/Copenhagen',
+  norway: 'Europe/Oslo', no: 'Europe/Oslo',
+  sweden: 'Europe/Stockholm', se: 'Europe/Stockholm',
+  finland: 'Europe/Helsinki', fi: 'Europe/Helsinki',
+  poland: 'Europe/Warsaw', pl: 'Europe/Warsaw',
+  'czech republic': 'Europe/Prague', czechia: 'Europe/Prague', cz: 'Europe/Prague',
+  hungary: 'Europe/Budapest', hu: 'Europe/Budapest',
+  romania: 'Europe/Bucharest', ro: 'Europe/Bucharest',
+  greece: 'Europe/Athens', gr: 'Europe/Athens',
+  ukraine: 'Europe/Kyiv', ua: 'Europe/Kyiv',
+  turkey: 'Europe/Istanbul', 'türkiye': 'Europe/Istanbul', tr: 'Europe/Istanbul',
+  russia: 'Europe/Moscow', ru: 'Europe/Moscow',
+  israel: 'Asia/Jerusalem', il: 'Asia/Jerusalem',
+  egypt: 'Africa/Cairo', eg: 'Africa/Cairo',
+  'south africa': 'Africa/Johannesburg', za: 'Africa/Johannesburg',
+  nigeria: 'Africa/Lagos', ng: 'Africa/Lagos',
+  kenya: 'Africa/Nairobi', ke: 'Africa/Nairobi',
+  morocco: 'Africa/Casablanca', ma: 'Africa/Casablanca',
+  'united arab emirates': 'Asia/Dubai', uae: 'Asia/Dubai', ae: 'Asia/Dubai',
+  'saudi arabia': 'Asia/Riyadh', sa: 'Asia/Riyadh',
+  qatar: 'Asia/Qatar', qa: 'Asia/Qatar',
+  pakistan: 'Asia/Karachi', pk: 'Asia/Karachi',
+  india: 'Asia/Kolkata', in: 'Asia/Kolkata',
+  bangladesh: 'Asia/Dhaka', bd: 'Asia/Dhaka',
+  singapore: 'Asia/Singapore', sg: 'Asia/Singapore',
+  malaysia: 'Asia/Kuala_Lumpur', my: 'Asia/Kuala_Lumpur',
+  indonesia: 'Asia/Jakarta', id: 'Asia/Jakarta',
+  thailand: 'Asia/Bangkok', th: 'Asia/Bangkok',
+  vietnam: 'Asia/Ho_Chi_Minh', vn: 'Asia/Ho_Chi_Minh',
+  philippines: 'Asia/Manila', ph: 'Asia/Manila',
+  china: 'Asia/Shanghai', cn: 'Asia/Shanghai',
+  'hong kong': 'Asia/Hong_Kong', hk: 'Asia/Hong_Kong',
+  taiwan: 'Asia/Taipei', tw: 'Asia/Taipei',
+  'south korea': 'Asia/Seoul', korea: 'Asia/Seoul', kr: 'Asia/Seoul',
+  japan: 'Asia/Tokyo', jp: 'Asia/Tokyo',
+  australia: 'Australia/Sydney', au: 'Australia/Sydney',
+  'new zealand': 'Pacific/Auckland', nz: 'Pacific/Auckland'
+};
+
+// Cities (and US states) in countries spanning several zones
+const CITY_TIMEZONES = {
+  'new york': 'America/New_York', boston: 'America/New_York', miami: 'America/New_York', atlanta: 'America/New_York',
+  washington: 'America/New_York', philadelphia: 'America/New_York',
+  chicago: 'America/Chicago', dallas: 'America/Chicago', houston: 'America/Chicago', austin: 'America/Chicago',
+  minneapolis: 'America/Chicago', nashville: 'America/Chicago',
+  denver: 'America/Denver', 'salt lake city': 'America/Denver', boulder: 'America/Denver',
+  phoenix: 'America/Phoenix',
+  'los angeles': 'America/Los_Angeles', 'san francisco': 'America/Los_Angeles', seattle: 'America/Los_Angeles',
+  'san diego': 'America/Los_Angeles', 'san jose': 'America/Los_Angeles', portland: 'America/Los_Angeles',
+  'palo alto': 'America/Los_Angeles', 'las vegas': 'America/Los_Angeles',
+  california: 'America/Los_Angeles', oregon: 'America/Los_Angeles',
+  texas: 'America/Chicago', illinois: 'America/Chicago', colorado: 'America/Denver', arizona: 'America/Phoenix',
+  toronto: 'America/Toronto', montreal: 'America/Toronto', ottawa: 'America/Toronto',
+  vancouver: 'America/Vancouver', calgary: 'America/Edmonton', edmonton: 'America/Edmonton', winnipeg: 'America/Winnipeg',
+  'mexico city': 'America/Mexico_City', tijuana: 'America/Tijuana',
+  'sao paulo': 'America/Sao_Paulo', 'são paulo': 'America/Sao_Paulo', 'rio de janeiro': 'America/Sao_Paulo', manaus: 'America/Manaus',
+  sydney: 'Australia/Sydney', melbourne: 'Australia/Melbourne', brisbane: 'Australia/Brisbane',
+  perth: 'Australia/Perth', adelaide: 'Australia/Adelaide',
+  moscow: 'Europe/Moscow', 'saint petersburg': 'Europe/Moscow', novosibirsk: 'Asia/Novosibirsk', vladivostok: 'Asia/Vladivostok',
+  jakarta: 'Asia/Jakarta', bali: 'Asia/Makassar', denpasar: 'Asia/Makassar'
+};
+
+/**
+ * Whether a string is an IANA timezone this runtime knows
+ *
+ * @param {string} timezone - e.g. 'Europe/Paris'
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Infer a timezone from a city and country
+ * City names are only trusted inside the country they belong to when one is given
+ *
+ * @param {string} city - e.g. employees_cache.employee_city
+ * @param {string} country - e.g. employees_cache.employee_country
+ * @returns {string|null} IANA timezone, or null when unknown
+ */
+function inferTimezone(city, country) {
+  const countryKey = country ? String(country).trim().toLowerCase() : '';
+  const countryZone = COUNTRY_TIMEZONES[countryKey] || null;
+
+  if (city) {
+    const cityZone = CITY_TIMEZONES[String(city).trim().toLowerCase()];
+    const sameRegion = !countryZone || (cityZone && cityZone.split('/')[0] === countryZone.split('/')[0]);
+    if (cityZone && sameRegion) {
+      return cityZone;
+    }
+  }
+
+  return countryZone;
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month (1-12), day, hour, minute, weekday (1 = Monday ... 7 = Sunday) }
+ */
+function getZonedParts(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay() || 7;
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second, weekday };
+}
+
+/**
+ * Instant at which a timezone's wall clock shows the given date and time
+ * Times skipped by a DST change resolve to the same time after the change
+ *
+ * @returns {Date}
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let guess = wallClock;
+
+  // Two passes settle the offset on either side of a DST change
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(guess), timezone);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - guess;
+    guess = wallClock - offset;
+  }
+
+  return new Date(guess);
+}
+
+module.exports = {
+  isValidTimezone,
+  inferTimezone,
+  getZonedParts,
+  zonedTimeToUtc
+};
@@ -23,6 +23,27 @@ class UrlParser {
     return match ? match[1] : null;
   }
   
+  /**
+   * Canonical LinkedIn slug for exact matching: lowercase, URL-decoded,
+   * without query string, fragment or trailing slash
+   * 
+   * @param {string} urlOrSlug - LinkedIn profile URL or public identifier
+   * @returns {string|null} Canonical slug or null
+   */
+  static canonicalLinkedInSlug(urlOrSlug) {
+    const identifier = this.extractLinkedInIdentifier(urlOrSlug ? String(urlOrSlug).trim() : null);
+    if (!identifier) return null;
+    
+    let slug = identifier.split(/[?#]/)[0].replace(/\/+$/, '');
+    try {
+      slug = decodeURIComponent(slug);
+    } catch (error) {
+      // Malformed escape: keep the slug as given
+    }
+    
+    return slug.toLowerCase() || null;
+  }
+  
   /**
    * Extract Instagram username from URL
    * 
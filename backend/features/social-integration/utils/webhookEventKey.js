@@ -0,0 +1,91 @@
+/**
+ * Webhook Event Key Utility
+ *
+ * Derives the idempotency key for a webhook delivery:
+ * - the provider's event ID when the payload carries one
+ * - otherwise a SHA-256 of the canonical (key-sorted) payload
+ *
+ * Payloads with neither an ID nor a timestamp (e.g. AccountStatus) are
+ * identical every time the same status repeats, so their hash is bucketed
+ * by a dedup window to let later, legitimate repeats through.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_DEDUP_WINDOW_MINUTES = 10;
+
+/**
+ * JSON.stringify with sorted object keys
+ *
+ * @param {*} value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Event type for a payload
+ *
+ * @param {Object} payload
+ * @returns {string|null} Event type
+ */
+function getEventType(payload) {
+  if (!payload) return null;
+  if (payload.AccountStatus) return 'AccountStatus';
+  return payload.event || payload.type || payload.object || null;
+}
+
+/**
+ * Provider event ID, if the payload carries one
+ *
+ * @param {Object} payload
+ * @returns {string|null} Event ID
+ */
+function getProviderEventId(payload) {
+  if (!payload) return null;
+  const data = payload.data || {};
+  const id = payload.event_id || payload.eventId || payload.id || data.event_id || payload.message_id || data.message_id;
+  return id ? String(id) : null;
+}
+
+/**
+ * Build idempotency key and payload hash
+ *
+ * @param {Object} payload
+ * @param {Object} options
+ * @param {number} options.dedupWindowMinutes - Bucket size for payloads without ID or timestamp
+ * @param {Date} options.now - Current time (for testing)
+ * @returns {Object} { idempotencyKey, providerEventId, payloadHash, eventType }
+ */
+function buildEventKey(payload, { dedupWindowMinutes = DEFAULT_DEDUP_WINDOW_MINUTES, now = new Date() } = {}) {
+  const eventType = getEventType(payload);
+  const providerEventId = getProviderEventId(payload);
+  const payloadHash = crypto.createHash('sha256').update(canonicalJson(payload || {})).digest('hex');
+
+  let idempotencyKey;
+  if (providerEventId) {
+    idempotencyKey = `id:${eventType || 'event'}:${providerEventId}`;
+  } else if (payload?.timestamp || payload?.data?.timestamp) {
+    idempotencyKey = `hash:${payloadHash}`;
+  } else {
+    const bucket = Math.floor(now.getTime() / (dedupWindowMinutes * 60 * 1000));
+    idempotencyKey = `hash:${payloadHash}:${bucket}`;
+  }
+
+  return { idempotencyKey, providerEventId, payloadHash, eventType };
+}
+
+module.exports = {
+  DEFAULT_DEDUP_WINDOW_MINUTES,
+  canonicalJson,
+  getEventType,
+  getProviderEventId,
+  buildEventKey
+};
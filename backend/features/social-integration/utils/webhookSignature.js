@@ -0,0 +1,204 @@
+/**
+ * Webhook Signature Utility
+ *
+ * Pure helpers for verifying Unipile webhook deliveries.
+ *
+ * Two schemes are accepted:
+ * - Signed:  `X-Unipile-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`
+ * - Secret:  `Unipile-Auth: <secret>` (the custom header configured on the Unipile webhook),
+ *            with the timestamp taken from `X-Unipile-Timestamp` or the payload
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-unipile-signature';
+const AUTH_HEADER = 'unipile-auth';
+const TIMESTAMP_HEADER = 'x-unipile-timestamp';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Constant-time string comparison
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Compute HMAC-SHA256 signature for a delivery
+ *
+ * @param {string} secret - Webhook secret
+ * @param {string|number} timestamp - Unix seconds
+ * @param {string} rawBody - Raw request body
+ * @returns {string} Hex digest
+ */
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+}
+
+/**
+ * Parse `t=...,v1=...` signature header
+ * Multiple v1 values are allowed (sender-side rotation)
+ *
+ * @param {string} header - Signature header value
+ * @returns {Object|null} { timestamp, signatures }
+ */
+function parseSignatureHeader(header) {
+  if (!header || typeof header !== 'string') return null;
+
+  let timestamp = null;
+  const signatures = [];
+
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') timestamp = value;
+    if (key === 'v1' && value) signatures.push(value);
+  }
+
+  if (!timestamp || signatures.length === 0) return null;
+  return { timestamp, signatures };
+}
+
+/**
+ * Convert a header or payload timestamp to unix seconds
+ * Accepts unix seconds, unix milliseconds or ISO 8601
+ *
+ * @param {string|number} value
+ * @returns {number|null} Unix seconds
+ */
+function toUnixSeconds(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (/^\d+$/.test(String(value))) {
+    const num = Number(value);
+    return num > 1e12 ? Math.floor(num / 1000) : num;
+  }
+
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+/**
+ * Check a timestamp is within the replay window
+ *
+ * @param {number} timestampSeconds - Unix seconds
+ * @param {number} toleranceSeconds - Allowed skew either side
+ * @param {number} nowSeconds - Current time (for testing)
+ * @returns {boolean} True if within window
+ */
+function isWithinTolerance(timestampSeconds, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, nowSeconds = Math.floor(Date.now() / 1000)) {
+  return Math.abs(nowSeconds - timestampSeconds) <= toleranceSeconds;
+}
+
+/**
+ * Verify a delivery against a list of candidate secrets
+ * Any valid secret is accepted so current and previous secrets work during rotation
+ *
+ * @param {Object} params
+ * @param {Object} params.headers - Lower-cased request headers
+ * @param {string} params.rawBody - Raw request body
+ * @param {Object} params.payload - Parsed body (for payload timestamp)
+ * @param {Array<Object>} params.secrets - [{ id, secret, source }]
+ * @param {number} params.toleranceSeconds - Replay window
+ * @param {boolean} params.requireTimestamp - Reject shared-secret deliveries without a timestamp
+ *   (the shared secret does not cover the timestamp, so only the replay window limits replays)
+ * @returns {Object} { valid, reason, secret, scheme, timestamp }
+ */
+function verifyDelivery({ headers, rawBody, payload, secrets, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, requireTimestamp = true }) {
+  const signatureHeader = headers[SIGNATURE_HEADER];
+  const authHeader = headers[AUTH_HEADER];
+
+  if (!signatureHeader && !authHeader) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  if (!secrets || secrets.length === 0) {
+    return { valid: false, reason: 'no_secret_configured' };
+  }
+
+  if (typeof rawBody !== 'string') {
+    return { valid: false, reason: 'missing_raw_body' };
+  }
+
+  if (signatureHeader) {
+    const parsed = parseSignatureHeader(signatureHeader);
+    if (!parsed) {
+      return { valid: false, reason: 'malformed_signature', scheme: 'hmac' };
+    }
+
+    const timestamp = toUnixSeconds(parsed.timestamp);
+    if (timestamp === null || !isWithinTolerance(timestamp, toleranceSeconds)) {
+      return { valid: false, reason: 'timestamp_out_of_window', scheme: 'hmac', timestamp };
+    }
+
+    for (const candidate of secrets) {
+      const expected = computeSignature(candidate.secret, parsed.timestamp, rawBody);
+      if (parsed.signatures.some(sig => safeEqual(sig, expected))) {
+        return { valid: true, secret: candidate, scheme: 'hmac', timestamp };
+      }
+    }
+
+    return { valid: false, reason: 'invalid_signature', scheme: 'hmac', timestamp };
+  }
+
+  const timestamp = toUnixSeconds(headers[TIMESTAMP_HEADER] || payload?.timestamp);
+  if (timestamp === null && requireTimestamp) {
+    return { valid: false, reason: 'missing_timestamp', scheme: 'secret' };
+  }
+  if (timestamp !== null && !isWithinTolerance(timestamp, toleranceSeconds)) {
+    return { valid: false, reason: 'timestamp_out_of_window', scheme: 'secret', timestamp };
+  }
+
+  const match = secrets.find(candidate => safeEqual(authHeader, candidate.secret));
+  if (!match) {
+    return { valid: false, reason: 'invalid_signature', scheme: 'secret', timestamp };
+  }
+
+  return { valid: true, secret: match, scheme: 'secret', timestamp };
+}
+
+/**
+ * Generate a new random webhook secret
+ *
+ * @returns {string} Secret
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * SHA-256 of a payload, for auditing without storing untrusted bodies
+ *
+ * @param {string} rawBody
+ * @returns {string} Hex digest
+ */
+function hashPayload(rawBody) {
+  return crypto.createHash('sha256').update(rawBody || '').digest('hex');
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  AUTH_HEADER,
+  TIMESTAMP_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  safeEqual,
+  computeSignature,
+  parseSignatureHeader,
+  toUnixSeconds,
+  isWithinTolerance,
+  verifyDelivery,
+  generateSecret,
+  hashPayload
+};